@@ -1,7 +1,7 @@
 import Foundation
 
 struct SessionData: Identifiable, Codable {
-    let id = UUID()
+    let id: UUID
     let totalShots: Int
     let successfulShots: Int
     let timestamp: Date
@@ -99,6 +99,7 @@ struct SessionData: Identifiable, Codable {
         let serveCount = try container.decode(Int.self, forKey: .serveCount)
         
         self.init(
+            id: id,
             totalShots: totalShots,
             successfulShots: successfulShots,
             timestamp: timestamp,
@@ -112,6 +113,7 @@ struct SessionData: Identifiable, Codable {
     
     // MARK: - Regular Initializer (for your existing code)
     init(
+        id: UUID = UUID(),
         totalShots: Int,
         successfulShots: Int,
         timestamp: Date,
@@ -121,6 +123,7 @@ struct SessionData: Identifiable, Codable {
         backhandCount: Int,
         serveCount: Int
     ) {
+        self.id = id
         self.totalShots = totalShots
         self.successfulShots = successfulShots
         self.timestamp = timestamp
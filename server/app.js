@@ -0,0 +1,90 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const { apiLimiter } = require('./middleware/rateLimit');
+
+// Import routes
+const authRoutes = require('./routes/auth');
+const sessionRoutes = require('./routes/sessions');
+const statsRoutes = require('./routes/stats');
+const profileRoutes = require('./routes/profile');
+const exportRoutes = require('./routes/export');
+const importRoutes = require('./routes/import');
+const goalRoutes = require('./routes/goals');
+const achievementRoutes = require('./routes/achievements');
+const teamRoutes = require('./routes/teams');
+const friendRoutes = require('./routes/friends');
+const leaderboardRoutes = require('./routes/leaderboards');
+const shareRoutes = require('./routes/shares');
+const sharedRoutes = require('./routes/shared');
+const calibrationRoutes = require('./routes/calibration');
+const classifyRoutes = require('./routes/classify');
+const liveRoutes = require('./routes/live');
+const webhookRoutes = require('./routes/webhooks');
+
+// The Express app with its middleware and routes; index.js opens the
+// database, starts the background jobs and listens
+const app = express();
+
+// Behind a reverse proxy, client IPs for rate limiting come from
+// X-Forwarded-For: TRUST_PROXY is the number of proxies, or their addresses
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
+// Middleware
+app.use(helmet()); // Security headers
+app.use(cors()); // Enable CORS for iOS app
+app.use(express.json({ limit: '10mb' })); // Parse JSON bodies (increased limit for session data)
+app.use(express.urlencoded({ extended: true }));
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    service: 'tennis-rating-api'
+  });
+});
+
+// API routes
+app.use('/api', apiLimiter); // Per-IP budget for every API request
+app.use('/api/auth', authRoutes);
+app.use('/api/sessions', sessionRoutes);
+app.use('/api/stats', statsRoutes);
+app.use('/api/profile', profileRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/import', importRoutes);
+app.use('/api/goals', goalRoutes);
+app.use('/api/achievements', achievementRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/friends', friendRoutes);
+app.use('/api/leaderboards', leaderboardRoutes);
+app.use('/api/shares', shareRoutes);
+app.use('/api/shared', sharedRoutes); // Public share link views
+app.use('/api/calibration', calibrationRoutes);
+app.use('/api/classify', classifyRoutes);
+app.use('/api/live', liveRoutes);
+app.use('/api/webhooks', webhookRoutes);
+
+// 404 handler
+app.use('*', (req, res) => {
+  res.status(404).json({
+    success: false,
+    error: 'Route not found'
+  });
+});
+
+// Error handler
+app.use((error, req, res, next) => {
+  console.error('Server Error:', error);
+  res.status(500).json({
+    success: false,
+    error: process.env.NODE_ENV === 'production' 
+      ? 'Internal server error' 
+      : error.message
+  });
+});
+
+module.exports = app;
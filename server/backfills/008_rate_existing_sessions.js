@@ -0,0 +1,38 @@
+// Sessions stored before ratings were kept were rated with the original
+// formula, version 1
+
+const { rateSession, toDbRating } = require('../lib/rating');
+
+const PAGE_SIZE = 500;
+
+exports.run = async (db) => {
+    let lastId = '';
+    while (true) {
+        const sessions = await db.all(`
+            SELECT id, total_shots, successful_shots, shot_timings FROM sessions
+            WHERE id > ? AND rating_version IS NULL ORDER BY id LIMIT ?
+        `, [lastId, PAGE_SIZE]);
+
+        if (sessions.length === 0) {
+            break;
+        }
+
+        for (const session of sessions) {
+            const rating = toDbRating(rateSession({
+                ...session,
+                shot_timings: JSON.parse(session.shot_timings || '[]')
+            }, 1));
+            await db.run(`
+                UPDATE sessions SET rating = ?, rating_score = ?, rating_success = ?,
+                rating_consistency = ?, rating_volume = ?, rating_version = ?
+                WHERE id = ?
+            `, [
+                rating.rating, rating.rating_score, rating.rating_success,
+                rating.rating_consistency, rating.rating_volume, rating.rating_version,
+                session.id
+            ]);
+        }
+
+        lastId = sessions[sessions.length - 1].id;
+    }
+};
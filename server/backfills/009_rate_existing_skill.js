@@ -0,0 +1,10 @@
+// Skill ratings for history uploaded before they were kept
+
+const { rebuildSkillRatings } = require('../lib/skillRating');
+
+exports.run = async (db) => {
+    const users = await db.all('SELECT id FROM users');
+    for (const user of users) {
+        await rebuildSkillRatings(db, user.id);
+    }
+};
@@ -0,0 +1,10 @@
+// Stats aggregates for history uploaded before they were kept
+
+const { refreshStatsAggregates } = require('../lib/statsAggregates');
+
+exports.run = async (db) => {
+    const users = await db.all('SELECT id FROM users');
+    for (const user of users) {
+        await refreshStatsAggregates(db, user.id);
+    }
+};
@@ -0,0 +1,10 @@
+// Badges for history uploaded before achievements were kept
+
+const { awardAchievements } = require('../lib/achievements');
+
+exports.run = async (db) => {
+    const users = await db.all('SELECT id FROM users');
+    for (const user of users) {
+        await awardAchievements(db, user.id);
+    }
+};
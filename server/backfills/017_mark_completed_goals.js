@@ -0,0 +1,11 @@
+// Goals already reached when webhooks were added aren't reported as newly
+// completed
+
+const { recordCompletedGoals } = require('../lib/goals');
+
+exports.run = async (db) => {
+    const users = await db.all('SELECT DISTINCT user_id FROM goals');
+    for (const user of users) {
+        await recordCompletedGoals(db, user.user_id);
+    }
+};
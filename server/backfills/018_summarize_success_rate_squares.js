@@ -0,0 +1,10 @@
+// Day rows written before success_rate_square_sum existed are recomputed
+
+const { refreshStatsAggregates } = require('../lib/statsAggregates');
+
+exports.run = async (db) => {
+    const users = await db.all('SELECT user_id FROM user_stats');
+    for (const user of users) {
+        await refreshStatsAggregates(db, user.user_id);
+    }
+};
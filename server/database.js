@@ -1,131 +1,154 @@
 const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
+const Migrator = require('./migrator');
 
 class Database {
-    constructor() {
-        const dbPath = process.env.DATABASE_URL || './tennis_rating.db';
-        this.db = new sqlite3.Database(dbPath, (err) => {
-            if (err) {
-                console.error('❌ Error opening database:', err.message);
-            } else {
-                console.log('✅ Connected to SQLite database');
-                this.init();
-            }
-        });
-    }
-
-    init() {
-        // Enable foreign keys
-        this.db.run("PRAGMA foreign_keys = ON");
-        
-        this.createTables();
-    }
-
-    createTables() {
-        // Users table
-        const createUsersTable = `
-            CREATE TABLE IF NOT EXISTS users (
-                id TEXT PRIMARY KEY,
-                email TEXT UNIQUE NOT NULL,
-                name TEXT NOT NULL,
-                password_hash TEXT NOT NULL,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )
-        `;
+    constructor(dbPath = process.env.DATABASE_URL || './tennis_rating.db') {
+        this.dbPath = dbPath;
+        this.inTransaction = false;
+        this.transactionDepth = 0;
+        this.transactionLock = Promise.resolve();
 
-        // Sessions table - stores tennis session data
-        const createSessionsTable = `
-            CREATE TABLE IF NOT EXISTS sessions (
-                id TEXT PRIMARY KEY,
-                user_id TEXT NOT NULL,
-                total_shots INTEGER NOT NULL,
-                successful_shots INTEGER NOT NULL,
-                timestamp DATETIME NOT NULL,
-                session_duration REAL NOT NULL,
-                forehand_count INTEGER DEFAULT 0,
-                backhand_count INTEGER DEFAULT 0,
-                serve_count INTEGER DEFAULT 0,
-                shot_timings TEXT, -- JSON array of shot timing intervals
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
-            )
-        `;
-
-        // Create indexes for better performance
-        const createIndexes = [
-            'CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)',
-            'CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id)',
-            'CREATE INDEX IF NOT EXISTS idx_sessions_timestamp ON sessions(timestamp)'
-        ];
+        // Every query waits on this, so nothing can run before the connection is open
+        this.ready = this.open();
+        this.ready.catch(() => {}); // Surfaced by whoever awaits ready
+    }
 
-        // Execute table creation
-        this.db.serialize(() => {
-            this.db.run(createUsersTable, (err) => {
+    open() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
                 if (err) {
-                    console.error('❌ Error creating users table:', err.message);
+                    console.error('❌ Error opening database:', err.message);
+                    reject(err);
                 } else {
-                    console.log('✅ Users table ready');
+                    console.log('✅ Connected to SQLite database');
+                    // Statements run strictly in the order they are queued
+                    this.db.serialize();
+                    resolve();
                 }
             });
+        }).then(() => this.execute('run', 'PRAGMA foreign_keys = ON'));
+    }
 
-            this.db.run(createSessionsTable, (err) => {
-                if (err) {
-                    console.error('❌ Error creating sessions table:', err.message);
-                } else {
-                    console.log('✅ Sessions table ready');
-                }
-            });
+    // Resolves once the schema is at the latest migration and its backfills
+    // have run, rejects otherwise
+    async assertSchemaCurrent() {
+        await this.ready;
+
+        const status = await new Migrator(this).status();
+        const pending = status.filter(migration => !migration.applied);
+
+        if (pending.length > 0) {
+            const names = pending.map(migration => migration.name).join(', ');
+            throw new Error(`Database schema is behind by ${pending.length} migration(s): ${names}. Run "npm run migrate" first.`);
+        }
 
-            // Create indexes
-            createIndexes.forEach((indexQuery) => {
-                this.db.run(indexQuery, (err) => {
+        const backfills = status.filter(migration => migration.backfillPending);
+        if (backfills.length > 0) {
+            const names = backfills.map(migration => migration.name).join(', ');
+            throw new Error(`Database has ${backfills.length} backfill(s) still to run: ${names}. Run "npm run migrate" first.`);
+        }
+    }
+
+    // Low-level statement execution against the sqlite3 handle
+    execute(method, query, params = []) {
+        return new Promise((resolve, reject) => {
+            if (method === 'run') {
+                this.db.run(query, params, function(err) {
                     if (err) {
-                        console.error('❌ Error creating index:', err.message);
+                        reject(err);
+                    } else {
+                        resolve({
+                            id: this.lastID,
+                            changes: this.changes
+                        });
                     }
                 });
-            });
+            } else {
+                this.db[method](query, params, (err, result) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(result);
+                    }
+                });
+            }
         });
     }
 
+    // Queries outside a transaction wait for the connection and for any open
+    // transaction to finish, so they never end up inside someone else's BEGIN
+    async whenIdle() {
+        if (this.inTransaction) {
+            return;
+        }
+        await this.ready;
+
+        let lock;
+        while (lock !== this.transactionLock) {
+            lock = this.transactionLock;
+            await lock;
+        }
+    }
+
     // Generic query methods
-    get(query, params = []) {
-        return new Promise((resolve, reject) => {
-            this.db.get(query, params, (err, result) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(result);
-                }
-            });
-        });
+    async get(query, params = []) {
+        await this.whenIdle();
+        return this.execute('get', query, params);
     }
 
-    all(query, params = []) {
-        return new Promise((resolve, reject) => {
-            this.db.all(query, params, (err, rows) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(rows);
-                }
-            });
-        });
+    async all(query, params = []) {
+        await this.whenIdle();
+        return this.execute('all', query, params);
     }
 
-    run(query, params = []) {
-        return new Promise((resolve, reject) => {
-            this.db.run(query, params, function(err) {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve({
-                        id: this.lastID,
-                        changes: this.changes
-                    });
-                }
-            });
-        });
+    async run(query, params = []) {
+        await this.whenIdle();
+        return this.execute('run', query, params);
+    }
+
+    // Run work(tx) inside a transaction. tx exposes every method of this class,
+    // bound to the transaction. Nested calls become savepoints.
+    async transaction(work) {
+        if (this.inTransaction) {
+            const savepoint = `sp_${++this.transactionDepth}`;
+            await this.execute('run', `SAVEPOINT ${savepoint}`);
+            try {
+                const result = await work(this);
+                await this.execute('run', `RELEASE ${savepoint}`);
+                return result;
+            } catch (error) {
+                await this.execute('run', `ROLLBACK TO ${savepoint}`);
+                await this.execute('run', `RELEASE ${savepoint}`);
+                throw error;
+            } finally {
+                this.transactionDepth--;
+            }
+        }
+
+        await this.ready;
+
+        const previous = this.transactionLock;
+        let release;
+        this.transactionLock = new Promise(resolve => { release = resolve; });
+        await previous;
+
+        const tx = Object.create(this);
+        tx.inTransaction = true;
+        tx.transactionDepth = 0;
+
+        try {
+            await this.execute('run', 'BEGIN IMMEDIATE');
+            try {
+                const result = await work(tx);
+                await this.execute('run', 'COMMIT');
+                return result;
+            } catch (error) {
+                await this.execute('run', 'ROLLBACK');
+                throw error;
+            }
+        } finally {
+            release();
+        }
     }
 
     // User-specific queries
@@ -142,19 +165,173 @@ class Database {
         return await this.get(query, [email]);
     }
 
+    async getUserIds() {
+        const rows = await this.all('SELECT id FROM users ORDER BY id');
+        return rows.map(row => row.id);
+    }
+
     async getUserById(id) {
         const query = 'SELECT * FROM users WHERE id = ?';
         return await this.get(query, [id]);
     }
 
+    async updateUserProfile(id, { email, name }) {
+        const query = `
+            UPDATE users SET email = ?, name = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `;
+        return await this.run(query, [email, name, id]);
+    }
+
+    async updateUserPassword(id, passwordHash) {
+        const query = 'UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+        return await this.run(query, [passwordHash, id]);
+    }
+
+    // Sessions, shots and tokens go with the user through ON DELETE CASCADE
+    async deleteUser(id) {
+        const query = 'DELETE FROM users WHERE id = ?';
+        return await this.run(query, [id]);
+    }
+
+    // Player profile queries
+    async getPlayerProfile(userId) {
+        const query = 'SELECT * FROM player_profiles WHERE user_id = ?';
+        return await this.get(query, [userId]);
+    }
+
+    async upsertPlayerProfile(userId, profile) {
+        const query = `
+            INSERT INTO player_profiles (
+                user_id, dominant_hand, level, timezone, birth_year, playing_since
+            ) VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT (user_id) DO UPDATE SET
+                dominant_hand = excluded.dominant_hand,
+                level = excluded.level,
+                timezone = excluded.timezone,
+                birth_year = excluded.birth_year,
+                playing_since = excluded.playing_since,
+                updated_at = CURRENT_TIMESTAMP
+        `;
+        return await this.run(query, [
+            userId,
+            profile.dominant_hand,
+            profile.level,
+            profile.timezone,
+            profile.birth_year,
+            profile.playing_since
+        ]);
+    }
+
+    // Password reset queries
+    async createPasswordResetToken(id, userId, tokenHash, expiresAt) {
+        return await this.transaction(async (tx) => {
+            // Only the most recently requested reset link works
+            await tx.run(
+                'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+                [userId]
+            );
+            return await tx.run(`
+                INSERT INTO password_reset_tokens (id, user_id, token_hash, expires_at)
+                VALUES (?, ?, ?, ?)
+            `, [id, userId, tokenHash, expiresAt]);
+        });
+    }
+
+    async getPasswordResetTokenByHash(tokenHash) {
+        const query = 'SELECT * FROM password_reset_tokens WHERE token_hash = ?';
+        return await this.get(query, [tokenHash]);
+    }
+
+    async markPasswordResetTokenUsed(id) {
+        const query = 'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL';
+        return await this.run(query, [id]);
+    }
+
+    // Token-specific queries
+    async createTokenFamily(familyId, userId) {
+        const query = 'INSERT INTO token_families (id, user_id) VALUES (?, ?)';
+        return await this.run(query, [familyId, userId]);
+    }
+
+    async getTokenFamily(familyId) {
+        const query = 'SELECT * FROM token_families WHERE id = ?';
+        return await this.get(query, [familyId]);
+    }
+
+    async createRefreshToken(id, familyId, tokenHash, expiresAt) {
+        const query = `
+            INSERT INTO refresh_tokens (id, family_id, token_hash, expires_at)
+            VALUES (?, ?, ?, ?)
+        `;
+        return await this.run(query, [id, familyId, tokenHash, expiresAt]);
+    }
+
+    async getRefreshTokenByHash(tokenHash) {
+        const query = `
+            SELECT rt.*, tf.user_id, tf.revoked_at AS family_revoked_at
+            FROM refresh_tokens rt
+            JOIN token_families tf ON tf.id = rt.family_id
+            WHERE rt.token_hash = ?
+        `;
+        return await this.get(query, [tokenHash]);
+    }
+
+    async markRefreshTokenUsed(tokenId) {
+        return await this.transaction(async (tx) => {
+            const result = await tx.run(
+                'UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+                [tokenId]
+            );
+            await tx.run(`
+                UPDATE token_families SET last_used_at = CURRENT_TIMESTAMP
+                WHERE id = (SELECT family_id FROM refresh_tokens WHERE id = ?)
+            `, [tokenId]);
+            return result;
+        });
+    }
+
+    async revokeTokenFamily(familyId, reason) {
+        const query = `
+            UPDATE token_families SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+            WHERE id = ? AND revoked_at IS NULL
+        `;
+        return await this.run(query, [reason, familyId]);
+    }
+
+    // Revoke every login for the user, optionally keeping the current one
+    async revokeUserTokenFamilies(userId, reason, exceptFamilyId = null) {
+        const query = `
+            UPDATE token_families SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+            WHERE user_id = ? AND revoked_at IS NULL AND id IS NOT ?
+        `;
+        return await this.run(query, [reason, userId, exceptFamilyId]);
+    }
+
+    // Drop families whose refresh tokens have all expired or that were revoked long ago
+    async purgeExpiredTokenFamilies(retentionDays) {
+        const query = `
+            DELETE FROM token_families
+            WHERE (revoked_at IS NOT NULL AND revoked_at <= datetime('now', ?))
+            OR NOT EXISTS (
+                SELECT 1 FROM refresh_tokens rt
+                WHERE rt.family_id = token_families.id AND rt.expires_at > datetime('now')
+            )
+        `;
+        return await this.run(query, [`-${retentionDays} days`]);
+    }
+
     // Session-specific queries
     async createSession(sessionData) {
         const query = `
             INSERT INTO sessions (
                 id, user_id, total_shots, successful_shots, 
                 timestamp, session_duration, forehand_count, 
-                backhand_count, serve_count, shot_timings
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                backhand_count, serve_count, shot_timings,
+                idempotency_key, payload_hash,
+                rating, rating_score, rating_success, rating_consistency,
+                rating_volume, rating_version
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
         
         const params = [
@@ -167,16 +344,87 @@ class Database {
             sessionData.forehand_count,
             sessionData.backhand_count,
             sessionData.serve_count,
-            JSON.stringify(sessionData.shot_timings)
+            JSON.stringify(sessionData.shot_timings),
+            sessionData.idempotency_key || null,
+            sessionData.payload_hash || null,
+            sessionData.rating,
+            sessionData.rating_score,
+            sessionData.rating_success,
+            sessionData.rating_consistency,
+            sessionData.rating_volume,
+            sessionData.rating_version
         ];
 
-        return await this.run(query, params);
+        // Session row and its shot records are written together
+        return await this.transaction(async (tx) => {
+            const result = await tx.run(query, params);
+            await tx.createShots(sessionData.id, sessionData.shots || []);
+            return result;
+        });
+    }
+
+    async createShots(sessionId, shots) {
+        const query = `
+            INSERT INTO shots (
+                session_id, shot_index, swing_type, successful, timestamp_offset,
+                wrist_speed, elbow_angle, shoulder_rotation, confidence,
+                amplitude, swing_duration
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+
+        for (const shot of shots) {
+            await this.run(query, [
+                sessionId,
+                shot.shot_index,
+                shot.swing_type,
+                shot.successful ? 1 : 0,
+                shot.timestamp_offset,
+                shot.wrist_speed,
+                shot.elbow_angle,
+                shot.shoulder_rotation,
+                shot.confidence,
+                shot.amplitude,
+                shot.swing_duration
+            ]);
+        }
+    }
+
+    async getSessionShots(sessionId) {
+        const query = 'SELECT * FROM shots WHERE session_id = ? ORDER BY shot_index';
+        const shots = await this.all(query, [sessionId]);
+
+        return shots.map(shot => ({
+            ...shot,
+            successful: shot.successful === 1
+        }));
+    }
+
+    async getSessionByIdempotencyKey(userId, idempotencyKey) {
+        const query = 'SELECT id, user_id, payload_hash FROM sessions WHERE user_id = ? AND idempotency_key = ?';
+        return await this.get(query, [userId, idempotencyKey]);
+    }
+
+    // A stored session that starts in the same second with the same counts,
+    // used to recognize imported history that was also uploaded from the app
+    async findMatchingSession(userId, sessionData) {
+        const query = `
+            SELECT id, user_id, payload_hash FROM sessions
+            WHERE user_id = ? AND deleted_at IS NULL
+            AND substr(timestamp, 1, 19) = substr(?, 1, 19)
+            AND total_shots = ? AND successful_shots = ?
+        `;
+        return await this.get(query, [
+            userId,
+            sessionData.timestamp,
+            sessionData.total_shots,
+            sessionData.successful_shots
+        ]);
     }
 
     async getUserSessions(userId, limit = 50, offset = 0) {
         const query = `
             SELECT * FROM sessions 
-            WHERE user_id = ? 
+            WHERE user_id = ? AND deleted_at IS NULL
             ORDER BY timestamp DESC 
             LIMIT ? OFFSET ?
         `;
@@ -189,8 +437,11 @@ class Database {
         }));
     }
 
-    async getSessionById(sessionId) {
-        const query = 'SELECT * FROM sessions WHERE id = ?';
+    // Deleted sessions are only returned when explicitly asked for (restore, dedupe)
+    async getSessionById(sessionId, { includeDeleted = false } = {}) {
+        const query = includeDeleted
+            ? 'SELECT * FROM sessions WHERE id = ?'
+            : 'SELECT * FROM sessions WHERE id = ? AND deleted_at IS NULL';
         const session = await this.get(query, [sessionId]);
         
         if (session && session.shot_timings) {
@@ -200,43 +451,1170 @@ class Database {
         return session;
     }
 
-    // Stats calculations
+    async getDeletedUserSessions(userId) {
+        const query = `
+            SELECT * FROM sessions
+            WHERE user_id = ? AND deleted_at IS NOT NULL
+            ORDER BY deleted_at DESC
+        `;
+        const sessions = await this.all(query, [userId]);
+
+        return sessions.map(session => ({
+            ...session,
+            shot_timings: JSON.parse(session.shot_timings || '[]')
+        }));
+    }
+
+    // Overwrite a session's counters and metadata. Shot records are replaced
+    // only when sessionData.shots is given.
+    async updateSession(sessionData) {
+        const query = `
+            UPDATE sessions SET
+                total_shots = ?, successful_shots = ?, timestamp = ?,
+                session_duration = ?, forehand_count = ?, backhand_count = ?,
+                serve_count = ?, shot_timings = ?, rating = ?, rating_score = ?,
+                rating_success = ?, rating_consistency = ?, rating_volume = ?,
+                rating_version = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND deleted_at IS NULL
+        `;
+
+        const params = [
+            sessionData.total_shots,
+            sessionData.successful_shots,
+            sessionData.timestamp,
+            sessionData.session_duration,
+            sessionData.forehand_count,
+            sessionData.backhand_count,
+            sessionData.serve_count,
+            JSON.stringify(sessionData.shot_timings),
+            sessionData.rating,
+            sessionData.rating_score,
+            sessionData.rating_success,
+            sessionData.rating_consistency,
+            sessionData.rating_volume,
+            sessionData.rating_version,
+            sessionData.id
+        ];
+
+        return await this.transaction(async (tx) => {
+            const result = await tx.run(query, params);
+            if (sessionData.shots) {
+                await tx.run('DELETE FROM shots WHERE session_id = ?', [sessionData.id]);
+                await tx.createShots(sessionData.id, sessionData.shots);
+            }
+            return result;
+        });
+    }
+
+    async softDeleteSession(sessionId) {
+        const query = 'UPDATE sessions SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL';
+        return await this.run(query, [sessionId]);
+    }
+
+    async restoreSession(sessionId) {
+        const query = 'UPDATE sessions SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL';
+        return await this.run(query, [sessionId]);
+    }
+
+    // Sessions (of every user, deleted included) not yet rated with the given
+    // algorithm version, a page at a time in id order
+    async getSessionsToRate(version, afterId = '', limit = 500) {
+        const query = `
+            SELECT id, user_id, total_shots, successful_shots, shot_timings, rating, rating_version
+            FROM sessions
+            WHERE id > ? AND (rating_version IS NULL OR rating_version != ?)
+            ORDER BY id
+            LIMIT ?
+        `;
+        const sessions = await this.all(query, [afterId, version, limit]);
+
+        return sessions.map(session => ({
+            ...session,
+            shot_timings: JSON.parse(session.shot_timings || '[]')
+        }));
+    }
+
+    // Store a recomputed rating without touching the session's updated_at
+    async updateSessionRating(sessionId, rating) {
+        const query = `
+            UPDATE sessions SET
+                rating = ?, rating_score = ?, rating_success = ?,
+                rating_consistency = ?, rating_volume = ?, rating_version = ?
+            WHERE id = ?
+        `;
+        return await this.run(query, [
+            rating.rating,
+            rating.rating_score,
+            rating.rating_success,
+            rating.rating_consistency,
+            rating.rating_volume,
+            rating.rating_version,
+            sessionId
+        ]);
+    }
+
+    // Permanently remove sessions deleted more than retentionDays ago
+    async purgeDeletedSessions(retentionDays) {
+        const query = `
+            DELETE FROM sessions
+            WHERE deleted_at IS NOT NULL
+            AND deleted_at <= datetime('now', ?)
+        `;
+        return await this.run(query, [`-${retentionDays} days`]);
+    }
+
+    // Stats calculations, read from the materialized totals in user_stats
     async getUserStats(userId) {
         const statsQuery = `
             SELECT 
-                COUNT(*) as total_sessions,
-                SUM(total_shots) as total_shots,
-                SUM(successful_shots) as total_successful_shots,
-                AVG(CAST(successful_shots AS FLOAT) / total_shots * 100) as avg_success_rate,
-                MAX(CAST(successful_shots AS FLOAT) / total_shots * 100) as best_success_rate,
-                SUM(forehand_count) as total_forehand,
-                SUM(backhand_count) as total_backhand,
-                SUM(serve_count) as total_serves,
-                AVG(session_duration) as avg_duration
-            FROM sessions 
+                total_sessions,
+                total_shots,
+                total_successful_shots,
+                success_rate_sum / NULLIF(success_rate_count, 0) as avg_success_rate,
+                best_success_rate,
+                rating_sum / CAST(NULLIF(total_sessions, 0) AS REAL) as avg_rating,
+                best_rating,
+                score_sum / NULLIF(total_sessions, 0) as avg_score,
+                total_forehand,
+                total_backhand,
+                total_serves,
+                total_duration / NULLIF(total_sessions, 0) as avg_duration
+            FROM user_stats 
             WHERE user_id = ?
         `;
         
         return await this.get(statsQuery, [userId]);
     }
 
-    async getUserProgressData(userId, days = 30) {
+    async getUserStatsAggregate(userId) {
+        const query = 'SELECT * FROM user_stats WHERE user_id = ?';
+        return await this.get(query, [userId]);
+    }
+
+    // Day rows in [fromDay, toDay] (inclusive YYYY-MM-DD keys), oldest first
+    async getDailyStats(userId, fromDay, toDay) {
         const query = `
-            SELECT 
-                DATE(timestamp) as date,
-                COUNT(*) as sessions_count,
-                AVG(CAST(successful_shots AS FLOAT) / total_shots * 100) as avg_rating,
-                SUM(total_shots) as total_shots
-            FROM sessions 
-            WHERE user_id = ? 
-            AND timestamp >= datetime('now', '-${days} days')
-            GROUP BY DATE(timestamp)
-            ORDER BY date DESC
+            SELECT * FROM user_daily_stats
+            WHERE user_id = ? AND date >= ? AND date <= ?
+            ORDER BY date ASC
+        `;
+        return await this.all(query, [userId, fromDay, toDay]);
+    }
+
+    async deleteDailyStatsFrom(userId, fromDay) {
+        const query = 'DELETE FROM user_daily_stats WHERE user_id = ? AND date >= ?';
+        return await this.run(query, [userId, fromDay]);
+    }
+
+    async createDailyStats(userId, day) {
+        const query = `
+            INSERT INTO user_daily_stats (
+                user_id, date, sessions_count, total_shots, successful_shots,
+                success_rate_sum, success_rate_count, success_rate_square_sum, best_success_rate, total_duration,
+                rating_sum, score_sum, best_rating, forehand_count, backhand_count, serve_count
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        return await this.run(query, [
+            userId,
+            day.date,
+            day.sessions_count,
+            day.total_shots,
+            day.successful_shots,
+            day.success_rate_sum,
+            day.success_rate_count,
+            day.success_rate_square_sum,
+            day.best_success_rate,
+            day.total_duration,
+            day.rating_sum,
+            day.score_sum,
+            day.best_rating,
+            day.forehand_count,
+            day.backhand_count,
+            day.serve_count
+        ]);
+    }
+
+    // Re-sum a user's totals from their day rows
+    async refreshUserStatsTotals(userId, timezone) {
+        const query = `
+            INSERT INTO user_stats (
+                user_id, timezone, total_sessions, total_shots, total_successful_shots,
+                success_rate_sum, success_rate_count, best_success_rate, total_duration, rating_sum, score_sum,
+                best_rating, total_forehand, total_backhand, total_serves,
+                first_session_date, last_session_date
+            )
+            SELECT
+                ?, ?,
+                COALESCE(SUM(sessions_count), 0),
+                COALESCE(SUM(total_shots), 0),
+                COALESCE(SUM(successful_shots), 0),
+                COALESCE(SUM(success_rate_sum), 0),
+                COALESCE(SUM(success_rate_count), 0),
+                MAX(best_success_rate),
+                COALESCE(SUM(total_duration), 0),
+                COALESCE(SUM(rating_sum), 0),
+                COALESCE(SUM(score_sum), 0),
+                MAX(best_rating),
+                COALESCE(SUM(forehand_count), 0),
+                COALESCE(SUM(backhand_count), 0),
+                COALESCE(SUM(serve_count), 0),
+                MIN(date),
+                MAX(date)
+            FROM user_daily_stats WHERE user_id = ?
+            ON CONFLICT (user_id) DO UPDATE SET
+                timezone = excluded.timezone,
+                total_sessions = excluded.total_sessions,
+                total_shots = excluded.total_shots,
+                total_successful_shots = excluded.total_successful_shots,
+                success_rate_sum = excluded.success_rate_sum,
+                success_rate_count = excluded.success_rate_count,
+                best_success_rate = excluded.best_success_rate,
+                total_duration = excluded.total_duration,
+                rating_sum = excluded.rating_sum,
+                score_sum = excluded.score_sum,
+                best_rating = excluded.best_rating,
+                total_forehand = excluded.total_forehand,
+                total_backhand = excluded.total_backhand,
+                total_serves = excluded.total_serves,
+                first_session_date = excluded.first_session_date,
+                last_session_date = excluded.last_session_date,
+                updated_at = CURRENT_TIMESTAMP
+        `;
+        return await this.run(query, [userId, timezone, userId]);
+    }
+
+    // Yield all of a user's sessions oldest first, a page at a time, so large
+    // histories never have to be held in memory. `from` skips sessions
+    // that started before that timestamp.
+    async *iterateUserSessions(userId, pageSize = 200, from = '') {
+        let cursor = { timestamp: from, id: '' };
+
+        while (true) {
+            const page = await this.all(`
+                SELECT * FROM sessions
+                WHERE user_id = ? AND deleted_at IS NULL
+                AND (timestamp > ? OR (timestamp = ? AND id > ?))
+                ORDER BY timestamp ASC, id ASC
+                LIMIT ?
+            `, [userId, cursor.timestamp, cursor.timestamp, cursor.id, pageSize]);
+
+            if (page.length === 0) {
+                return;
+            }
+
+            for (const session of page) {
+                yield {
+                    ...session,
+                    shot_timings: JSON.parse(session.shot_timings || '[]')
+                };
+            }
+
+            const last = page[page.length - 1];
+            cursor = { timestamp: last.timestamp, id: last.id };
+        }
+    }
+
+    // Shots for several sessions, grouped by session id
+    async getShotsForSessions(sessionIds) {
+        const shotsBySession = new Map(sessionIds.map(id => [id, []]));
+        if (sessionIds.length === 0) {
+            return shotsBySession;
+        }
+
+        const placeholders = sessionIds.map(() => '?').join(', ');
+        const shots = await this.all(
+            `SELECT * FROM shots WHERE session_id IN (${placeholders}) ORDER BY session_id, shot_index`,
+            sessionIds
+        );
+
+        shots.forEach(shot => {
+            shotsBySession.get(shot.session_id).push({ ...shot, successful: shot.successful === 1 });
+        });
+        return shotsBySession;
+    }
+
+    // Shot counts and successes per swing type for several sessions, as a
+    // Map of session id to { [swingType]: { shots, successful } }
+    async getStrokeResultsForSessions(sessionIds) {
+        const resultsBySession = new Map(sessionIds.map(id => [id, {}]));
+        if (sessionIds.length === 0) {
+            return resultsBySession;
+        }
+
+        const placeholders = sessionIds.map(() => '?').join(', ');
+        const rows = await this.all(`
+            SELECT session_id, swing_type, COUNT(*) AS shots, SUM(successful) AS successful
+            FROM shots WHERE session_id IN (${placeholders})
+            GROUP BY session_id, swing_type
+        `, sessionIds);
+
+        rows.forEach(row => {
+            resultsBySession.get(row.session_id)[row.swing_type] = {
+                shots: row.shots,
+                successful: row.successful
+            };
+        });
+        return resultsBySession;
+    }
+
+    // Skill ratings
+    async getSkillRatings(userId) {
+        const query = 'SELECT * FROM skill_ratings WHERE user_id = ?';
+        return await this.all(query, [userId]);
+    }
+
+    async upsertSkillRating(skill) {
+        const query = `
+            INSERT INTO skill_ratings (user_id, stroke, rating, rd, sessions_count, last_played_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT (user_id, stroke) DO UPDATE SET
+                rating = excluded.rating,
+                rd = excluded.rd,
+                sessions_count = excluded.sessions_count,
+                last_played_at = excluded.last_played_at,
+                updated_at = CURRENT_TIMESTAMP
+        `;
+        return await this.run(query, [
+            skill.user_id,
+            skill.stroke,
+            skill.rating,
+            skill.rd,
+            skill.sessions_count,
+            skill.last_played_at
+        ]);
+    }
+
+    async deleteSkillRating(userId, stroke) {
+        const query = 'DELETE FROM skill_ratings WHERE user_id = ? AND stroke = ?';
+        return await this.run(query, [userId, stroke]);
+    }
+
+    // The last history entry for a stroke before a timestamp, with the number
+    // of entries up to it
+    async getSkillStateBefore(userId, stroke, before) {
+        const query = `
+            SELECT rating, rd, played_at,
+                (SELECT COUNT(*) FROM skill_rating_history
+                 WHERE user_id = ? AND stroke = ? AND played_at < ?) AS sessions_count
+            FROM skill_rating_history
+            WHERE user_id = ? AND stroke = ? AND played_at < ?
+            ORDER BY played_at DESC, id DESC
+            LIMIT 1
+        `;
+        return await this.get(query, [userId, stroke, before, userId, stroke, before]);
+    }
+
+    async deleteSkillHistoryFrom(userId, from) {
+        const query = 'DELETE FROM skill_rating_history WHERE user_id = ? AND played_at >= ?';
+        return await this.run(query, [userId, from]);
+    }
+
+    async createSkillHistoryEntry(entry) {
+        const query = `
+            INSERT INTO skill_rating_history (user_id, stroke, session_id, played_at, outcome, rating, rd)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `;
+        return await this.run(query, [
+            entry.user_id,
+            entry.stroke,
+            entry.session_id,
+            entry.played_at,
+            entry.outcome,
+            entry.rating,
+            entry.rd
+        ]);
+    }
+
+    // The latest `limit` entries of a stroke's rating history in [from, to), oldest first
+    async getSkillHistory(userId, stroke, from, to, limit) {
+        const query = `
+            SELECT * FROM (
+                SELECT * FROM skill_rating_history
+                WHERE user_id = ? AND stroke = ? AND played_at >= ? AND played_at < ?
+                ORDER BY played_at DESC, id DESC
+                LIMIT ?
+            ) ORDER BY played_at ASC, id ASC
+        `;
+        return await this.all(query, [userId, stroke, from, to, limit]);
+    }
+
+    // Sessions in [from, to), oldest first, for bucketing by local day
+    async getUserSessionsInRange(userId, from, to) {
+        const query = `
+            SELECT * FROM sessions
+            WHERE user_id = ? AND deleted_at IS NULL
+            AND timestamp >= ? AND timestamp < ?
+            ORDER BY timestamp ASC, id ASC
+        `;
+        const sessions = await this.all(query, [userId, from, to]);
+
+        return sessions.map(session => ({
+            ...session,
+            shot_timings: JSON.parse(session.shot_timings || '[]')
+        }));
+    }
+
+    // Timestamps of the first and last session in [from, to), both null without any
+    async getSessionTimestampBounds(userId, from, to) {
+        const query = (order) => `
+            SELECT timestamp FROM sessions
+            WHERE user_id = ? AND deleted_at IS NULL
+            AND timestamp >= ? AND timestamp < ?
+            ORDER BY timestamp ${order} LIMIT 1
+        `;
+        const first = await this.get(query('ASC'), [userId, from, to]);
+        const last = await this.get(query('DESC'), [userId, from, to]);
+
+        return {
+            first: first ? first.timestamp : null,
+            last: last ? last.timestamp : null
+        };
+    }
+
+    // Achievements
+    async getUserAchievements(userId) {
+        const query = 'SELECT * FROM achievements WHERE user_id = ? ORDER BY earned_at ASC';
+        return await this.all(query, [userId]);
+    }
+
+    async createAchievement(award) {
+        const query = `
+            INSERT INTO achievements (user_id, achievement_id, session_id, earned_at)
+            VALUES (?, ?, ?, ?)
+        `;
+        return await this.run(query, [award.user_id, award.achievement_id, award.session_id, award.earned_at]);
+    }
+
+    // Teams
+    async createTeam(id, name, createdBy) {
+        const query = 'INSERT INTO teams (id, name, created_by) VALUES (?, ?, ?)';
+        return await this.run(query, [id, name, createdBy]);
+    }
+
+    async getTeamById(teamId) {
+        const query = 'SELECT * FROM teams WHERE id = ?';
+        return await this.get(query, [teamId]);
+    }
+
+    async deleteTeam(teamId) {
+        const query = 'DELETE FROM teams WHERE id = ?';
+        return await this.run(query, [teamId]);
+    }
+
+    // Teams the user belongs to or is invited to, with their membership
+    async getUserTeams(userId) {
+        const query = `
+            SELECT t.*, m.role, m.status, m.scope, m.joined_at
+            FROM team_members m
+            JOIN teams t ON t.id = m.team_id
+            WHERE m.user_id = ?
+            ORDER BY t.created_at ASC, t.id ASC
         `;
-        
         return await this.all(query, [userId]);
     }
 
+    async getTeamMember(teamId, userId) {
+        const query = 'SELECT * FROM team_members WHERE team_id = ? AND user_id = ?';
+        return await this.get(query, [teamId, userId]);
+    }
+
+    // Members and invitations with their names, coaches first
+    async getTeamMembers(teamId) {
+        const query = `
+            SELECT m.*, u.name, u.email
+            FROM team_members m
+            JOIN users u ON u.id = m.user_id
+            WHERE m.team_id = ?
+            ORDER BY m.role ASC, u.name ASC
+        `;
+        return await this.all(query, [teamId]);
+    }
+
+    async createTeamMember(member) {
+        const query = `
+            INSERT INTO team_members (team_id, user_id, role, status, scope, invited_by, joined_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `;
+        return await this.run(query, [
+            member.team_id,
+            member.user_id,
+            member.role,
+            member.status,
+            member.scope,
+            member.invited_by,
+            member.joined_at
+        ]);
+    }
+
+    async activateTeamMember(teamId, userId, scope) {
+        const query = `
+            UPDATE team_members SET status = 'active', scope = ?, joined_at = CURRENT_TIMESTAMP
+            WHERE team_id = ? AND user_id = ?
+        `;
+        return await this.run(query, [scope, teamId, userId]);
+    }
+
+    async updateTeamMemberScope(teamId, userId, scope) {
+        const query = 'UPDATE team_members SET scope = ? WHERE team_id = ? AND user_id = ?';
+        return await this.run(query, [scope, teamId, userId]);
+    }
+
+    async deleteTeamMember(teamId, userId) {
+        const query = 'DELETE FROM team_members WHERE team_id = ? AND user_id = ?';
+        return await this.run(query, [teamId, userId]);
+    }
+
+    async countTeamCoaches(teamId) {
+        const query = `
+            SELECT COUNT(*) AS count FROM team_members
+            WHERE team_id = ? AND role = 'coach' AND status = 'active'
+        `;
+        return (await this.get(query, [teamId])).count;
+    }
+
+    // Pending invitations by the email typed, oldest first
+    async getTeamInvitations(teamId) {
+        const query = `
+            SELECT * FROM team_invitations
+            WHERE team_id = ?
+            ORDER BY created_at ASC, email ASC
+        `;
+        return await this.all(query, [teamId]);
+    }
+
+    // Inviting an address again keeps the first invitation, linking the
+    // account if one has registered since
+    async upsertTeamInvitation(invitation) {
+        const query = `
+            INSERT INTO team_invitations (team_id, email, user_id, role, scope, invited_by)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT (team_id, email) DO UPDATE SET
+                user_id = COALESCE(excluded.user_id, team_invitations.user_id)
+        `;
+        return await this.run(query, [
+            invitation.team_id,
+            invitation.email,
+            invitation.user_id,
+            invitation.role,
+            invitation.scope,
+            invitation.invited_by
+        ]);
+    }
+
+    async getTeamInvitation(teamId, email) {
+        const query = 'SELECT * FROM team_invitations WHERE team_id = ? AND email = ?';
+        return await this.get(query, [teamId, email]);
+    }
+
+    async deleteTeamInvitation(teamId, email) {
+        const query = 'DELETE FROM team_invitations WHERE team_id = ? AND email = ?';
+        return await this.run(query, [teamId, email]);
+    }
+
+    async deleteUserTeamInvitations(teamId, userId) {
+        const query = 'DELETE FROM team_invitations WHERE team_id = ? AND user_id = ?';
+        return await this.run(query, [teamId, userId]);
+    }
+
+    // Scopes a player grants on teams the user actively coaches, one row per team
+    async getCoachGrants(coachId, playerId) {
+        const query = `
+            SELECT player.team_id, player.scope
+            FROM team_members coach
+            JOIN team_members player ON player.team_id = coach.team_id
+            WHERE coach.user_id = ? AND coach.role = 'coach' AND coach.status = 'active'
+            AND player.user_id = ? AND player.role = 'player' AND player.status = 'active'
+        `;
+        return await this.all(query, [coachId, playerId]);
+    }
+
+    // Privacy settings
+    async getPrivacySettings(userId) {
+        const query = 'SELECT * FROM privacy_settings WHERE user_id = ?';
+        return await this.get(query, [userId]);
+    }
+
+    async upsertPrivacySettings(userId, settings) {
+        const query = `
+            INSERT INTO privacy_settings (user_id, leaderboards, friend_requests, training_corpus)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT (user_id) DO UPDATE SET
+                leaderboards = excluded.leaderboards,
+                friend_requests = excluded.friend_requests,
+                training_corpus = excluded.training_corpus,
+                updated_at = CURRENT_TIMESTAMP
+        `;
+        return await this.run(query, [userId, settings.leaderboards, settings.friend_requests, settings.training_corpus]);
+    }
+
+    // Friendships
+    // The friendship or request between two users, in either direction
+    async getFriendship(userId, otherId) {
+        const query = `
+            SELECT * FROM friendships
+            WHERE (requester_id = ? AND addressee_id = ?) OR (requester_id = ? AND addressee_id = ?)
+        `;
+        return await this.get(query, [userId, otherId, otherId, userId]);
+    }
+
+    // Friends and requests in both directions, with the other user's name
+    async getUserFriendships(userId) {
+        const query = `
+            SELECT f.*, u.id AS other_id, u.name AS other_name
+            FROM friendships f
+            JOIN users u ON u.id = CASE WHEN f.requester_id = ? THEN f.addressee_id ELSE f.requester_id END
+            WHERE f.requester_id = ? OR f.addressee_id = ?
+            ORDER BY u.name ASC
+        `;
+        return await this.all(query, [userId, userId, userId]);
+    }
+
+    async createFriendRequest(requesterId, addresseeId) {
+        const query = "INSERT INTO friendships (requester_id, addressee_id, status) VALUES (?, ?, 'pending')";
+        return await this.run(query, [requesterId, addresseeId]);
+    }
+
+    async acceptFriendRequest(requesterId, addresseeId) {
+        const query = `
+            UPDATE friendships SET status = 'accepted', accepted_at = CURRENT_TIMESTAMP
+            WHERE requester_id = ? AND addressee_id = ?
+        `;
+        return await this.run(query, [requesterId, addresseeId]);
+    }
+
+    async deleteFriendship(userId, otherId) {
+        const query = `
+            DELETE FROM friendships
+            WHERE (requester_id = ? AND addressee_id = ?) OR (requester_id = ? AND addressee_id = ?)
+        `;
+        return await this.run(query, [userId, otherId, otherId, userId]);
+    }
+
+    // Requests the user sent by the email typed, oldest first
+    async getSentFriendRequests(requesterId) {
+        const query = `
+            SELECT * FROM sent_friend_requests
+            WHERE requester_id = ?
+            ORDER BY created_at ASC, email ASC
+        `;
+        return await this.all(query, [requesterId]);
+    }
+
+    // Sending to an address again keeps the first request, linking the
+    // account if one has registered since
+    async upsertSentFriendRequest(requesterId, email, addresseeId) {
+        const query = `
+            INSERT INTO sent_friend_requests (requester_id, email, addressee_id)
+            VALUES (?, ?, ?)
+            ON CONFLICT (requester_id, email) DO UPDATE SET
+                addressee_id = COALESCE(excluded.addressee_id, sent_friend_requests.addressee_id)
+        `;
+        return await this.run(query, [requesterId, email, addresseeId]);
+    }
+
+    async getSentFriendRequest(requesterId, email) {
+        const query = 'SELECT * FROM sent_friend_requests WHERE requester_id = ? AND email = ?';
+        return await this.get(query, [requesterId, email]);
+    }
+
+    async deleteSentFriendRequest(requesterId, email) {
+        const query = 'DELETE FROM sent_friend_requests WHERE requester_id = ? AND email = ?';
+        return await this.run(query, [requesterId, email]);
+    }
+
+    // Once accepted, a request is listed as a friendship instead
+    async deleteSentFriendRequestsTo(requesterId, addresseeId) {
+        const query = 'DELETE FROM sent_friend_requests WHERE requester_id = ? AND addressee_id = ?';
+        return await this.run(query, [requesterId, addresseeId]);
+    }
+
+    // Leaderboards
+    // Ranked players for a metric over local days [from, to]: the `limit`
+    // best plus the viewer, each with { user_id, name, value, rank }. Ties
+    // share a rank. Candidates depend on the scope ('everyone', 'friends' or
+    // 'team') and on each player's leaderboard visibility; the viewer is
+    // always a candidate.
+    async getLeaderboard({ metric, from, to, scope, viewerId, teamId = null, minShots, maxRd, defaultVisibility, limit }) {
+        const visibility = 'COALESCE(p.leaderboards, ?)';
+        const candidateFilters = {
+            everyone: {
+                sql: `${visibility} = 'everyone'`,
+                params: [defaultVisibility]
+            },
+            friends: {
+                sql: `${visibility} <> 'private' AND u.id IN (
+                    SELECT addressee_id FROM friendships WHERE requester_id = ? AND status = 'accepted'
+                    UNION
+                    SELECT requester_id FROM friendships WHERE addressee_id = ? AND status = 'accepted'
+                )`,
+                params: [defaultVisibility, viewerId, viewerId]
+            },
+            team: {
+                sql: `${visibility} <> 'private' AND u.id IN (
+                    SELECT user_id FROM team_members WHERE team_id = ? AND status = 'active'
+                )`,
+                params: [defaultVisibility, teamId]
+            }
+        };
+
+        // Each yields (user_id, value) for candidates who qualify in the range
+        const inRange = 'date >= ? AND date <= ? AND user_id IN (SELECT id FROM candidates)';
+        const scoreQueries = {
+            shots: {
+                sql: `
+                    SELECT user_id, SUM(total_shots) AS value FROM user_daily_stats
+                    WHERE ${inRange}
+                    GROUP BY user_id HAVING SUM(total_shots) > 0
+                `,
+                params: [from, to]
+            },
+            successRate: {
+                sql: `
+                    SELECT user_id, ROUND(SUM(successful_shots) * 100.0 / SUM(total_shots), 2) AS value
+                    FROM user_daily_stats
+                    WHERE ${inRange}
+                    GROUP BY user_id HAVING SUM(total_shots) >= ?
+                `,
+                params: [from, to, minShots]
+            },
+            // Longest run of consecutive practice days: days in a run share julianday - row number
+            streak: {
+                sql: `
+                    SELECT user_id, MAX(length) AS value FROM (
+                        SELECT user_id, COUNT(*) AS length FROM (
+                            SELECT user_id, julianday(date) - ROW_NUMBER() OVER (PARTITION BY user_id ORDER BY date) AS run
+                            FROM user_daily_stats
+                            WHERE ${inRange}
+                        ) GROUP BY user_id, run
+                    ) GROUP BY user_id
+                `,
+                params: [from, to]
+            },
+            // Current overall rating of players who practiced in the range and are no longer provisional
+            skill: {
+                sql: `
+                    SELECT user_id, ROUND(rating, 1) AS value FROM skill_ratings
+                    WHERE stroke = 'overall' AND rd < ?
+                    AND user_id IN (SELECT user_id FROM user_daily_stats WHERE ${inRange})
+                `,
+                params: [maxRd, from, to]
+            }
+        };
+
+        const candidates = candidateFilters[scope];
+        const scores = scoreQueries[metric];
+        const query = `
+            WITH candidates AS (
+                SELECT u.id, u.name FROM users u
+                LEFT JOIN privacy_settings p ON p.user_id = u.id
+                WHERE u.id = ? OR (${candidates.sql})
+            ),
+            scores AS (${scores.sql}),
+            ranked AS (
+                SELECT c.id AS user_id, c.name, s.value, RANK() OVER (ORDER BY s.value DESC) AS rank
+                FROM scores s JOIN candidates c ON c.id = s.user_id
+            )
+            SELECT * FROM ranked
+            WHERE rank <= ? OR user_id = ?
+            ORDER BY rank ASC, name ASC
+        `;
+        return await this.all(query, [viewerId, ...candidates.params, ...scores.params, limit, viewerId]);
+    }
+
+    // Share links
+    async createShareLink(link) {
+        const query = `
+            INSERT INTO share_links (id, user_id, token, kind, session_id, snapshot, show_name, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        return await this.run(query, [
+            link.id,
+            link.user_id,
+            link.token,
+            link.kind,
+            link.session_id,
+            link.snapshot,
+            link.show_name,
+            link.expires_at
+        ]);
+    }
+
+    async getShareLinkById(shareId) {
+        const query = 'SELECT * FROM share_links WHERE id = ?';
+        return await this.get(query, [shareId]);
+    }
+
+    async getShareLinkByToken(token) {
+        const query = `
+            SELECT l.*, u.name AS owner_name
+            FROM share_links l
+            JOIN users u ON u.id = l.user_id
+            WHERE l.token = ?
+        `;
+        return await this.get(query, [token]);
+    }
+
+    async getUserShareLinks(userId) {
+        const query = 'SELECT * FROM share_links WHERE user_id = ? ORDER BY created_at DESC, id ASC';
+        return await this.all(query, [userId]);
+    }
+
+    async revokeShareLink(shareId) {
+        const query = 'UPDATE share_links SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL';
+        return await this.run(query, [shareId]);
+    }
+
+    // Links that expired or were revoked more than retentionDays ago
+    async purgeExpiredShareLinks(retentionDays) {
+        const query = `
+            DELETE FROM share_links
+            WHERE expires_at <= datetime('now', ?)
+            OR (revoked_at IS NOT NULL AND revoked_at <= datetime('now', ?))
+        `;
+        return await this.run(query, [`-${retentionDays} days`, `-${retentionDays} days`]);
+    }
+
+    async recordShareLinkAccess(shareId) {
+        const query = `
+            UPDATE share_links SET access_count = access_count + 1, last_accessed_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `;
+        return await this.run(query, [shareId]);
+    }
+
+    // Goals
+    async createGoal(goal) {
+        const query = `
+            INSERT INTO goals (id, user_id, title, metric, stroke, target, period, start_date, deadline)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        return await this.run(query, [
+            goal.id,
+            goal.user_id,
+            goal.title,
+            goal.metric,
+            goal.stroke,
+            goal.target,
+            goal.period,
+            goal.start_date,
+            goal.deadline
+        ]);
+    }
+
+    async getGoalById(goalId) {
+        const query = 'SELECT * FROM goals WHERE id = ?';
+        return await this.get(query, [goalId]);
+    }
+
+    async getUserGoals(userId) {
+        const query = 'SELECT * FROM goals WHERE user_id = ? ORDER BY created_at ASC, id ASC';
+        return await this.all(query, [userId]);
+    }
+
+    async updateGoal(goal) {
+        const query = `
+            UPDATE goals SET
+                title = ?, metric = ?, stroke = ?, target = ?, period = ?, start_date = ?, deadline = ?,
+                completed_window = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `;
+        return await this.run(query, [
+            goal.title,
+            goal.metric,
+            goal.stroke,
+            goal.target,
+            goal.period,
+            goal.start_date,
+            goal.deadline,
+            goal.completed_window,
+            goal.id
+        ]);
+    }
+
+    async markGoalCompleted(goalId, window) {
+        const query = 'UPDATE goals SET completed_window = ? WHERE id = ?';
+        return await this.run(query, [window, goalId]);
+    }
+
+    async deleteGoal(goalId) {
+        const query = 'DELETE FROM goals WHERE id = ?';
+        return await this.run(query, [goalId]);
+    }
+
+    // Calibration profiles
+    // Stored as the next version for the player
+    async createCalibrationProfile(profile) {
+        const query = `
+            INSERT INTO calibration_profiles (id, user_id, version, patterns, pattern_count, device)
+            SELECT ?, ?, COALESCE(MAX(version), 0) + 1, ?, ?, ?
+            FROM calibration_profiles WHERE user_id = ?
+        `;
+        return await this.run(query, [
+            profile.id,
+            profile.user_id,
+            profile.patterns,
+            profile.pattern_count,
+            profile.device,
+            profile.user_id
+        ]);
+    }
+
+    // Versions without their patterns, newest first
+    async getCalibrationProfileVersions(userId) {
+        const query = `
+            SELECT id, user_id, version, pattern_count, device, created_at
+            FROM calibration_profiles WHERE user_id = ? ORDER BY version DESC
+        `;
+        return await this.all(query, [userId]);
+    }
+
+    // One version, or the latest when version is null
+    async getCalibrationProfile(userId, version = null) {
+        const query = version === null
+            ? 'SELECT * FROM calibration_profiles WHERE user_id = ? ORDER BY version DESC LIMIT 1'
+            : 'SELECT * FROM calibration_profiles WHERE user_id = ? AND version = ?';
+        return await this.get(query, version === null ? [userId] : [userId, version]);
+    }
+
+    // Keep only the newest `keep` versions
+    async pruneCalibrationProfiles(userId, keep) {
+        const query = `
+            DELETE FROM calibration_profiles WHERE user_id = ? AND version <= (
+                SELECT MAX(version) - ? FROM calibration_profiles WHERE user_id = ?
+            )
+        `;
+        return await this.run(query, [userId, keep, userId]);
+    }
+
+    // Labeled swing datasets
+    // Stored as the next version for the player
+    async createSwingDataset(dataset) {
+        const query = `
+            INSERT INTO swing_datasets (id, user_id, version, swings, swing_count, label_counts, device)
+            SELECT ?, ?, COALESCE(MAX(version), 0) + 1, ?, ?, ?, ?
+            FROM swing_datasets WHERE user_id = ?
+        `;
+        return await this.run(query, [
+            dataset.id,
+            dataset.user_id,
+            dataset.swings,
+            dataset.swing_count,
+            dataset.label_counts,
+            dataset.device,
+            dataset.user_id
+        ]);
+    }
+
+    // Versions without their swings, newest first
+    async getSwingDatasetVersions(userId) {
+        const query = `
+            SELECT id, user_id, version, swing_count, label_counts, device, created_at
+            FROM swing_datasets WHERE user_id = ? ORDER BY version DESC
+        `;
+        return await this.all(query, [userId]);
+    }
+
+    // One version, or the latest when version is null
+    async getSwingDataset(userId, version = null) {
+        const query = version === null
+            ? 'SELECT * FROM swing_datasets WHERE user_id = ? ORDER BY version DESC LIMIT 1'
+            : 'SELECT * FROM swing_datasets WHERE user_id = ? AND version = ?';
+        return await this.get(query, version === null ? [userId] : [userId, version]);
+    }
+
+    // Keep only the newest `keep` versions
+    async pruneSwingDatasets(userId, keep) {
+        const query = `
+            DELETE FROM swing_datasets WHERE user_id = ? AND version <= (
+                SELECT MAX(version) - ? FROM swing_datasets WHERE user_id = ?
+            )
+        `;
+        return await this.run(query, [userId, keep, userId]);
+    }
+
+    // Players who opted in to the training corpus and have uploaded swings
+    async getTrainingCorpusContributors() {
+        const query = `
+            SELECT DISTINCT p.user_id
+            FROM privacy_settings p
+            JOIN swing_datasets d ON d.user_id = p.user_id
+            WHERE p.training_corpus = 1
+            ORDER BY p.user_id
+        `;
+        const rows = await this.all(query);
+        return rows.map(row => row.user_id);
+    }
+
+    // Webhooks
+    async createWebhook(webhook) {
+        const query = `
+            INSERT INTO webhooks (id, user_id, team_id, created_by, url, secret, events, description, active)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        return await this.run(query, [
+            webhook.id,
+            webhook.user_id,
+            webhook.team_id,
+            webhook.created_by,
+            webhook.url,
+            webhook.secret,
+            webhook.events,
+            webhook.description,
+            webhook.active
+        ]);
+    }
+
+    async getWebhookById(webhookId) {
+        const query = 'SELECT * FROM webhooks WHERE id = ?';
+        return await this.get(query, [webhookId]);
+    }
+
+    // The user's personal webhooks and those of the teams they actively coach
+    async getManagedWebhooks(userId) {
+        const query = `
+            SELECT * FROM webhooks
+            WHERE user_id = ? OR team_id IN (
+                SELECT team_id FROM team_members WHERE user_id = ? AND role = 'coach' AND status = 'active'
+            )
+            ORDER BY created_at ASC, id ASC
+        `;
+        return await this.all(query, [userId, userId]);
+    }
+
+    async countWebhooks({ userId = null, teamId = null }) {
+        const query = 'SELECT COUNT(*) AS count FROM webhooks WHERE user_id IS ? AND team_id IS ?';
+        return (await this.get(query, [userId, teamId])).count;
+    }
+
+    async updateWebhook(webhook) {
+        const query = `
+            UPDATE webhooks SET url = ?, events = ?, description = ?, active = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `;
+        return await this.run(query, [webhook.url, webhook.events, webhook.description, webhook.active, webhook.id]);
+    }
+
+    async updateWebhookSecret(webhookId, secret) {
+        const query = 'UPDATE webhooks SET secret = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+        return await this.run(query, [secret, webhookId]);
+    }
+
+    // Its pending deliveries are dropped; the rest stay in the log until purged
+    async deleteWebhook(webhookId) {
+        await this.run("DELETE FROM webhook_deliveries WHERE webhook_id = ? AND status = 'pending'", [webhookId]);
+        return await this.run('DELETE FROM webhooks WHERE id = ?', [webhookId]);
+    }
+
+    // Active webhooks subscribed to `event` for the user: their own, and those
+    // of teams where they are an active player granting one of `scopes`
+    async getWebhooksForEvent(userId, event, scopes) {
+        const query = `
+            SELECT w.* FROM webhooks w
+            WHERE w.active = 1
+            AND EXISTS (SELECT 1 FROM json_each(w.events) e WHERE e.value = ?)
+            AND (w.user_id = ? OR w.team_id IN (
+                SELECT team_id FROM team_members
+                WHERE user_id = ? AND role = 'player' AND status = 'active'
+                AND scope IN (${scopes.map(() => '?').join(', ')})
+            ))
+        `;
+        return await this.all(query, [event, userId, userId, ...scopes]);
+    }
+
+    async createWebhookDelivery(delivery) {
+        const query = `
+            INSERT INTO webhook_deliveries (id, webhook_id, event_id, event_type, url, secret, payload)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `;
+        return await this.run(query, [
+            delivery.id,
+            delivery.webhook_id,
+            delivery.event_id,
+            delivery.event_type,
+            delivery.url,
+            delivery.secret,
+            delivery.payload
+        ]);
+    }
+
+    // Pending deliveries that are due, oldest first, with the webhook's current
+    // url and secret. Each is pushed back by leaseSeconds so it isn't sent
+    // twice; call it inside a transaction.
+    async claimDueWebhookDeliveries(limit, leaseSeconds) {
+        const query = `
+            SELECT d.id, d.event_id, d.event_type, d.payload, d.attempts,
+                COALESCE(w.url, d.url) AS url, COALESCE(w.secret, d.secret) AS secret
+            FROM webhook_deliveries d
+            LEFT JOIN webhooks w ON w.id = d.webhook_id
+            WHERE d.status = 'pending' AND d.next_attempt_at <= CURRENT_TIMESTAMP
+            AND (w.id IS NULL OR w.active = 1)
+            ORDER BY d.next_attempt_at ASC, d.created_at ASC
+            LIMIT ?
+        `;
+        const due = await this.all(query, [limit]);
+        for (const delivery of due) {
+            await this.run(
+                "UPDATE webhook_deliveries SET next_attempt_at = datetime('now', ?) WHERE id = ?",
+                [`+${leaseSeconds} seconds`, delivery.id]
+            );
+        }
+        return due;
+    }
+
+    async recordWebhookDeliveryAttempt(deliveryId, { status, responseStatus, error, retryInSeconds }) {
+        const query = `
+            UPDATE webhook_deliveries SET
+                status = ?, attempts = attempts + 1, last_attempt_at = CURRENT_TIMESTAMP,
+                response_status = ?, last_error = ?,
+                next_attempt_at = CASE WHEN ? IS NULL THEN next_attempt_at ELSE datetime('now', ?) END,
+                delivered_at = CASE WHEN ? = 'delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+            WHERE id = ?
+        `;
+        return await this.run(query, [
+            status,
+            responseStatus,
+            error,
+            retryInSeconds,
+            `+${retryInSeconds} seconds`,
+            status,
+            deliveryId
+        ]);
+    }
+
+    async getWebhookDelivery(webhookId, deliveryId) {
+        const query = 'SELECT * FROM webhook_deliveries WHERE id = ? AND webhook_id = ?';
+        return await this.get(query, [deliveryId, webhookId]);
+    }
+
+    // Newest first, optionally only those with `status`
+    async getWebhookDeliveries(webhookId, { status = null, limit }) {
+        const query = `
+            SELECT * FROM webhook_deliveries
+            WHERE webhook_id = ? AND (? IS NULL OR status = ?)
+            ORDER BY created_at DESC, id DESC
+            LIMIT ?
+        `;
+        return await this.all(query, [webhookId, status, status, limit]);
+    }
+
+    // Send a dead delivery again, with a fresh set of attempts
+    async retryWebhookDelivery(deliveryId) {
+        const query = `
+            UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'dead'
+        `;
+        return await this.run(query, [deliveryId]);
+    }
+
+    // Delivered and dead deliveries older than retentionDays
+    async purgeWebhookDeliveries(retentionDays) {
+        const query = `
+            DELETE FROM webhook_deliveries
+            WHERE status IN ('delivered', 'dead') AND created_at <= datetime('now', ?)
+        `;
+        return await this.run(query, [`-${retentionDays} days`]);
+    }
+
     // Close database connection
     close() {
         return new Promise((resolve, reject) => {
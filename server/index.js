@@ -1,64 +1,94 @@
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
 require('dotenv').config();
 
+// Refuse to run production with development secrets, or without a way to
+// send mail
+const { assertSecureConfig } = require('./middleware/auth');
+const { getMailer } = require('./lib/mailer');
+try {
+  assertSecureConfig();
+  getMailer();
+} catch (error) {
+  console.error('❌ Refusing to start:', error.message);
+  process.exit(1);
+}
+
 // Initialize database
 const getDatabase = require('./database');
-const db = getDatabase(); // This will create tables if they don't exist
+const db = getDatabase(); // Schema is managed by migrations (npm run migrate)
+
+const app = require('./app');
+const { processWebhookDeliveries } = require('./lib/webhooks');
 
-const app = express();
 const PORT = process.env.PORT || 3000;
+const SESSION_RETENTION_DAYS = parseInt(process.env.SESSION_RETENTION_DAYS, 10) || 30;
+const PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000; // Daily
+const WEBHOOK_POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 5000;
+const WEBHOOK_RETENTION_DAYS = parseInt(process.env.WEBHOOK_RETENTION_DAYS, 10) || 30;
 
-// Import routes
-const authRoutes = require('./routes/auth');
-const sessionRoutes = require('./routes/sessions');
-const statsRoutes = require('./routes/stats');
+// Permanently remove soft-deleted sessions past the retention window, and
+// token families and share links that can no longer be used, and old
+// webhook deliveries
+const purgeExpiredData = async () => {
+  try {
+    const sessions = await db.purgeDeletedSessions(SESSION_RETENTION_DAYS);
+    if (sessions.changes > 0) {
+      console.log(`🧹 Purged ${sessions.changes} deleted session(s)`);
+    }
 
-// Middleware
-app.use(helmet()); // Security headers
-app.use(cors()); // Enable CORS for iOS app
-app.use(express.json({ limit: '10mb' })); // Parse JSON bodies (increased limit for session data)
-app.use(express.urlencoded({ extended: true }));
+    const tokenFamilies = await db.purgeExpiredTokenFamilies(SESSION_RETENTION_DAYS);
+    if (tokenFamilies.changes > 0) {
+      console.log(`🧹 Purged ${tokenFamilies.changes} expired login(s)`);
+    }
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    service: 'tennis-rating-api'
-  });
-});
+    const shareLinks = await db.purgeExpiredShareLinks(SESSION_RETENTION_DAYS);
+    if (shareLinks.changes > 0) {
+      console.log(`🧹 Purged ${shareLinks.changes} expired share link(s)`);
+    }
 
-// API routes
-app.use('/api/auth', authRoutes);
-app.use('/api/sessions', sessionRoutes);
-app.use('/api/stats', statsRoutes);
+    const deliveries = await db.purgeWebhookDeliveries(WEBHOOK_RETENTION_DAYS);
+    if (deliveries.changes > 0) {
+      console.log(`🧹 Purged ${deliveries.changes} old webhook deliveries`);
+    }
+  } catch (error) {
+    console.error('Purge error:', error);
+  }
+};
 
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'Route not found'
-  });
-});
+// Send queued webhook deliveries that are due, one batch at a time
+let deliveringWebhooks = false;
+const deliverWebhooks = async () => {
+  if (deliveringWebhooks) {
+    return;
+  }
+  deliveringWebhooks = true;
+  try {
+    const { delivered, retrying, dead } = await processWebhookDeliveries(db);
+    if (delivered + retrying + dead > 0) {
+      console.log(`🪝 Webhooks: ${delivered} delivered, ${retrying} to retry, ${dead} dead`);
+    }
+  } catch (error) {
+    console.error('Webhook delivery error:', error);
+  } finally {
+    deliveringWebhooks = false;
+  }
+};
 
-// Error handler
-app.use((error, req, res, next) => {
-  console.error('Server Error:', error);
-  res.status(500).json({
-    success: false,
-    error: process.env.NODE_ENV === 'production' 
-      ? 'Internal server error' 
-      : error.message
-  });
-});
+// Start server once the database is open and its schema is current
+db.assertSchemaCurrent()
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`🎾 Tennis Rating API running on port ${PORT}`);
+      console.log(`🔗 Health check: http://localhost:${PORT}/health`);
+      console.log(`📱 Ready for iOS app connections`);
+    });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🎾 Tennis Rating API running on port ${PORT}`);
-  console.log(`🔗 Health check: http://localhost:${PORT}/health`);
-  console.log(`📱 Ready for iOS app connections`);
-});
+    purgeExpiredData();
+    setInterval(purgeExpiredData, PURGE_INTERVAL_MS).unref();
+    setInterval(deliverWebhooks, WEBHOOK_POLL_INTERVAL_MS).unref();
+  })
+  .catch((error) => {
+    console.error('❌ Refusing to start:', error.message);
+    process.exit(1);
+  });
 
 module.exports = app;
\ No newline at end of file
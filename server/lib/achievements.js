@@ -0,0 +1,143 @@
+const { localDateKey, addDays } = require('./time');
+const { loadPlayerProfile } = require('./playerProfile');
+
+// Badges for milestones in a player's history. Each rule is checked against
+// every session in time order, with the running totals up to and including
+// that session; the first session that satisfies a rule unlocks it. Awards
+// are kept when sessions are later edited or deleted.
+//
+// To add a badge, append a rule with a new id. Players who already qualify
+// get it the next time their sessions change, or right away with
+// `npm run achievements:backfill`. Never reuse or rename an id.
+
+const ACHIEVEMENT_RULES = [
+    {
+        id: 'first-session',
+        title: 'First Serve',
+        description: 'Record your first session',
+        unlocked: ({ totals }) => totals.sessions >= 1
+    },
+    {
+        id: 'hundred-shot-session',
+        title: 'Century',
+        description: 'Hit 100 shots in one session',
+        unlocked: ({ session }) => session.total_shots >= 100
+    },
+    {
+        id: 'sharpshooter',
+        title: 'Sharpshooter',
+        description: 'Reach a 90% success rate in a session of at least 20 shots',
+        unlocked: ({ session }) => session.total_shots >= 20 && session.successful_shots / session.total_shots >= 0.9
+    },
+    {
+        id: 'seven-day-streak',
+        title: 'On a Roll',
+        description: 'Practice 7 days in a row',
+        unlocked: ({ totals }) => totals.streak >= 7
+    },
+    {
+        id: 'ten-sessions',
+        title: 'Regular',
+        description: 'Record 10 sessions',
+        unlocked: ({ totals }) => totals.sessions >= 10
+    },
+    {
+        id: 'thousand-serves',
+        title: 'Ace Machine',
+        description: 'Hit 1,000 serves',
+        unlocked: ({ totals }) => totals.serves >= 1000
+    },
+    {
+        id: 'ten-thousand-shots',
+        title: 'Ten Thousand Hours',
+        description: 'Hit 10,000 shots',
+        unlocked: ({ totals }) => totals.shots >= 10000
+    }
+];
+
+const emptyTotals = () => ({
+    sessions: 0,
+    shots: 0,
+    successfulShots: 0,
+    forehands: 0,
+    backhands: 0,
+    serves: 0,
+    streak: 0, // Consecutive local days with a session, ending on the latest one
+    lastDay: null
+});
+
+const addSessionToTotals = (totals, session, timeZone) => {
+    totals.sessions += 1;
+    totals.shots += session.total_shots;
+    totals.successfulShots += session.successful_shots;
+    totals.forehands += session.forehand_count;
+    totals.backhands += session.backhand_count;
+    totals.serves += session.serve_count;
+
+    const day = localDateKey(session.timestamp, timeZone);
+    if (day !== totals.lastDay) {
+        totals.streak = totals.lastDay !== null && addDays(totals.lastDay, 1) === day ? totals.streak + 1 : 1;
+        totals.lastDay = day;
+    }
+};
+
+// Award every rule the user's history satisfies but they don't have yet.
+// Resolves to the new award rows. The history is only read while some rule
+// is still unearned.
+const awardAchievements = async (db, userId) => {
+    const earned = new Set((await db.getUserAchievements(userId)).map(row => row.achievement_id));
+    let pending = ACHIEVEMENT_RULES.filter(rule => !earned.has(rule.id));
+    if (pending.length === 0) {
+        return [];
+    }
+
+    const { timezone } = await loadPlayerProfile(db, userId);
+    const totals = emptyTotals();
+    const awarded = [];
+
+    for await (const session of db.iterateUserSessions(userId)) {
+        addSessionToTotals(totals, session, timezone);
+
+        const unlocked = pending.filter(rule => rule.unlocked({ session, totals }));
+        for (const rule of unlocked) {
+            const award = {
+                user_id: userId,
+                achievement_id: rule.id,
+                session_id: session.id,
+                earned_at: session.timestamp
+            };
+            await db.createAchievement(award);
+            awarded.push(award);
+        }
+
+        pending = pending.filter(rule => !unlocked.includes(rule));
+        if (pending.length === 0) {
+            break;
+        }
+    }
+
+    return awarded;
+};
+
+// A rule with the user's award for it, if any
+const toAppAchievement = (rule, award) => ({
+    id: rule.id,
+    title: rule.title,
+    description: rule.description,
+    earned: Boolean(award),
+    earnedAt: award ? new Date(award.earned_at) : null,
+    sessionId: award ? award.session_id : null
+});
+
+// App format for award rows, e.g. the ones awardAchievements returns
+const toAppAwards = (awards) => awards.map(award => toAppAchievement(
+    ACHIEVEMENT_RULES.find(rule => rule.id === award.achievement_id),
+    award
+));
+
+module.exports = {
+    ACHIEVEMENT_RULES,
+    awardAchievements,
+    toAppAchievement,
+    toAppAwards
+};
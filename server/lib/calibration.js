@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+
+// Swing calibration synced from the app's calibration mode, so it survives a
+// change of phone. Profiles hold the SwingPattern lists per stroke; datasets
+// hold LabeledSwingData exactly as exportTrainingData() writes it (joints are
+// CGPoints, which Swift encodes as [x, y], and absent when not detected).
+// Every upload becomes the player's next version; older ones are pruned.
+
+const SWING_LABELS = ['Forehand', 'Backhand', 'Serve'];
+const PATTERN_LISTS = ['forehandPatterns', 'backhandPatterns', 'servePatterns'];
+const PATTERN_FIELDS = ['horizontalChange', 'verticalChange', 'maxSpeed', 'startX', 'startY', 'duration', 'amplitude'];
+const SWING_FIELDS = ['label', 'poseFrames', 'sessionId', 'timestamp'];
+const POSE_JOINTS = ['wrist', 'elbow', 'shoulder', 'hip'];
+const POSE_FRAME_FIELDS = [...POSE_JOINTS, 'timestamp', 'confidence'];
+
+// The app keeps 10 patterns and 50 labeled swings per stroke; these leave room
+const MAX_PATTERNS_PER_STROKE = 50;
+const MAX_DATASET_SWINGS = 500;
+const MAX_SWING_FRAMES = 300;
+const MAX_DEVICE_LENGTH = 100;
+const CALIBRATION_VERSIONS_KEPT = 10;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const unknownFields = (object, fields) => Object.keys(object).filter(field => !fields.includes(field));
+
+const validateDevice = (device) => {
+    if (device !== undefined && device !== null &&
+        (typeof device !== 'string' || device.length > MAX_DEVICE_LENGTH)) {
+        return `device must be a string of at most ${MAX_DEVICE_LENGTH} characters`;
+    }
+    return null;
+};
+
+const validateSwingPattern = (pattern, path) => {
+    if (!isPlainObject(pattern)) {
+        return `${path} must be an object`;
+    }
+
+    const unknown = unknownFields(pattern, PATTERN_FIELDS);
+    if (unknown.length > 0) {
+        return `${path} has unknown fields: ${unknown.join(', ')}`;
+    }
+
+    const field = PATTERN_FIELDS.find(name => !isFiniteNumber(pattern[name]));
+    return field ? `${path}.${field} must be a number` : null;
+};
+
+// Validate an uploaded profile; returns an error string or null
+const validateCalibrationProfile = (profile) => {
+    for (const list of PATTERN_LISTS) {
+        const patterns = profile[list];
+        if (!Array.isArray(patterns) || patterns.length > MAX_PATTERNS_PER_STROKE) {
+            return `${list} must be an array of at most ${MAX_PATTERNS_PER_STROKE} patterns`;
+        }
+
+        for (let i = 0; i < patterns.length; i++) {
+            const error = validateSwingPattern(patterns[i], `${list}[${i}]`);
+            if (error) {
+                return error;
+            }
+        }
+    }
+
+    if (PATTERN_LISTS.every(list => profile[list].length === 0)) {
+        return 'A calibration profile needs at least one pattern';
+    }
+
+    return validateDevice(profile.device);
+};
+
+const validatePoseFrame = (frame, path) => {
+    if (!isPlainObject(frame)) {
+        return `${path} must be an object`;
+    }
+
+    const unknown = unknownFields(frame, POSE_FRAME_FIELDS);
+    if (unknown.length > 0) {
+        return `${path} has unknown fields: ${unknown.join(', ')}`;
+    }
+
+    for (const joint of POSE_JOINTS) {
+        const point = frame[joint];
+        if (point !== undefined && point !== null &&
+            !(Array.isArray(point) && point.length === 2 && point.every(isFiniteNumber))) {
+            return `${path}.${joint} must be [x, y] or absent`;
+        }
+    }
+
+    if (!isFiniteNumber(frame.timestamp)) {
+        return `${path}.timestamp must be a number`;
+    }
+
+    if (!isFiniteNumber(frame.confidence) || frame.confidence < 0 || frame.confidence > 1) {
+        return `${path}.confidence must be a number from 0 to 1`;
+    }
+
+    return null;
+};
+
+// One swing's frames, as PoseFrameData; returns an error string or null
+const validatePoseFrames = (frames, path) => {
+    if (!Array.isArray(frames) || frames.length === 0 || frames.length > MAX_SWING_FRAMES) {
+        return `${path} must be an array of 1 to ${MAX_SWING_FRAMES} frames`;
+    }
+
+    for (let i = 0; i < frames.length; i++) {
+        const error = validatePoseFrame(frames[i], `${path}[${i}]`);
+        if (error) {
+            return error;
+        }
+    }
+
+    return null;
+};
+
+const validateLabeledSwing = (swing, path) => {
+    if (!isPlainObject(swing)) {
+        return `${path} must be an object`;
+    }
+
+    const unknown = unknownFields(swing, SWING_FIELDS);
+    if (unknown.length > 0) {
+        return `${path} has unknown fields: ${unknown.join(', ')}`;
+    }
+
+    if (!SWING_LABELS.includes(swing.label)) {
+        return `${path}.label must be one of: ${SWING_LABELS.join(', ')}`;
+    }
+
+    if (typeof swing.sessionId !== 'string' || !UUID_PATTERN.test(swing.sessionId)) {
+        return `${path}.sessionId must be a UUID`;
+    }
+
+    if (typeof swing.timestamp !== 'string' || isNaN(Date.parse(swing.timestamp))) {
+        return `${path}.timestamp must be an ISO 8601 date`;
+    }
+
+    return validatePoseFrames(swing.poseFrames, `${path}.poseFrames`);
+};
+
+// Validate an uploaded dataset; returns an error string or null
+const validateSwingDataset = (dataset) => {
+    const { swings } = dataset;
+    if (!Array.isArray(swings) || swings.length === 0 || swings.length > MAX_DATASET_SWINGS) {
+        return `swings must be an array of 1 to ${MAX_DATASET_SWINGS} labeled swings`;
+    }
+
+    for (let i = 0; i < swings.length; i++) {
+        const error = validateLabeledSwing(swings[i], `swings[${i}]`);
+        if (error) {
+            return error;
+        }
+    }
+
+    return validateDevice(dataset.device);
+};
+
+const countLabels = (swings) => {
+    const counts = Object.fromEntries(SWING_LABELS.map(label => [label, 0]));
+    swings.forEach(swing => { counts[swing.label]++; });
+    return counts;
+};
+
+const toDbCalibrationProfile = (profile) => ({
+    patterns: JSON.stringify(Object.fromEntries(PATTERN_LISTS.map(list => [list, profile[list]]))),
+    pattern_count: PATTERN_LISTS.reduce((total, list) => total + profile[list].length, 0),
+    device: profile.device || null
+});
+
+const toDbSwingDataset = (dataset) => ({
+    swings: JSON.stringify(dataset.swings),
+    swing_count: dataset.swings.length,
+    label_counts: JSON.stringify(countLabels(dataset.swings)),
+    device: dataset.device || null
+});
+
+// Version rows leave out the patterns; full rows include them
+const toAppCalibrationProfile = (profile) => ({
+    id: profile.id,
+    version: profile.version,
+    patternCount: profile.pattern_count,
+    device: profile.device,
+    createdAt: profile.created_at,
+    ...(profile.patterns ? JSON.parse(profile.patterns) : {})
+});
+
+// Version rows leave out the swings; full rows include them
+const toAppSwingDataset = (dataset) => ({
+    id: dataset.id,
+    version: dataset.version,
+    swingCount: dataset.swing_count,
+    labelCounts: JSON.parse(dataset.label_counts),
+    device: dataset.device,
+    createdAt: dataset.created_at,
+    ...(dataset.swings ? { swings: JSON.parse(dataset.swings) } : {})
+});
+
+// A contributor's latest swings for the shared corpus, without anything that
+// identifies them: a salted hash stands in for the user id, and the app's
+// session ids and swing times are dropped
+const toCorpusSwings = (dataset, salt) => {
+    const contributor = crypto.createHash('sha256').update(`${salt}:${dataset.user_id}`).digest('hex').slice(0, 16);
+    return JSON.parse(dataset.swings).map(swing => ({
+        contributor,
+        label: swing.label,
+        poseFrames: swing.poseFrames
+    }));
+};
+
+module.exports = {
+    SWING_LABELS,
+    PATTERN_LISTS,
+    PATTERN_FIELDS,
+    POSE_JOINTS,
+    CALIBRATION_VERSIONS_KEPT,
+    validateCalibrationProfile,
+    validatePoseFrames,
+    validateSwingDataset,
+    toDbCalibrationProfile,
+    toDbSwingDataset,
+    toAppCalibrationProfile,
+    toAppSwingDataset,
+    toCorpusSwings
+};
@@ -0,0 +1,198 @@
+const { isDateKey, addDays, bucketStart, startOfLocalDay, localDateKey } = require('./time');
+const { loadPlayerProfile } = require('./playerProfile');
+const { PROGRESS_GRANULARITIES, calculateTotals } = require('./statistics');
+const { loadDaySummaries } = require('./statsAggregates');
+
+// Training goals, such as "70% success on backhands" or "4 sessions a week".
+// A goal without a period counts everything from its start date; a goal with
+// a period (day, week or month) is reached or not in each one. Progress is
+// evaluated on read from the same day totals the progress chart uses.
+
+const GOAL_METRICS = ['successRate', 'shots', 'sessions', 'strokeCount', 'rating'];
+const GOAL_STROKES = ['forehand', 'backhand', 'serve'];
+const GOAL_PERIODS = PROGRESS_GRANULARITIES;
+const GOAL_STATUSES = ['active', 'completed', 'missed'];
+
+// Highest meaningful target per metric
+const MAX_TARGETS = {
+    successRate: 100,
+    rating: 5
+};
+const MAX_TITLE_LENGTH = 100;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Validate an app-format goal after merging; returns an error string or null
+const validateGoal = (goal) => {
+    if (typeof goal.title !== 'string' || goal.title.trim().length === 0 || goal.title.length > MAX_TITLE_LENGTH) {
+        return `title is required and must be at most ${MAX_TITLE_LENGTH} characters`;
+    }
+
+    if (!GOAL_METRICS.includes(goal.metric)) {
+        return `metric must be one of: ${GOAL_METRICS.join(', ')}`;
+    }
+
+    // Success rate may be narrowed to one stroke; a stroke count needs one
+    if (goal.stroke !== null && !GOAL_STROKES.includes(goal.stroke)) {
+        return `stroke must be one of: ${GOAL_STROKES.join(', ')}`;
+    }
+    if (goal.metric === 'strokeCount' && goal.stroke === null) {
+        return 'stroke is required for strokeCount goals';
+    }
+    if (goal.stroke !== null && !['successRate', 'strokeCount'].includes(goal.metric)) {
+        return 'stroke only applies to successRate and strokeCount goals';
+    }
+
+    if (typeof goal.target !== 'number' || !Number.isFinite(goal.target) || goal.target <= 0 ||
+        (MAX_TARGETS[goal.metric] !== undefined && goal.target > MAX_TARGETS[goal.metric])) {
+        return MAX_TARGETS[goal.metric] !== undefined
+            ? `target must be a number above 0 and at most ${MAX_TARGETS[goal.metric]}`
+            : 'target must be a number above 0';
+    }
+
+    if (goal.period !== null && !GOAL_PERIODS.includes(goal.period)) {
+        return `period must be one of: ${GOAL_PERIODS.join(', ')}`;
+    }
+
+    if (!isDateKey(goal.startDate)) {
+        return 'startDate must be a date (YYYY-MM-DD)';
+    }
+
+    if (goal.deadline !== null && (!isDateKey(goal.deadline) || goal.deadline < goal.startDate)) {
+        return 'deadline must be a date (YYYY-MM-DD) on or after startDate';
+    }
+
+    return null;
+};
+
+const toAppGoal = (goal) => ({
+    id: goal.id,
+    title: goal.title,
+    metric: goal.metric,
+    stroke: goal.stroke,
+    target: goal.target,
+    period: goal.period,
+    startDate: goal.start_date,
+    deadline: goal.deadline,
+    createdAt: goal.created_at,
+    updatedAt: goal.updated_at
+});
+
+const toDbGoal = (goal) => ({
+    title: goal.title.trim(),
+    metric: goal.metric,
+    stroke: goal.stroke,
+    target: goal.target,
+    period: goal.period,
+    start_date: goal.startDate,
+    deadline: goal.deadline
+});
+
+// Local days a goal is judged on today: the current period (or the one the
+// deadline falls in once it has passed), or start date to today for one-off goals
+const goalWindow = (goal, today) => {
+    const reference = goal.deadline !== null && goal.deadline < today ? goal.deadline : today;
+    return {
+        from: goal.period ? bucketStart(reference, goal.period) : goal.start_date,
+        to: reference
+    };
+};
+
+// Percentage of successful shots of one stroke, from the shot records of the sessions in the window
+const strokeSuccessRate = async (db, userId, stroke, { from, to }, timeZone) => {
+    const sessions = await db.getUserSessionsInRange(
+        userId,
+        startOfLocalDay(from, timeZone).toISOString(),
+        startOfLocalDay(addDays(to, 1), timeZone).toISOString()
+    );
+    const results = await db.getStrokeResultsForSessions(sessions.map(session => session.id));
+
+    let shots = 0;
+    let successful = 0;
+    results.forEach(strokes => {
+        if (strokes[stroke]) {
+            shots += strokes[stroke].shots;
+            successful += strokes[stroke].successful;
+        }
+    });
+    return shots > 0 ? round(successful / shots * 100) : 0;
+};
+
+// Current value of a goal's metric over a window of local days
+const measureGoal = async (db, goal, window, timeZone) => {
+    if (window.from > window.to) {
+        return 0; // Starts in the future
+    }
+    if (goal.metric === 'successRate' && goal.stroke !== null) {
+        return await strokeSuccessRate(db, goal.user_id, goal.stroke, window, timeZone);
+    }
+
+    const days = await loadDaySummaries(db, goal.user_id, window.from, window.to, timeZone);
+    const totals = calculateTotals(days, window);
+
+    switch (goal.metric) {
+        case 'successRate':
+            return totals.successRate;
+        case 'shots':
+            return totals.shots;
+        case 'sessions':
+            return totals.sessionsCount;
+        case 'strokeCount':
+            return totals.strokes[goal.stroke];
+        case 'rating':
+            return totals.averageRating;
+    }
+};
+
+// Progress of a stored goal as of `today` (YYYY-MM-DD in timeZone).
+// Goals are reached at or above their target; a goal whose deadline has
+// passed without reaching it is missed.
+const evaluateGoal = async (db, goal, { timeZone, today }) => {
+    const window = goalWindow(goal, today);
+    const value = await measureGoal(db, goal, window, timeZone);
+
+    let status = 'active';
+    if (value >= goal.target) {
+        status = 'completed';
+    } else if (goal.deadline !== null && goal.deadline < today) {
+        status = 'missed';
+    }
+
+    return {
+        from: window.from,
+        to: window.to,
+        value: value,
+        target: goal.target,
+        percent: Math.min(100, round(value / goal.target * 100)),
+        status: status
+    };
+};
+
+// Goals reached since they were last reported: once per period, or once for
+// one-off goals. Marks them and resolves to [{ goal, progress }].
+const recordCompletedGoals = async (db, userId, now = new Date()) => {
+    const { timezone } = await loadPlayerProfile(db, userId);
+    const today = localDateKey(now, timezone);
+    const completed = [];
+
+    for (const goal of await db.getUserGoals(userId)) {
+        const progress = await evaluateGoal(db, goal, { timeZone: timezone, today });
+        if (progress.status === 'completed' && goal.completed_window !== progress.from) {
+            await db.markGoalCompleted(goal.id, progress.from);
+            completed.push({ goal, progress });
+        }
+    }
+    return completed;
+};
+
+module.exports = {
+    GOAL_METRICS,
+    GOAL_STROKES,
+    GOAL_PERIODS,
+    GOAL_STATUSES,
+    validateGoal,
+    toAppGoal,
+    toDbGoal,
+    evaluateGoal,
+    recordCompletedGoals
+};
@@ -0,0 +1,62 @@
+const { localDateKey, bucketStart } = require('./time');
+const { PROVISIONAL_RD } = require('./skillRating');
+const { DEFAULT_PRIVACY } = require('./privacy');
+
+// Leaderboards rank players on their stats aggregates. Periods are the
+// current calendar week (from Monday) or month in the viewer's timezone, or
+// all time; they are matched against each player's own local day keys.
+
+const LEADERBOARD_METRICS = ['shots', 'successRate', 'streak', 'skill'];
+const LEADERBOARD_PERIODS = ['week', 'month', 'all'];
+const LEADERBOARD_SCOPES = ['friends', 'team', 'everyone'];
+
+// Shots needed in the period before a success rate is ranked
+const MIN_SHOTS_FOR_SUCCESS_RATE = parseInt(process.env.LEADERBOARD_MIN_SHOTS, 10) || 100;
+
+// Local days [from, to] of a period up to today; `from` is null for all time
+const periodRange = (period, today) => ({
+    from: period === 'all' ? null : bucketStart(today, period),
+    to: today
+});
+
+// The top `limit` players plus the viewer's own entry
+const buildLeaderboard = async (db, { metric, period, scope, viewerId, teamId = null, timeZone, now = new Date(), limit }) => {
+    const { from, to } = periodRange(period, localDateKey(now, timeZone));
+
+    const rows = await db.getLeaderboard({
+        metric,
+        from: from || '',
+        to,
+        scope,
+        viewerId,
+        teamId,
+        minShots: MIN_SHOTS_FOR_SUCCESS_RATE,
+        maxRd: PROVISIONAL_RD,
+        defaultVisibility: DEFAULT_PRIVACY.leaderboards,
+        limit
+    });
+
+    const toEntry = (row) => ({
+        rank: row.rank,
+        userId: row.user_id,
+        name: row.name,
+        value: row.value,
+        isYou: row.user_id === viewerId
+    });
+
+    return {
+        from,
+        to,
+        minShots: metric === 'successRate' ? MIN_SHOTS_FOR_SUCCESS_RATE : undefined,
+        entries: rows.filter(row => row.rank <= limit).map(toEntry),
+        you: rows.filter(row => row.user_id === viewerId).map(toEntry)[0] || null
+    };
+};
+
+module.exports = {
+    LEADERBOARD_METRICS,
+    LEADERBOARD_PERIODS,
+    LEADERBOARD_SCOPES,
+    MIN_SHOTS_FOR_SUCCESS_RATE,
+    buildLeaderboard
+};
@@ -0,0 +1,222 @@
+const { v4: uuidv4 } = require('uuid');
+const { timingConsistency } = require('./rating');
+const { normalizeSwingType, toShotRecord } = require('./sessionIngest');
+
+// Sessions in progress, streamed to viewers as the player's device pushes
+// shots. Finishing one saves it as a normal session. Live state is kept in
+// this process only, so after a restart the device uploads the session the
+// usual way. Sessions with no activity for LIVE_SESSION_IDLE_MINUTES end.
+
+const LIVE_SESSION_IDLE_MINUTES = parseInt(process.env.LIVE_SESSION_IDLE_MINUTES, 10) || 30;
+// Viewers' access is checked again at every heartbeat
+const HEARTBEAT_SECONDS = parseFloat(process.env.LIVE_SESSION_HEARTBEAT_SECONDS) || 15;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+// Shot intervals in the recent rhythm
+const RECENT_INTERVALS = 10;
+
+const liveSessions = new Map();
+let sweepTimer = null;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+const average = (values) => values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : null;
+
+// Running totals and rhythm (seconds between shots, in timestampOffset order),
+// updated shot by shot so a push costs the same however long the session is
+const emptyTally = () => ({
+    totalShots: 0,
+    successfulShots: 0,
+    forehandCount: 0,
+    backhandCount: 0,
+    serveCount: 0,
+    lastOffset: null,
+    intervalSum: 0,
+    intervalCount: 0,
+    recentIntervals: []
+});
+
+const addToTally = (tally, shot) => {
+    const swingType = normalizeSwingType(shot.swingType);
+    tally.totalShots++;
+    tally.successfulShots += shot.successful ? 1 : 0;
+    if (['forehand', 'backhand', 'serve'].includes(swingType)) {
+        tally[`${swingType}Count`]++;
+    }
+
+    if (tally.lastOffset !== null) {
+        const interval = shot.timestampOffset - tally.lastOffset;
+        tally.intervalSum += interval;
+        tally.intervalCount++;
+        tally.recentIntervals = [...tally.recentIntervals, interval].slice(-RECENT_INTERVALS);
+    }
+    tally.lastOffset = shot.timestampOffset;
+    return tally;
+};
+
+// The tally of a whole session, for when a shot arrives out of order
+const tallyShots = (shots) => [...shots]
+    .sort((a, b) => a.timestampOffset - b.timestampOffset)
+    .reduce(addToTally, emptyTally());
+
+const summarizeTally = (tally) => {
+    const { totalShots, successfulShots, forehandCount, backhandCount, serveCount } = tally;
+    const roundOrNull = (value) => value === null ? null : round(value);
+
+    return {
+        totalShots,
+        successfulShots,
+        forehandCount,
+        backhandCount,
+        serveCount,
+        successRate: totalShots > 0 ? round(successfulShots / totalShots, 4) : 0,
+        rhythm: {
+            averageInterval: tally.intervalCount > 0 ? round(tally.intervalSum / tally.intervalCount) : null,
+            recentInterval: roundOrNull(average(tally.recentIntervals)),
+            consistency: round(timingConsistency(tally.recentIntervals), 4)
+        }
+    };
+};
+
+const toAppLiveSession = (live) => ({
+    id: live.id,
+    userId: live.userId,
+    playerName: live.playerName,
+    startedAt: live.startedAt,
+    lastActivityAt: live.lastActivityAt,
+    viewers: live.subscribers.size,
+    summary: summarizeTally(live.tally)
+});
+
+const writeEvent = (res, event, data, id) => {
+    res.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const broadcast = (live, event, data, id) => {
+    live.subscribers.forEach((viewer, res) => writeEvent(res, event, data, id));
+};
+
+// End a live session: tell viewers why, close their streams and forget it
+const endLiveSession = (live, event, data) => {
+    liveSessions.delete(live.id);
+    broadcast(live, event, data);
+    live.subscribers.forEach((viewer, res) => res.end());
+    live.subscribers.clear();
+};
+
+const sweepIdleSessions = () => {
+    const cutoff = Date.now() - LIVE_SESSION_IDLE_MINUTES * 60 * 1000;
+    liveSessions.forEach(live => {
+        if (live.lastActivityAt.getTime() < cutoff && !live.finishing) {
+            console.log(`⌛ Live session ${live.id} ended after ${LIVE_SESSION_IDLE_MINUTES} idle minutes`);
+            endLiveSession(live, 'ended', { reason: 'idle' });
+        }
+    });
+};
+
+const startLiveSession = (user, startedAt = new Date()) => {
+    const live = {
+        id: uuidv4(),
+        userId: user.id,
+        playerName: user.name,
+        startedAt,
+        lastActivityAt: new Date(),
+        shots: [],
+        summaries: [], // The summary after each shot, for viewers catching up
+        tally: emptyTally(),
+        subscribers: new Map(), // Stream response => { userId, familyId } of its viewer
+        finishing: false
+    };
+    liveSessions.set(live.id, live);
+
+    if (!sweepTimer) {
+        sweepTimer = setInterval(sweepIdleSessions, SWEEP_INTERVAL_MS).unref();
+    }
+    return live;
+};
+
+const getLiveSession = (liveId) => liveSessions.get(liveId) || null;
+
+const getLiveSessions = () => [...liveSessions.values()];
+
+// Append validated shots and stream each one. Only the fields of the upload
+// format are kept, so viewers never get anything else the device sent. A
+// shot's event id is its position in the session, so reconnecting viewers
+// can resume.
+const addLiveShots = (live, shots) => {
+    live.lastActivityAt = new Date();
+    shots.map(toShotRecord).forEach(shot => {
+        live.shots.push(shot);
+        live.tally = live.tally.lastOffset !== null && shot.timestampOffset < live.tally.lastOffset
+            ? tallyShots(live.shots)
+            : addToTally(live.tally, shot);
+        const summary = summarizeTally(live.tally);
+        live.summaries.push(summary);
+        broadcast(live, 'shot', { shot, summary }, live.shots.length);
+    });
+};
+
+// Stream a live session to the viewer in req.user. New viewers get a snapshot
+// with every shot so far; a viewer reconnecting with Last-Event-ID gets the
+// shots it missed. stillAllowed(viewer) is called at every heartbeat, and a
+// viewer who may no longer watch (a revoked login, a narrowed team scope) gets
+// an `ended` event and the stream closes.
+const subscribeToLiveSession = (live, req, res, stillAllowed) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // Don't let a proxy buffer the stream
+    });
+
+    const lastEventId = parseInt(req.get('Last-Event-ID'), 10);
+    if (Number.isInteger(lastEventId) && lastEventId >= 0 && lastEventId <= live.shots.length) {
+        for (let seq = lastEventId + 1; seq <= live.shots.length; seq++) {
+            writeEvent(res, 'shot', { shot: live.shots[seq - 1], summary: live.summaries[seq - 1] }, seq);
+        }
+    } else {
+        writeEvent(res, 'snapshot', { ...toAppLiveSession(live), shots: live.shots }, live.shots.length);
+    }
+
+    const viewer = { userId: req.user.id, familyId: req.auth.familyId };
+    live.subscribers.set(res, viewer);
+
+    let checking = false;
+    const heartbeat = setInterval(async () => {
+        if (checking) {
+            return;
+        }
+        checking = true;
+        try {
+            const allowed = await stillAllowed(viewer);
+            if (!live.subscribers.has(res)) {
+                return;
+            }
+            if (allowed) {
+                res.write(': heartbeat\n\n');
+            } else {
+                console.log(`🔒 Live session ${live.id} stream ended for ${viewer.userId}: access revoked`);
+                live.subscribers.delete(res);
+                writeEvent(res, 'ended', { reason: 'access_revoked' });
+                res.end();
+            }
+        } catch (error) {
+            console.error('Live session access check error:', error);
+        } finally {
+            checking = false;
+        }
+    }, HEARTBEAT_SECONDS * 1000);
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        live.subscribers.delete(res);
+    });
+};
+
+module.exports = {
+    toAppLiveSession,
+    startLiveSession,
+    getLiveSession,
+    getLiveSessions,
+    addLiveShots,
+    subscribeToLiveSession,
+    endLiveSession
+};
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Pluggable mail delivery. A transport is any object with
+// async send({ to, subject, text }); pick one with MAIL_TRANSPORT.
+
+// Writes each message as a JSON file for local development and inspection
+class OutboxTransport {
+    constructor(directory = process.env.MAIL_OUTBOX_DIR || './outbox') {
+        this.directory = directory;
+    }
+
+    async send(message) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+
+        const sentAt = new Date().toISOString();
+        const file = path.join(this.directory, `${sentAt.replace(/[:.]/g, '-')}-${uuidv4()}.json`);
+        // Written aside and renamed, so readers never see half a message
+        await fs.promises.writeFile(`${file}.tmp`, JSON.stringify({ ...message, sentAt }, null, 2));
+        await fs.promises.rename(`${file}.tmp`, file);
+
+        console.log(`📬 Mail to ${message.to} written to ${file}`);
+        return { id: path.basename(file) };
+    }
+}
+
+// Logs messages instead of sending them
+class ConsoleTransport {
+    async send(message) {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+        return { id: uuidv4() };
+    }
+}
+
+const transports = {
+    outbox: () => new OutboxTransport(),
+    console: () => new ConsoleTransport()
+};
+
+// Make another transport (SMTP, a provider API) selectable by name
+const registerTransport = (name, factory) => {
+    transports[name] = factory;
+};
+
+let mailer = null;
+
+const getMailer = () => {
+    if (!mailer) {
+        const name = process.env.MAIL_TRANSPORT || 'outbox';
+        if (!transports[name]) {
+            throw new Error(`Unknown MAIL_TRANSPORT "${name}". Available: ${Object.keys(transports).join(', ')}`);
+        }
+        mailer = transports[name]();
+    }
+    return mailer;
+};
+
+// Replace the active transport, e.g. with a stub
+const setMailer = (transport) => {
+    mailer = transport;
+};
+
+// Always returns a promise, so a missing transport fails like an unsent
+// message rather than throwing at the caller
+const sendMail = async (message) => {
+    return getMailer().send({ from: process.env.MAIL_FROM || 'Tennis Rating <no-reply@tennisrating.app>', ...message });
+};
+
+module.exports = {
+    OutboxTransport,
+    ConsoleTransport,
+    registerTransport,
+    getMailer,
+    setMailer,
+    sendMail
+};
@@ -0,0 +1,77 @@
+const { isValidTimeZone } = require('./time');
+
+const DOMINANT_HANDS = ['right', 'left'];
+const MIN_LEVEL = 1.0;
+const MAX_LEVEL = 7.0;
+
+// Profile used for players who have not filled theirs in
+const DEFAULT_PROFILE = {
+    dominant_hand: null,
+    level: null,
+    timezone: 'UTC',
+    birth_year: null,
+    playing_since: null
+};
+
+const loadPlayerProfile = async (db, userId) => {
+    const profile = await db.getPlayerProfile(userId);
+    return { ...DEFAULT_PROFILE, ...profile };
+};
+
+const isYear = (value) => Number.isInteger(value) && value >= 1900 && value <= new Date().getFullYear();
+
+// Validate an app-format profile update after merging; returns an error string or null
+const validatePlayerProfile = (profile) => {
+    if (profile.dominantHand !== null && !DOMINANT_HANDS.includes(profile.dominantHand)) {
+        return `dominantHand must be one of: ${DOMINANT_HANDS.join(', ')}`;
+    }
+
+    // NTRP levels go in half-point steps
+    if (profile.level !== null &&
+        (typeof profile.level !== 'number' || profile.level < MIN_LEVEL || profile.level > MAX_LEVEL ||
+         !Number.isInteger(profile.level * 2))) {
+        return `level must be an NTRP rating from ${MIN_LEVEL} to ${MAX_LEVEL} in steps of 0.5`;
+    }
+
+    if (!isValidTimeZone(profile.timezone)) {
+        return 'timezone must be a valid IANA time zone, e.g. Europe/London';
+    }
+
+    if (profile.birthYear !== null && !isYear(profile.birthYear)) {
+        return 'birthYear must be a valid year';
+    }
+
+    if (profile.playingSince !== null && !isYear(profile.playingSince)) {
+        return 'playingSince must be a valid year';
+    }
+
+    if (profile.birthYear !== null && profile.playingSince !== null && profile.playingSince < profile.birthYear) {
+        return 'playingSince cannot be before birthYear';
+    }
+
+    return null;
+};
+
+const toAppProfile = (profile) => ({
+    dominantHand: profile.dominant_hand,
+    level: profile.level,
+    timezone: profile.timezone,
+    birthYear: profile.birth_year,
+    playingSince: profile.playing_since
+});
+
+const toDbProfile = (profile) => ({
+    dominant_hand: profile.dominantHand,
+    level: profile.level,
+    timezone: profile.timezone,
+    birth_year: profile.birthYear,
+    playing_since: profile.playingSince
+});
+
+module.exports = {
+    DEFAULT_PROFILE,
+    loadPlayerProfile,
+    validatePlayerProfile,
+    toAppProfile,
+    toDbProfile
+};
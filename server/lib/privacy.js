@@ -0,0 +1,56 @@
+// Who can see a player on leaderboards and who can send them friend requests.
+// leaderboards: 'everyone' (also the global board), 'friends' (friend and
+// team boards only) or 'private' (no boards but their own view).
+// training_corpus: opt-in for sharing labeled swings with the training corpus.
+
+const LEADERBOARD_VISIBILITIES = ['everyone', 'friends', 'private'];
+const FRIEND_REQUEST_POLICIES = ['everyone', 'nobody'];
+
+// Settings for players who have not changed theirs
+const DEFAULT_PRIVACY = {
+    leaderboards: 'friends',
+    friend_requests: 'everyone',
+    training_corpus: 0
+};
+
+const loadPrivacySettings = async (db, userId) => {
+    const settings = await db.getPrivacySettings(userId);
+    return { ...DEFAULT_PRIVACY, ...settings };
+};
+
+// Validate app-format settings after merging; returns an error string or null
+const validatePrivacySettings = (settings) => {
+    if (!LEADERBOARD_VISIBILITIES.includes(settings.leaderboards)) {
+        return `leaderboards must be one of: ${LEADERBOARD_VISIBILITIES.join(', ')}`;
+    }
+
+    if (!FRIEND_REQUEST_POLICIES.includes(settings.friendRequests)) {
+        return `friendRequests must be one of: ${FRIEND_REQUEST_POLICIES.join(', ')}`;
+    }
+
+    if (typeof settings.trainingCorpus !== 'boolean') {
+        return 'trainingCorpus must be true or false';
+    }
+
+    return null;
+};
+
+const toAppPrivacySettings = (settings) => ({
+    leaderboards: settings.leaderboards,
+    friendRequests: settings.friend_requests,
+    trainingCorpus: Boolean(settings.training_corpus)
+});
+
+const toDbPrivacySettings = (settings) => ({
+    leaderboards: settings.leaderboards,
+    friend_requests: settings.friendRequests,
+    training_corpus: settings.trainingCorpus ? 1 : 0
+});
+
+module.exports = {
+    DEFAULT_PRIVACY,
+    loadPrivacySettings,
+    validatePrivacySettings,
+    toAppPrivacySettings,
+    toDbPrivacySettings
+};
@@ -0,0 +1,101 @@
+// Session rating engine. Every algorithm version is frozen once released:
+// sessions store the rating and the version that produced it, so changing
+// the weights means adding a version and recomputing history on purpose
+// (npm run ratings:recompute), never silently.
+const RATING_ALGORITHMS = {
+    1: {
+        // Matches SessionData.rating in the iOS app
+        weights: { success: 50, consistency: 30, volume: 20 }, // Points out of 100
+        volumeTarget: 50, // Shots needed for the full volume score
+        thresholds: [80, 60, 40, 20] // Minimum score for ratings 5, 4, 3 and 2
+    }
+};
+
+const RATING_VERSIONS = Object.keys(RATING_ALGORITHMS).map(Number).sort((a, b) => a - b);
+const LATEST_RATING_VERSION = RATING_VERSIONS[RATING_VERSIONS.length - 1];
+
+// Columns the rating is stored in on each session row
+const RATING_COLUMNS = [
+    'rating', 'rating_score', 'rating_success', 'rating_consistency', 'rating_volume', 'rating_version'
+];
+
+const getRatingAlgorithm = (version) => {
+    const algorithm = RATING_ALGORITHMS[version];
+    if (!algorithm) {
+        throw new Error(`Unknown rating version ${version}. Known versions: ${RATING_VERSIONS.join(', ')}`);
+    }
+    return algorithm;
+};
+
+Object.entries(RATING_ALGORITHMS).forEach(([version, algorithm]) => {
+    const { success, consistency, volume } = algorithm.weights;
+    if (success + consistency + volume !== 100) {
+        throw new Error(`Rating version ${version} weights must add up to 100`);
+    }
+});
+
+// The version new sessions are rated with. RATING_VERSION pins an older one,
+// e.g. while a new version is being rolled out.
+const CURRENT_RATING_VERSION = parseInt(process.env.RATING_VERSION, 10) || LATEST_RATING_VERSION;
+getRatingAlgorithm(CURRENT_RATING_VERSION);
+
+// 0-1, how evenly spaced the shots were
+const timingConsistency = (timings) => {
+    if (!timings || timings.length < 2) {
+        return 0;
+    }
+
+    const avg = timings.reduce((sum, t) => sum + t, 0) / timings.length;
+    if (avg <= 0) {
+        return 0;
+    }
+    const variance = timings.reduce((sum, t) => sum + Math.pow(t - avg, 2), 0) / timings.length;
+    return Math.max(0, 1 - (Math.sqrt(variance) / avg));
+};
+
+// Rate a session (database format) with the given algorithm version.
+// Returns the 1-5 rating, the 0-100 score and the points from each part.
+const rateSession = (session, version = CURRENT_RATING_VERSION) => {
+    const { weights, volumeTarget, thresholds } = getRatingAlgorithm(version);
+
+    const successRate = session.total_shots > 0
+        ? session.successful_shots / session.total_shots
+        : 0;
+
+    const breakdown = {
+        success: successRate * weights.success,
+        consistency: timingConsistency(session.shot_timings) * weights.consistency,
+        volume: Math.min(session.total_shots / volumeTarget, 1.0) * weights.volume
+    };
+    const score = breakdown.success + breakdown.consistency + breakdown.volume;
+
+    const bucket = thresholds.findIndex(threshold => score >= threshold);
+    const rating = bucket === -1 ? 1 : 5 - bucket;
+
+    return { rating, score, breakdown, version };
+};
+
+// Just the 1-5 rating
+const calculateRating = (session, version) => rateSession(session, version).rating;
+
+// Rating columns for a session row
+const toDbRating = ({ rating, score, breakdown, version }) => ({
+    rating,
+    rating_score: score,
+    rating_success: breakdown.success,
+    rating_consistency: breakdown.consistency,
+    rating_volume: breakdown.volume,
+    rating_version: version
+});
+
+module.exports = {
+    RATING_VERSIONS,
+    LATEST_RATING_VERSION,
+    CURRENT_RATING_VERSION,
+    RATING_COLUMNS,
+    getRatingAlgorithm,
+    timingConsistency,
+    rateSession,
+    calculateRating,
+    toDbRating
+};
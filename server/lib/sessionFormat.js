@@ -0,0 +1,40 @@
+const roundScore = (value) => Math.round(value * 100) / 100;
+
+// Transform database format back to app format
+const toAppSession = (session) => ({
+    id: session.id,
+    totalShots: session.total_shots,
+    successfulShots: session.successful_shots,
+    timestamp: new Date(session.timestamp),
+    sessionDuration: session.session_duration,
+    forehandCount: session.forehand_count,
+    backhandCount: session.backhand_count,
+    serveCount: session.serve_count,
+    shotTimings: session.shot_timings,
+    rating: session.rating,
+    ratingScore: roundScore(session.rating_score),
+    ratingBreakdown: {
+        success: roundScore(session.rating_success),
+        consistency: roundScore(session.rating_consistency),
+        volume: roundScore(session.rating_volume)
+    },
+    ratingVersion: session.rating_version
+});
+
+const toAppShot = (shot) => ({
+    index: shot.shot_index,
+    swingType: shot.swing_type,
+    successful: shot.successful,
+    timestampOffset: shot.timestamp_offset,
+    wristSpeed: shot.wrist_speed,
+    elbowAngle: shot.elbow_angle,
+    shoulderRotation: shot.shoulder_rotation,
+    confidence: shot.confidence,
+    amplitude: shot.amplitude,
+    swingDuration: shot.swing_duration
+});
+
+module.exports = {
+    toAppSession,
+    toAppShot
+};
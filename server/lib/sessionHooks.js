@@ -0,0 +1,36 @@
+const { rebuildSkillRatings } = require('./skillRating');
+const { refreshStatsAggregates } = require('./statsAggregates');
+const { awardAchievements, toAppAwards } = require('./achievements');
+const { toAppGoal, recordCompletedGoals } = require('./goals');
+const { enqueueWebhookEvent } = require('./webhooks');
+
+// Queue goal.completed for the user's goals reached since they were last
+// reported. Also called when goals are created or changed.
+const reportCompletedGoals = async (db, userId) => {
+    for (const { goal, progress } of await recordCompletedGoals(db, userId)) {
+        await enqueueWebhookEvent(db, userId, 'goal.completed', { goal: toAppGoal(goal), progress });
+    }
+};
+
+// Data derived from a user's session history, brought up to date after any
+// change to it. `from` is the earliest session timestamp the change touched
+// (for an edit, the earlier of the old and new timestamps). Call it inside
+// the transaction that made the change so both commit together.
+// Resolves to { achievements }: the award rows the change unlocked.
+const onSessionsChanged = async (db, userId, from) => {
+    await rebuildSkillRatings(db, userId, from);
+    await refreshStatsAggregates(db, userId, from);
+    const achievements = await awardAchievements(db, userId);
+
+    for (const achievement of toAppAwards(achievements)) {
+        await enqueueWebhookEvent(db, userId, 'achievement.unlocked', achievement);
+    }
+    await reportCompletedGoals(db, userId);
+
+    return { achievements };
+};
+
+module.exports = {
+    reportCompletedGoals,
+    onSessionsChanged
+};
@@ -0,0 +1,176 @@
+const { parseCsv } = require('./csv');
+const { zonedTimeToUtc } = require('./time');
+
+// Converts historical session backups into upload-format session data.
+// Both parsers return one { line, sessionData } or { line, error } per session.
+
+// Foundation's default JSONEncoder writes Dates as seconds since 2001-01-01 UTC
+const APPLE_REFERENCE_DATE_MS = Date.UTC(2001, 0, 1);
+
+const normalizeTimestamp = (timestamp) => {
+    return typeof timestamp === 'number'
+        ? new Date(APPLE_REFERENCE_DATE_MS + timestamp * 1000).toISOString()
+        : timestamp;
+};
+
+// Fields GET /api/export adds to each session that are not part of an upload.
+// Ratings are recomputed on import.
+const EXPORT_ONLY_FIELDS = ['rating', 'ratingScore', 'ratingBreakdown', 'ratingVersion'];
+
+// An exported session as upload data. Sessions stored without shot records
+// are exported with an empty shots array, which would contradict their counters.
+const fromExportedSession = (session) => {
+    const sessionData = { ...session };
+    EXPORT_ONLY_FIELDS.forEach(field => delete sessionData[field]);
+    if (Array.isArray(sessionData.shots) && sessionData.shots.length === 0) {
+        delete sessionData.shots;
+    }
+    return sessionData;
+};
+
+// The app's local history: an array of SessionData (local_sessions), an array
+// of UploadedSession records wrapping one (uploaded_sessions), or an export
+// from GET /api/export ({ sessions: [...] }).
+const parseJsonHistory = (body) => {
+    const fromExport = !Array.isArray(body);
+    const records = fromExport ? body && body.sessions : body;
+
+    if (!Array.isArray(records)) {
+        throw new Error('JSON import must be an array of sessions or an object with a sessions array');
+    }
+
+    return records.map((record, index) => {
+        const sessionData = record && record.sessionData ? record.sessionData : record;
+
+        if (!sessionData || typeof sessionData !== 'object') {
+            return { line: index + 1, error: 'Session must be an object' };
+        }
+
+        return {
+            line: index + 1,
+            sessionData: {
+                ...(fromExport ? fromExportedSession(sessionData) : sessionData),
+                timestamp: normalizeTimestamp(sessionData.timestamp)
+            }
+        };
+    });
+};
+
+// CSV layout (header names are case-insensitive, column order is free):
+//   date               required  ISO 8601; without an offset it is read in the player's timezone
+//   duration_minutes   required unless duration_seconds is given
+//   duration_seconds
+//   total_shots        required
+//   successful_shots   required
+//   forehand, backhand, serve   optional swing counts, default 0
+//   shot_timings       optional seconds between shots, separated by semicolons
+//   id                 optional session UUID, used to skip duplicates
+const CSV_COLUMNS = [
+    'date', 'duration_minutes', 'duration_seconds', 'total_shots', 'successful_shots',
+    'forehand', 'backhand', 'serve', 'shot_timings', 'id'
+];
+
+const LOCAL_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+const parseCsvDate = (value, timeZone) => {
+    if (OFFSET_PATTERN.test(value)) {
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    const match = value.match(LOCAL_DATE_PATTERN);
+    if (!match) {
+        return null;
+    }
+
+    const [, year, month, day, hour = 0, minute = 0, second = 0] = match.map(part => part && Number(part));
+    return zonedTimeToUtc({ year, month, day, hour, minute, second }, timeZone).toISOString();
+};
+
+const parseCsvNumber = (value, column) => {
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number)) {
+        throw new Error(`${column} must be a number`);
+    }
+    return number;
+};
+
+const parseCsvInteger = (value, column) => {
+    const number = parseCsvNumber(value, column);
+    if (!Number.isInteger(number)) {
+        throw new Error(`${column} must be a whole number`);
+    }
+    return number;
+};
+
+const csvRowToSession = (row, timeZone) => {
+    const timestamp = parseCsvDate(row.date || '', timeZone);
+    if (!timestamp) {
+        throw new Error('date must be an ISO 8601 date, e.g. 2024-05-01 17:30');
+    }
+
+    let sessionDuration;
+    if (row.duration_seconds) {
+        sessionDuration = parseCsvNumber(row.duration_seconds, 'duration_seconds');
+    } else if (row.duration_minutes) {
+        sessionDuration = parseCsvNumber(row.duration_minutes, 'duration_minutes') * 60;
+    } else {
+        throw new Error('duration_minutes or duration_seconds is required');
+    }
+
+    const sessionData = {
+        timestamp,
+        sessionDuration,
+        totalShots: parseCsvInteger(row.total_shots || '', 'total_shots'),
+        successfulShots: parseCsvInteger(row.successful_shots || '', 'successful_shots'),
+        forehandCount: row.forehand ? parseCsvInteger(row.forehand, 'forehand') : 0,
+        backhandCount: row.backhand ? parseCsvInteger(row.backhand, 'backhand') : 0,
+        serveCount: row.serve ? parseCsvInteger(row.serve, 'serve') : 0,
+        shotTimings: row.shot_timings
+            ? row.shot_timings.split(';').map(value => parseCsvNumber(value.trim(), 'shot_timings'))
+            : []
+    };
+
+    if (row.id) {
+        sessionData.id = row.id;
+    }
+
+    return sessionData;
+};
+
+const parseCsvHistory = (text, timeZone = 'UTC') => {
+    const rows = parseCsv(text);
+    if (rows.length === 0) {
+        throw new Error('CSV import is empty');
+    }
+
+    const header = rows[0].map(column => column.trim().toLowerCase());
+    const missing = ['date', 'total_shots', 'successful_shots'].filter(column => !header.includes(column));
+    if (missing.length > 0) {
+        throw new Error(`CSV is missing required columns: ${missing.join(', ')}`);
+    }
+
+    return rows.slice(1)
+        .map((values, index) => ({ values, line: index + 2 }))
+        .filter(({ values }) => values.some(value => value.trim() !== '')) // Skip blank lines
+        .map(({ values, line }) => {
+            const row = {};
+            header.forEach((column, i) => {
+                if (CSV_COLUMNS.includes(column)) {
+                    row[column] = (values[i] || '').trim();
+                }
+            });
+
+            try {
+                return { line, sessionData: csvRowToSession(row, timeZone) };
+            } catch (error) {
+                return { line, error: error.message };
+            }
+        });
+};
+
+module.exports = {
+    parseJsonHistory,
+    parseCsvHistory
+};
@@ -0,0 +1,379 @@
+const crypto = require('crypto');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+const { RATING_COLUMNS, rateSession, toDbRating } = require('./rating');
+const { onSessionsChanged } = require('./sessionHooks');
+const { toAppSession } = require('./sessionFormat');
+const { enqueueWebhookEvent } = require('./webhooks');
+
+// Validation, normalization and deduplicated storage shared by every route
+// that creates sessions (single upload, batch, import)
+
+const SWING_TYPES = ['forehand', 'backhand', 'serve', 'unknown'];
+const SHOT_METRIC_FIELDS = ['wristSpeed', 'elbowAngle', 'shoulderRotation', 'confidence', 'amplitude', 'swingDuration'];
+const MAX_SHOTS_PER_SESSION = 5000;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+// Counters that can be derived from per-shot records
+const DERIVED_COUNT_FIELDS = ['totalShots', 'successfulShots', 'forehandCount', 'backhandCount', 'serveCount'];
+// Per-stroke counters may be left out (or null), and are stored as 0
+const OPTIONAL_COUNT_FIELDS = ['forehandCount', 'backhandCount', 'serveCount'];
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+// The first counter sent that isn't a non-negative integer
+const findInvalidCount = (sessionData) => DERIVED_COUNT_FIELDS.find((field) => {
+    const value = sessionData[field];
+    if (value === undefined || (value === null && OPTIONAL_COUNT_FIELDS.includes(field))) {
+        return false;
+    }
+    return !isCount(value);
+});
+
+// Swift sends SwingType raw values ("Forehand"), so match case-insensitively
+const normalizeSwingType = (swingType) => {
+    return typeof swingType === 'string' ? swingType.toLowerCase() : swingType;
+};
+
+const validateShot = (shot, index) => {
+    if (!shot || typeof shot !== 'object') {
+        return `Shot ${index} must be an object`;
+    }
+
+    if (!SWING_TYPES.includes(normalizeSwingType(shot.swingType))) {
+        return `Shot ${index} has invalid swingType. Expected one of: ${SWING_TYPES.join(', ')}`;
+    }
+
+    if (typeof shot.successful !== 'boolean') {
+        return `Shot ${index} must have a boolean successful flag`;
+    }
+
+    if (!isFiniteNumber(shot.timestampOffset) || shot.timestampOffset < 0) {
+        return `Shot ${index} must have a non-negative timestampOffset`;
+    }
+
+    const badMetric = SHOT_METRIC_FIELDS.find(field =>
+        shot[field] !== undefined && shot[field] !== null && !isFiniteNumber(shot[field])
+    );
+    if (badMetric) {
+        return `Shot ${index} has a non-numeric ${badMetric}`;
+    }
+
+    if (isFiniteNumber(shot.confidence) && (shot.confidence < 0 || shot.confidence > 1)) {
+        return `Shot ${index} confidence must be between 0 and 1`;
+    }
+
+    return null;
+};
+
+// A validated shot with only the fields of the upload format, swingType
+// normalized; anything else the client sent is dropped
+const toShotRecord = (shot) => {
+    const record = {
+        swingType: normalizeSwingType(shot.swingType),
+        successful: shot.successful,
+        timestampOffset: shot.timestampOffset
+    };
+    SHOT_METRIC_FIELDS.forEach(field => {
+        if (isFiniteNumber(shot[field])) {
+            record[field] = shot[field];
+        }
+    });
+    return record;
+};
+
+// Aggregate counters and timing intervals implied by a list of shot records
+const summarizeShots = (shots) => {
+    const ordered = [...shots].sort((a, b) => a.timestampOffset - b.timestampOffset);
+    const countType = (type) => shots.filter(shot => normalizeSwingType(shot.swingType) === type).length;
+
+    return {
+        totalShots: shots.length,
+        successfulShots: shots.filter(shot => shot.successful).length,
+        forehandCount: countType('forehand'),
+        backhandCount: countType('backhand'),
+        serveCount: countType('serve'),
+        shotTimings: ordered.slice(1).map((shot, i) => shot.timestampOffset - ordered[i].timestampOffset)
+    };
+};
+
+// Fill in counters from shot records; uploads without shots are returned as-is
+const withShotSummary = (sessionData) => {
+    if (!Array.isArray(sessionData.shots)) {
+        return sessionData;
+    }
+    return { ...summarizeShots(sessionData.shots), ...sessionData };
+};
+
+// Session data validation
+const validateSessionData = (sessionData) => {
+    if (sessionData.id !== undefined && !(typeof sessionData.id === 'string' && isUuid(sessionData.id))) {
+        return 'Session id must be a UUID';
+    }
+
+    const invalidCount = findInvalidCount(sessionData);
+    if (invalidCount) {
+        return `${invalidCount} must be a non-negative integer`;
+    }
+
+    if (sessionData.sessionDuration !== undefined &&
+            (!isFiniteNumber(sessionData.sessionDuration) || sessionData.sessionDuration < 0)) {
+        return 'sessionDuration must be a finite non-negative number';
+    }
+
+    if (sessionData.shots !== undefined) {
+        if (!Array.isArray(sessionData.shots)) {
+            return 'Shots must be an array';
+        }
+
+        if (sessionData.shots.length > MAX_SHOTS_PER_SESSION) {
+            return `A session cannot contain more than ${MAX_SHOTS_PER_SESSION} shots`;
+        }
+
+        for (let i = 0; i < sessionData.shots.length; i++) {
+            const shotError = validateShot(sessionData.shots[i], i);
+            if (shotError) {
+                return shotError;
+            }
+        }
+
+        // Counters sent alongside shot records must agree with them
+        const summary = summarizeShots(sessionData.shots);
+        const mismatched = DERIVED_COUNT_FIELDS.find(field =>
+            sessionData[field] !== undefined && sessionData[field] !== summary[field]
+        );
+        if (mismatched) {
+            return `${mismatched} (${sessionData[mismatched]}) does not match the ${summary[mismatched]} derived from shot records`;
+        }
+
+        sessionData = withShotSummary(sessionData);
+    }
+
+    const required = ['totalShots', 'successfulShots', 'timestamp', 'sessionDuration', 'shotTimings'];
+    const missing = required.filter(field => sessionData[field] === undefined);
+    
+    if (missing.length > 0) {
+        return `Missing required fields: ${missing.join(', ')}`;
+    }
+
+    if (Number.isNaN(new Date(sessionData.timestamp).getTime())) {
+        return 'Timestamp must be a valid date';
+    }
+
+    if (sessionData.successfulShots > sessionData.totalShots) {
+        return 'Successful shots cannot exceed total shots';
+    }
+
+    if (sessionData.sessionDuration <= 0) {
+        return 'Session duration must be positive';
+    }
+
+    if (!Array.isArray(sessionData.shotTimings)) {
+        return 'Shot timings must be an array';
+    }
+
+    if (Array.isArray(sessionData.shots) &&
+            sessionData.shots.some(shot => shot.timestampOffset > sessionData.sessionDuration)) {
+        return 'Shot timestampOffset cannot exceed session duration';
+    }
+
+    return null; // Valid
+};
+
+// Convert uploaded shot records to database format
+const toDbShots = (shots) => {
+    return [...shots]
+        .sort((a, b) => a.timestampOffset - b.timestampOffset)
+        .map((shot, index) => ({
+            shot_index: index,
+            swing_type: normalizeSwingType(shot.swingType),
+            successful: shot.successful,
+            timestamp_offset: shot.timestampOffset,
+            wrist_speed: shot.wristSpeed ?? null,
+            elbow_angle: shot.elbowAngle ?? null,
+            shoulder_rotation: shot.shoulderRotation ?? null,
+            confidence: shot.confidence ?? null,
+            amplitude: shot.amplitude ?? null,
+            swing_duration: shot.swingDuration ?? null
+        }));
+};
+
+// Build the database record for a validated upload, rated with the current version
+const toDbSession = (sessionData, userId) => {
+    const session = withShotSummary(sessionData);
+
+    const record = {
+        id: session.id ? session.id.toLowerCase() : uuidv4(),
+        user_id: userId,
+        total_shots: session.totalShots,
+        successful_shots: session.successfulShots,
+        timestamp: new Date(session.timestamp).toISOString(),
+        session_duration: session.sessionDuration,
+        forehand_count: session.forehandCount || 0,
+        backhand_count: session.backhandCount || 0,
+        serve_count: session.serveCount || 0,
+        shot_timings: session.shotTimings || [],
+        shots: toDbShots(session.shots || [])
+    };
+    return { ...record, ...toDbRating(rateSession(record)) };
+};
+
+// Content hash used to tell a replayed upload from a conflicting one
+const hashSessionPayload = (dbSessionData) => {
+    const { id, user_id, idempotency_key, payload_hash, ...payload } = dbSessionData;
+    RATING_COLUMNS.forEach(column => delete payload[column]); // Derived, and changes with the version
+    return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+};
+
+// Store a validated session unless it was already uploaded. The client's session
+// id doubles as the idempotency key when no Idempotency-Key header is sent.
+// Options for imported history, which often lacks ids:
+//   dedupeByContent - sessions without a key are keyed by their payload hash
+//   matchExisting   - a stored session with the same start time and counts is a duplicate
+// Resolves to { status: 'created' | 'duplicate' | 'conflict', sessionId, timestamp, error }.
+// Created sessions queue a session.created webhook event; callers run
+// onSessionsChanged for them.
+const storeSession = async (db, userId, sessionData, idempotencyKey, options = {}) => {
+    const record = toDbSession(sessionData, userId);
+    record.payload_hash = hashSessionPayload(record);
+    record.idempotency_key = idempotencyKey || (sessionData.id ? record.id : null);
+    if (!record.idempotency_key && options.dedupeByContent) {
+        record.idempotency_key = `content:${record.payload_hash}`;
+    }
+
+    if (options.matchExisting) {
+        const match = await db.findMatchingSession(userId, record);
+        if (match) {
+            return { status: 'duplicate', sessionId: match.id };
+        }
+    }
+
+    const findExisting = async () => {
+        if (record.idempotency_key) {
+            const byKey = await db.getSessionByIdempotencyKey(userId, record.idempotency_key);
+            if (byKey) {
+                return byKey;
+            }
+        }
+        return sessionData.id ? await db.getSessionById(record.id, { includeDeleted: true }) : null;
+    };
+
+    const resolveExisting = (existing) => {
+        if (existing.user_id !== userId) {
+            return { status: 'conflict', error: 'Session id is already in use' };
+        }
+        if (existing.payload_hash !== record.payload_hash) {
+            return {
+                status: 'conflict',
+                sessionId: existing.id,
+                error: 'A different session was already uploaded with this id or idempotency key'
+            };
+        }
+        return { status: 'duplicate', sessionId: existing.id };
+    };
+
+    const existing = await findExisting();
+    if (existing) {
+        return resolveExisting(existing);
+    }
+
+    try {
+        await db.createSession(record);
+    } catch (error) {
+        // A concurrent retry may have inserted the same session first
+        if (error.code === 'SQLITE_CONSTRAINT') {
+            const raced = await findExisting();
+            if (raced) {
+                return resolveExisting(raced);
+            }
+        }
+        throw error;
+    }
+
+    await enqueueWebhookEvent(db, userId, 'session.created', toAppSession(await db.getSessionById(record.id)));
+
+    return { status: 'created', sessionId: record.id, timestamp: record.timestamp };
+};
+
+// Thrown to roll back a dry run once every item has been evaluated
+class DryRunRollback extends Error {}
+
+// Validate and store a list of sessions in one transaction. Each item gets a
+// savepoint, so an item that fails is rolled back without undoing the others.
+// A dry run evaluates everything the same way and then rolls it all back.
+// Resolves to one { index, status: 'created' | 'duplicate' | 'rejected', sessionId, error }
+// per item, in order.
+const ingestSessions = async (db, userId, items, { dryRun = false, ...storeOptions } = {}) => {
+    let results = [];
+
+    try {
+        await db.transaction(async (tx) => {
+            results = [];
+            let earliestCreated = null;
+
+            for (let index = 0; index < items.length; index++) {
+                const sessionData = items[index] || {};
+                const validationError = validateSessionData(sessionData);
+
+                if (validationError) {
+                    results.push({ index, status: 'rejected', error: validationError });
+                    continue;
+                }
+
+                try {
+                    const result = await tx.transaction((itemTx) =>
+                        storeSession(itemTx, userId, sessionData, undefined, storeOptions)
+                    );
+                    results.push(result.status === 'conflict'
+                        ? { index, status: 'rejected', sessionId: result.sessionId, error: result.error }
+                        : { index, status: result.status, sessionId: result.sessionId });
+                    if (result.status === 'created' && (!earliestCreated || result.timestamp < earliestCreated)) {
+                        earliestCreated = result.timestamp;
+                    }
+                } catch (error) {
+                    console.error(`Session item ${index} error:`, error);
+                    results.push({ index, status: 'rejected', error: 'Failed to save session' });
+                }
+            }
+
+            // Once for the whole list, so out-of-order history is replayed once
+            if (earliestCreated && !dryRun) {
+                await onSessionsChanged(tx, userId, earliestCreated);
+            }
+
+            if (dryRun) {
+                throw new DryRunRollback();
+            }
+        });
+    } catch (error) {
+        if (!(error instanceof DryRunRollback)) {
+            throw error;
+        }
+    }
+
+    return results;
+};
+
+// Count results by status
+const summarizeResults = (results) => {
+    const countStatus = (status) => results.filter(result => result.status === status).length;
+    return {
+        created: countStatus('created'),
+        duplicate: countStatus('duplicate'),
+        rejected: countStatus('rejected')
+    };
+};
+
+module.exports = {
+    SWING_TYPES,
+    MAX_SHOTS_PER_SESSION,
+    MAX_IDEMPOTENCY_KEY_LENGTH,
+    normalizeSwingType,
+    validateShot,
+    toShotRecord,
+    summarizeShots,
+    validateSessionData,
+    toDbSession,
+    storeSession,
+    ingestSessions,
+    summarizeResults
+};
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const { loadPlayerProfile } = require('./playerProfile');
+const { toAppSession, toAppShot } = require('./sessionFormat');
+const { loadDashboardStatistics } = require('./statsAggregates');
+const { toAppSkillRating } = require('./skillRating');
+
+// Public, read-only links to one session or a stats snapshot. Anyone with the
+// token can open the link until it expires or is revoked. Shared views never
+// contain the owner's email or any user id, and the name only on request.
+
+const SHARE_KINDS = ['session', 'stats'];
+const DEFAULT_SHARE_DAYS = 7;
+const MAX_SHARE_DAYS = 90;
+const SHARE_LINK_URL = process.env.SHARE_LINK_URL || 'https://tennisrating.app/shared';
+
+const generateShareToken = () => crypto.randomBytes(24).toString('base64url');
+
+// SQLite DATETIME (UTC) to Date
+const fromSqlDateTime = (value) => value ? new Date(`${value.replace(' ', 'T')}Z`) : null;
+
+const shareLinkStatus = (link, now = new Date()) => {
+    if (link.revoked_at) {
+        return 'revoked';
+    }
+    return fromSqlDateTime(link.expires_at) <= now ? 'expired' : 'active';
+};
+
+// Dashboard statistics frozen at the time of sharing
+const buildStatsSnapshot = async (db, userId, timeframe, now = new Date()) => {
+    const { timezone } = await loadPlayerProfile(db, userId);
+    const overall = (await db.getSkillRatings(userId)).find(row => row.stroke === 'overall');
+    const { rating, rd, interval, provisional } = toAppSkillRating('overall', overall, now);
+
+    return {
+        timeframe,
+        timezone,
+        generatedAt: now,
+        ...(await loadDashboardStatistics(db, userId, timeframe, now)),
+        skill: { rating, rd, interval, provisional }
+    };
+};
+
+// A link as its owner sees it
+const toAppShareLink = (link) => ({
+    id: link.id,
+    kind: link.kind,
+    sessionId: link.session_id,
+    url: `${SHARE_LINK_URL}/${link.token}`,
+    token: link.token,
+    showName: Boolean(link.show_name),
+    status: shareLinkStatus(link),
+    expiresAt: fromSqlDateTime(link.expires_at),
+    revokedAt: fromSqlDateTime(link.revoked_at),
+    accessCount: link.access_count,
+    lastAccessedAt: fromSqlDateTime(link.last_accessed_at),
+    createdAt: fromSqlDateTime(link.created_at)
+});
+
+// The public view of a shared session, without ids
+const toSharedSession = (session, shots) => {
+    const { id, ...view } = toAppSession(session);
+    return {
+        ...view,
+        shots: shots.map(toAppShot)
+    };
+};
+
+module.exports = {
+    SHARE_KINDS,
+    DEFAULT_SHARE_DAYS,
+    MAX_SHARE_DAYS,
+    generateShareToken,
+    shareLinkStatus,
+    buildStatsSnapshot,
+    toAppShareLink,
+    toSharedSession
+};
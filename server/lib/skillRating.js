@@ -0,0 +1,186 @@
+// Long-running skill rating per player and stroke, using Glicko-1.
+// Each session is scored 0-1 and played as one game against a fixed
+// benchmark opponent rated 1500, so a player who keeps scoring 0.5 settles
+// at 1500 and one who keeps scoring 0.85 settles around 1800. The rating
+// deviation (RD) shrinks with every session and grows back during inactivity.
+
+const SKILL_STROKES = ['overall', 'forehand', 'backhand', 'serve'];
+
+const INITIAL_RATING = 1500;
+const INITIAL_RD = 350; // Also the ceiling RD grows back to
+const MIN_RD = 30;
+const BENCHMARK_RATING = 1500;
+// RD grows from a settled 50 back to INITIAL_RD after 180 days without a session
+const RD_GROWTH_PER_DAY = Math.sqrt((INITIAL_RD ** 2 - 50 ** 2) / 180);
+// Fewer shots than this say too little about a stroke to move its rating
+const MIN_SHOTS_PER_UPDATE = 5;
+// RD at or above this means the rating is still provisional
+const PROVISIONAL_RD = 110;
+
+const Q = Math.log(10) / 400;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// RD after `days` without a session
+const inflateRd = (rd, days) => {
+    return Math.min(Math.sqrt(rd ** 2 + RD_GROWTH_PER_DAY ** 2 * Math.max(0, days)), INITIAL_RD);
+};
+
+// Rate one session: outcome is the session's 0-1 performance
+const applyOutcome = ({ rating, rd }, outcome) => {
+    // The benchmark's rating is exact, so its g(RD) is 1
+    const expected = 1 / (1 + Math.pow(10, -(rating - BENCHMARK_RATING) / 400));
+    const dSquared = 1 / (Q ** 2 * expected * (1 - expected));
+    const precision = 1 / rd ** 2 + 1 / dSquared;
+
+    return {
+        rating: rating + (Q / precision) * (outcome - expected),
+        rd: Math.max(Math.sqrt(1 / precision), MIN_RD)
+    };
+};
+
+// 0-1 performance per stroke for a session. Overall uses the session's
+// rating score; strokes use the success rate of their shot records.
+// strokeResults maps swing type to { shots, successful }.
+const sessionOutcomes = (session, strokeResults) => {
+    const outcomes = {};
+
+    if (session.total_shots >= MIN_SHOTS_PER_UPDATE && session.rating_score !== null) {
+        outcomes.overall = session.rating_score / 100;
+    }
+
+    SKILL_STROKES.filter(stroke => stroke !== 'overall').forEach(stroke => {
+        const result = strokeResults && strokeResults[stroke];
+        if (result && result.shots >= MIN_SHOTS_PER_UPDATE) {
+            outcomes[stroke] = result.successful / result.shots;
+        }
+    });
+
+    return outcomes;
+};
+
+const daysBetween = (from, to) => (new Date(to) - new Date(from)) / DAY_MS;
+
+const REPLAY_BATCH_SIZE = 200; // Sessions whose shot results are loaded per query
+
+// Replay a user's sessions from `from` (a session timestamp) onward,
+// rewriting their rating history and current ratings. Sessions before `from`
+// keep their history, so appending a new session only replays that session.
+const rebuildSkillRatings = async (db, userId, from = '') => {
+    const states = new Map();
+    for (const stroke of SKILL_STROKES) {
+        const previous = await db.getSkillStateBefore(userId, stroke, from);
+        if (previous) {
+            states.set(stroke, {
+                rating: previous.rating,
+                rd: previous.rd,
+                sessionsCount: previous.sessions_count,
+                lastPlayedAt: previous.played_at
+            });
+        }
+    }
+
+    await db.deleteSkillHistoryFrom(userId, from);
+
+    const replay = async (sessions) => {
+        const resultsBySession = await db.getStrokeResultsForSessions(sessions.map(session => session.id));
+
+        for (const session of sessions) {
+            const outcomes = sessionOutcomes(session, resultsBySession.get(session.id));
+
+            for (const [stroke, outcome] of Object.entries(outcomes)) {
+                const state = states.get(stroke);
+                const prior = state
+                    ? { rating: state.rating, rd: inflateRd(state.rd, daysBetween(state.lastPlayedAt, session.timestamp)) }
+                    : { rating: INITIAL_RATING, rd: INITIAL_RD };
+                const next = applyOutcome(prior, outcome);
+
+                states.set(stroke, {
+                    ...next,
+                    sessionsCount: (state ? state.sessionsCount : 0) + 1,
+                    lastPlayedAt: session.timestamp
+                });
+                await db.createSkillHistoryEntry({
+                    user_id: userId,
+                    stroke,
+                    session_id: session.id,
+                    played_at: session.timestamp,
+                    outcome,
+                    rating: next.rating,
+                    rd: next.rd
+                });
+            }
+        }
+    };
+
+    let batch = [];
+    for await (const session of db.iterateUserSessions(userId, REPLAY_BATCH_SIZE, from)) {
+        batch.push(session);
+        if (batch.length === REPLAY_BATCH_SIZE) {
+            await replay(batch);
+            batch = [];
+        }
+    }
+    if (batch.length > 0) {
+        await replay(batch);
+    }
+
+    for (const stroke of SKILL_STROKES) {
+        const state = states.get(stroke);
+        if (state) {
+            await db.upsertSkillRating({
+                user_id: userId,
+                stroke,
+                rating: state.rating,
+                rd: state.rd,
+                sessions_count: state.sessionsCount,
+                last_played_at: state.lastPlayedAt
+            });
+        } else {
+            await db.deleteSkillRating(userId, stroke);
+        }
+    }
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// A rating with its 95% confidence interval
+const toAppSkillPoint = (rating, rd) => ({
+    rating: round(rating),
+    rd: round(rd),
+    interval: {
+        low: round(rating - 1.96 * rd),
+        high: round(rating + 1.96 * rd)
+    }
+});
+
+// A stroke's current rating, with RD grown for the time since the last session.
+// Strokes without any rated session get the starting rating.
+const toAppSkillRating = (stroke, row, now = new Date()) => {
+    const rd = row ? inflateRd(row.rd, daysBetween(row.last_played_at, now)) : INITIAL_RD;
+
+    return {
+        stroke,
+        ...toAppSkillPoint(row ? row.rating : INITIAL_RATING, rd),
+        provisional: rd >= PROVISIONAL_RD,
+        sessions: row ? row.sessions_count : 0,
+        lastPlayedAt: row ? new Date(row.last_played_at) : null
+    };
+};
+
+const toAppSkillHistoryEntry = (entry) => ({
+    sessionId: entry.session_id,
+    playedAt: new Date(entry.played_at),
+    outcome: Math.round(entry.outcome * 1000) / 1000,
+    ...toAppSkillPoint(entry.rating, entry.rd)
+});
+
+module.exports = {
+    SKILL_STROKES,
+    PROVISIONAL_RD,
+    inflateRd,
+    applyOutcome,
+    sessionOutcomes,
+    rebuildSkillRatings,
+    toAppSkillRating,
+    toAppSkillHistoryEntry
+};
@@ -0,0 +1,450 @@
+const { localDateKey, bucketStart, nextBucketStart } = require('./time');
+
+// Port of the iOS StatisticsManager, so every device gets the same numbers.
+// Works on sessions in database format (with their stored rating), oldest
+// first, or on day rows summing them. Calendar days and weekdays follow the
+// player's timezone.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// Same windows as StatisticsManager.TimeFrame
+const TIMEFRAME_DAYS = {
+    week: 7,
+    month: 30,
+    quarter: 90,
+    year: 365,
+    all: null
+};
+const TIMEFRAMES = Object.keys(TIMEFRAME_DAYS);
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// [from, to) covering the timeframe up to and including `now`
+const timeframeRange = (timeframe, now = new Date()) => {
+    const days = TIMEFRAME_DAYS[timeframe];
+    return {
+        from: days === null ? new Date(0) : new Date(now.getTime() - days * DAY_MS),
+        to: new Date(now.getTime() + 1)
+    };
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Day rows hold the sums of one local day's sessions; statsAggregates stores
+// them in user_daily_stats. The dashboard is calculated from day rows in time
+// order, each a whole day or a single session, so it comes out the same from
+// stored days as from the sessions themselves.
+const emptyDay = (date) => ({
+    date,
+    sessions_count: 0,
+    total_shots: 0,
+    successful_shots: 0,
+    success_rate_sum: 0,
+    success_rate_count: 0, // Sessions with shots, which have a success rate
+    success_rate_square_sum: 0,
+    best_success_rate: null,
+    total_duration: 0,
+    rating_sum: 0,
+    score_sum: 0,
+    best_rating: 0,
+    forehand_count: 0,
+    backhand_count: 0,
+    serve_count: 0
+});
+
+// Session columns summed into day rows
+const SESSION_NUMBER_COLUMNS = [
+    'total_shots', 'successful_shots', 'session_duration', 'rating', 'rating_score',
+    'forehand_count', 'backhand_count', 'serve_count'
+];
+
+// Rows stored before uploads were validated may hold text such as "300abc"
+// or nulls, which `+=` would concatenate or spread as NaN. Numeric text
+// counts as its number; anything else that isn't a non-negative number
+// counts as 0.
+const toSessionNumber = (value) => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    return typeof number === 'number' && Number.isFinite(number) && number >= 0 ? number : 0;
+};
+
+const addSessionToDay = (day, stored) => {
+    const session = {};
+    SESSION_NUMBER_COLUMNS.forEach(column => {
+        session[column] = toSessionNumber(stored[column]);
+    });
+    const successRate = session.total_shots > 0 ? Math.min(session.successful_shots / session.total_shots, 1) * 100 : null;
+
+    day.sessions_count += 1;
+    day.total_shots += session.total_shots;
+    day.successful_shots += session.successful_shots;
+    day.success_rate_sum += successRate || 0;
+    day.success_rate_count += successRate === null ? 0 : 1;
+    day.success_rate_square_sum += (successRate || 0) ** 2;
+    if (successRate !== null && (day.best_success_rate === null || successRate > day.best_success_rate)) {
+        day.best_success_rate = successRate;
+    }
+    day.total_duration += session.session_duration;
+    day.rating_sum += session.rating;
+    day.score_sum += session.rating_score;
+    day.best_rating = Math.max(day.best_rating, session.rating);
+    day.forehand_count += session.forehand_count;
+    day.backhand_count += session.backhand_count;
+    day.serve_count += session.serve_count;
+};
+
+// Day row of a single session (database format)
+const summarizeSession = (session, timeZone) => {
+    const day = emptyDay(localDateKey(session.timestamp, timeZone));
+    addSessionToDay(day, session);
+    return day;
+};
+
+const sumOf = (rows, column) => sum(rows.map(row => row[column]));
+
+// Days between two YYYY-MM-DD keys
+const daysBetweenKeys = (from, to) => Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS);
+
+const weekdayOf = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+// Consecutive practice days (YYYY-MM-DD keys): the longest run, and the run
+// that ends today or yesterday
+const calculateStreaks = (dateKeys, timeZone, now) => {
+    const days = [...new Set(dateKeys)].sort();
+    if (days.length === 0) {
+        return { currentStreak: 0, longestStreak: 0 };
+    }
+
+    let longestStreak = 0;
+    let run = 1;
+    for (let i = 1; i < days.length; i++) {
+        if (daysBetweenKeys(days[i - 1], days[i]) === 1) {
+            run += 1;
+        } else {
+            longestStreak = Math.max(longestStreak, run);
+            run = 1;
+        }
+    }
+    longestStreak = Math.max(longestStreak, run);
+
+    let currentStreak = 0;
+    if (daysBetweenKeys(days[days.length - 1], localDateKey(now, timeZone)) <= 1) {
+        currentStreak = 1;
+        for (let i = days.length - 2; i >= 0; i--) {
+            if (daysBetweenKeys(days[i], days[i + 1]) !== 1) {
+                break;
+            }
+            currentStreak += 1;
+        }
+    }
+
+    return { currentStreak, longestStreak };
+};
+
+// Sessions and shots per weekday, Sunday first
+const calculateWeeklyActivity = (rows) => {
+    const activity = WEEKDAYS.map(day => ({ day, sessionCount: 0, totalShots: 0 }));
+
+    rows.forEach(row => {
+        const entry = activity[weekdayOf(row.date)];
+        entry.sessionCount += row.sessions_count;
+        entry.totalShots += row.total_shots;
+    });
+
+    return activity;
+};
+
+const calculateOverview = (rows, timeZone, now) => {
+    const totalSessions = sumOf(rows, 'sessions_count');
+    const totalShots = sumOf(rows, 'total_shots');
+    const totalSuccessfulShots = sumOf(rows, 'successful_shots');
+    const totalPracticeTime = sumOf(rows, 'total_duration');
+
+    // Most sessions by weekday; ties go to the earlier day in the week
+    const weekdayCounts = calculateWeeklyActivity(rows).map(entry => entry.sessionCount);
+    const busiest = Math.max(...weekdayCounts);
+
+    return {
+        totalSessions,
+        totalShots,
+        totalPracticeTime,
+        averageRating: round(totalSessions > 0 ? sumOf(rows, 'rating_sum') / totalSessions : 0),
+        bestRating: totalSessions > 0 ? Math.max(...rows.map(row => row.best_rating)) : 0,
+        averageSessionLength: round(totalSessions > 0 ? totalPracticeTime / totalSessions : 0),
+        totalSuccessfulShots,
+        overallSuccessRate: round(totalShots > 0 ? totalSuccessfulShots / totalShots : 0, 4),
+        mostProductiveDay: busiest > 0 ? WEEKDAYS[weekdayCounts.indexOf(busiest)] : 'None',
+        ...calculateStreaks(rows.map(row => row.date), timeZone, now)
+    };
+};
+
+// Session positions the dashboard splits the sessions at: the halves of the
+// improvement trend and the chunks of the skill progression. Day rows must
+// not straddle any of them.
+const chunkSize = (count) => Math.max(1, Math.floor(count / 10));
+
+const dashboardBoundaries = (count) => {
+    const boundaries = new Set();
+    if (count >= 4) {
+        const half = Math.floor(count / 2);
+        boundaries.add(half);
+        boundaries.add(count - half);
+    }
+    if (count >= 5) {
+        for (let i = chunkSize(count); i < count; i += chunkSize(count)) {
+            boundaries.add(i);
+        }
+    }
+    return boundaries;
+};
+
+// Rows holding sessions start..end-1 (positions in time order)
+const rowsBetween = (rows, start, end) => {
+    const selected = [];
+    let position = 0;
+    for (const row of rows) {
+        const next = position + row.sessions_count;
+        if (position < end && next > start) {
+            if (position < start || next > end) {
+                throw new Error(`Day ${row.date} straddles sessions ${start}-${end}; split it into sessions first`);
+            }
+            selected.push(row);
+        }
+        position = next;
+    }
+    return selected;
+};
+
+// Change in average rating between the older and newer half, scaled to 0-100
+const calculateImprovementTrend = (rows, count) => {
+    if (count < 4) {
+        return 0;
+    }
+
+    const half = Math.floor(count / 2);
+    const firstHalf = sumOf(rowsBetween(rows, 0, half), 'rating_sum') / half;
+    const secondHalf = sumOf(rowsBetween(rows, count - half, count), 'rating_sum') / half;
+
+    return (secondHalf - firstHalf) * 20;
+};
+
+const grade = (score) => {
+    if (score >= 90) return 'A+';
+    if (score >= 80) return 'A';
+    if (score >= 70) return 'B';
+    if (score >= 60) return 'C';
+    return 'D';
+};
+
+// `span` is the time from the first to the last session, in milliseconds
+const calculatePerformance = (rows, span) => {
+    const count = sumOf(rows, 'sessions_count');
+    if (count === 0) {
+        return {
+            consistency: 0,
+            improvement: 0,
+            efficiency: 0,
+            volume: 0,
+            overallScore: 0,
+            consistencyGrade: grade(0),
+            overallGrade: grade(0)
+        };
+    }
+
+    // Consistency: how steady the success rate is from session to session
+    const meanRate = sumOf(rows, 'success_rate_sum') / count;
+    const variance = Math.max(0, sumOf(rows, 'success_rate_square_sum') / count - meanRate ** 2);
+    const consistency = Math.max(0, 1 - Math.sqrt(variance) / 100) * 100;
+
+    const improvement = calculateImprovementTrend(rows, count);
+
+    // Efficiency: successful shots per minute
+    const totalMinutes = sumOf(rows, 'total_duration') / 60;
+    const efficiency = totalMinutes > 0 ? sumOf(rows, 'successful_shots') / totalMinutes : 0;
+
+    // Volume: sessions per week
+    const volume = count / Math.max(1, span / WEEK_MS);
+
+    const overallScore = consistency * 0.3 + improvement * 0.25 + efficiency * 0.25 + Math.min(volume * 10, 100) * 0.2;
+
+    return {
+        consistency: round(consistency),
+        improvement: round(improvement),
+        efficiency: round(efficiency),
+        volume: round(volume),
+        overallScore: round(overallScore),
+        consistencyGrade: grade(consistency),
+        overallGrade: grade(overallScore)
+    };
+};
+
+const calculateShotTypeDistribution = (rows) => {
+    const counts = [
+        ['Forehand', sumOf(rows, 'forehand_count')],
+        ['Backhand', sumOf(rows, 'backhand_count')],
+        ['Serve', sumOf(rows, 'serve_count')]
+    ];
+    const total = sum(counts.map(([, count]) => count));
+    if (total === 0) {
+        return [];
+    }
+
+    return counts
+        .filter(([, count]) => count > 0)
+        .map(([type, count]) => ({ type, count, percentage: round(count / total, 4) }));
+};
+
+// Averages over consecutive chunks of sessions (about ten points); needs at least five sessions
+const calculateSkillProgression = (rows) => {
+    const count = sumOf(rows, 'sessions_count');
+    if (count < 5) {
+        return [];
+    }
+
+    const size = chunkSize(count);
+    const progression = [];
+
+    for (let i = 0; i < count; i += size) {
+        const chunk = rowsBetween(rows, i, Math.min(i + size, count));
+        const sessions = sumOf(chunk, 'sessions_count');
+        progression.push({
+            sessionRange: i + 1,
+            rating: round(sumOf(chunk, 'rating_sum') / sessions),
+            successRate: round(sumOf(chunk, 'success_rate_sum') / 100 / sessions, 4),
+            totalShots: sumOf(chunk, 'total_shots')
+        });
+    }
+
+    return progression;
+};
+
+// Everything the statistics dashboard shows, from the day rows of a
+// timeframe in time order. No row may straddle dashboardBoundaries(count);
+// firstTimestamp and lastTimestamp are those of the first and last session.
+const calculateDashboard = (rows, { timeZone = 'UTC', now = new Date(), firstTimestamp = null, lastTimestamp = null } = {}) => ({
+    overview: calculateOverview(rows, timeZone, now),
+    performance: calculatePerformance(rows, firstTimestamp ? new Date(lastTimestamp) - new Date(firstTimestamp) : 0),
+    shotTypeDistribution: calculateShotTypeDistribution(rows),
+    weeklyActivity: calculateWeeklyActivity(rows),
+    skillProgression: calculateSkillProgression(rows)
+});
+
+// The dashboard for sessions (database format), oldest first
+const calculateStatistics = (sessions, { timeZone = 'UTC', now = new Date() } = {}) => calculateDashboard(
+    sessions.map(session => summarizeSession(session, timeZone)),
+    {
+        timeZone,
+        now,
+        firstTimestamp: sessions.length > 0 ? sessions[0].timestamp : null,
+        lastTimestamp: sessions.length > 0 ? sessions[sessions.length - 1].timestamp : null
+    }
+);
+
+const PROGRESS_GRANULARITIES = ['day', 'week', 'month'];
+// Optional per-bucket metrics for the progress chart
+const PROGRESS_METRICS = ['successRate', 'averageRating', 'shotsPerMinute', 'strokes'];
+
+// Start dates of the buckets covering from..to
+const progressBuckets = (from, to, granularity) => {
+    const keys = [];
+    for (let key = bucketStart(from, granularity); key <= to; key = nextBucketStart(key, granularity)) {
+        keys.push(key);
+    }
+    return keys;
+};
+
+const emptyTotals = () => ({
+    sessions: 0,
+    shots: 0,
+    successfulShots: 0,
+    successRateSum: 0,
+    successRateCount: 0,
+    duration: 0,
+    ratingSum: 0,
+    scoreSum: 0,
+    forehand: 0,
+    backhand: 0,
+    serve: 0
+});
+
+const addDayToTotals = (totals, day) => {
+    totals.sessions += day.sessions_count;
+    totals.shots += day.total_shots;
+    totals.successfulShots += day.successful_shots;
+    totals.successRateSum += day.success_rate_sum;
+    totals.successRateCount += day.success_rate_count;
+    totals.duration += day.total_duration;
+    totals.ratingSum += day.rating_sum;
+    totals.scoreSum += day.score_sum;
+    totals.forehand += day.forehand_count;
+    totals.backhand += day.backhand_count;
+    totals.serve += day.serve_count;
+};
+
+const toProgressPoint = (totals, metrics) => {
+    const point = {
+        // Average per-session success rate (%), kept under its original name.
+        // Sessions without shots have no success rate and are left out.
+        rating: totals.successRateCount > 0 ? round(totals.successRateSum / totals.successRateCount) : 0,
+        shots: totals.shots,
+        sessionsCount: totals.sessions
+    };
+
+    if (metrics.includes('successRate')) {
+        point.successRate = totals.shots > 0 ? round(totals.successfulShots / totals.shots * 100) : 0;
+    }
+    if (metrics.includes('averageRating')) {
+        point.averageRating = totals.sessions > 0 ? round(totals.ratingSum / totals.sessions) : 0;
+        point.averageScore = totals.sessions > 0 ? round(totals.scoreSum / totals.sessions) : 0;
+    }
+    if (metrics.includes('shotsPerMinute')) {
+        point.shotsPerMinute = totals.duration > 0 ? round(totals.shots / (totals.duration / 60)) : 0;
+    }
+    if (metrics.includes('strokes')) {
+        point.strokes = { forehand: totals.forehand, backhand: totals.backhand, serve: totals.serve };
+    }
+
+    return point;
+};
+
+// Progress chart data from day rows (see statsAggregates): one bucket per
+// day, week or month from `from` to `to` (inclusive YYYY-MM-DD keys), oldest
+// first. Buckets without sessions are zero-filled so charts don't skip them.
+const calculateProgress = (days, { from, to, granularity = 'day', metrics = PROGRESS_METRICS }) => {
+    const buckets = new Map();
+    progressBuckets(from, to, granularity).forEach(key => buckets.set(key, emptyTotals()));
+
+    days.forEach(day => {
+        const bucket = buckets.get(bucketStart(day.date, granularity));
+        if (bucket && day.date >= from && day.date <= to) {
+            addDayToTotals(bucket, day);
+        }
+    });
+
+    return [...buckets.entries()].map(([date, bucket]) => ({ date, ...toProgressPoint(bucket, metrics) }));
+};
+
+// One progress point covering all day rows from `from` to `to` (inclusive)
+const calculateTotals = (days, { from, to, metrics = PROGRESS_METRICS }) => {
+    const totals = emptyTotals();
+    days.filter(day => day.date >= from && day.date <= to).forEach(day => addDayToTotals(totals, day));
+    return toProgressPoint(totals, metrics);
+};
+
+module.exports = {
+    TIMEFRAMES,
+    PROGRESS_GRANULARITIES,
+    PROGRESS_METRICS,
+    timeframeRange,
+    emptyDay,
+    addSessionToDay,
+    summarizeSession,
+    calculateStreaks,
+    dashboardBoundaries,
+    calculateDashboard,
+    calculateStatistics,
+    progressBuckets,
+    calculateProgress,
+    calculateTotals
+};
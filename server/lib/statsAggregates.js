@@ -0,0 +1,222 @@
+const { localDateKey, startOfLocalDay, addDays } = require('./time');
+const { loadPlayerProfile } = require('./playerProfile');
+const {
+    timeframeRange,
+    emptyDay,
+    addSessionToDay,
+    summarizeSession,
+    dashboardBoundaries,
+    calculateDashboard,
+    calculateStatistics
+} = require('./statistics');
+
+// Per-day session totals (user_daily_stats) in the player's timezone, and
+// per-user totals (user_stats) summed from them. Both are refreshed from the
+// first affected day onward whenever sessions change, so reads never scan
+// the session history.
+
+// Day rows for sessions (database format), oldest day first
+const summarizeDays = (sessions, timeZone) => {
+    const days = new Map();
+    for (const session of sessions) {
+        const date = localDateKey(session.timestamp, timeZone);
+        if (!days.has(date)) {
+            days.set(date, emptyDay(date));
+        }
+        addSessionToDay(days.get(date), session);
+    }
+    return [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// Recompute a user's aggregates for days from `from` (a session timestamp)
+// onward, in the profile timezone. A timezone change since the last refresh
+// rebuilds everything.
+const refreshStatsAggregates = async (db, userId, from = '') => {
+    const { timezone } = await loadPlayerProfile(db, userId);
+    const current = await db.getUserStatsAggregate(userId);
+    if (!current || current.timezone !== timezone) {
+        from = '';
+    }
+
+    const fromDay = from ? localDateKey(from, timezone) : '';
+    await db.deleteDailyStatsFrom(userId, fromDay);
+
+    // Days are written as soon as the sessions move past them
+    let day = null;
+    const sessions = db.iterateUserSessions(userId, 200, fromDay ? startOfLocalDay(fromDay, timezone).toISOString() : '');
+    for await (const session of sessions) {
+        const date = localDateKey(session.timestamp, timezone);
+        if (!day || day.date !== date) {
+            if (day) {
+                await db.createDailyStats(userId, day);
+            }
+            day = emptyDay(date);
+        }
+        addSessionToDay(day, session);
+    }
+    if (day) {
+        await db.createDailyStats(userId, day);
+    }
+
+    await db.refreshUserStatsTotals(userId, timezone);
+};
+
+// Day rows for local days from `from` to `to` (inclusive YYYY-MM-DD keys).
+// Day totals are materialized in the profile timezone; any other zone needs
+// the sessions bucketed by its own day boundaries.
+const loadDaySummaries = async (db, userId, from, to, timeZone) => {
+    const aggregates = await db.getUserStatsAggregate(userId);
+    if (aggregates && aggregates.timezone === timeZone) {
+        return await db.getDailyStats(userId, from, to);
+    }
+
+    const sessions = await db.getUserSessionsInRange(
+        userId,
+        startOfLocalDay(from, timeZone).toISOString(),
+        startOfLocalDay(addDays(to, 1), timeZone).toISOString()
+    );
+    return summarizeDays(sessions, timeZone);
+};
+
+// Sums are added in a different order, so allow for rounding
+const TOLERANCE = 1e-6;
+
+const DAY_COLUMNS = [
+    'sessions_count', 'total_shots', 'successful_shots', 'success_rate_sum', 'success_rate_count', 'success_rate_square_sum',
+    'best_success_rate', 'total_duration', 'rating_sum', 'score_sum', 'best_rating', 'forehand_count', 'backhand_count', 'serve_count'
+];
+
+// user_stats column for each day column it totals
+const TOTAL_COLUMNS = {
+    sessions_count: 'total_sessions',
+    total_shots: 'total_shots',
+    successful_shots: 'total_successful_shots',
+    success_rate_sum: 'success_rate_sum',
+    success_rate_count: 'success_rate_count',
+    best_success_rate: 'best_success_rate',
+    total_duration: 'total_duration',
+    rating_sum: 'rating_sum',
+    score_sum: 'score_sum',
+    best_rating: 'best_rating',
+    forehand_count: 'total_forehand',
+    backhand_count: 'total_backhand',
+    serve_count: 'total_serves'
+};
+
+const sameValue = (a, b) => {
+    if (a === null || b === null || a === undefined || b === undefined) {
+        return (a ?? null) === (b ?? null);
+    }
+    return Math.abs(a - b) <= TOLERANCE * Math.max(1, Math.abs(a), Math.abs(b));
+};
+
+// Differences between a user's stored aggregates and a full recompute, as
+// messages; none when they are current
+const verifyStatsAggregates = async (db, userId) => {
+    const problems = [];
+    const { timezone } = await loadPlayerProfile(db, userId);
+
+    const sessions = [];
+    for await (const session of db.iterateUserSessions(userId)) {
+        sessions.push(session);
+    }
+    const expectedDays = summarizeDays(sessions, timezone);
+
+    const totals = await db.getUserStatsAggregate(userId);
+    if (!totals) {
+        // Players who never had a session may not have a row yet
+        return expectedDays.length === 0 ? [] : ['user_stats row is missing'];
+    }
+    if (totals.timezone !== timezone) {
+        problems.push(`user_stats timezone is ${totals.timezone}, profile has ${timezone}`);
+    }
+
+    const storedDays = new Map((await db.getDailyStats(userId, '', '9999-12-31')).map(day => [day.date, day]));
+    expectedDays.forEach(expected => {
+        const stored = storedDays.get(expected.date);
+        storedDays.delete(expected.date);
+        if (!stored) {
+            problems.push(`${expected.date}: day row is missing`);
+            return;
+        }
+        DAY_COLUMNS.forEach(column => {
+            if (!sameValue(stored[column], expected[column])) {
+                problems.push(`${expected.date}: ${column} is ${stored[column]}, expected ${expected[column]}`);
+            }
+        });
+    });
+    storedDays.forEach((day, date) => problems.push(`${date}: day row has no sessions`));
+
+    Object.entries(TOTAL_COLUMNS).forEach(([dayColumn, totalColumn]) => {
+        const values = expectedDays.map(day => day[dayColumn]).filter(value => value !== null);
+        const expected = dayColumn.startsWith('best_')
+            ? (values.length > 0 ? Math.max(...values) : null)
+            : values.reduce((sum, value) => sum + value, 0);
+        if (!sameValue(totals[totalColumn], expected)) {
+            problems.push(`user_stats.${totalColumn} is ${totals[totalColumn]}, expected ${expected}`);
+        }
+    });
+
+    return problems;
+};
+
+// Sessions of a local day that fall in [from, to)
+const loadDaySessions = (db, userId, date, timeZone, from, to) => {
+    const dayStart = startOfLocalDay(date, timeZone);
+    const dayEnd = startOfLocalDay(addDays(date, 1), timeZone);
+    return db.getUserSessionsInRange(
+        userId,
+        new Date(Math.max(dayStart, from)).toISOString(),
+        new Date(Math.min(dayEnd, to)).toISOString()
+    );
+};
+
+// The statistics dashboard for a timeframe (see lib/statistics) from the day
+// rows. Only a bounded number of days are read as sessions: the first and
+// last day of the range, which the range may cut through, and days holding a
+// session where the dashboard splits the history into halves or chunks.
+const loadDashboardStatistics = async (db, userId, timeframe, now = new Date()) => {
+    const { timezone } = await loadPlayerProfile(db, userId);
+    const range = timeframeRange(timeframe, now);
+
+    const aggregates = await db.getUserStatsAggregate(userId);
+    if (!aggregates || aggregates.timezone !== timezone) {
+        const sessions = await db.getUserSessionsInRange(userId, range.from.toISOString(), range.to.toISOString());
+        return calculateStatistics(sessions, { timeZone: timezone, now });
+    }
+
+    const firstDay = localDateKey(range.from, timezone);
+    const lastDay = localDateKey(now, timezone);
+    const toSessionRows = async (date) => {
+        const sessions = await loadDaySessions(db, userId, date, timezone, range.from, range.to);
+        return sessions.map(session => summarizeSession(session, timezone));
+    };
+
+    let rows = [];
+    for (const day of await db.getDailyStats(userId, firstDay, lastDay)) {
+        rows.push(...(day.date === firstDay || day.date === lastDay ? await toSessionRows(day.date) : [day]));
+    }
+
+    const count = rows.reduce((total, row) => total + row.sessions_count, 0);
+    const boundaries = [...dashboardBoundaries(count)];
+    const split = [];
+    let position = 0;
+    for (const row of rows) {
+        const next = position + row.sessions_count;
+        const straddles = boundaries.some(boundary => boundary > position && boundary < next);
+        split.push(...(straddles ? await toSessionRows(row.date) : [row]));
+        position = next;
+    }
+    rows = split;
+
+    const { first, last } = await db.getSessionTimestampBounds(userId, range.from.toISOString(), range.to.toISOString());
+    return calculateDashboard(rows, { timeZone: timezone, now, firstTimestamp: first, lastTimestamp: last });
+};
+
+module.exports = {
+    summarizeDays,
+    refreshStatsAggregates,
+    loadDaySummaries,
+    verifyStatsAggregates,
+    loadDashboardStatistics
+};
@@ -0,0 +1,229 @@
+// Server-side port of the app's swing classification, so swings can be
+// classified again when the algorithm changes. Without calibration it follows
+// EnhancedSwingDetector.detectSwingType(): fixed rules on the wrist path, with
+// the debug view's direction scores. With a calibration profile it follows
+// SwingCalibrationData.classifySwing(): the best match score against the
+// player's patterns for each stroke. Coordinates are Vision's normalized
+// points, scaled to 1920x1080 pixels as the app does.
+
+const SWING_TYPES = ['forehand', 'backhand', 'serve', 'unknown'];
+const STROKES = ['forehand', 'backhand', 'serve'];
+
+const FRAME_WIDTH = 1920;
+const FRAME_HEIGHT = 1080;
+
+// EnhancedSwingDetector.Thresholds
+const MIN_CONFIDENCE = 0.6;
+const MIN_FORWARD_SPEED = 800;
+const MIN_AMPLITUDE = 100;
+const MIN_PATH_POINTS = 10;
+
+// Calibrated swings scoring below this against every stroke are unknown
+const MIN_MATCH_SCORE = 0.4;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// The wrist path and the summary the app records for a swing. The app tracks
+// from the start of the backswing; here the whole captured sequence is used.
+const extractSwingMetrics = (poseFrames) => {
+    const path = poseFrames
+        .filter(frame => frame.wrist && frame.confidence > MIN_CONFIDENCE)
+        .map(frame => ({ x: frame.wrist[0], y: frame.wrist[1], t: frame.timestamp }));
+
+    if (path.length < 2) {
+        return { path, pathPoints: path.length };
+    }
+
+    let maxSpeed = 0;
+    for (let i = 1; i < path.length; i++) {
+        const dt = path[i].t - path[i - 1].t;
+        if (dt > 0) {
+            const dx = (path[i].x - path[i - 1].x) * FRAME_WIDTH;
+            const dy = (path[i].y - path[i - 1].y) * FRAME_HEIGHT;
+            maxSpeed = Math.max(maxSpeed, Math.sqrt(dx * dx + dy * dy) / dt);
+        }
+    }
+
+    const first = path[0];
+    const last = path[path.length - 1];
+    const xs = path.map(point => point.x);
+
+    return {
+        path,
+        pathPoints: path.length,
+        horizontalChange: (last.x - first.x) * FRAME_WIDTH,
+        verticalChange: (first.y - last.y) * FRAME_HEIGHT,
+        maxSpeed,
+        startX: first.x,
+        startY: first.y,
+        duration: last.t - first.t,
+        amplitude: (Math.max(...xs) - Math.min(...xs)) * FRAME_WIDTH
+    };
+};
+
+// calculateCurrentClassificationScores(): how strongly the path moves each way
+const directionScores = ({ horizontalChange, verticalChange }) => ({
+    forehand: horizontalChange < -100 ? Math.min(Math.abs(horizontalChange) / 300, 1) : 0,
+    backhand: horizontalChange > 100 ? Math.min(horizontalChange / 300, 1) : 0,
+    serve: Math.abs(verticalChange) > 100 ? Math.min(Math.abs(verticalChange) / 300, 1) : 0
+});
+
+// detectSwingType()
+const classifyByRules = (metrics) => {
+    const { path, horizontalChange, verticalChange, amplitude, maxSpeed } = metrics;
+
+    if (!(amplitude > MIN_AMPLITUDE) || !(maxSpeed > MIN_FORWARD_SPEED) || path.length < MIN_PATH_POINTS) {
+        return 'unknown';
+    }
+
+    const first = path[0];
+    const last = path[path.length - 1];
+    const mid = path[Math.floor(path.length / 2)];
+    const ys = path.map(point => point.y);
+    const topHeight = Math.min(...ys); // the app treats y = 0 as the top
+    const avgHeight = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+
+    // Serve: starts high, moves mostly downward
+    if (first.y < 0.35 && verticalChange > 150 && topHeight < 0.3 &&
+        Math.abs(verticalChange) > Math.abs(horizontalChange) * 0.8) {
+        return 'serve';
+    }
+
+    // Ground strokes are hit in the middle of the frame
+    if (avgHeight > 0.35 && avgHeight < 0.75) {
+        const firstHalf = (mid.x - first.x) * FRAME_WIDTH;
+        const secondHalf = (last.x - mid.x) * FRAME_WIDTH;
+
+        // Forehand: right to left all the way through
+        if (horizontalChange < -150 && firstHalf < -50 && secondHalf < -50 && first.x > 0.4) {
+            return 'forehand';
+        }
+
+        // Backhand: left to right all the way through
+        if (horizontalChange > 150 && firstHalf > 50 && secondHalf > 50 && first.x < 0.6) {
+            return 'backhand';
+        }
+
+        if (Math.abs(horizontalChange) > 100) {
+            return horizontalChange < 0 ? 'forehand' : 'backhand';
+        }
+    }
+
+    return 'unknown';
+};
+
+// calculateMatchScore(): the best weighted similarity to any of the patterns
+const matchScore = (patterns, metrics) => {
+    const { horizontalChange: horizontal, verticalChange: vertical, maxSpeed: speed, startX, duration, amplitude } = metrics;
+    let bestScore = 0;
+
+    for (const pattern of patterns) {
+        let score = 0;
+        let weights = 0;
+
+        // Direction matters most
+        const horizontalMatch =
+            (pattern.horizontalChange < -100 && horizontal < -50) ||
+            (pattern.horizontalChange > 100 && horizontal > 50) ||
+            (Math.abs(pattern.horizontalChange) < 100 && Math.abs(horizontal) < 100);
+        if (horizontalMatch) {
+            score += 2.0;
+            weights += 2.0;
+        }
+
+        const hDiff = Math.abs(pattern.horizontalChange - horizontal);
+        if (hDiff < 100) {
+            score += 1.0 * (1.0 - hDiff / 100);
+            weights += 1.0;
+        } else if (hDiff < 300) {
+            score += 0.5 * (1.0 - hDiff / 300);
+            weights += 0.5;
+        }
+
+        // Vertical movement counts for more when either looks like a serve
+        const vDiff = Math.abs(pattern.verticalChange - vertical);
+        if (Math.abs(pattern.verticalChange) > 150 || Math.abs(vertical) > 150) {
+            if (vDiff < 100) {
+                score += 1.5 * (1.0 - vDiff / 100);
+                weights += 1.5;
+            }
+        } else if (vDiff < 150) {
+            score += 0.3 * (1.0 - vDiff / 150);
+            weights += 0.3;
+        }
+
+        const fastest = Math.max(speed, pattern.maxSpeed);
+        score += (fastest > 0 ? Math.min(speed, pattern.maxSpeed) / fastest : 0) * 0.8;
+        weights += 0.8;
+
+        const startXDiff = Math.abs(pattern.startX - startX);
+        if (startXDiff < 0.15) {
+            score += 0.5 * (1.0 - startXDiff / 0.15);
+            weights += 0.5;
+        }
+
+        const longest = Math.max(duration, pattern.duration);
+        const durationRatio = longest > 0 ? Math.min(duration, pattern.duration) / longest : 0;
+        if (durationRatio > 0.7) {
+            score += 0.4 * durationRatio;
+            weights += 0.4;
+        }
+
+        if (amplitude > 50 && pattern.amplitude > 50) {
+            score += 0.4 * Math.min(amplitude, pattern.amplitude) / Math.max(amplitude, pattern.amplitude);
+            weights += 0.4;
+        }
+
+        bestScore = Math.max(bestScore, weights > 0 ? score / weights : 0);
+    }
+
+    return bestScore;
+};
+
+// classifySwing()
+const classifyByPatterns = (metrics, profile) => {
+    const scores = {
+        forehand: matchScore(profile.forehandPatterns, metrics),
+        backhand: matchScore(profile.backhandPatterns, metrics),
+        serve: matchScore(profile.servePatterns, metrics)
+    };
+
+    const best = Math.max(...Object.values(scores));
+    const swingType = best < MIN_MATCH_SCORE ? 'unknown' : STROKES.find(stroke => scores[stroke] === best);
+
+    return { swingType, scores };
+};
+
+const hasCalibration = (profile) =>
+    Boolean(profile) && ['forehandPatterns', 'backhandPatterns', 'servePatterns'].some(list => profile[list].length > 0);
+
+// Classify one swing's PoseFrameData. profile is an app-format calibration
+// profile, or null for the default rules.
+const classifySwing = (poseFrames, profile = null) => {
+    const { path, ...metrics } = extractSwingMetrics(poseFrames);
+    const calibrated = hasCalibration(profile);
+    let swingType = 'unknown';
+    let scores = { forehand: 0, backhand: 0, serve: 0 };
+
+    if (path.length >= 2) {
+        if (calibrated) {
+            ({ swingType, scores } = classifyByPatterns(metrics, profile));
+        } else {
+            swingType = classifyByRules({ path, ...metrics });
+            scores = directionScores(metrics);
+        }
+    }
+
+    return {
+        swingType,
+        method: calibrated ? 'calibration' : 'rules',
+        scores: Object.fromEntries(STROKES.map(stroke => [stroke, round(scores[stroke])])),
+        metrics: Object.fromEntries(Object.entries(metrics).map(([name, value]) => [name, round(value)]))
+    };
+};
+
+module.exports = {
+    SWING_TYPES,
+    extractSwingMetrics,
+    classifySwing
+};
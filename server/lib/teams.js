@@ -0,0 +1,97 @@
+const { localDateKey, addDays } = require('./time');
+const { loadPlayerProfile } = require('./playerProfile');
+const { calculateTotals } = require('./statistics');
+const { loadDaySummaries } = require('./statsAggregates');
+const { toAppSkillRating } = require('./skillRating');
+
+// Teams group coaches with players. A player joins by accepting an
+// invitation and chooses what the team's coaches may read (see
+// middleware/authorize.js); leaving the team revokes it.
+
+const TEAM_ROLES = ['coach', 'player'];
+const MAX_TEAM_NAME_LENGTH = 100;
+
+// Days covered by each window of the roster activity summary
+const ROSTER_WINDOWS = { last7Days: 7, last30Days: 30 };
+
+const validateTeamName = (name) => {
+    if (typeof name !== 'string' || name.trim().length === 0 || name.length > MAX_TEAM_NAME_LENGTH) {
+        return `name is required and must be at most ${MAX_TEAM_NAME_LENGTH} characters`;
+    }
+    return null;
+};
+
+// A team with the user's own membership
+const toAppTeam = (team) => ({
+    id: team.id,
+    name: team.name,
+    role: team.role,
+    status: team.status,
+    scope: team.scope,
+    createdAt: team.created_at,
+    joinedAt: team.joined_at
+});
+
+const toAppMember = (member) => ({
+    userId: member.user_id,
+    name: member.name,
+    email: member.email,
+    role: member.role,
+    status: member.status,
+    scope: member.scope,
+    invitedAt: member.created_at,
+    joinedAt: member.joined_at
+});
+
+// A pending invitation, shown by the email the coach typed and nothing about
+// any account using it
+const toAppInvitation = (invitation) => ({
+    email: invitation.email,
+    role: invitation.role,
+    status: 'invited',
+    scope: invitation.scope,
+    invitedAt: invitation.created_at
+});
+
+// Recent activity of one player for a coach's roster, from the stats aggregates
+const summarizePlayerActivity = async (db, userId, now = new Date()) => {
+    const { timezone } = await loadPlayerProfile(db, userId);
+    const today = localDateKey(now, timezone);
+    const longest = Math.max(...Object.values(ROSTER_WINDOWS));
+    const days = await loadDaySummaries(db, userId, addDays(today, -(longest - 1)), today, timezone);
+
+    const activity = {};
+    Object.entries(ROSTER_WINDOWS).forEach(([name, length]) => {
+        const totals = calculateTotals(days, {
+            from: addDays(today, -(length - 1)),
+            to: today,
+            metrics: ['successRate', 'averageRating']
+        });
+        activity[name] = {
+            sessions: totals.sessionsCount,
+            shots: totals.shots,
+            successRate: totals.successRate,
+            averageRating: totals.averageRating
+        };
+    });
+
+    const aggregate = await db.getUserStatsAggregate(userId);
+    const overall = (await db.getSkillRatings(userId)).find(row => row.stroke === 'overall');
+    const skill = toAppSkillRating('overall', overall, now);
+
+    return {
+        totalSessions: aggregate ? aggregate.total_sessions : 0,
+        lastSessionDate: aggregate ? aggregate.last_session_date : null,
+        skillRating: { rating: skill.rating, provisional: skill.provisional },
+        ...activity
+    };
+};
+
+module.exports = {
+    TEAM_ROLES,
+    validateTeamName,
+    toAppTeam,
+    toAppMember,
+    toAppInvitation,
+    summarizePlayerActivity
+};
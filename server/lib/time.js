@@ -0,0 +1,122 @@
+// Timezone helpers for bucketing sessions by the player's local calendar
+
+const formatters = new Map();
+
+const getDateFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        // en-CA formats dates as YYYY-MM-DD
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+    if (typeof timeZone !== 'string' || timeZone.length === 0) {
+        return false;
+    }
+    try {
+        getDateFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Calendar date (YYYY-MM-DD) of an instant in the given zone
+const localDateKey = (date, timeZone = 'UTC') => {
+    return getDateFormatter(timeZone).format(new Date(date));
+};
+
+const offsetFormatters = new Map();
+
+// Offset of timeZone from UTC, in milliseconds, at the given instant
+const timeZoneOffsetMs = (date, timeZone) => {
+    if (!offsetFormatters.has(timeZone)) {
+        offsetFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+
+    const parts = {};
+    offsetFormatters.get(timeZone).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = parseInt(value, 10);
+    });
+
+    const wallClockAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Instant at which the wall clock in timeZone reads the given local time.
+// Wall-clock times skipped or repeated by a DST change resolve to a nearby instant.
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+    const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    const firstGuess = wallClockAsUtc - timeZoneOffsetMs(new Date(wallClockAsUtc), timeZone);
+    const offset = timeZoneOffsetMs(new Date(firstGuess), timeZone);
+    return new Date(wallClockAsUtc - offset);
+};
+
+// Start of a YYYY-MM-DD local day as a Date
+const startOfLocalDay = (dateKey, timeZone = 'UTC') => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return zonedTimeToUtc({ year, month, day }, timeZone);
+};
+
+// Shift a YYYY-MM-DD key by whole days
+const addDays = (dateKey, days) => {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+};
+
+const isDateKey = (value) => {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+        new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+};
+
+// First day of the day, week (starting Monday) or month containing a YYYY-MM-DD key
+const bucketStart = (dateKey, granularity) => {
+    if (granularity === 'week') {
+        const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+        return addDays(dateKey, -((weekday + 6) % 7));
+    }
+    if (granularity === 'month') {
+        return `${dateKey.slice(0, 7)}-01`;
+    }
+    return dateKey;
+};
+
+// First day of the following day, week or month
+const nextBucketStart = (dateKey, granularity) => {
+    if (granularity === 'week') {
+        return addDays(bucketStart(dateKey, 'week'), 7);
+    }
+    if (granularity === 'month') {
+        const date = new Date(`${dateKey.slice(0, 7)}-01T00:00:00Z`);
+        date.setUTCMonth(date.getUTCMonth() + 1);
+        return date.toISOString().slice(0, 10);
+    }
+    return addDays(dateKey, 1);
+};
+
+module.exports = {
+    isValidTimeZone,
+    localDateKey,
+    zonedTimeToUtc,
+    startOfLocalDay,
+    addDays,
+    isDateKey,
+    bucketStart,
+    nextBucketStart
+};
@@ -0,0 +1,407 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+
+// Outbound webhooks: a player's own events, or for a team, the events of its
+// players who granted a scope covering them. Events are queued in
+// webhook_deliveries inside the transaction that caused them, then posted by
+// processWebhookDeliveries() with retries until they succeed or go dead.
+//
+// Each request is signed like X-Webhook-Signature: t=<unix seconds>,v1=<hex>,
+// where v1 is the HMAC-SHA256 of `${t}.${body}` with the webhook's secret.
+
+const WEBHOOK_EVENTS = [
+    'session.created',
+    'session.updated',
+    'session.deleted',
+    'session.restored',
+    'goal.completed',
+    'achievement.unlocked',
+    'user.deleted'
+];
+const TEST_EVENT = 'webhook.test';
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+// Scopes a team player must have granted for the team's webhooks to receive
+// each event (a 'sessions' grant covers 'stats'; see middleware/authorize.js)
+const eventScopes = (type) => type.startsWith('session.') ? ['sessions'] : ['stats', 'sessions'];
+
+const MAX_WEBHOOKS_PER_OWNER = 10;
+const MAX_URL_LENGTH = 2000;
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const DELIVERY_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const DELIVERY_BATCH_SIZE = 20;
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Retries wait 30s, 1m, 2m, ... up to 6h between attempts
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+
+// Claimed deliveries are retried after this if the server stops mid-send
+const CLAIM_LEASE_SECONDS = Math.ceil(DELIVERY_TIMEOUT_MS / 1000) * 2 + 30;
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+const retryDelaySeconds = (attempts) => Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+
+const signPayload = (secret, timestamp, body) =>
+    crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const signatureHeader = (secret, body, now = new Date()) => {
+    const timestamp = Math.floor(now.getTime() / 1000);
+    return `t=${timestamp},v1=${signPayload(secret, timestamp, body)}`;
+};
+
+// The fields of an X-Webhook-Signature header, or null if it is malformed or
+// repeats a field
+const parseSignatureHeader = (header) => {
+    const fields = new Map();
+    for (const part of String(header || '').split(',')) {
+        const separator = part.indexOf('=');
+        const key = part.slice(0, separator).trim();
+        const value = part.slice(separator + 1).trim();
+        if (separator <= 0 || value === '' || fields.has(key)) {
+            return null;
+        }
+        fields.set(key, value);
+    }
+    return fields;
+};
+
+// Check a received X-Webhook-Signature against the raw body, for receivers
+const verifySignature = (secret, header, body, now = new Date(), toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS) => {
+    const fields = parseSignatureHeader(header);
+    if (!fields || !/^\d+$/.test(fields.get('t') || '') || !/^[0-9a-f]{64}$/.test(fields.get('v1') || '')) {
+        return false;
+    }
+
+    const timestamp = Number(fields.get('t'));
+    if (Math.abs(now.getTime() / 1000 - timestamp) > toleranceSeconds) {
+        return false;
+    }
+
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const received = Buffer.from(fields.get('v1'));
+    return crypto.timingSafeEqual(expected, received);
+};
+
+// Receivers must not be on the server's own network: no private, link-local
+// (cloud metadata), shared, multicast or reserved addresses. Loopback is
+// allowed outside production, for a receiver on the developer's machine.
+const LOOPBACK_ADDRESSES = new net.BlockList();
+LOOPBACK_ADDRESSES.addSubnet('127.0.0.0', 8, 'ipv4');
+LOOPBACK_ADDRESSES.addAddress('::1', 'ipv6');
+
+const INTERNAL_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => INTERNAL_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => INTERNAL_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// IPv6 ranges that carry an IPv4 address, with the index of its first 16-bit
+// group: IPv4-mapped, IPv4-compatible, NAT64 and 6to4. They reach whatever
+// the IPv4 address does, so they are judged by it.
+const EMBEDDED_IPV4_RANGES = [
+    ['::ffff:0:0', 96, 6], ['::', 96, 6], ['64:ff9b::', 96, 6], ['2002::', 16, 1]
+].map(([network, prefix, group]) => {
+    const range = new net.BlockList();
+    range.addSubnet(network, prefix, 'ipv6');
+    return { range, group };
+});
+
+// The eight 16-bit groups of a valid IPv6 address
+const ipv6Groups = (address) => {
+    let text = address.replace(/%.*$/, ''); // Zone index
+    const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+    if (dotted) {
+        const [a, b, c, d] = dotted.slice(1).map(Number);
+        text = `${text.slice(0, -dotted[0].length)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+
+    const parse = (part) => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+    const [head, tail] = text.split('::');
+    const headGroups = parse(head);
+    const tailGroups = parse(tail);
+    return [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill(0), ...tailGroups];
+};
+
+// The IPv4 address embedded in an IPv6 one, or null
+const embeddedIPv4 = (address) => {
+    const embedding = EMBEDDED_IPV4_RANGES.find(({ range }) => range.check(address, 'ipv6'));
+    if (!embedding) {
+        return null;
+    }
+    const groups = ipv6Groups(address);
+    const [high, low] = [groups[embedding.group], groups[embedding.group + 1]];
+    return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+};
+
+const BLOCKED_ADDRESS_ERROR = 'url must not point to a private, loopback or link-local address';
+
+const isAllowedAddress = (address) => {
+    const type = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+    if (LOOPBACK_ADDRESSES.check(address, type)) {
+        return process.env.NODE_ENV !== 'production';
+    }
+    const ipv4 = type === 'ipv6' ? embeddedIPv4(address) : null;
+    if (ipv4) {
+        return isAllowedAddress(ipv4);
+    }
+    return !INTERNAL_ADDRESSES.check(address, type);
+};
+
+// dns.lookup, failing when the host has an address receivers may not use. Used
+// for the connection itself, so a host can't resolve differently once checked.
+const lookupAllowedAddress = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+        if (addresses.length === 0 || !addresses.every(({ address }) => isAllowedAddress(address))) {
+            return callback(Object.assign(new Error(BLOCKED_ADDRESS_ERROR), { code: 'EADDRBLOCKED' }));
+        }
+        return options.all
+            ? callback(null, addresses)
+            : callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+// URL hostnames keep IPv6 addresses in brackets
+const urlHost = (parsed) => parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+
+// Resolve a syntactically valid webhook url's host and check where it points.
+// Returns an error string or null.
+const validateWebhookDestination = async (url) => {
+    const host = urlHost(new URL(url));
+    if (net.isIP(host)) {
+        return isAllowedAddress(host) ? null : BLOCKED_ADDRESS_ERROR;
+    }
+
+    try {
+        await new Promise((resolve, reject) => {
+            lookupAllowedAddress(host, {}, error => (error ? reject(error) : resolve()));
+        });
+        return null;
+    } catch (error) {
+        return error.code === 'EADDRBLOCKED' ? BLOCKED_ADDRESS_ERROR : 'url host could not be resolved';
+    }
+};
+
+const validateWebhookUrl = (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        parsed = null;
+    }
+
+    if (typeof url !== 'string' || url.length > MAX_URL_LENGTH || !parsed ||
+        !['http:', 'https:'].includes(parsed.protocol)) {
+        return `url must be an http(s) URL of at most ${MAX_URL_LENGTH} characters`;
+    }
+    if (process.env.NODE_ENV === 'production' && parsed.protocol !== 'https:') {
+        return 'url must use https';
+    }
+    return null;
+};
+
+// Validate a webhook; `partial` for updates, where fields may be left out.
+// Returns an error string or null.
+const validateWebhook = (webhook, { partial = false } = {}) => {
+    if (!partial || webhook.url !== undefined) {
+        const urlError = validateWebhookUrl(webhook.url);
+        if (urlError) {
+            return urlError;
+        }
+    }
+
+    if (!partial || webhook.events !== undefined) {
+        const { events } = webhook;
+        if (!Array.isArray(events) || events.length === 0 ||
+            events.some(event => !WEBHOOK_EVENTS.includes(event)) || new Set(events).size !== events.length) {
+            return `events must be a non-empty list of distinct events from: ${WEBHOOK_EVENTS.join(', ')}`;
+        }
+    }
+
+    if (webhook.description !== undefined && webhook.description !== null &&
+        (typeof webhook.description !== 'string' || webhook.description.length > MAX_DESCRIPTION_LENGTH)) {
+        return `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`;
+    }
+
+    if (webhook.active !== undefined && typeof webhook.active !== 'boolean') {
+        return 'active must be true or false';
+    }
+
+    return null;
+};
+
+const toDbWebhook = (webhook) => ({
+    url: webhook.url,
+    events: JSON.stringify(webhook.events),
+    description: webhook.description || null,
+    active: webhook.active === false ? 0 : 1
+});
+
+// The secret is only returned when it is created or rotated
+const toAppWebhook = (webhook) => ({
+    id: webhook.id,
+    userId: webhook.user_id,
+    teamId: webhook.team_id,
+    url: webhook.url,
+    events: JSON.parse(webhook.events),
+    description: webhook.description,
+    active: Boolean(webhook.active),
+    createdAt: webhook.created_at,
+    updatedAt: webhook.updated_at
+});
+
+const toAppDelivery = (delivery) => ({
+    id: delivery.id,
+    eventId: delivery.event_id,
+    eventType: delivery.event_type,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.status === 'pending' ? delivery.next_attempt_at : null,
+    lastAttemptAt: delivery.last_attempt_at,
+    responseStatus: delivery.response_status,
+    lastError: delivery.last_error,
+    deliveredAt: delivery.delivered_at,
+    createdAt: delivery.created_at,
+    payload: JSON.parse(delivery.payload)
+});
+
+const queueDelivery = async (db, webhook, payload) => {
+    await db.createWebhookDelivery({
+        id: uuidv4(),
+        webhook_id: webhook.id,
+        event_id: payload.id,
+        event_type: payload.type,
+        url: webhook.url,
+        secret: webhook.secret,
+        payload: JSON.stringify(payload)
+    });
+};
+
+// Queue `type` for every active webhook that should receive userId's event.
+// Call it inside the transaction that made the change, so the event is only
+// sent if the change commits. Resolves to the number of deliveries queued.
+const enqueueWebhookEvent = async (db, userId, type, data) => {
+    const webhooks = await db.getWebhooksForEvent(userId, type, eventScopes(type));
+    const id = uuidv4();
+    const createdAt = new Date().toISOString();
+
+    for (const webhook of webhooks) {
+        await queueDelivery(db, webhook, { id, type, createdAt, userId, teamId: webhook.team_id, data });
+    }
+    return webhooks.length;
+};
+
+// Queue a webhook.test event for one webhook
+const enqueueTestEvent = async (db, webhook) => {
+    const payload = {
+        id: uuidv4(),
+        type: TEST_EVENT,
+        createdAt: new Date().toISOString(),
+        userId: webhook.user_id,
+        teamId: webhook.team_id,
+        data: { webhookId: webhook.id }
+    };
+    await queueDelivery(db, webhook, payload);
+    return payload;
+};
+
+// What the delivery log says when no response arrived. The underlying error
+// isn't stored: it would tell the webhook's owner which hosts and ports exist.
+const DELIVERY_ERRORS = {
+    blocked: 'Receiver address is not allowed',
+    timeout: `No response within ${DELIVERY_TIMEOUT_MS} ms`,
+    failed: 'Could not connect to the receiver'
+};
+
+// POST one delivery; resolves to { ok, responseStatus, error }. Redirects are
+// not followed.
+const sendDelivery = (delivery) => new Promise((resolve) => {
+    const parsed = new URL(delivery.url);
+    const host = urlHost(parsed);
+    if (net.isIP(host) && !isAllowedAddress(host)) {
+        return resolve({ ok: false, responseStatus: null, error: DELIVERY_ERRORS.blocked });
+    }
+
+    const signal = AbortSignal.timeout(DELIVERY_TIMEOUT_MS);
+    const request = (parsed.protocol === 'https:' ? https : http).request(parsed, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(delivery.payload),
+            'User-Agent': 'TennisRating-Webhooks/1.0',
+            'X-Webhook-Id': delivery.event_id,
+            'X-Webhook-Event': delivery.event_type,
+            'X-Webhook-Delivery': delivery.id,
+            'X-Webhook-Signature': signatureHeader(delivery.secret, delivery.payload)
+        },
+        lookup: lookupAllowedAddress,
+        signal
+    }, (response) => {
+        const ok = response.statusCode >= 200 && response.statusCode < 300;
+        response.resume();
+        response.on('end', () => resolve(ok
+            ? { ok: true, responseStatus: response.statusCode, error: null }
+            : { ok: false, responseStatus: response.statusCode, error: `Receiver responded ${response.statusCode}` }));
+        response.on('error', () => resolve({ ok: false, responseStatus: null, error: DELIVERY_ERRORS.failed }));
+    });
+
+    request.on('error', (error) => {
+        const reason = signal.aborted ? 'timeout' : (error.code === 'EADDRBLOCKED' ? 'blocked' : 'failed');
+        resolve({ ok: false, responseStatus: null, error: DELIVERY_ERRORS[reason] });
+    });
+    request.end(delivery.payload);
+});
+
+// Send the deliveries that are due. Failures are retried with exponential
+// backoff; after MAX_ATTEMPTS a delivery goes dead until it is retried by
+// hand. Resolves to { delivered, retrying, dead }.
+const processWebhookDeliveries = async (db) => {
+    const due = await db.transaction(tx => tx.claimDueWebhookDeliveries(DELIVERY_BATCH_SIZE, CLAIM_LEASE_SECONDS));
+    const summary = { delivered: 0, retrying: 0, dead: 0 };
+
+    for (const delivery of due) {
+        const result = await sendDelivery(delivery);
+        const attempts = delivery.attempts + 1;
+        const status = result.ok ? 'delivered' : (attempts >= MAX_ATTEMPTS ? 'dead' : 'pending');
+
+        await db.recordWebhookDeliveryAttempt(delivery.id, {
+            status,
+            responseStatus: result.responseStatus,
+            error: result.error,
+            retryInSeconds: status === 'pending' ? retryDelaySeconds(attempts) : null
+        });
+        summary[status === 'pending' ? 'retrying' : status]++;
+    }
+
+    return summary;
+};
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    TEST_EVENT,
+    DELIVERY_STATUSES,
+    MAX_WEBHOOKS_PER_OWNER,
+    generateWebhookSecret,
+    signPayload,
+    verifySignature,
+    validateWebhook,
+    validateWebhookDestination,
+    toDbWebhook,
+    toAppWebhook,
+    toAppDelivery,
+    enqueueWebhookEvent,
+    enqueueTestEvent,
+    processWebhookDeliveries
+};
@@ -1,62 +1,212 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
 const getDatabase = require('../database');
 
+// Development-only fallback; assertSecureConfig() refuses to run production with it
+const DEFAULT_JWT_SECRET = 'your-super-secret-jwt-key-change-this-in-production';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30;
+
+const getJwtSecret = () => process.env.JWT_SECRET || DEFAULT_JWT_SECRET;
+
+// Called on startup: production must have its own JWT secret
+const assertSecureConfig = () => {
+    if (process.env.NODE_ENV === 'production' &&
+        (!process.env.JWT_SECRET || process.env.JWT_SECRET === DEFAULT_JWT_SECRET)) {
+        throw new Error('JWT_SECRET must be set to a unique value in production');
+    }
+};
+
+// SQLite DATETIME format, so expiry can be compared with datetime('now')
+const toSqlDateTime = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
 // JWT utility functions
-const generateToken = (userId) => {
+// Access tokens are short-lived and tied to the token family (device login) that issued them
+const generateToken = (userId, familyId) => {
     return jwt.sign(
-        { userId }, 
-        process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production',
-        { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+        { userId, fid: familyId },
+        getJwtSecret(),
+        { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
     );
 };
 
 const verifyToken = (token) => {
     try {
-        return jwt.verify(token, process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production');
+        return jwt.verify(token, getJwtSecret());
     } catch (error) {
         return null;
     }
 };
 
-// Middleware to authenticate JWT tokens
-const authenticateToken = async (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+// Store a new refresh token in the family and return the plaintext token
+const createRefreshToken = async (db, familyId) => {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
 
-    if (!token) {
-        return res.status(401).json({
-            success: false,
-            error: 'Access token required'
-        });
+    await db.createRefreshToken(uuidv4(), familyId, hashToken(refreshToken), toSqlDateTime(expiresAt));
+    return refreshToken;
+};
+
+const tokenResponse = (userId, familyId, refreshToken) => {
+    const token = generateToken(userId, familyId);
+    const { iat, exp } = jwt.decode(token);
+
+    return {
+        token,
+        refreshToken,
+        expiresIn: exp - iat // Access token lifetime in seconds
+    };
+};
+
+// Start a new token family for a login and issue its first token pair
+const issueTokens = async (userId) => {
+    const db = getDatabase();
+    const familyId = uuidv4();
+
+    const refreshToken = await db.transaction(async (tx) => {
+        await tx.createTokenFamily(familyId, userId);
+        return createRefreshToken(tx, familyId);
+    });
+
+    return tokenResponse(userId, familyId, refreshToken);
+};
+
+// Exchange a refresh token for a new pair. Presenting an already-used token
+// means it was copied, so the whole family is revoked.
+// Resolves to { tokens } or { error }
+const rotateRefreshToken = async (refreshToken) => {
+    const db = getDatabase();
+
+    return await db.transaction(async (tx) => {
+        const stored = await tx.getRefreshTokenByHash(hashToken(refreshToken));
+
+        if (!stored || stored.family_revoked_at) {
+            return { error: 'Invalid refresh token' };
+        }
+
+        if (stored.used_at) {
+            await tx.revokeTokenFamily(stored.family_id, 'reuse_detected');
+            console.warn(`⚠️ Refresh token reuse detected for user ${stored.user_id}; family ${stored.family_id} revoked`);
+            return { error: 'Refresh token has already been used. Please log in again.' };
+        }
+
+        if (stored.expires_at <= toSqlDateTime(new Date())) {
+            return { error: 'Refresh token has expired. Please log in again.' };
+        }
+
+        await tx.markRefreshTokenUsed(stored.id);
+        const nextRefreshToken = await createRefreshToken(tx, stored.family_id);
+
+        return { userId: stored.user_id, tokens: tokenResponse(stored.user_id, stored.family_id, nextRefreshToken) };
+    });
+};
+
+// The user of a token family, or null if the family is revoked or the user is gone
+const resolveFamilyUser = async (userId, familyId) => {
+    const db = getDatabase();
+    const family = await db.getTokenFamily(familyId);
+    if (!family || family.revoked_at || family.user_id !== userId) {
+        return null;
+    }
+
+    const user = await db.getUserById(userId);
+    if (!user) {
+        return null;
     }
 
+    return { user, familyId };
+};
+
+// Resolve a bearer token to its user, or null if it is invalid, revoked or the user is gone
+const resolveTokenUser = async (token) => {
     const decoded = verifyToken(token);
-    if (!decoded) {
+    if (!decoded || !decoded.fid) {
+        return null;
+    }
+
+    return await resolveFamilyUser(decoded.userId, decoded.fid);
+};
+
+// Stream tickets: EventSource can't send headers, and a token in the URL
+// ends up in proxy and access logs, so a stream may instead be opened with a
+// ticket that works once, for one path, within STREAM_TICKET_SECONDS. Kept in
+// this process's memory, like the streams themselves.
+const STREAM_TICKET_SECONDS = 60;
+const streamTickets = new Map();
+
+// A ticket for the authenticated user to open the stream at `path`
+const issueStreamTicket = (req, path) => {
+    const now = Date.now();
+    streamTickets.forEach((ticket, key) => {
+        if (ticket.expiresAt <= now) {
+            streamTickets.delete(key);
+        }
+    });
+
+    const ticket = crypto.randomBytes(24).toString('base64url');
+    streamTickets.set(hashToken(ticket), {
+        userId: req.user.id,
+        familyId: req.auth.familyId,
+        path,
+        expiresAt: now + STREAM_TICKET_SECONDS * 1000
+    });
+    return { ticket, expiresIn: STREAM_TICKET_SECONDS };
+};
+
+// Use up a ticket: resolves like resolveTokenUser, or null if the ticket is
+// unknown, used, expired or for another path
+const redeemStreamTicket = async (ticket, path) => {
+    const key = hashToken(ticket);
+    const stored = streamTickets.get(key);
+    streamTickets.delete(key);
+
+    if (!stored || stored.expiresAt <= Date.now() || stored.path !== path) {
+        return null;
+    }
+    return await resolveFamilyUser(stored.userId, stored.familyId);
+};
+
+// Bearer TOKEN from the Authorization header
+const bearerToken = (req) => {
+    const authHeader = req.headers['authorization'];
+    return authHeader && authHeader.split(' ')[1];
+};
+
+// Attach the resolved user info to the request
+const attachUser = (req, resolved) => {
+    req.user = {
+        id: resolved.user.id,
+        email: resolved.user.email,
+        name: resolved.user.name
+    };
+    req.auth = { familyId: resolved.familyId };
+};
+
+// Middleware authenticating requests by the credential getCredential(req)
+// finds, resolved to the user by resolve(credential, req)
+const authenticateWith = (getCredential, resolve, messages) => async (req, res, next) => {
+    const credential = getCredential(req);
+
+    if (!credential) {
         return res.status(401).json({
             success: false,
-            error: 'Invalid or expired token'
+            error: messages.missing
         });
     }
 
     try {
-        // Verify user still exists in database
-        const db = getDatabase();
-        const user = await db.getUserById(decoded.userId);
-        
-        if (!user) {
+        const resolved = await resolve(credential, req);
+
+        if (!resolved) {
             return res.status(401).json({
                 success: false,
-                error: 'User no longer exists'
+                error: messages.invalid
             });
         }
 
-        // Attach user info to request
-        req.user = {
-            id: user.id,
-            email: user.email,
-            name: user.name
-        };
-
+        attachUser(req, resolved);
         next();
     } catch (error) {
         console.error('Auth middleware error:', error);
@@ -67,30 +217,36 @@ const authenticateToken = async (req, res, next) => {
     }
 };
 
+// Verify token signature, revocation and that the user still exists
+const authenticateToken = authenticateWith(bearerToken, resolveTokenUser, {
+    missing: 'Access token required',
+    invalid: 'Invalid or expired token'
+});
+
+const authenticateTicket = authenticateWith(req => req.query.ticket, (ticket, req) => redeemStreamTicket(ticket, req.baseUrl + req.path), {
+    missing: 'Access token or stream ticket required',
+    invalid: 'Invalid or expired stream ticket'
+});
+
+// For Server-Sent Events: the access token in the Authorization header, or
+// a stream ticket as ?ticket= for clients that can't send headers
+const authenticateStream = (req, res, next) => bearerToken(req)
+    ? authenticateToken(req, res, next)
+    : authenticateTicket(req, res, next);
+
 // Optional middleware - doesn't fail if no token
 const optionalAuth = async (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+    const token = bearerToken(req);
 
     if (!token) {
         return next(); // Continue without user
     }
 
-    const decoded = verifyToken(token);
-    if (!decoded) {
-        return next(); // Continue without user
-    }
-
     try {
-        const db = getDatabase();
-        const user = await db.getUserById(decoded.userId);
-        
-        if (user) {
-            req.user = {
-                id: user.id,
-                email: user.email,
-                name: user.name
-            };
+        const resolved = await resolveTokenUser(token);
+
+        if (resolved) {
+            attachUser(req, resolved);
         }
     } catch (error) {
         console.error('Optional auth error:', error);
@@ -101,8 +257,16 @@ const optionalAuth = async (req, res, next) => {
 };
 
 module.exports = {
+    assertSecureConfig,
+    hashToken,
+    toSqlDateTime,
     generateToken,
     verifyToken,
+    issueTokens,
+    rotateRefreshToken,
+    resolveFamilyUser,
+    issueStreamTicket,
     authenticateToken,
+    authenticateStream,
     optionalAuth
-};
\ No newline at end of file
+};
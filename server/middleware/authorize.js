@@ -0,0 +1,75 @@
+const getDatabase = require('../database');
+
+// Access to one player's data. Players always reach their own. A coach can
+// read a player's data while the player is an active member of a team the
+// coach coaches and has granted a scope covering it. Writes stay with the
+// player.
+
+// Each scope includes the ones before it: 'sessions' also grants 'stats'
+const ACCESS_SCOPES = ['stats', 'sessions'];
+
+const scopeCovers = (granted, required) => ACCESS_SCOPES.indexOf(granted) >= ACCESS_SCOPES.indexOf(required);
+
+// Whether viewerId may read playerId's data in `scope` (null: only the player)
+const canAccessPlayer = async (db, viewerId, playerId, scope = null) => {
+    if (viewerId === playerId) {
+        return true;
+    }
+    if (scope === null) {
+        return false;
+    }
+
+    const grants = await db.getCoachGrants(viewerId, playerId);
+    return grants.some(grant => scopeCovers(grant.scope, scope));
+};
+
+const deny = (res, action, resource) => res.status(403).json({
+    success: false,
+    error: `Access denied. You can only ${action} your own ${resource}.`
+});
+
+// Guard for routes with a :userId param. `scope` is what a coach needs
+// ('stats' or 'sessions'); leave it out for routes only the player may use.
+const authorizePlayer = ({ scope = null, resource, action = 'view' }) => async (req, res, next) => {
+    try {
+        if (!(await canAccessPlayer(getDatabase(), req.user.id, req.params.userId, scope))) {
+            return deny(res, action, resource);
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Guard for routes with a :sessionId param: loads the session into
+// res.locals.session, or responds 404/403. Coaches need the 'sessions' scope
+// for reads; `write` routes are for the player only.
+const authorizeSession = ({ write = false, includeDeleted = false } = {}) => async (req, res, next) => {
+    try {
+        const db = getDatabase();
+        const session = await db.getSessionById(req.params.sessionId, { includeDeleted });
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found'
+            });
+        }
+
+        if (!(await canAccessPlayer(db, req.user.id, session.user_id, write ? null : 'sessions'))) {
+            return deny(res, write ? 'modify' : 'view', 'sessions');
+        }
+
+        res.locals.session = session;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    ACCESS_SCOPES,
+    canAccessPlayer,
+    authorizePlayer,
+    authorizeSession
+};
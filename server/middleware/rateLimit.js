@@ -0,0 +1,255 @@
+// Request budgets per client IP or per account, and lockout after repeated
+// failed logins. Counters live in a store: anything with
+//   increment(key, windowMs) -> { count, resetAt }  (starts a window on the first hit)
+//   get(key)                 -> { count, resetAt } or null once the window is over
+//   decrement(key)           (gives back one hit)
+//   reset(key)
+// all returning promises. MemoryStore keeps them in this process, so limits
+// are per server instance and start over on restart.
+
+const envInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+const MINUTE_MS = 60 * 1000;
+
+const RATE_LIMIT_WINDOW_MS = envInt('RATE_LIMIT_WINDOW_MS', 15 * MINUTE_MS);
+const RATE_LIMIT_MAX_REQUESTS = envInt('RATE_LIMIT_MAX_REQUESTS', 100);
+const LOGIN_RATE_LIMIT_MAX = envInt('LOGIN_RATE_LIMIT_MAX', 20);
+const REGISTER_RATE_LIMIT_WINDOW_MS = envInt('REGISTER_RATE_LIMIT_WINDOW_MS', 60 * MINUTE_MS);
+const REGISTER_RATE_LIMIT_MAX = envInt('REGISTER_RATE_LIMIT_MAX', 5);
+const UPLOAD_RATE_LIMIT_MAX = envInt('UPLOAD_RATE_LIMIT_MAX', 60);
+const LIVE_SHOTS_RATE_LIMIT_MAX = envInt('LIVE_SHOTS_RATE_LIMIT_MAX', 600);
+const PASSWORD_RESET_RATE_LIMIT_MAX = envInt('PASSWORD_RESET_RATE_LIMIT_MAX', 10);
+const PASSWORD_RESET_EMAIL_WINDOW_MS = 60 * MINUTE_MS;
+const PASSWORD_RESET_EMAIL_MAX = envInt('PASSWORD_RESET_EMAIL_MAX', 3);
+
+// After LOGIN_LOCKOUT_THRESHOLD failures in a row, an account is locked for
+// LOGIN_LOCKOUT_MINUTES, twice as long after each further failure, up to
+// LOGIN_LOCKOUT_MAX_MINUTES. Failures are forgotten a day after the first.
+const LOGIN_LOCKOUT_THRESHOLD = envInt('LOGIN_LOCKOUT_THRESHOLD', 5);
+const LOGIN_LOCKOUT_MS = envInt('LOGIN_LOCKOUT_MINUTES', 1) * MINUTE_MS;
+const LOGIN_LOCKOUT_MAX_MS = envInt('LOGIN_LOCKOUT_MAX_MINUTES', 60) * MINUTE_MS;
+const LOGIN_FAILURE_WINDOW_MS = 24 * 60 * MINUTE_MS;
+
+class MemoryStore {
+    constructor({ sweepIntervalMs = MINUTE_MS } = {}) {
+        this.entries = new Map();
+        // Drop finished windows so idle clients don't accumulate
+        setInterval(() => this.sweep(), sweepIntervalMs).unref();
+    }
+
+    sweep(now = Date.now()) {
+        for (const [key, entry] of this.entries) {
+            if (entry.resetAt <= now) {
+                this.entries.delete(key);
+            }
+        }
+    }
+
+    current(key) {
+        const entry = this.entries.get(key);
+        return entry && entry.resetAt > Date.now() ? entry : null;
+    }
+
+    async increment(key, windowMs) {
+        let entry = this.current(key);
+        if (!entry) {
+            entry = { count: 0, resetAt: Date.now() + windowMs };
+            this.entries.set(key, entry);
+        }
+        entry.count++;
+        return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    }
+
+    async get(key) {
+        const entry = this.current(key);
+        return entry ? { count: entry.count, resetAt: new Date(entry.resetAt) } : null;
+    }
+
+    async decrement(key) {
+        const entry = this.current(key);
+        if (entry && entry.count > 0) {
+            entry.count--;
+        }
+    }
+
+    async reset(key) {
+        this.entries.delete(key);
+    }
+}
+
+const defaultStore = new MemoryStore();
+
+const secondsUntil = (date) => Math.max(Math.ceil((date.getTime() - Date.now()) / 1000), 0);
+
+const tooManyRequests = (res, resetAt, error) => {
+    res.set('Retry-After', String(secondsUntil(resetAt)));
+    return res.status(429).json({
+        success: false,
+        error
+    });
+};
+
+// Middleware allowing `max` requests per `windowMs` for each key(req). Sets the
+// RateLimit-* headers of the IETF draft, and Retry-After with 429. Requests
+// whose key is null, or that `skip` returns true for, aren't counted. The
+// counter a request was charged to is kept in req.rateLimits[name], so a later
+// middleware can give the hit back with refundRateLimit(name).
+const rateLimit = ({
+    name,
+    windowMs,
+    max,
+    key = req => req.ip,
+    skip = () => false,
+    message = 'Too many requests. Please try again later.',
+    store = defaultStore
+}) => async (req, res, next) => {
+    try {
+        const clientKey = skip(req) ? null : key(req);
+        if (clientKey === null || clientKey === undefined) {
+            return next();
+        }
+
+        const storeKey = `${name}:${clientKey}`;
+        const { count, resetAt } = await store.increment(storeKey, windowMs);
+        req.rateLimits = { ...req.rateLimits, [name]: { store, key: storeKey } };
+
+        res.set('RateLimit-Policy', `${max};w=${Math.round(windowMs / 1000)}`);
+        res.set('RateLimit-Limit', String(max));
+        res.set('RateLimit-Remaining', String(Math.max(max - count, 0)));
+        res.set('RateLimit-Reset', String(secondsUntil(resetAt)));
+
+        if (count > max) {
+            return tooManyRequests(res, resetAt, message);
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Give back the hit a request was charged by the `name` limiter
+const refundRateLimit = (name) => async (req, res, next) => {
+    try {
+        const charged = req.rateLimits && req.rateLimits[name];
+        if (charged) {
+            await charged.store.decrement(charged.key);
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Every API request, per IP
+const apiLimiter = rateLimit({
+    name: 'api',
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    max: RATE_LIMIT_MAX_REQUESTS
+});
+
+const loginLimiter = rateLimit({
+    name: 'login',
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    max: LOGIN_RATE_LIMIT_MAX,
+    message: 'Too many login attempts. Please try again later.'
+});
+
+const registerLimiter = rateLimit({
+    name: 'register',
+    windowMs: REGISTER_RATE_LIMIT_WINDOW_MS,
+    max: REGISTER_RATE_LIMIT_MAX,
+    message: 'Too many accounts created from this address. Please try again later.'
+});
+
+// Session uploads and imports per account; use after authenticateToken
+const uploadLimiter = rateLimit({
+    name: 'upload',
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    max: UPLOAD_RATE_LIMIT_MAX,
+    key: req => req.user.id,
+    message: 'Too many uploads. Please try again later.'
+});
+
+// Shot pushes to a live session, per account; use once the player is known to
+// own the session. Those pushes are taken off the per-IP budget, so a long
+// live session isn't cut off by it.
+const liveShotsLimiter = [
+    rateLimit({
+        name: 'live-shots',
+        windowMs: RATE_LIMIT_WINDOW_MS,
+        max: LIVE_SHOTS_RATE_LIMIT_MAX,
+        key: req => req.user.id,
+        message: 'Too many shot updates. Please try again later.'
+    }),
+    refundRateLimit('api')
+];
+
+// Forgot and reset password requests per IP
+const passwordResetLimiter = rateLimit({
+    name: 'password-reset',
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    max: PASSWORD_RESET_RATE_LIMIT_MAX,
+    message: 'Too many password reset attempts. Please try again later.'
+});
+
+// Reset emails per address, whether or not an account has it
+const passwordResetEmailLimiter = rateLimit({
+    name: 'password-reset-email',
+    windowMs: PASSWORD_RESET_EMAIL_WINDOW_MS,
+    max: PASSWORD_RESET_EMAIL_MAX,
+    key: req => (req.body && typeof req.body.email === 'string' ? req.body.email.toLowerCase() : null),
+    message: 'Too many password reset attempts. Please try again later.'
+});
+
+// Login lockout, keyed by the normalized email whether or not an account has
+// it, so a lockout doesn't reveal which emails are registered
+const lockoutKey = (email) => `login-lockout:${email}`;
+const failuresKey = (email) => `login-failures:${email}`;
+
+const lockoutDuration = (failures) => Math.min(
+    LOGIN_LOCKOUT_MS * 2 ** (failures - LOGIN_LOCKOUT_THRESHOLD),
+    LOGIN_LOCKOUT_MAX_MS
+);
+
+// Responds 429 and resolves to true while the account is locked
+const rejectLockedLogin = async (res, email, store = defaultStore) => {
+    const lock = await store.get(lockoutKey(email));
+    if (!lock) {
+        return false;
+    }
+
+    const minutes = Math.ceil(secondsUntil(lock.resetAt) / 60);
+    tooManyRequests(res, lock.resetAt,
+        `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+    return true;
+};
+
+const recordFailedLogin = async (email, store = defaultStore) => {
+    const { count } = await store.increment(failuresKey(email), LOGIN_FAILURE_WINDOW_MS);
+    if (count >= LOGIN_LOCKOUT_THRESHOLD) {
+        await store.reset(lockoutKey(email));
+        await store.increment(lockoutKey(email), lockoutDuration(count));
+        console.warn(`⚠️ Login locked for ${email} after ${count} failed attempts`);
+    }
+};
+
+const clearFailedLogins = async (email, store = defaultStore) => {
+    await store.reset(failuresKey(email));
+    await store.reset(lockoutKey(email));
+};
+
+module.exports = {
+    MemoryStore,
+    rateLimit,
+    apiLimiter,
+    loginLimiter,
+    registerLimiter,
+    uploadLimiter,
+    liveShotsLimiter,
+    passwordResetLimiter,
+    passwordResetEmailLimiter,
+    refundRateLimit,
+    rejectLockedLogin,
+    recordFailedLogin,
+    clearFailedLogins
+};
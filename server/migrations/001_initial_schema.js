@@ -0,0 +1,42 @@
+// Baseline schema. Uses IF NOT EXISTS so databases created before migrations
+// existed are adopted as-is.
+
+exports.up = async (db) => {
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS users (
+            id TEXT PRIMARY KEY,
+            email TEXT UNIQUE NOT NULL,
+            name TEXT NOT NULL,
+            password_hash TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Sessions table - stores tennis session data
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS sessions (
+            id TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL,
+            total_shots INTEGER NOT NULL,
+            successful_shots INTEGER NOT NULL,
+            timestamp DATETIME NOT NULL,
+            session_duration REAL NOT NULL,
+            forehand_count INTEGER DEFAULT 0,
+            backhand_count INTEGER DEFAULT 0,
+            serve_count INTEGER DEFAULT 0,
+            shot_timings TEXT, -- JSON array of shot timing intervals
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_sessions_timestamp ON sessions(timestamp)');
+};
+
+exports.down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS sessions');
+    await db.run('DROP TABLE IF EXISTS users');
+};
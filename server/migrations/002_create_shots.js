@@ -0,0 +1,26 @@
+// Per-shot records for sessions uploaded with a `shots` array
+
+exports.up = async (db) => {
+    await db.run(`
+        CREATE TABLE shots (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            session_id TEXT NOT NULL,
+            shot_index INTEGER NOT NULL,
+            swing_type TEXT NOT NULL CHECK (swing_type IN ('forehand', 'backhand', 'serve', 'unknown')),
+            successful INTEGER NOT NULL CHECK (successful IN (0, 1)),
+            timestamp_offset REAL NOT NULL, -- seconds since session start
+            wrist_speed REAL,
+            elbow_angle REAL,
+            shoulder_rotation REAL,
+            confidence REAL,
+            amplitude REAL,
+            swing_duration REAL,
+            UNIQUE (session_id, shot_index),
+            FOREIGN KEY (session_id) REFERENCES sessions (id) ON DELETE CASCADE
+        )
+    `);
+};
+
+exports.down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS shots');
+};
@@ -0,0 +1,17 @@
+// Upload deduplication: the key a session was stored under and a hash of its payload
+
+exports.up = async (db) => {
+    await db.run('ALTER TABLE sessions ADD COLUMN idempotency_key TEXT');
+    await db.run('ALTER TABLE sessions ADD COLUMN payload_hash TEXT');
+    await db.run(`
+        CREATE UNIQUE INDEX idx_sessions_idempotency
+        ON sessions(user_id, idempotency_key)
+        WHERE idempotency_key IS NOT NULL
+    `);
+};
+
+exports.down = async (db) => {
+    await db.run('DROP INDEX IF EXISTS idx_sessions_idempotency');
+    await db.run('ALTER TABLE sessions DROP COLUMN payload_hash');
+    await db.run('ALTER TABLE sessions DROP COLUMN idempotency_key');
+};
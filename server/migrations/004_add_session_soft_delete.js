@@ -0,0 +1,14 @@
+// Soft delete for sessions. Rows with deleted_at set are hidden from every
+// query and purged once the retention window has passed.
+
+exports.up = async (db) => {
+    await db.run('ALTER TABLE sessions ADD COLUMN updated_at DATETIME');
+    await db.run('ALTER TABLE sessions ADD COLUMN deleted_at DATETIME');
+    await db.run('CREATE INDEX idx_sessions_deleted_at ON sessions(deleted_at) WHERE deleted_at IS NOT NULL');
+};
+
+exports.down = async (db) => {
+    await db.run('DROP INDEX IF EXISTS idx_sessions_deleted_at');
+    await db.run('ALTER TABLE sessions DROP COLUMN deleted_at');
+    await db.run('ALTER TABLE sessions DROP COLUMN updated_at');
+};
@@ -0,0 +1,37 @@
+// Server-side refresh tokens. Each login starts a token family; every refresh
+// rotates to a new token in the same family. Revoking the family logs that
+// device out and invalidates its access tokens.
+
+exports.up = async (db) => {
+    await db.run(`
+        CREATE TABLE token_families (
+            id TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            revoked_at DATETIME,
+            revoked_reason TEXT,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )
+    `);
+
+    await db.run(`
+        CREATE TABLE refresh_tokens (
+            id TEXT PRIMARY KEY,
+            family_id TEXT NOT NULL,
+            token_hash TEXT UNIQUE NOT NULL, -- SHA-256 of the token; the token itself is never stored
+            expires_at DATETIME NOT NULL,
+            used_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (family_id) REFERENCES token_families (id) ON DELETE CASCADE
+        )
+    `);
+
+    await db.run('CREATE INDEX idx_token_families_user_id ON token_families(user_id)');
+    await db.run('CREATE INDEX idx_refresh_tokens_family_id ON refresh_tokens(family_id)');
+};
+
+exports.down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS refresh_tokens');
+    await db.run('DROP TABLE IF EXISTS token_families');
+};
@@ -0,0 +1,21 @@
+// Single-use password reset tokens
+
+exports.up = async (db) => {
+    await db.run(`
+        CREATE TABLE password_reset_tokens (
+            id TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL,
+            token_hash TEXT UNIQUE NOT NULL, -- SHA-256 of the emailed token
+            expires_at DATETIME NOT NULL,
+            used_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )
+    `);
+
+    await db.run('CREATE INDEX idx_password_reset_tokens_user_id ON password_reset_tokens(user_id)');
+};
+
+exports.down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS password_reset_tokens');
+};
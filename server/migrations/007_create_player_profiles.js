@@ -0,0 +1,21 @@
+// Player profile: handedness, self-reported level and timezone for stats
+
+exports.up = async (db) => {
+    await db.run(`
+        CREATE TABLE player_profiles (
+            user_id TEXT PRIMARY KEY,
+            dominant_hand TEXT CHECK (dominant_hand IN ('right', 'left')),
+            level REAL, -- self-reported NTRP rating, 1.0 to 7.0
+            timezone TEXT NOT NULL DEFAULT 'UTC', -- IANA zone used for day boundaries
+            birth_year INTEGER,
+            playing_since INTEGER, -- year the player started
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )
+    `);
+};
+
+exports.down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS player_profiles');
+};
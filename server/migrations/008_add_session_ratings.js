@@ -0,0 +1,21 @@
+// Stored session ratings: the 1-5 rating, the 0-100 score, the points from
+// each part and the rating algorithm version that produced them. Existing
+// sessions are rated by backfills/008_rate_existing_sessions.js.
+
+exports.up = async (db) => {
+    await db.run('ALTER TABLE sessions ADD COLUMN rating INTEGER');
+    await db.run('ALTER TABLE sessions ADD COLUMN rating_score REAL');
+    await db.run('ALTER TABLE sessions ADD COLUMN rating_success REAL');
+    await db.run('ALTER TABLE sessions ADD COLUMN rating_consistency REAL');
+    await db.run('ALTER TABLE sessions ADD COLUMN rating_volume REAL');
+    await db.run('ALTER TABLE sessions ADD COLUMN rating_version INTEGER');
+};
+
+exports.down = async (db) => {
+    await db.run('ALTER TABLE sessions DROP COLUMN rating_version');
+    await db.run('ALTER TABLE sessions DROP COLUMN rating_volume');
+    await db.run('ALTER TABLE sessions DROP COLUMN rating_consistency');
+    await db.run('ALTER TABLE sessions DROP COLUMN rating_success');
+    await db.run('ALTER TABLE sessions DROP COLUMN rating_score');
+    await db.run('ALTER TABLE sessions DROP COLUMN rating');
+};
@@ -0,0 +1,41 @@
+// Continuous skill ratings (Glicko-style) per player and stroke, with one
+// history row per session that moved a rating. Existing history is rated by
+// backfills/009_rate_existing_skill.js.
+
+exports.up = async (db) => {
+    await db.run(`
+        CREATE TABLE skill_ratings (
+            user_id TEXT NOT NULL,
+            stroke TEXT NOT NULL CHECK (stroke IN ('overall', 'forehand', 'backhand', 'serve')),
+            rating REAL NOT NULL,
+            rd REAL NOT NULL, -- rating deviation as of last_played_at
+            sessions_count INTEGER NOT NULL,
+            last_played_at DATETIME NOT NULL,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (user_id, stroke),
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )
+    `);
+
+    await db.run(`
+        CREATE TABLE skill_rating_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id TEXT NOT NULL,
+            stroke TEXT NOT NULL,
+            session_id TEXT NOT NULL,
+            played_at DATETIME NOT NULL, -- the session's timestamp
+            outcome REAL NOT NULL, -- session performance, 0 to 1
+            rating REAL NOT NULL,
+            rd REAL NOT NULL,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+            FOREIGN KEY (session_id) REFERENCES sessions (id) ON DELETE CASCADE
+        )
+    `);
+    await db.run('CREATE INDEX idx_skill_history_user_stroke ON skill_rating_history(user_id, stroke, played_at)');
+    await db.run('CREATE INDEX idx_skill_history_session ON skill_rating_history(session_id)');
+};
+
+exports.down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS skill_rating_history');
+    await db.run('DROP TABLE IF EXISTS skill_ratings');
+};
@@ -0,0 +1,58 @@
+// Materialized stats: per-day totals in the player's timezone and per-user
+// totals summed from them, kept up to date as sessions change. Existing
+// history is summed by backfills/010_summarize_existing_sessions.js.
+
+exports.up = async (db) => {
+    await db.run(`
+        CREATE TABLE user_daily_stats (
+            user_id TEXT NOT NULL,
+            date TEXT NOT NULL, -- YYYY-MM-DD in the timezone recorded in user_stats
+            sessions_count INTEGER NOT NULL,
+            total_shots INTEGER NOT NULL,
+            successful_shots INTEGER NOT NULL,
+            success_rate_sum REAL NOT NULL, -- sum of per-session success rates, in %
+            best_success_rate REAL, -- NULL when no session had shots
+            total_duration REAL NOT NULL, -- seconds
+            rating_sum INTEGER NOT NULL,
+            score_sum REAL NOT NULL,
+            best_rating INTEGER NOT NULL,
+            forehand_count INTEGER NOT NULL,
+            backhand_count INTEGER NOT NULL,
+            serve_count INTEGER NOT NULL,
+            PRIMARY KEY (user_id, date),
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )
+    `);
+
+    await db.run(`
+        CREATE TABLE user_stats (
+            user_id TEXT PRIMARY KEY,
+            timezone TEXT NOT NULL, -- zone user_daily_stats is bucketed in
+            total_sessions INTEGER NOT NULL,
+            total_shots INTEGER NOT NULL,
+            total_successful_shots INTEGER NOT NULL,
+            success_rate_sum REAL NOT NULL,
+            best_success_rate REAL,
+            total_duration REAL NOT NULL,
+            rating_sum INTEGER NOT NULL,
+            score_sum REAL NOT NULL,
+            best_rating INTEGER,
+            total_forehand INTEGER NOT NULL,
+            total_backhand INTEGER NOT NULL,
+            total_serves INTEGER NOT NULL,
+            first_session_date TEXT,
+            last_session_date TEXT,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )
+    `);
+
+    // Sessions are read per user in time order when aggregates are refreshed
+    await db.run('CREATE INDEX idx_sessions_user_timestamp ON sessions(user_id, timestamp)');
+};
+
+exports.down = async (db) => {
+    await db.run('DROP INDEX IF EXISTS idx_sessions_user_timestamp');
+    await db.run('DROP TABLE IF EXISTS user_stats');
+    await db.run('DROP TABLE IF EXISTS user_daily_stats');
+};
@@ -0,0 +1,26 @@
+// Training goals: a target for one metric, either once by a deadline or
+// every day, week or month
+
+exports.up = async (db) => {
+    await db.run(`
+        CREATE TABLE goals (
+            id TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL,
+            title TEXT NOT NULL,
+            metric TEXT NOT NULL CHECK (metric IN ('successRate', 'shots', 'sessions', 'strokeCount', 'rating')),
+            stroke TEXT CHECK (stroke IN ('forehand', 'backhand', 'serve')),
+            target REAL NOT NULL,
+            period TEXT CHECK (period IN ('day', 'week', 'month')), -- NULL: once, from start_date
+            start_date TEXT NOT NULL, -- YYYY-MM-DD in the profile timezone
+            deadline TEXT, -- YYYY-MM-DD, inclusive
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )
+    `);
+    await db.run('CREATE INDEX idx_goals_user ON goals(user_id)');
+};
+
+exports.down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS goals');
+};
@@ -0,0 +1,21 @@
+// Achievement badges, recorded with the session that unlocked them. Badges
+// for existing history are awarded by backfills/012_award_existing_achievements.js.
+
+exports.up = async (db) => {
+    await db.run(`
+        CREATE TABLE achievements (
+            user_id TEXT NOT NULL,
+            achievement_id TEXT NOT NULL, -- rule id from lib/achievements.js
+            session_id TEXT, -- NULL once the session is purged
+            earned_at DATETIME NOT NULL, -- the session's timestamp
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (user_id, achievement_id),
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+            FOREIGN KEY (session_id) REFERENCES sessions (id) ON DELETE SET NULL
+        )
+    `);
+};
+
+exports.down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS achievements');
+};
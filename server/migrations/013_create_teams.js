@@ -0,0 +1,36 @@
+// Teams: coaches and the players who consented to share their data with them
+
+exports.up = async (db) => {
+    await db.run(`
+        CREATE TABLE teams (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            created_by TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+        )
+    `);
+
+    await db.run(`
+        CREATE TABLE team_members (
+            team_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            role TEXT NOT NULL CHECK (role IN ('coach', 'player')),
+            status TEXT NOT NULL CHECK (status IN ('invited', 'active')),
+            scope TEXT CHECK (scope IN ('stats', 'sessions')), -- what a player shares; NULL for coaches
+            invited_by TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            joined_at DATETIME,
+            PRIMARY KEY (team_id, user_id),
+            FOREIGN KEY (team_id) REFERENCES teams (id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+            FOREIGN KEY (invited_by) REFERENCES users (id) ON DELETE SET NULL
+        )
+    `);
+    await db.run('CREATE INDEX idx_team_members_user ON team_members(user_id)');
+};
+
+exports.down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS team_members');
+    await db.run('DROP TABLE IF EXISTS teams');
+};
@@ -0,0 +1,37 @@
+// Friendships, per-player privacy settings, and an index for ranking
+// everyone's day totals in a date range
+
+exports.up = async (db) => {
+    await db.run(`
+        CREATE TABLE friendships (
+            requester_id TEXT NOT NULL,
+            addressee_id TEXT NOT NULL,
+            status TEXT NOT NULL CHECK (status IN ('pending', 'accepted')),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            accepted_at DATETIME,
+            PRIMARY KEY (requester_id, addressee_id),
+            CHECK (requester_id <> addressee_id),
+            FOREIGN KEY (requester_id) REFERENCES users (id) ON DELETE CASCADE,
+            FOREIGN KEY (addressee_id) REFERENCES users (id) ON DELETE CASCADE
+        )
+    `);
+    await db.run('CREATE INDEX idx_friendships_addressee ON friendships(addressee_id)');
+
+    await db.run(`
+        CREATE TABLE privacy_settings (
+            user_id TEXT PRIMARY KEY,
+            leaderboards TEXT NOT NULL DEFAULT 'friends' CHECK (leaderboards IN ('everyone', 'friends', 'private')),
+            friend_requests TEXT NOT NULL DEFAULT 'everyone' CHECK (friend_requests IN ('everyone', 'nobody')),
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )
+    `);
+
+    await db.run('CREATE INDEX idx_daily_stats_date ON user_daily_stats(date, user_id)');
+};
+
+exports.down = async (db) => {
+    await db.run('DROP INDEX IF EXISTS idx_daily_stats_date');
+    await db.run('DROP TABLE IF EXISTS privacy_settings');
+    await db.run('DROP TABLE IF EXISTS friendships');
+};
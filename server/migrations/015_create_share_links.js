@@ -0,0 +1,27 @@
+// Public, read-only links to one session or a snapshot of a player's stats
+
+exports.up = async (db) => {
+    await db.run(`
+        CREATE TABLE share_links (
+            id TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL,
+            token TEXT NOT NULL UNIQUE, -- kept in plaintext so the owner can copy the link again
+            kind TEXT NOT NULL CHECK (kind IN ('session', 'stats')),
+            session_id TEXT, -- for session links
+            snapshot TEXT, -- stats links: JSON captured when the link was created
+            show_name INTEGER NOT NULL DEFAULT 0, -- show the player's name on the shared page
+            expires_at DATETIME NOT NULL,
+            revoked_at DATETIME,
+            access_count INTEGER NOT NULL DEFAULT 0,
+            last_accessed_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+            FOREIGN KEY (session_id) REFERENCES sessions (id) ON DELETE CASCADE
+        )
+    `);
+    await db.run('CREATE INDEX idx_share_links_user ON share_links(user_id)');
+};
+
+exports.down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS share_links');
+};
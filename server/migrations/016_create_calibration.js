@@ -0,0 +1,42 @@
+// Swing calibration synced from the app: pattern profiles and labeled swing
+// datasets, each versioned per player, plus the opt-in for sharing labeled
+// swings with the training corpus
+
+exports.up = async (db) => {
+    await db.run(`
+        CREATE TABLE calibration_profiles (
+            id TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL,
+            version INTEGER NOT NULL,
+            patterns TEXT NOT NULL, -- JSON: { forehandPatterns, backhandPatterns, servePatterns }
+            pattern_count INTEGER NOT NULL,
+            device TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (user_id, version),
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )
+    `);
+
+    await db.run(`
+        CREATE TABLE swing_datasets (
+            id TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL,
+            version INTEGER NOT NULL,
+            swings TEXT NOT NULL, -- JSON array in the app's LabeledSwingData format
+            swing_count INTEGER NOT NULL,
+            label_counts TEXT NOT NULL, -- JSON: swings per label
+            device TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (user_id, version),
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )
+    `);
+
+    await db.run('ALTER TABLE privacy_settings ADD COLUMN training_corpus INTEGER NOT NULL DEFAULT 0');
+};
+
+exports.down = async (db) => {
+    await db.run('ALTER TABLE privacy_settings DROP COLUMN training_corpus');
+    await db.run('DROP TABLE IF EXISTS swing_datasets');
+    await db.run('DROP TABLE IF EXISTS calibration_profiles');
+};
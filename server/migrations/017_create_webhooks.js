@@ -0,0 +1,60 @@
+// Outbound webhooks and their delivery queue, and a marker on goals so each
+// completion is reported once. Goals already reached are marked by
+// backfills/017_mark_completed_goals.js.
+
+exports.up = async (db) => {
+    await db.run(`
+        CREATE TABLE webhooks (
+            id TEXT PRIMARY KEY,
+            user_id TEXT, -- personal webhooks: the player's own events
+            team_id TEXT, -- team webhooks: events of the team's consenting players
+            created_by TEXT,
+            url TEXT NOT NULL,
+            secret TEXT NOT NULL, -- kept in plaintext to sign payloads
+            events TEXT NOT NULL, -- JSON array of event types
+            description TEXT,
+            active INTEGER NOT NULL DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            CHECK ((user_id IS NULL) <> (team_id IS NULL)),
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+            FOREIGN KEY (team_id) REFERENCES teams (id) ON DELETE CASCADE,
+            FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+        )
+    `);
+    await db.run('CREATE INDEX idx_webhooks_user ON webhooks(user_id)');
+    await db.run('CREATE INDEX idx_webhooks_team ON webhooks(team_id)');
+
+    // url and secret are copied from the webhook, so user.deleted still goes
+    // out after the account's webhooks are gone
+    await db.run(`
+        CREATE TABLE webhook_deliveries (
+            id TEXT PRIMARY KEY,
+            webhook_id TEXT,
+            event_id TEXT NOT NULL, -- shared by the deliveries of one event
+            event_type TEXT NOT NULL,
+            url TEXT NOT NULL,
+            secret TEXT NOT NULL,
+            payload TEXT NOT NULL, -- the JSON body, exactly as signed
+            status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'dead')),
+            attempts INTEGER NOT NULL DEFAULT 0,
+            next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_attempt_at DATETIME,
+            response_status INTEGER,
+            last_error TEXT,
+            delivered_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (webhook_id) REFERENCES webhooks (id) ON DELETE SET NULL
+        )
+    `);
+    await db.run('CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)');
+    await db.run('CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at)');
+
+    await db.run('ALTER TABLE goals ADD COLUMN completed_window TEXT'); // start of the window last reported as completed
+};
+
+exports.down = async (db) => {
+    await db.run('ALTER TABLE goals DROP COLUMN completed_window');
+    await db.run('DROP TABLE IF EXISTS webhook_deliveries');
+    await db.run('DROP TABLE IF EXISTS webhooks');
+};
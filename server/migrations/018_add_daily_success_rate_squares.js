@@ -0,0 +1,11 @@
+// Sum of squared per-session success rates per day, so the dashboard's
+// consistency (their standard deviation) comes from the day rows. Filled in
+// by backfills/018_summarize_success_rate_squares.js.
+
+exports.up = async (db) => {
+    await db.run('ALTER TABLE user_daily_stats ADD COLUMN success_rate_square_sum REAL NOT NULL DEFAULT 0');
+};
+
+exports.down = async (db) => {
+    await db.run('ALTER TABLE user_daily_stats DROP COLUMN success_rate_square_sum');
+};
@@ -0,0 +1,35 @@
+// Invitations by the email the coach typed, whether or not an account uses
+// it, so a team's listing doesn't tell registered addresses apart. Pending
+// team_members rows still hold the invitee's side of an invitation.
+
+exports.up = async (db) => {
+    await db.run(`
+        CREATE TABLE team_invitations (
+            team_id TEXT NOT NULL,
+            email TEXT NOT NULL,
+            user_id TEXT,
+            role TEXT NOT NULL CHECK (role IN ('coach', 'player')),
+            scope TEXT CHECK (scope IN ('stats', 'sessions')),
+            invited_by TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (team_id, email),
+            FOREIGN KEY (team_id) REFERENCES teams (id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL,
+            FOREIGN KEY (invited_by) REFERENCES users (id) ON DELETE SET NULL
+        )
+    `);
+    await db.run('CREATE INDEX idx_team_invitations_user ON team_invitations(user_id)');
+
+    await db.run(`
+        INSERT INTO team_invitations (team_id, email, user_id, role, scope, invited_by, created_at)
+        SELECT m.team_id, LOWER(u.email), m.user_id, m.role, m.scope, m.invited_by, m.created_at
+        FROM team_members m
+        JOIN users u ON u.id = m.user_id
+        WHERE m.status = 'invited'
+    `);
+};
+
+exports.down = async (db) => {
+    await db.run('DROP INDEX IF EXISTS idx_team_invitations_user');
+    await db.run('DROP TABLE IF EXISTS team_invitations');
+};
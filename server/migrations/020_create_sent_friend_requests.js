@@ -0,0 +1,29 @@
+// Friend requests as the sender typed them, whether or not an account takes
+// requests at the email, so the sender's list of requests doesn't tell
+// registered addresses apart. friendships still holds the addressee's side.
+
+exports.up = async (db) => {
+    await db.run(`
+        CREATE TABLE sent_friend_requests (
+            requester_id TEXT NOT NULL,
+            email TEXT NOT NULL,
+            addressee_id TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (requester_id, email),
+            FOREIGN KEY (requester_id) REFERENCES users (id) ON DELETE CASCADE,
+            FOREIGN KEY (addressee_id) REFERENCES users (id) ON DELETE SET NULL
+        )
+    `);
+
+    await db.run(`
+        INSERT INTO sent_friend_requests (requester_id, email, addressee_id, created_at)
+        SELECT f.requester_id, LOWER(u.email), f.addressee_id, f.created_at
+        FROM friendships f
+        JOIN users u ON u.id = f.addressee_id
+        WHERE f.status = 'pending'
+    `);
+};
+
+exports.down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS sent_friend_requests');
+};
@@ -0,0 +1,13 @@
+// How many sessions success_rate_sum averages over: sessions without shots
+// have no success rate, so averages leave them out. Filled in by
+// backfills/021_count_success_rates.js.
+
+exports.up = async (db) => {
+    await db.run('ALTER TABLE user_daily_stats ADD COLUMN success_rate_count INTEGER NOT NULL DEFAULT 0');
+    await db.run('ALTER TABLE user_stats ADD COLUMN success_rate_count INTEGER NOT NULL DEFAULT 0');
+};
+
+exports.down = async (db) => {
+    await db.run('ALTER TABLE user_stats DROP COLUMN success_rate_count');
+    await db.run('ALTER TABLE user_daily_stats DROP COLUMN success_rate_count');
+};
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const BACKFILLS_DIR = path.join(__dirname, 'backfills');
+
+// Migration files are named NNN_description.js and export async up(db) / down(db).
+// Migrations only change the schema. Data derived with application code
+// lives in backfills/NNN_description.js, exporting async run(db): the backfill
+// of migration NNN. Backfills run after every migration is applied, so the
+// application code they call always sees the schema it was written for.
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// The NNN_description.js modules in a directory, ordered by version
+const loadVersionedFiles = (directory, kind, validate) => {
+    if (!fs.existsSync(directory)) {
+        return [];
+    }
+
+    const files = fs.readdirSync(directory)
+        .map(file => file.match(FILE_PATTERN))
+        .filter(Boolean)
+        .map(([file, version, name]) => {
+            const module = require(path.join(directory, file));
+            validate(module, file);
+            return { version: parseInt(version, 10), name, file, ...module };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    files.forEach((file, index) => {
+        if (index > 0 && files[index - 1].version === file.version) {
+            throw new Error(`Duplicate ${kind} version ${file.version}`);
+        }
+    });
+
+    return files;
+};
+
+class Migrator {
+    constructor(db, directory = MIGRATIONS_DIR, backfillDirectory = BACKFILLS_DIR) {
+        this.db = db;
+        this.directory = directory;
+        this.backfillDirectory = backfillDirectory;
+    }
+
+    // All migrations on disk, ordered by version
+    loadMigrations() {
+        return loadVersionedFiles(this.directory, 'migration', (migration, file) => {
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${file} must export up() and down()`);
+            }
+        });
+    }
+
+    // All backfills on disk, ordered by version; each belongs to the migration
+    // with the same version
+    loadBackfills() {
+        const versions = new Set(this.loadMigrations().map(migration => migration.version));
+        return loadVersionedFiles(this.backfillDirectory, 'backfill', (backfill, file) => {
+            if (typeof backfill.run !== 'function') {
+                throw new Error(`Backfill ${file} must export run()`);
+            }
+            if (!versions.has(parseInt(file, 10))) {
+                throw new Error(`Backfill ${file} has no migration with its version`);
+            }
+        });
+    }
+
+    async ensureMigrationsTable() {
+        await this.db.run(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    async appliedVersions() {
+        await this.ensureMigrationsTable();
+        const rows = await this.db.all('SELECT version FROM schema_migrations ORDER BY version');
+        return new Set(rows.map(row => row.version));
+    }
+
+    // Databases migrated before backfills were split out ran them inside their
+    // migrations, so those start out recorded as done
+    async ensureBackfillsTable() {
+        const existing = await this.db.get(
+            "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_backfills'"
+        );
+        if (existing) {
+            return;
+        }
+
+        const applied = await this.appliedVersions();
+        await this.db.transaction(async (tx) => {
+            await tx.run(`
+                CREATE TABLE schema_backfills (
+                    version INTEGER PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            for (const backfill of this.loadBackfills().filter(backfill => applied.has(backfill.version))) {
+                await tx.run(
+                    'INSERT INTO schema_backfills (version, name) VALUES (?, ?)',
+                    [backfill.version, backfill.name]
+                );
+            }
+        });
+    }
+
+    // Backfills whose migration is applied but which haven't run yet
+    async pendingBackfills() {
+        await this.ensureBackfillsTable();
+        const applied = await this.appliedVersions();
+        const rows = await this.db.all('SELECT version FROM schema_backfills');
+        const done = new Set(rows.map(row => row.version));
+
+        return this.loadBackfills()
+            .filter(backfill => applied.has(backfill.version) && !done.has(backfill.version));
+    }
+
+    async status() {
+        const applied = await this.appliedVersions();
+        const migrations = this.loadMigrations();
+        const known = new Set(migrations.map(migration => migration.version));
+
+        const unknown = [...applied].filter(version => !known.has(version));
+        if (unknown.length > 0) {
+            throw new Error(`Database has migrations that are not on disk: ${unknown.join(', ')}`);
+        }
+
+        const pendingBackfills = new Set((await this.pendingBackfills()).map(backfill => backfill.version));
+
+        return migrations.map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            applied: applied.has(migration.version),
+            backfillPending: pendingBackfills.has(migration.version)
+        }));
+    }
+
+    // Apply every pending migration, then every pending backfill, each in its
+    // own transaction
+    async migrate() {
+        await this.ensureBackfillsTable();
+        const applied = await this.appliedVersions();
+        const pending = this.loadMigrations().filter(migration => !applied.has(migration.version));
+
+        for (const migration of pending) {
+            await this.db.transaction(async (tx) => {
+                await migration.up(tx);
+                await tx.run(
+                    'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                    [migration.version, migration.name]
+                );
+            });
+            console.log(`✅ Applied migration ${migration.file}`);
+        }
+
+        for (const backfill of await this.pendingBackfills()) {
+            await this.db.transaction(async (tx) => {
+                await backfill.run(tx);
+                await tx.run(
+                    'INSERT INTO schema_backfills (version, name) VALUES (?, ?)',
+                    [backfill.version, backfill.name]
+                );
+            });
+            console.log(`✅ Ran backfill ${backfill.file}`);
+        }
+
+        return pending;
+    }
+
+    // Revert the most recently applied migrations. A reverted migration's
+    // backfill runs again when it is reapplied.
+    async rollback(steps = 1) {
+        await this.ensureBackfillsTable();
+        const applied = await this.appliedVersions();
+        const toRevert = this.loadMigrations()
+            .filter(migration => applied.has(migration.version))
+            .reverse()
+            .slice(0, steps);
+
+        for (const migration of toRevert) {
+            await this.db.transaction(async (tx) => {
+                await migration.down(tx);
+                await tx.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+                await tx.run('DELETE FROM schema_backfills WHERE version = ?', [migration.version]);
+            });
+            console.log(`✅ Rolled back migration ${migration.file}`);
+        }
+
+        return toRevert;
+    }
+}
+
+module.exports = Migrator;
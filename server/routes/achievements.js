@@ -0,0 +1,34 @@
+const express = require('express');
+const getDatabase = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { ACHIEVEMENT_RULES, toAppAchievement } = require('../lib/achievements');
+
+const router = express.Router();
+
+// GET /api/achievements - Every badge, with whether and when the current user earned it
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const awards = await db.getUserAchievements(req.user.id);
+
+    const achievements = ACHIEVEMENT_RULES.map(rule => toAppAchievement(
+      rule,
+      awards.find(award => award.achievement_id === rule.id)
+    ));
+
+    res.json({
+      success: true,
+      earned: achievements.filter(achievement => achievement.earned).length,
+      achievements: achievements
+    });
+
+  } catch (error) {
+    console.error('Fetch achievements error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch achievements'
+    });
+  }
+});
+
+module.exports = router;
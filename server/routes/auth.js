@@ -1,11 +1,37 @@
 const express = require('express');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
 const getDatabase = require('../database');
-const { generateToken, authenticateToken } = require('../middleware/auth');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  authenticateToken,
+  hashToken,
+  toSqlDateTime
+} = require('../middleware/auth');
+const {
+  loginLimiter,
+  registerLimiter,
+  passwordResetLimiter,
+  passwordResetEmailLimiter,
+  rejectLockedLogin,
+  recordFailedLogin,
+  clearFailedLogins
+} = require('../middleware/rateLimit');
+const { sendMail } = require('../lib/mailer');
+const { enqueueWebhookEvent } = require('../lib/webhooks');
 
 const router = express.Router();
 
+const SALT_ROUNDS = 12;
+const PASSWORD_RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES, 10) || 60;
+const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL || 'tennisrating://reset-password';
+
+// Compared against when no account has the email, so a failed login takes as
+// long either way and doesn't reveal which emails are registered
+const DUMMY_PASSWORD_HASH = '$2a$12$ulTMwsr0N6vjCTzHqPFRFua3DWIslLHcOaJ7OsMMnHo2uxXIO00Am';
+
 // Input validation helpers
 const validateEmail = (email) => {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -21,7 +47,7 @@ const validateName = (name) => {
 };
 
 // POST /api/auth/register - Register new user
-router.post('/register', async (req, res) => {
+router.post('/register', registerLimiter, async (req, res) => {
   try {
     const { email, password, name } = req.body;
     
@@ -59,22 +85,21 @@ router.post('/register', async (req, res) => {
     }
 
     // Hash password
-    const saltRounds = 12;
-    const passwordHash = await bcrypt.hash(password, saltRounds);
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
 
     // Create user
     const userId = uuidv4();
     await db.createUser(userId, email.toLowerCase(), name.trim(), passwordHash);
 
-    // Generate JWT token
-    const token = generateToken(userId);
+    // Issue access and refresh tokens
+    const tokens = await issueTokens(userId);
 
     console.log(`✅ New user registered: ${email}`);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
-      token,
+      ...tokens,
       user: {
         id: userId,
         email: email.toLowerCase(),
@@ -91,8 +116,9 @@ router.post('/register', async (req, res) => {
   }
 });
 
-// POST /api/auth/login - User login
-router.post('/login', async (req, res) => {
+// POST /api/auth/login - User login. Repeated failures lock the account's
+// logins for a while (see middleware/rateLimit.js).
+router.post('/login', loginLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
     
@@ -111,34 +137,34 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    const normalizedEmail = email.toLowerCase();
+    if (await rejectLockedLogin(res, normalizedEmail)) {
+      return;
+    }
+
     const db = getDatabase();
 
-    // Find user in database
-    const user = await db.getUserByEmail(email.toLowerCase());
-    if (!user) {
+    // Find user in database and verify password
+    const user = await db.getUserByEmail(normalizedEmail);
+    const isValidPassword = await bcrypt.compare(password, user ? user.password_hash : DUMMY_PASSWORD_HASH);
+    if (!user || !isValidPassword) {
+      await recordFailedLogin(normalizedEmail);
       return res.status(401).json({
         success: false,
         error: 'Invalid email or password'
       });
     }
 
-    // Verify password
-    const isValidPassword = await bcrypt.compare(password, user.password_hash);
-    if (!isValidPassword) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid email or password'
-      });
-    }
+    await clearFailedLogins(normalizedEmail);
 
-    // Generate JWT token
-    const token = generateToken(user.id);
+    // Issue access and refresh tokens
+    const tokens = await issueTokens(user.id);
 
     console.log(`✅ User logged in: ${email}`);
 
     res.json({
       success: true,
-      token,
+      ...tokens,
       user: {
         id: user.id,
         email: user.email,
@@ -155,12 +181,45 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// POST /api/auth/logout - User logout
+// POST /api/auth/refresh - Exchange a refresh token for a new token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token is required'
+      });
+    }
+
+    const result = await rotateRefreshToken(refreshToken);
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result.tokens
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Token refresh failed. Please try again.'
+    });
+  }
+});
+
+// POST /api/auth/logout - Revoke this device's tokens
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
-    // For JWT tokens, we don't need to do anything server-side
-    // The client should discard the token
-    // In production, you might implement token blacklisting here
+    const db = getDatabase();
+    await db.revokeTokenFamily(req.auth.familyId, 'logout');
     
     console.log(`✅ User logged out: ${req.user.email}`);
 
@@ -177,4 +236,325 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
+// POST /api/auth/logout-all - Revoke tokens on every device
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const result = await db.revokeUserTokenFamilies(req.user.id, 'logout_all');
+
+    console.log(`✅ User logged out of ${result.changes} device(s): ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      revokedSessions: result.changes
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Logout failed'
+    });
+  }
+});
+
+// Public user fields
+const toUserResponse = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  createdAt: user.created_at
+});
+
+// GET /api/auth/me - Current user's account
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const user = await db.getUserById(req.user.id);
+
+    res.json({
+      success: true,
+      user: toUserResponse(user)
+    });
+  } catch (error) {
+    console.error('Fetch account error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch account'
+    });
+  }
+});
+
+// PATCH /api/auth/me - Update name or email (email changes need the current password)
+router.patch('/me', authenticateToken, async (req, res) => {
+  try {
+    const { name, email, currentPassword } = req.body;
+
+    if (name === undefined && email === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide a name or email to update'
+      });
+    }
+
+    if (name !== undefined && !validateName(name)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name must be at least 2 characters long'
+      });
+    }
+
+    if (email !== undefined && !validateEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a valid email address'
+      });
+    }
+
+    const db = getDatabase();
+    const user = await db.getUserById(req.user.id);
+    const newEmail = email !== undefined ? email.toLowerCase() : user.email;
+
+    if (newEmail !== user.email) {
+      if (!currentPassword || !(await bcrypt.compare(currentPassword, user.password_hash))) {
+        return res.status(401).json({
+          success: false,
+          error: 'Current password is required to change email'
+        });
+      }
+
+      const existingUser = await db.getUserByEmail(newEmail);
+      if (existingUser) {
+        return res.status(409).json({
+          success: false,
+          error: 'User with this email already exists'
+        });
+      }
+    }
+
+    await db.updateUserProfile(user.id, {
+      email: newEmail,
+      name: name !== undefined ? name.trim() : user.name
+    });
+    const updated = await db.getUserById(user.id);
+
+    console.log(`✅ Account updated: ${updated.email}`);
+
+    res.json({
+      success: true,
+      message: 'Account updated successfully',
+      user: toUserResponse(updated)
+    });
+  } catch (error) {
+    console.error('Update account error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update account'
+    });
+  }
+});
+
+// POST /api/auth/change-password - Change password; other devices are logged out
+router.post('/change-password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Current and new password are required'
+      });
+    }
+
+    if (!validatePassword(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password must be at least 6 characters long'
+      });
+    }
+
+    const db = getDatabase();
+    const user = await db.getUserById(req.user.id);
+
+    const isValidPassword = await bcrypt.compare(currentPassword, user.password_hash);
+    if (!isValidPassword) {
+      return res.status(401).json({
+        success: false,
+        error: 'Current password is incorrect'
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
+    await db.updateUserPassword(user.id, passwordHash);
+    await db.revokeUserTokenFamilies(user.id, 'password_changed', req.auth.familyId);
+
+    console.log(`✅ Password changed: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Password changed. Other devices have been logged out.'
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change password'
+    });
+  }
+});
+
+// POST /api/auth/forgot-password - Email a password reset link
+router.post('/forgot-password', passwordResetLimiter, passwordResetEmailLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!validateEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a valid email address'
+      });
+    }
+
+    const db = getDatabase();
+    const user = await db.getUserByEmail(email.toLowerCase());
+
+    // Same response whether or not the account exists, so emails can't be
+    // probed. The mail is sent in the background so timing doesn't tell either.
+    if (user) {
+      const resetToken = crypto.randomBytes(32).toString('base64url');
+      const expiresAt = new Date(Date.now() + PASSWORD_RESET_EXPIRES_MINUTES * 60 * 1000);
+
+      await db.createPasswordResetToken(uuidv4(), user.id, hashToken(resetToken), toSqlDateTime(expiresAt));
+      sendMail({
+        to: user.email,
+        subject: 'Reset your Tennis Rating password',
+        text: [
+          `Hi ${user.name},`,
+          '',
+          'Use the link below to choose a new password:',
+          `${PASSWORD_RESET_URL}?token=${resetToken}`,
+          '',
+          `The link expires in ${PASSWORD_RESET_EXPIRES_MINUTES} minutes and can only be used once.`,
+          'If you did not ask to reset your password, you can ignore this email.'
+        ].join('\n')
+      }).catch(error => console.error('Password reset email error:', error));
+
+      console.log(`✅ Password reset requested: ${user.email}`);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent.'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send reset email. Please try again.'
+    });
+  }
+});
+
+// POST /api/auth/reset-password - Set a new password with a reset token
+router.post('/reset-password', passwordResetLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Reset token is required'
+      });
+    }
+
+    if (!validatePassword(password)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password must be at least 6 characters long'
+      });
+    }
+
+    const db = getDatabase();
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+
+    const user = await db.transaction(async (tx) => {
+      const resetToken = await tx.getPasswordResetTokenByHash(hashToken(token));
+      if (!resetToken || resetToken.used_at || resetToken.expires_at <= toSqlDateTime(new Date())) {
+        return null;
+      }
+
+      await tx.markPasswordResetTokenUsed(resetToken.id);
+      await tx.updateUserPassword(resetToken.user_id, passwordHash);
+      await tx.revokeUserTokenFamilies(resetToken.user_id, 'password_reset');
+      return await tx.getUserById(resetToken.user_id);
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reset link is invalid or has expired'
+      });
+    }
+
+    console.log(`✅ Password reset: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset password'
+    });
+  }
+});
+
+// DELETE /api/auth/me - Delete the account and all of its data
+router.delete('/me', authenticateToken, async (req, res) => {
+  try {
+    const { password } = req.body || {};
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password is required to delete your account'
+      });
+    }
+
+    const db = getDatabase();
+    const user = await db.getUserById(req.user.id);
+
+    const isValidPassword = await bcrypt.compare(password, user.password_hash);
+    if (!isValidPassword) {
+      return res.status(401).json({
+        success: false,
+        error: 'Password is incorrect'
+      });
+    }
+
+    // Sessions, shots and all tokens are removed by ON DELETE CASCADE. The
+    // user.deleted event keeps its own copy of each webhook's url and secret,
+    // so it is still sent once the user's webhooks are gone.
+    await db.transaction(async (tx) => {
+      await enqueueWebhookEvent(tx, user.id, 'user.deleted', { userId: user.id });
+      await tx.deleteUser(user.id);
+    });
+
+    console.log(`🗑️ Account deleted: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Account deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete account'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
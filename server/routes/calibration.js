@@ -0,0 +1,220 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const getDatabase = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  CALIBRATION_VERSIONS_KEPT,
+  validateCalibrationProfile,
+  validateSwingDataset,
+  toDbCalibrationProfile,
+  toDbSwingDataset,
+  toAppCalibrationProfile,
+  toAppSwingDataset
+} = require('../lib/calibration');
+
+const router = express.Router();
+
+const PROFILE_FIELDS = ['forehandPatterns', 'backhandPatterns', 'servePatterns', 'device'];
+const DATASET_FIELDS = ['swings', 'device'];
+
+// 'latest' becomes null; anything but a positive whole number is undefined
+const parseVersion = (value) => {
+  if (value === 'latest') {
+    return null;
+  }
+  return /^[1-9]\d*$/.test(value) ? parseInt(value) : undefined;
+};
+
+// POST /api/calibration/profiles - Upload the app's swing patterns as a new version
+// Body: { forehandPatterns, backhandPatterns, servePatterns, device? }
+router.post('/profiles', authenticateToken, async (req, res) => {
+  try {
+    const profile = req.body || {};
+
+    const unknownFields = Object.keys(profile).filter(field => !PROFILE_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown calibration profile fields: ${unknownFields.join(', ')}`
+      });
+    }
+
+    const validationError = validateCalibrationProfile(profile);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const db = getDatabase();
+    const profileId = uuidv4();
+    await db.transaction(async (tx) => {
+      await tx.createCalibrationProfile({ id: profileId, user_id: req.user.id, ...toDbCalibrationProfile(profile) });
+      await tx.pruneCalibrationProfiles(req.user.id, CALIBRATION_VERSIONS_KEPT);
+    });
+
+    const saved = await db.getCalibrationProfile(req.user.id);
+
+    console.log(`🎯 Calibration profile v${saved.version} uploaded by ${req.user.email} (${saved.pattern_count} patterns)`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Calibration profile saved',
+      profile: toAppCalibrationProfile(saved)
+    });
+
+  } catch (error) {
+    console.error('Upload calibration profile error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save calibration profile'
+    });
+  }
+});
+
+// GET /api/calibration/profiles - Your profile versions, newest first, without patterns
+router.get('/profiles', authenticateToken, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const versions = await db.getCalibrationProfileVersions(req.user.id);
+
+    res.json({
+      success: true,
+      profiles: versions.map(toAppCalibrationProfile)
+    });
+
+  } catch (error) {
+    console.error('Fetch calibration profiles error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch calibration profiles'
+    });
+  }
+});
+
+// GET /api/calibration/profiles/:version - Download one version, or 'latest'
+router.get('/profiles/:version', authenticateToken, async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    const db = getDatabase();
+    const profile = version === undefined ? null : await db.getCalibrationProfile(req.user.id, version);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Calibration profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      profile: toAppCalibrationProfile(profile)
+    });
+
+  } catch (error) {
+    console.error('Fetch calibration profile error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch calibration profile'
+    });
+  }
+});
+
+// POST /api/calibration/datasets - Upload labeled swings as a new version
+// Body: { swings: [LabeledSwingData], device? }, swings as exportTrainingData() writes them
+router.post('/datasets', authenticateToken, async (req, res) => {
+  try {
+    const dataset = req.body || {};
+
+    const unknownFields = Object.keys(dataset).filter(field => !DATASET_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown swing dataset fields: ${unknownFields.join(', ')}`
+      });
+    }
+
+    const validationError = validateSwingDataset(dataset);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const db = getDatabase();
+    const datasetId = uuidv4();
+    await db.transaction(async (tx) => {
+      await tx.createSwingDataset({ id: datasetId, user_id: req.user.id, ...toDbSwingDataset(dataset) });
+      await tx.pruneSwingDatasets(req.user.id, CALIBRATION_VERSIONS_KEPT);
+    });
+
+    const [saved] = await db.getSwingDatasetVersions(req.user.id);
+
+    console.log(`🎯 Swing dataset v${saved.version} uploaded by ${req.user.email} (${saved.swing_count} swings)`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Swing dataset saved',
+      dataset: toAppSwingDataset(saved)
+    });
+
+  } catch (error) {
+    console.error('Upload swing dataset error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save swing dataset'
+    });
+  }
+});
+
+// GET /api/calibration/datasets - Your dataset versions, newest first, without swings
+router.get('/datasets', authenticateToken, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const versions = await db.getSwingDatasetVersions(req.user.id);
+
+    res.json({
+      success: true,
+      datasets: versions.map(toAppSwingDataset)
+    });
+
+  } catch (error) {
+    console.error('Fetch swing datasets error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch swing datasets'
+    });
+  }
+});
+
+// GET /api/calibration/datasets/:version - Download one version, or 'latest'
+router.get('/datasets/:version', authenticateToken, async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    const db = getDatabase();
+    const dataset = version === undefined ? null : await db.getSwingDataset(req.user.id, version);
+
+    if (!dataset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Swing dataset not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      dataset: toAppSwingDataset(dataset)
+    });
+
+  } catch (error) {
+    console.error('Fetch swing dataset error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch swing dataset'
+    });
+  }
+});
+
+module.exports = router;
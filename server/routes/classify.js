@@ -0,0 +1,74 @@
+const express = require('express');
+const getDatabase = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { validatePoseFrames, toAppCalibrationProfile } = require('../lib/calibration');
+const { classifySwing } = require('../lib/swingClassifier');
+
+const router = express.Router();
+
+const CLASSIFY_FIELDS = ['poseFrames', 'calibration'];
+
+// POST /api/classify - Classify one swing from its pose frames
+// Body: { poseFrames: [PoseFrameData], calibration? }. calibration is 'latest'
+// (the default: your newest stored profile, or the default rules if you have
+// none), 'none' for the default rules, or a profile version.
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { poseFrames, calibration = 'latest' } = body;
+
+    const unknownFields = Object.keys(body).filter(field => !CLASSIFY_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown classification fields: ${unknownFields.join(', ')}`
+      });
+    }
+
+    const validationError = validatePoseFrames(poseFrames, 'poseFrames');
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    if (calibration !== 'latest' && calibration !== 'none' && !(Number.isInteger(calibration) && calibration > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: "calibration must be 'latest', 'none' or a profile version"
+      });
+    }
+
+    const db = getDatabase();
+    let profile = null;
+
+    if (calibration !== 'none') {
+      const row = await db.getCalibrationProfile(req.user.id, calibration === 'latest' ? null : calibration);
+      if (!row && calibration !== 'latest') {
+        return res.status(404).json({
+          success: false,
+          error: 'Calibration profile not found'
+        });
+      }
+      profile = row ? toAppCalibrationProfile(row) : null;
+    }
+
+    res.json({
+      success: true,
+      classification: {
+        ...classifySwing(poseFrames, profile),
+        calibrationVersion: profile ? profile.version : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Classify swing error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to classify swing'
+    });
+  }
+});
+
+module.exports = router;
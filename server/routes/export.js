@@ -0,0 +1,275 @@
+const express = require('express');
+const { once } = require('events');
+const { Readable } = require('stream');
+const archiver = require('archiver');
+const getDatabase = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { loadPlayerProfile, toAppProfile } = require('../lib/playerProfile');
+const { toAppSession, toAppShot } = require('../lib/sessionFormat');
+const { toCsvRow } = require('../lib/csv');
+const { toAppGoal } = require('../lib/goals');
+const { toAppAwards } = require('../lib/achievements');
+const { toAppSkillRating } = require('../lib/skillRating');
+const { toAppShareLink } = require('../lib/shareLinks');
+const {
+  PATTERN_LISTS,
+  PATTERN_FIELDS,
+  POSE_JOINTS,
+  toAppCalibrationProfile,
+  toAppSwingDataset
+} = require('../lib/calibration');
+
+const router = express.Router();
+
+const EXPORT_FORMATS = ['json', 'csv'];
+const SHOT_BATCH_SIZE = 200; // Sessions whose shots are loaded per query
+
+// Yield the user's sessions with their shot records attached
+async function* exportSessions(db, userId) {
+  let batch = [];
+
+  const flush = async function* () {
+    const shotsBySession = await db.getShotsForSessions(batch.map(session => session.id));
+    for (const session of batch) {
+      yield {
+        ...toAppSession(session),
+        shots: shotsBySession.get(session.id).map(toAppShot)
+      };
+    }
+    batch = [];
+  };
+
+  for await (const session of db.iterateUserSessions(userId)) {
+    batch.push(session);
+    if (batch.length === SHOT_BATCH_SIZE) {
+      yield* flush();
+    }
+  }
+  yield* flush();
+}
+
+// Everything else the user owns, small enough to load at once. Skill rating
+// history is left out: it is rebuilt from the sessions.
+const loadExportRecords = async (db, userId) => {
+  const now = new Date();
+  const profiles = [];
+  for (const { version } of await db.getCalibrationProfileVersions(userId)) {
+    profiles.push(toAppCalibrationProfile(await db.getCalibrationProfile(userId, version)));
+  }
+
+  return {
+    goals: (await db.getUserGoals(userId)).map(toAppGoal),
+    achievements: toAppAwards(await db.getUserAchievements(userId)),
+    skillRatings: (await db.getSkillRatings(userId)).map(row => toAppSkillRating(row.stroke, row, now)),
+    // Without the tokens: an export file must not open the user's links
+    shareLinks: (await db.getUserShareLinks(userId)).map((row) => {
+      const { url, token, ...link } = toAppShareLink(row);
+      return link;
+    }),
+    calibrationProfiles: profiles
+  };
+};
+
+// Yield the user's labeled swing datasets one version at a time, newest first
+async function* exportSwingDatasets(db, userId) {
+  for (const { version } of await db.getSwingDatasetVersions(userId)) {
+    yield toAppSwingDataset(await db.getSwingDataset(userId, version));
+  }
+}
+
+// Write a chunk, waiting for the client to catch up when its buffer is full
+const writeChunk = async (res, chunk) => {
+  if (res.destroyed) {
+    throw new Error('Client disconnected during export');
+  }
+  if (!res.write(chunk)) {
+    await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  }
+};
+
+// Write an array one item at a time
+const writeJsonArray = async (res, items) => {
+  await writeChunk(res, '[');
+  let first = true;
+  for await (const item of items) {
+    await writeChunk(res, (first ? '' : ',') + JSON.stringify(item));
+    first = false;
+  }
+  await writeChunk(res, ']');
+};
+
+const streamJsonExport = async (res, account, profile, records, sessions, swingDatasets) => {
+  await writeChunk(res, '{"exportedAt":' + JSON.stringify(new Date().toISOString()));
+  await writeChunk(res, ',"account":' + JSON.stringify(account));
+  await writeChunk(res, ',"profile":' + JSON.stringify(profile));
+  for (const [name, items] of Object.entries(records)) {
+    await writeChunk(res, `,"${name}":` + JSON.stringify(items));
+  }
+  await writeChunk(res, ',"sessions":');
+  await writeJsonArray(res, sessions);
+  await writeChunk(res, ',"swingDatasets":');
+  await writeJsonArray(res, swingDatasets);
+
+  res.end('}');
+};
+
+// CSV files in the zip archive, one per entity
+const SESSION_COLUMNS = [
+  'id', 'timestamp', 'sessionDuration', 'totalShots', 'successfulShots',
+  'forehandCount', 'backhandCount', 'serveCount', 'rating', 'ratingScore', 'ratingVersion'
+];
+const SHOT_COLUMNS = [
+  'index', 'swingType', 'successful', 'timestampOffset', 'wristSpeed',
+  'elbowAngle', 'shoulderRotation', 'confidence', 'amplitude', 'swingDuration'
+];
+
+const GOAL_COLUMNS = ['id', 'title', 'metric', 'stroke', 'target', 'period', 'startDate', 'deadline', 'createdAt', 'updatedAt'];
+const ACHIEVEMENT_COLUMNS = ['id', 'title', 'earnedAt', 'sessionId'];
+const SKILL_RATING_COLUMNS = ['stroke', 'rating', 'rd', 'low', 'high', 'provisional', 'sessions', 'lastPlayedAt'];
+const SHARE_LINK_COLUMNS = [
+  'id', 'kind', 'sessionId', 'showName', 'status', 'expiresAt', 'revokedAt',
+  'accessCount', 'lastAccessedAt', 'createdAt'
+];
+const POSE_COLUMNS = POSE_JOINTS.flatMap(joint => [`${joint}X`, `${joint}Y`]);
+
+const toCsvFile = (columns, items) =>
+  toCsvRow(columns) + items.map(item => toCsvRow(columns.map(column => item[column]))).join('');
+
+const streamCsvExport = async (res, account, profile, records, sessionsForFile, swingDatasets) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const finished = once(res, 'finish');
+  archive.on('warning', error => console.warn('Export archive warning:', error));
+  archive.pipe(res);
+
+  const profileColumns = Object.keys(profile);
+  archive.append(
+    toCsvRow(['id', 'email', 'name', 'createdAt', ...profileColumns]) +
+    toCsvRow([account.id, account.email, account.name, account.createdAt, ...profileColumns.map(key => profile[key])]),
+    { name: 'profile.csv' }
+  );
+
+  // Each file re-reads the sessions so nothing is buffered across files
+  archive.append(Readable.from(async function* () {
+    yield toCsvRow(SESSION_COLUMNS);
+    for await (const session of sessionsForFile()) {
+      yield toCsvRow(SESSION_COLUMNS.map(column => session[column]));
+    }
+  }()), { name: 'sessions.csv' });
+
+  archive.append(Readable.from(async function* () {
+    yield toCsvRow(['sessionId', ...SHOT_COLUMNS]);
+    for await (const session of sessionsForFile()) {
+      for (const shot of session.shots) {
+        yield toCsvRow([session.id, ...SHOT_COLUMNS.map(column => shot[column])]);
+      }
+    }
+  }()), { name: 'shots.csv' });
+
+  archive.append(Readable.from(async function* () {
+    yield toCsvRow(['sessionId', 'index', 'interval']);
+    for await (const session of sessionsForFile()) {
+      for (let i = 0; i < session.shotTimings.length; i++) {
+        yield toCsvRow([session.id, i, session.shotTimings[i]]);
+      }
+    }
+  }()), { name: 'shot_timings.csv' });
+
+  archive.append(toCsvFile(GOAL_COLUMNS, records.goals), { name: 'goals.csv' });
+  archive.append(toCsvFile(ACHIEVEMENT_COLUMNS, records.achievements), { name: 'achievements.csv' });
+  archive.append(toCsvFile(
+    SKILL_RATING_COLUMNS,
+    records.skillRatings.map(skill => ({ ...skill, ...skill.interval }))
+  ), { name: 'skill_ratings.csv' });
+  archive.append(toCsvFile(SHARE_LINK_COLUMNS, records.shareLinks), { name: 'share_links.csv' });
+
+  // One row per pattern, and one per pose frame of each labeled swing
+  archive.append(
+    toCsvRow(['profileVersion', 'device', 'createdAt', 'stroke', 'index', ...PATTERN_FIELDS]) +
+    records.calibrationProfiles.flatMap(calibration => PATTERN_LISTS.flatMap(list =>
+      calibration[list].map((pattern, index) => toCsvRow([
+        calibration.version,
+        calibration.device,
+        calibration.createdAt,
+        list.replace('Patterns', ''),
+        index,
+        ...PATTERN_FIELDS.map(field => pattern[field])
+      ]))
+    )).join(''),
+    { name: 'calibration_patterns.csv' }
+  );
+
+  archive.append(Readable.from(async function* () {
+    yield toCsvRow([
+      'datasetVersion', 'swingIndex', 'label', 'sessionId', 'timestamp',
+      'frameIndex', 'frameTimestamp', 'confidence', ...POSE_COLUMNS
+    ]);
+    for await (const dataset of swingDatasets) {
+      for (let i = 0; i < dataset.swings.length; i++) {
+        const swing = dataset.swings[i];
+        for (let j = 0; j < swing.poseFrames.length; j++) {
+          const frame = swing.poseFrames[j];
+          yield toCsvRow([
+            dataset.version, i, swing.label, swing.sessionId, swing.timestamp,
+            j, frame.timestamp, frame.confidence,
+            ...POSE_JOINTS.flatMap(joint => frame[joint] || [null, null])
+          ]);
+        }
+      }
+    }
+  }()), { name: 'labeled_swings.csv' });
+
+  await archive.finalize();
+  await finished;
+};
+
+// GET /api/export?format=json|csv - Download all of the user's data
+router.get('/', authenticateToken, async (req, res) => {
+  const format = req.query.format || 'json';
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`
+    });
+  }
+
+  try {
+    const db = getDatabase();
+    const user = await db.getUserById(req.user.id);
+    const account = {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      createdAt: user.created_at
+    };
+    const profile = toAppProfile(await loadPlayerProfile(db, user.id));
+    const records = await loadExportRecords(db, user.id);
+    const filename = `tennis-rating-export-${new Date().toISOString().slice(0, 10)}`;
+
+    console.log(`📦 ${format.toUpperCase()} export started for user ${req.user.email}`);
+
+    if (format === 'json') {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+      await streamJsonExport(res, account, profile, records, exportSessions(db, user.id), exportSwingDatasets(db, user.id));
+    } else {
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.zip"`);
+      await streamCsvExport(res, account, profile, records, () => exportSessions(db, user.id), exportSwingDatasets(db, user.id));
+    }
+
+  } catch (error) {
+    console.error('Export error:', error);
+
+    if (res.headersSent) {
+      // Part of the file is already out; cut the connection so it isn't mistaken for complete
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export data'
+    });
+  }
+});
+
+module.exports = router;
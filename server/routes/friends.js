@@ -0,0 +1,217 @@
+const express = require('express');
+const getDatabase = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { loadPrivacySettings } = require('../lib/privacy');
+
+const router = express.Router();
+
+// GET /api/friends - Friends, and friend requests received and sent. Sent
+// requests are listed by the email typed, since the answer to sending one
+// doesn't tell whether an account takes requests there either.
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const friendships = await db.getUserFriendships(req.user.id);
+    const sent = await db.getSentFriendRequests(req.user.id);
+
+    const toEntry = (friendship) => ({
+      userId: friendship.other_id,
+      name: friendship.other_name,
+      requestedAt: friendship.created_at,
+      acceptedAt: friendship.accepted_at
+    });
+
+    res.json({
+      success: true,
+      friends: friendships.filter(f => f.status === 'accepted').map(toEntry),
+      incoming: friendships.filter(f => f.status === 'pending' && f.addressee_id === req.user.id).map(toEntry),
+      outgoing: sent.map(request => ({
+        email: request.email,
+        requestedAt: request.created_at
+      }))
+    });
+
+  } catch (error) {
+    console.error('Fetch friends error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch friends'
+    });
+  }
+});
+
+// POST /api/friends/requests - Send a friend request by email. Sending one to
+// someone who already asked you accepts theirs. Otherwise the answer is the
+// same whether or not an account takes requests at that email, so emails
+// can't be probed.
+router.post('/requests', authenticateToken, async (req, res) => {
+  try {
+    const { email } = req.body || {};
+
+    if (typeof email !== 'string' || email.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'email is required'
+      });
+    }
+
+    if (email.toLowerCase() === req.user.email.toLowerCase()) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot send a friend request to yourself'
+      });
+    }
+
+    const db = getDatabase();
+    const other = await db.getUserByEmail(email.toLowerCase());
+    const existing = other ? await db.getFriendship(req.user.id, other.id) : null;
+
+    // Friends and incoming requests are listed to the player already
+    if (existing && existing.status === 'accepted') {
+      return res.status(409).json({
+        success: false,
+        error: 'You are already friends'
+      });
+    }
+
+    if (existing && existing.addressee_id === req.user.id) {
+      await db.acceptFriendRequest(other.id, req.user.id);
+      await db.deleteSentFriendRequestsTo(other.id, req.user.id);
+      console.log(`🤝 ${req.user.email} and ${other.email} are now friends`);
+
+      return res.json({
+        success: true,
+        message: 'Friend request accepted',
+        status: 'accepted',
+        userId: other.id
+      });
+    }
+
+    // Unknown addresses, players who don't take requests and requests already
+    // sent all look like a new request
+    await db.upsertSentFriendRequest(req.user.id, email.toLowerCase(), other ? other.id : null);
+    if (other && !existing && (await loadPrivacySettings(db, other.id)).friend_requests !== 'nobody') {
+      await db.createFriendRequest(req.user.id, other.id);
+      console.log(`📨 Friend request from ${req.user.email} to ${other.email}`);
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'If an account accepting friend requests uses that email, a request has been sent',
+      status: 'pending'
+    });
+
+  } catch (error) {
+    console.error('Friend request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send friend request'
+    });
+  }
+});
+
+// POST /api/friends/requests/:userId/accept - Accept a request from userId
+router.post('/requests/:userId/accept', authenticateToken, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const friendship = await db.getFriendship(req.user.id, req.params.userId);
+
+    if (!friendship || friendship.status !== 'pending' || friendship.addressee_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Friend request not found'
+      });
+    }
+
+    await db.acceptFriendRequest(friendship.requester_id, req.user.id);
+    await db.deleteSentFriendRequestsTo(friendship.requester_id, req.user.id);
+
+    console.log(`🤝 ${req.user.email} accepted a friend request from ${friendship.requester_id}`);
+
+    res.json({
+      success: true,
+      message: 'Friend request accepted',
+      status: 'accepted',
+      userId: friendship.requester_id
+    });
+
+  } catch (error) {
+    console.error('Accept friend request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to accept friend request'
+    });
+  }
+});
+
+// DELETE /api/friends/requests/:email - Cancel a request you sent
+router.delete('/requests/:email', authenticateToken, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const email = req.params.email.toLowerCase();
+    const request = await db.getSentFriendRequest(req.user.id, email);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: 'Friend request not found'
+      });
+    }
+
+    await db.transaction(async (tx) => {
+      await tx.deleteSentFriendRequest(req.user.id, email);
+      const friendship = request.addressee_id ? await tx.getFriendship(req.user.id, request.addressee_id) : null;
+      if (friendship && friendship.status === 'pending' && friendship.requester_id === req.user.id) {
+        await tx.deleteFriendship(req.user.id, request.addressee_id);
+      }
+    });
+
+    console.log(`🚫 ${req.user.email} cancelled a friend request to ${email}`);
+
+    res.json({
+      success: true,
+      message: 'Friend request cancelled',
+      email: email
+    });
+
+  } catch (error) {
+    console.error('Cancel friend request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel friend request'
+    });
+  }
+});
+
+// DELETE /api/friends/:userId - Unfriend, or decline a request. Declining
+// leaves the request in the sender's list, as for addresses without an account.
+router.delete('/:userId', authenticateToken, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const result = await db.deleteFriendship(req.user.id, req.params.userId);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Friend or friend request not found'
+      });
+    }
+
+    console.log(`👋 ${req.user.email} removed friendship with ${req.params.userId}`);
+
+    res.json({
+      success: true,
+      message: 'Friendship removed',
+      userId: req.params.userId
+    });
+
+  } catch (error) {
+    console.error('Remove friend error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove friend'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,245 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const getDatabase = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { loadPlayerProfile } = require('../lib/playerProfile');
+const { GOAL_STATUSES, validateGoal, toAppGoal, toDbGoal, evaluateGoal } = require('../lib/goals');
+const { localDateKey } = require('../lib/time');
+const { reportCompletedGoals } = require('../lib/sessionHooks');
+
+const router = express.Router();
+
+const GOAL_FIELDS = ['title', 'metric', 'stroke', 'target', 'period', 'startDate', 'deadline'];
+
+// Goal with its progress as of today in the player's timezone
+const withProgress = async (db, goal) => {
+  const { timezone } = await loadPlayerProfile(db, goal.user_id);
+  return {
+    ...toAppGoal(goal),
+    progress: await evaluateGoal(db, goal, { timeZone: timezone, today: localDateKey(new Date(), timezone) })
+  };
+};
+
+const unknownFieldsError = (body) => {
+  const unknownFields = Object.keys(body).filter(field => !GOAL_FIELDS.includes(field));
+  return unknownFields.length > 0 ? `Unknown goal fields: ${unknownFields.join(', ')}` : null;
+};
+
+// Load the goal in req.params.goalId if the user owns it; otherwise respond and return null
+const loadOwnedGoal = async (req, res) => {
+  const db = getDatabase();
+  const goal = await db.getGoalById(req.params.goalId);
+
+  if (!goal) {
+    res.status(404).json({
+      success: false,
+      error: 'Goal not found'
+    });
+    return null;
+  }
+
+  if (goal.user_id !== req.user.id) {
+    res.status(403).json({
+      success: false,
+      error: 'Access denied. You can only access your own goals.'
+    });
+    return null;
+  }
+
+  return goal;
+};
+
+// GET /api/goals?status=active|completed|missed - Current user's goals with progress
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !GOAL_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${GOAL_STATUSES.join(', ')}`
+      });
+    }
+
+    const db = getDatabase();
+    const goals = [];
+    for (const goal of await db.getUserGoals(req.user.id)) {
+      goals.push(await withProgress(db, goal));
+    }
+
+    res.json({
+      success: true,
+      goals: status ? goals.filter(goal => goal.progress.status === status) : goals
+    });
+
+  } catch (error) {
+    console.error('Fetch goals error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch goals'
+    });
+  }
+});
+
+// POST /api/goals - Create a goal
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const body = req.body || {};
+
+    const unknownError = unknownFieldsError(body);
+    if (unknownError) {
+      return res.status(400).json({
+        success: false,
+        error: unknownError
+      });
+    }
+
+    const db = getDatabase();
+    const { timezone } = await loadPlayerProfile(db, req.user.id);
+    const goal = {
+      stroke: null,
+      period: null,
+      deadline: null,
+      startDate: localDateKey(new Date(), timezone),
+      ...body
+    };
+
+    const validationError = validateGoal(goal);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    // A goal that is already reached is reported right away
+    const goalId = uuidv4();
+    await db.transaction(async (tx) => {
+      await tx.createGoal({ ...toDbGoal(goal), id: goalId, user_id: req.user.id });
+      await reportCompletedGoals(tx, req.user.id);
+    });
+
+    console.log(`🎯 Goal created for user ${req.user.email}: ${goalId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Goal created successfully',
+      goal: await withProgress(db, await db.getGoalById(goalId))
+    });
+
+  } catch (error) {
+    console.error('Create goal error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create goal'
+    });
+  }
+});
+
+// GET /api/goals/:goalId - One goal with progress
+router.get('/:goalId', authenticateToken, async (req, res) => {
+  try {
+    const goal = await loadOwnedGoal(req, res);
+    if (!goal) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      goal: await withProgress(getDatabase(), goal)
+    });
+
+  } catch (error) {
+    console.error('Fetch goal error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch goal'
+    });
+  }
+});
+
+// PATCH /api/goals/:goalId - Update goal fields; null clears stroke, period or deadline
+router.patch('/:goalId', authenticateToken, async (req, res) => {
+  try {
+    const changes = req.body || {};
+
+    const unknownError = unknownFieldsError(changes);
+    if (unknownError) {
+      return res.status(400).json({
+        success: false,
+        error: unknownError
+      });
+    }
+
+    const goal = await loadOwnedGoal(req, res);
+    if (!goal) {
+      return;
+    }
+
+    const merged = { ...toAppGoal(goal), ...changes };
+    const validationError = validateGoal(merged);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    // A goal whose criteria change can be completed again in the same period
+    const updated = toDbGoal(merged);
+    const criteriaChanged = Object.keys(updated).some(column => column !== 'title' && updated[column] !== goal[column]);
+
+    const db = getDatabase();
+    await db.transaction(async (tx) => {
+      await tx.updateGoal({
+        ...updated,
+        completed_window: criteriaChanged ? null : goal.completed_window,
+        id: goal.id
+      });
+      await reportCompletedGoals(tx, req.user.id);
+    });
+
+    console.log(`✏️ Goal updated for user ${req.user.email}: ${goal.id}`);
+
+    res.json({
+      success: true,
+      message: 'Goal updated successfully',
+      goal: await withProgress(db, await db.getGoalById(goal.id))
+    });
+
+  } catch (error) {
+    console.error('Update goal error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update goal'
+    });
+  }
+});
+
+// DELETE /api/goals/:goalId - Delete a goal
+router.delete('/:goalId', authenticateToken, async (req, res) => {
+  try {
+    const goal = await loadOwnedGoal(req, res);
+    if (!goal) {
+      return;
+    }
+
+    await getDatabase().deleteGoal(goal.id);
+
+    console.log(`🗑️ Goal deleted for user ${req.user.email}: ${goal.id}`);
+
+    res.json({
+      success: true,
+      message: 'Goal deleted successfully',
+      goalId: goal.id
+    });
+
+  } catch (error) {
+    console.error('Delete goal error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete goal'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+const express = require('express');
+const getDatabase = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { uploadLimiter } = require('../middleware/rateLimit');
+const { loadPlayerProfile } = require('../lib/playerProfile');
+const { ingestSessions, summarizeResults } = require('../lib/sessionIngest');
+const { parseJsonHistory, parseCsvHistory } = require('../lib/sessionImport');
+
+const router = express.Router();
+
+const IMPORT_FORMATS = ['json', 'csv'];
+const MAX_IMPORT_SESSIONS = parseInt(process.env.IMPORT_MAX_SESSIONS, 10) || 1000;
+
+// CSV uploads arrive as plain text; JSON is already parsed by the app-wide middleware
+const parseCsvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' });
+
+// POST /api/import?format=json|csv&dryRun=true - Import historical sessions from a backup
+router.post('/', authenticateToken, uploadLimiter, parseCsvBody, async (req, res) => {
+  const format = req.query.format || (req.is('text/csv') ? 'csv' : 'json');
+  const dryRun = req.query.dryRun === 'true';
+
+  if (!IMPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: `Format must be one of: ${IMPORT_FORMATS.join(', ')}`
+    });
+  }
+
+  try {
+    const db = getDatabase();
+    const userId = req.user.id;
+
+    let entries;
+    try {
+      if (format === 'csv') {
+        if (typeof req.body !== 'string') {
+          throw new Error('CSV imports must be sent with Content-Type: text/csv');
+        }
+        // Spreadsheet dates without an offset are in the player's own timezone
+        const profile = await loadPlayerProfile(db, userId);
+        entries = parseCsvHistory(req.body, profile.timezone);
+      } else {
+        entries = parseJsonHistory(req.body);
+      }
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (entries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Import contains no sessions'
+      });
+    }
+
+    if (entries.length > MAX_IMPORT_SESSIONS) {
+      return res.status(413).json({
+        success: false,
+        error: `An import cannot contain more than ${MAX_IMPORT_SESSIONS} sessions`
+      });
+    }
+
+    // Backups overlap with what was already uploaded, so skip sessions we have
+    // by id, identical content or the same start time and counts
+    const parsed = entries.filter(entry => entry.sessionData);
+    const ingested = await ingestSessions(db, userId, parsed.map(entry => entry.sessionData), {
+      dryRun,
+      dedupeByContent: true,
+      matchExisting: true
+    });
+
+    let next = 0;
+    const results = entries.map((entry, index) => {
+      if (!entry.sessionData) {
+        return { index, line: entry.line, status: 'rejected', error: entry.error };
+      }
+
+      const result = { ...ingested[next++], index, line: entry.line };
+      if (dryRun && result.status === 'created') {
+        delete result.sessionId; // Nothing was written, so the id would never exist
+      }
+      return result;
+    });
+    const summary = summarizeResults(results);
+
+    console.log(`📥 ${dryRun ? 'Dry-run ' : ''}${format.toUpperCase()} import for user ${req.user.email}: ${summary.created} created, ${summary.duplicate} duplicate, ${summary.rejected} rejected`);
+
+    res.json({
+      success: true,
+      dryRun,
+      format,
+      summary,
+      results
+    });
+
+  } catch (error) {
+    console.error('Import error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import sessions. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
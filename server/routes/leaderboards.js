@@ -0,0 +1,91 @@
+const express = require('express');
+const getDatabase = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { loadPlayerProfile } = require('../lib/playerProfile');
+const {
+  LEADERBOARD_METRICS,
+  LEADERBOARD_PERIODS,
+  LEADERBOARD_SCOPES,
+  buildLeaderboard
+} = require('../lib/leaderboards');
+
+const router = express.Router();
+
+const MAX_LEADERBOARD_ENTRIES = 100;
+
+// GET /api/leaderboards/:metric - Ranked players
+// Query: period (week|month|all), scope (friends|team|everyone), teamId (for team) and limit
+router.get('/:metric', authenticateToken, async (req, res) => {
+  try {
+    const { metric } = req.params;
+    const period = req.query.period || 'week';
+    const scope = req.query.scope || 'friends';
+    const teamId = req.query.teamId || null;
+    const limit = Math.min(parseInt(req.query.limit) || 20, MAX_LEADERBOARD_ENTRIES);
+
+    if (!LEADERBOARD_METRICS.includes(metric)) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown leaderboard. Available: ${LEADERBOARD_METRICS.join(', ')}`
+      });
+    }
+
+    if (!LEADERBOARD_PERIODS.includes(period)) {
+      return res.status(400).json({
+        success: false,
+        error: `Period must be one of: ${LEADERBOARD_PERIODS.join(', ')}`
+      });
+    }
+
+    if (!LEADERBOARD_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        error: `Scope must be one of: ${LEADERBOARD_SCOPES.join(', ')}`
+      });
+    }
+
+    const db = getDatabase();
+
+    // Team boards are for the team's active members
+    if (scope === 'team') {
+      const membership = teamId ? await db.getTeamMember(teamId, req.user.id) : null;
+      if (!membership || membership.status !== 'active') {
+        return res.status(teamId ? 404 : 400).json({
+          success: false,
+          error: teamId ? 'Team not found' : 'teamId is required for team leaderboards'
+        });
+      }
+    }
+
+    const { timezone } = await loadPlayerProfile(db, req.user.id);
+    const leaderboard = await buildLeaderboard(db, {
+      metric,
+      period,
+      scope,
+      viewerId: req.user.id,
+      teamId: scope === 'team' ? teamId : null,
+      timeZone: timezone,
+      limit
+    });
+
+    res.json({
+      success: true,
+      leaderboard: {
+        metric: metric,
+        period: period,
+        scope: scope,
+        teamId: scope === 'team' ? teamId : undefined,
+        ...leaderboard
+      }
+    });
+
+  } catch (error) {
+    console.error('Leaderboard error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch leaderboard'
+    });
+  }
+});
+
+module.exports = router;
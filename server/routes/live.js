@@ -0,0 +1,306 @@
+const express = require('express');
+const getDatabase = require('../database');
+const { authenticateToken, authenticateStream, resolveFamilyUser, issueStreamTicket } = require('../middleware/auth');
+const { canAccessPlayer } = require('../middleware/authorize');
+const { uploadLimiter, liveShotsLimiter } = require('../middleware/rateLimit');
+const {
+  MAX_SHOTS_PER_SESSION,
+  validateShot,
+  validateSessionData,
+  storeSession
+} = require('../lib/sessionIngest');
+const { onSessionsChanged } = require('../lib/sessionHooks');
+const { toAppAwards } = require('../lib/achievements');
+const {
+  toAppLiveSession,
+  startLiveSession,
+  getLiveSession,
+  getLiveSessions,
+  addLiveShots,
+  subscribeToLiveSession,
+  endLiveSession
+} = require('../lib/liveSessions');
+
+const router = express.Router();
+
+// Guard for routes with a :liveId param: loads the live session into
+// res.locals.live, or responds 404/403. Viewers need the 'sessions' scope;
+// `write` routes are for the player's device only.
+const authorizeLiveSession = ({ write = false } = {}) => async (req, res, next) => {
+  try {
+    const live = getLiveSession(req.params.liveId);
+
+    if (!live) {
+      return res.status(404).json({
+        success: false,
+        error: 'Live session not found'
+      });
+    }
+
+    if (!(await canAccessPlayer(getDatabase(), req.user.id, live.userId, write ? null : 'sessions'))) {
+      return res.status(403).json({
+        success: false,
+        error: write
+          ? 'Access denied. Only the player can update a live session.'
+          : 'Access denied. You can only watch your own live sessions or those of players you coach.'
+      });
+    }
+
+    if (write && live.finishing) {
+      return res.status(409).json({
+        success: false,
+        error: 'This live session is being saved'
+      });
+    }
+
+    res.locals.live = live;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET /api/live - Live sessions you can watch: your own and your players'
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const visible = [];
+
+    for (const live of getLiveSessions()) {
+      if (await canAccessPlayer(db, req.user.id, live.userId, 'sessions')) {
+        visible.push(toAppLiveSession(live));
+      }
+    }
+
+    res.json({
+      success: true,
+      liveSessions: visible
+    });
+
+  } catch (error) {
+    console.error('Fetch live sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch live sessions'
+    });
+  }
+});
+
+// POST /api/live - Start a live session. Body: { timestamp? } (defaults to now)
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { timestamp } = req.body || {};
+    const startedAt = timestamp === undefined ? new Date() : new Date(timestamp);
+
+    if (Number.isNaN(startedAt.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Timestamp must be a valid date'
+      });
+    }
+
+    // One at a time, so a device that lost track can pick its session up again
+    const existing = getLiveSessions().find(live => live.userId === req.user.id);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'You already have a live session. Finish or discard it first.',
+        liveSession: toAppLiveSession(existing)
+      });
+    }
+
+    const live = startLiveSession(req.user, startedAt);
+
+    console.log(`📡 Live session started by ${req.user.email}: ${live.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Live session started',
+      liveSession: toAppLiveSession(live)
+    });
+
+  } catch (error) {
+    console.error('Start live session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start live session'
+    });
+  }
+});
+
+// GET /api/live/:liveId - Current totals, for clients that poll
+router.get('/:liveId', authenticateToken, authorizeLiveSession(), async (req, res) => {
+  res.json({
+    success: true,
+    liveSession: toAppLiveSession(res.locals.live)
+  });
+});
+
+// POST /api/live/:liveId/events/ticket - A single-use ticket to open the event
+// stream as ?ticket=, for clients that can't send an Authorization header
+router.post('/:liveId/events/ticket', authenticateToken, authorizeLiveSession(), (req, res) => {
+  res.status(201).json({
+    success: true,
+    ...issueStreamTicket(req, `${req.baseUrl}/${res.locals.live.id}/events`)
+  });
+});
+
+// GET /api/live/:liveId/events - Server-Sent Events stream of the session:
+// snapshot, then shot events, then finished or ended. Viewers whose login is
+// revoked or who lose access to the player are dropped at the next heartbeat.
+router.get('/:liveId/events', authenticateStream, authorizeLiveSession(), (req, res) => {
+  const live = res.locals.live;
+  subscribeToLiveSession(live, req, res, async (viewer) =>
+    Boolean(await resolveFamilyUser(viewer.userId, viewer.familyId)) &&
+    await canAccessPlayer(getDatabase(), viewer.userId, live.userId, 'sessions'));
+});
+
+// POST /api/live/:liveId/shots - Push shots as they happen
+// Body: { shots: [...] } in the per-shot upload format, timestampOffset from the start
+router.post('/:liveId/shots', authenticateToken, authorizeLiveSession({ write: true }), liveShotsLimiter, async (req, res) => {
+  try {
+    const live = res.locals.live;
+    const { shots } = req.body || {};
+
+    if (!Array.isArray(shots) || shots.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'shots must be a non-empty array'
+      });
+    }
+
+    if (live.shots.length + shots.length > MAX_SHOTS_PER_SESSION) {
+      return res.status(400).json({
+        success: false,
+        error: `A session cannot contain more than ${MAX_SHOTS_PER_SESSION} shots`
+      });
+    }
+
+    // Numbered by their position in the session
+    for (let i = 0; i < shots.length; i++) {
+      const shotError = validateShot(shots[i], live.shots.length + i);
+      if (shotError) {
+        return res.status(400).json({
+          success: false,
+          error: shotError
+        });
+      }
+    }
+
+    addLiveShots(live, shots);
+
+    res.json({
+      success: true,
+      totalShots: live.shots.length
+    });
+
+  } catch (error) {
+    console.error('Live shots error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record shots'
+    });
+  }
+});
+
+// POST /api/live/:liveId/finish - Save the live session as a normal session.
+// Counts as an upload towards the account's upload budget.
+// Body: { sessionDuration? } in seconds (defaults to the time since it started)
+router.post('/:liveId/finish', authenticateToken, uploadLimiter, authorizeLiveSession({ write: true }), async (req, res) => {
+  const live = res.locals.live;
+
+  try {
+    const {
+      sessionDuration = Math.max(
+        (Date.now() - live.startedAt.getTime()) / 1000,
+        ...live.shots.map(shot => shot.timestampOffset)
+      )
+    } = req.body || {};
+
+    if (typeof sessionDuration !== 'number' || !Number.isFinite(sessionDuration) || sessionDuration < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'sessionDuration must be a finite non-negative number'
+      });
+    }
+
+    // The live session id becomes the session id, so uploading the same session
+    // afterwards with that id is recognized as a replay
+    const sessionData = {
+      id: live.id,
+      timestamp: live.startedAt.toISOString(),
+      sessionDuration: sessionDuration,
+      shots: live.shots
+    };
+
+    const validationError = validateSessionData(sessionData);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    live.finishing = true;
+    const db = getDatabase();
+    const result = await db.transaction(async (tx) => {
+      const stored = await storeSession(tx, req.user.id, sessionData);
+      if (stored.status === 'created') {
+        const { achievements } = await onSessionsChanged(tx, req.user.id, stored.timestamp);
+        return { ...stored, achievements };
+      }
+      return stored;
+    });
+
+    if (result.status === 'conflict') {
+      live.finishing = false;
+      return res.status(409).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    endLiveSession(live, 'finished', { sessionId: result.sessionId });
+
+    console.log(`✅ Live session finished by ${req.user.email}: ${result.sessionId} (${live.shots.length} shots)`);
+
+    res.status(result.status === 'created' ? 201 : 200).json({
+      success: true,
+      message: result.status === 'created' ? 'Session uploaded successfully' : 'Session already uploaded',
+      sessionId: result.sessionId,
+      achievements: toAppAwards(result.achievements || [])
+    });
+
+  } catch (error) {
+    live.finishing = false;
+    console.error('Finish live session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save session. Please try again.'
+    });
+  }
+});
+
+// DELETE /api/live/:liveId - Discard a live session without saving it
+router.delete('/:liveId', authenticateToken, authorizeLiveSession({ write: true }), async (req, res) => {
+  try {
+    const live = res.locals.live;
+    endLiveSession(live, 'ended', { reason: 'discarded' });
+
+    console.log(`🗑️ Live session discarded by ${req.user.email}: ${live.id}`);
+
+    res.json({
+      success: true,
+      message: 'Live session discarded'
+    });
+
+  } catch (error) {
+    console.error('Discard live session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to discard live session'
+    });
+  }
+});
+
+module.exports = router;
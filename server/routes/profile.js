@@ -0,0 +1,159 @@
+const express = require('express');
+const getDatabase = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  loadPlayerProfile,
+  validatePlayerProfile,
+  toAppProfile,
+  toDbProfile
+} = require('../lib/playerProfile');
+const {
+  loadPrivacySettings,
+  validatePrivacySettings,
+  toAppPrivacySettings,
+  toDbPrivacySettings
+} = require('../lib/privacy');
+const { refreshStatsAggregates } = require('../lib/statsAggregates');
+
+const router = express.Router();
+
+const PROFILE_FIELDS = ['dominantHand', 'level', 'timezone', 'birthYear', 'playingSince'];
+const PRIVACY_FIELDS = ['leaderboards', 'friendRequests', 'trainingCorpus'];
+
+// GET /api/profile - Current user's player profile
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const profile = await loadPlayerProfile(db, req.user.id);
+
+    res.json({
+      success: true,
+      profile: toAppProfile(profile)
+    });
+
+  } catch (error) {
+    console.error('Fetch profile error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch profile'
+    });
+  }
+});
+
+// PATCH /api/profile - Update profile fields; null clears a field
+router.patch('/', authenticateToken, async (req, res) => {
+  try {
+    const changes = req.body || {};
+
+    const unknownFields = Object.keys(changes).filter(field => !PROFILE_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown profile fields: ${unknownFields.join(', ')}`
+      });
+    }
+
+    const db = getDatabase();
+    const current = toAppProfile(await loadPlayerProfile(db, req.user.id));
+    const merged = { ...current, ...changes };
+    if (merged.timezone === null) {
+      merged.timezone = 'UTC';
+    }
+
+    const validationError = validatePlayerProfile(merged);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    await db.transaction(async (tx) => {
+      await tx.upsertPlayerProfile(req.user.id, toDbProfile(merged));
+      // Day totals are bucketed in the profile timezone
+      if (merged.timezone !== current.timezone) {
+        await refreshStatsAggregates(tx, req.user.id);
+      }
+    });
+
+    console.log(`✅ Profile updated for user ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      profile: merged
+    });
+
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update profile'
+    });
+  }
+});
+
+// GET /api/profile/privacy - Leaderboard visibility, friend request and training corpus settings
+router.get('/privacy', authenticateToken, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const settings = await loadPrivacySettings(db, req.user.id);
+
+    res.json({
+      success: true,
+      privacy: toAppPrivacySettings(settings)
+    });
+
+  } catch (error) {
+    console.error('Fetch privacy settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch privacy settings'
+    });
+  }
+});
+
+// PATCH /api/profile/privacy - Update privacy settings
+router.patch('/privacy', authenticateToken, async (req, res) => {
+  try {
+    const changes = req.body || {};
+
+    const unknownFields = Object.keys(changes).filter(field => !PRIVACY_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown privacy fields: ${unknownFields.join(', ')}`
+      });
+    }
+
+    const db = getDatabase();
+    const merged = { ...toAppPrivacySettings(await loadPrivacySettings(db, req.user.id)), ...changes };
+
+    const validationError = validatePrivacySettings(merged);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    await db.upsertPrivacySettings(req.user.id, toDbPrivacySettings(merged));
+
+    console.log(`🔒 Privacy settings updated for user ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Privacy settings updated successfully',
+      privacy: merged
+    });
+
+  } catch (error) {
+    console.error('Update privacy settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update privacy settings'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,40 +1,34 @@
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
 const getDatabase = require('../database');
 const { authenticateToken } = require('../middleware/auth');
+const { authorizePlayer, authorizeSession } = require('../middleware/authorize');
+const { toAppSession, toAppShot } = require('../lib/sessionFormat');
+const {
+  MAX_IDEMPOTENCY_KEY_LENGTH,
+  validateSessionData,
+  toDbSession,
+  storeSession,
+  ingestSessions,
+  summarizeResults
+} = require('../lib/sessionIngest');
+const { onSessionsChanged } = require('../lib/sessionHooks');
+const { uploadLimiter } = require('../middleware/rateLimit');
+const { toAppAwards } = require('../lib/achievements');
+const { enqueueWebhookEvent } = require('../lib/webhooks');
 
 const router = express.Router();
 
-// Session data validation
-const validateSessionData = (sessionData) => {
-  const required = ['totalShots', 'successfulShots', 'timestamp', 'sessionDuration', 'shotTimings'];
-  const missing = required.filter(field => sessionData[field] === undefined);
-  
-  if (missing.length > 0) {
-    return `Missing required fields: ${missing.join(', ')}`;
-  }
-
-  if (sessionData.totalShots < 0 || sessionData.successfulShots < 0) {
-    return 'Shot counts cannot be negative';
-  }
-
-  if (sessionData.successfulShots > sessionData.totalShots) {
-    return 'Successful shots cannot exceed total shots';
-  }
+const MAX_BATCH_SIZE = parseInt(process.env.SESSION_BATCH_MAX_SIZE, 10) || 100;
+const SESSION_RETENTION_DAYS = parseInt(process.env.SESSION_RETENTION_DAYS, 10) || 30;
 
-  if (sessionData.sessionDuration <= 0) {
-    return 'Session duration must be positive';
-  }
-
-  if (!Array.isArray(sessionData.shotTimings)) {
-    return 'Shot timings must be an array';
-  }
-
-  return null; // Valid
-};
+// Fields PATCH /session/:sessionId may change
+const EDITABLE_FIELDS = [
+  'totalShots', 'successfulShots', 'forehandCount', 'backhandCount', 'serveCount',
+  'timestamp', 'sessionDuration', 'shotTimings', 'shots'
+];
 
 // POST /api/sessions - Upload a tennis session
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, uploadLimiter, async (req, res) => {
   try {
     const sessionData = req.body;
     const userId = req.user.id;
@@ -48,31 +42,53 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
-    // Prepare session for database
-    const sessionId = uuidv4();
-    const dbSessionData = {
-      id: sessionId,
-      user_id: userId,
-      total_shots: sessionData.totalShots,
-      successful_shots: sessionData.successfulShots,
-      timestamp: new Date(sessionData.timestamp).toISOString(),
-      session_duration: sessionData.sessionDuration,
-      forehand_count: sessionData.forehandCount || 0,
-      backhand_count: sessionData.backhandCount || 0,
-      serve_count: sessionData.serveCount || 0,
-      shot_timings: sessionData.shotTimings || []
-    };
-
-    // Save to database
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (idempotencyKey !== undefined &&
+        (idempotencyKey.length === 0 || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH)) {
+      return res.status(400).json({
+        success: false,
+        error: `Idempotency-Key must be between 1 and ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`
+      });
+    }
+
+    // Save to database (or find the earlier upload this one replays)
     const db = getDatabase();
-    await db.createSession(dbSessionData);
+    const result = await db.transaction(async (tx) => {
+      const stored = await storeSession(tx, userId, sessionData, idempotencyKey);
+      if (stored.status === 'created') {
+        const { achievements } = await onSessionsChanged(tx, userId, stored.timestamp);
+        return { ...stored, achievements };
+      }
+      return stored;
+    });
 
-    console.log(`✅ Session uploaded for user ${req.user.email}: ${sessionId}`);
+    if (result.status === 'conflict') {
+      return res.status(409).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    if (result.status === 'duplicate') {
+      console.log(`↩️ Replayed upload for user ${req.user.email}: ${result.sessionId}`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Session already uploaded',
+        sessionId: result.sessionId
+      });
+    }
+
+    console.log(`✅ Session uploaded for user ${req.user.email}: ${result.sessionId}`);
+    if (result.achievements.length > 0) {
+      console.log(`🏅 ${req.user.email} earned: ${result.achievements.map(award => award.achievement_id).join(', ')}`);
+    }
 
     res.status(201).json({
       success: true,
       message: 'Session uploaded successfully',
-      sessionId: sessionId
+      sessionId: result.sessionId,
+      achievements: toAppAwards(result.achievements) // Badges this session unlocked
     });
 
   } catch (error) {
@@ -84,19 +100,52 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
-// GET /api/sessions/:userId - Get user's session history
-router.get('/:userId', authenticateToken, async (req, res) => {
+// POST /api/sessions/batch - Upload several queued sessions at once
+router.post('/batch', authenticateToken, uploadLimiter, async (req, res) => {
   try {
-    const { userId } = req.params;
-    
-    // Users can only access their own sessions
-    if (req.user.id !== userId) {
-      return res.status(403).json({
+    const { sessions } = req.body;
+    const userId = req.user.id;
+
+    if (!Array.isArray(sessions) || sessions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Request body must contain a non-empty sessions array'
+      });
+    }
+
+    if (sessions.length > MAX_BATCH_SIZE) {
+      return res.status(413).json({
         success: false,
-        error: 'Access denied. You can only view your own sessions.'
+        error: `A batch cannot contain more than ${MAX_BATCH_SIZE} sessions`
       });
     }
 
+    const db = getDatabase();
+    const results = await ingestSessions(db, userId, sessions);
+    const summary = summarizeResults(results);
+
+    console.log(`✅ Batch upload for user ${req.user.email}: ${summary.created} created, ${summary.duplicate} duplicate, ${summary.rejected} rejected`);
+
+    res.json({
+      success: true,
+      summary,
+      results
+    });
+
+  } catch (error) {
+    console.error('Batch upload error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save sessions. Please try again.'
+    });
+  }
+});
+
+// GET /api/sessions/:userId - Get user's session history
+router.get('/:userId', authenticateToken, authorizePlayer({ scope: 'sessions', resource: 'sessions' }), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
     // Get pagination parameters
     const limit = Math.min(parseInt(req.query.limit) || 50, 100); // Max 100 sessions
     const offset = parseInt(req.query.offset) || 0;
@@ -105,17 +154,7 @@ router.get('/:userId', authenticateToken, async (req, res) => {
     const sessions = await db.getUserSessions(userId, limit, offset);
 
     // Transform database format back to app format
-    const transformedSessions = sessions.map(session => ({
-      id: session.id,
-      totalShots: session.total_shots,
-      successfulShots: session.successful_shots,
-      timestamp: new Date(session.timestamp),
-      sessionDuration: session.session_duration,
-      forehandCount: session.forehand_count,
-      backhandCount: session.backhand_count,
-      serveCount: session.serve_count,
-      shotTimings: session.shot_timings
-    }));
+    const transformedSessions = sessions.map(toAppSession);
 
     res.json({
       success: true,
@@ -137,51 +176,216 @@ router.get('/:userId', authenticateToken, async (req, res) => {
 });
 
 // GET /api/sessions/session/:sessionId - Get specific session details
-router.get('/session/:sessionId', authenticateToken, async (req, res) => {
+router.get('/session/:sessionId', authenticateToken, authorizeSession(), async (req, res) => {
+  try {
+    const { session } = res.locals;
+
+    res.json({
+      success: true,
+      session: toAppSession(session)
+    });
+
+  } catch (error) {
+    console.error('Fetch session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch session'
+    });
+  }
+});
+
+// GET /api/sessions/session/:sessionId/shots - Get per-shot records for a session
+router.get('/session/:sessionId/shots', authenticateToken, authorizeSession(), async (req, res) => {
   try {
     const { sessionId } = req.params;
 
     const db = getDatabase();
-    const session = await db.getSessionById(sessionId);
+    const shots = await db.getSessionShots(sessionId);
+
+    res.json({
+      success: true,
+      sessionId: sessionId,
+      shots: shots.map(toAppShot)
+    });
+
+  } catch (error) {
+    console.error('Fetch shots error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch shots'
+    });
+  }
+});
+
+// Days left before a soft-deleted session is purged
+const retentionDaysLeft = (deletedAt) => {
+  const deletedMs = new Date(`${deletedAt.replace(' ', 'T')}Z`).getTime();
+  const elapsedDays = (Date.now() - deletedMs) / (24 * 60 * 60 * 1000);
+  return Math.max(0, Math.ceil(SESSION_RETENTION_DAYS - elapsedDays));
+};
+
+// GET /api/sessions/:userId/deleted - List soft-deleted sessions that can still be restored
+router.get('/:userId/deleted', authenticateToken, authorizePlayer({ resource: 'sessions' }), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const db = getDatabase();
+    const sessions = await db.getDeletedUserSessions(userId);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...toAppSession(session),
+        deletedAt: new Date(`${session.deleted_at.replace(' ', 'T')}Z`),
+        purgeInDays: retentionDaysLeft(session.deleted_at)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Fetch deleted sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch deleted sessions'
+    });
+  }
+});
 
-    if (!session) {
-      return res.status(404).json({
+// PATCH /api/sessions/session/:sessionId - Correct a session's counts or metadata
+router.patch('/session/:sessionId', authenticateToken, authorizeSession({ write: true }), async (req, res) => {
+  try {
+    const changes = req.body || {};
+
+    const unknownFields = Object.keys(changes).filter(field => !EDITABLE_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({
         success: false,
-        error: 'Session not found'
+        error: `Fields cannot be edited: ${unknownFields.join(', ')}`
       });
     }
 
-    // Check if user owns this session
-    if (session.user_id !== req.user.id) {
-      return res.status(403).json({
+    const { session } = res.locals;
+
+    const db = getDatabase();
+    const existingShots = await db.getSessionShots(session.id);
+
+    // Merge the edit over the stored session. New shot records replace the old
+    // ones, and the counters are re-derived from them unless sent explicitly.
+    let merged = toAppSession(session);
+    if (changes.shots !== undefined) {
+      merged = { timestamp: merged.timestamp, sessionDuration: merged.sessionDuration };
+    } else if (existingShots.length > 0) {
+      merged.shots = existingShots.map(toAppShot);
+    }
+    merged = { ...merged, ...changes };
+    delete merged.id;
+
+    const validationError = validateSessionData(merged);
+    if (validationError) {
+      return res.status(400).json({
         success: false,
-        error: 'Access denied. You can only view your own sessions.'
+        error: validationError
       });
     }
 
-    // Transform to app format
-    const transformedSession = {
-      id: session.id,
-      totalShots: session.total_shots,
-      successfulShots: session.successful_shots,
-      timestamp: new Date(session.timestamp),
-      sessionDuration: session.session_duration,
-      forehandCount: session.forehand_count,
-      backhandCount: session.backhand_count,
-      serveCount: session.serve_count,
-      shotTimings: session.shot_timings
-    };
+    const record = toDbSession(merged, req.user.id);
+    record.id = session.id;
+    if (changes.shots === undefined) {
+      delete record.shots; // Keep the stored shot records
+    }
+
+    const updated = await db.transaction(async (tx) => {
+      await tx.updateSession(record);
+      await onSessionsChanged(tx, req.user.id, record.timestamp < session.timestamp ? record.timestamp : session.timestamp);
+      const stored = await tx.getSessionById(session.id);
+      await enqueueWebhookEvent(tx, req.user.id, 'session.updated', toAppSession(stored));
+      return stored;
+    });
+
+    console.log(`✏️ Session updated for user ${req.user.email}: ${session.id}`);
 
     res.json({
       success: true,
-      session: transformedSession
+      message: 'Session updated successfully',
+      session: toAppSession(updated)
     });
 
   } catch (error) {
-    console.error('Fetch session error:', error);
+    console.error('Session update error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch session'
+      error: 'Failed to update session'
+    });
+  }
+});
+
+// DELETE /api/sessions/session/:sessionId - Soft-delete a session
+router.delete('/session/:sessionId', authenticateToken, authorizeSession({ write: true }), async (req, res) => {
+  try {
+    const { session } = res.locals;
+
+    const db = getDatabase();
+    await db.transaction(async (tx) => {
+      await tx.softDeleteSession(session.id);
+      await onSessionsChanged(tx, req.user.id, session.timestamp);
+      await enqueueWebhookEvent(tx, req.user.id, 'session.deleted', toAppSession(session));
+    });
+
+    console.log(`🗑️ Session deleted for user ${req.user.email}: ${session.id}`);
+
+    res.json({
+      success: true,
+      message: `Session deleted. It can be restored for ${SESSION_RETENTION_DAYS} days.`,
+      sessionId: session.id
+    });
+
+  } catch (error) {
+    console.error('Session delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete session'
+    });
+  }
+});
+
+// POST /api/sessions/session/:sessionId/restore - Undo a soft delete
+router.post('/session/:sessionId/restore', authenticateToken, authorizeSession({ write: true, includeDeleted: true }), async (req, res) => {
+  try {
+    const { session } = res.locals;
+
+    if (!session.deleted_at) {
+      return res.status(409).json({
+        success: false,
+        error: 'Session is not deleted'
+      });
+    }
+
+    if (retentionDaysLeft(session.deleted_at) === 0) {
+      return res.status(410).json({
+        success: false,
+        error: 'Session is past the retention window and can no longer be restored'
+      });
+    }
+
+    const db = getDatabase();
+    await db.transaction(async (tx) => {
+      await tx.restoreSession(session.id);
+      await onSessionsChanged(tx, req.user.id, session.timestamp);
+      await enqueueWebhookEvent(tx, req.user.id, 'session.restored', toAppSession(session));
+    });
+
+    console.log(`♻️ Session restored for user ${req.user.email}: ${session.id}`);
+
+    res.json({
+      success: true,
+      message: 'Session restored successfully',
+      session: toAppSession({ ...session, deleted_at: null })
+    });
+
+  } catch (error) {
+    console.error('Session restore error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore session'
     });
   }
 });
@@ -0,0 +1,67 @@
+const express = require('express');
+const getDatabase = require('../database');
+const { optionalAuth } = require('../middleware/auth');
+const { shareLinkStatus, toSharedSession } = require('../lib/shareLinks');
+
+const router = express.Router();
+
+// GET /api/shared/:token - Read-only view behind a share link; no login needed.
+// Views by the link's owner (when logged in) are not counted.
+router.get('/:token', optionalAuth, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const link = await db.getShareLinkByToken(req.params.token);
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        error: 'Share link not found'
+      });
+    }
+
+    if (shareLinkStatus(link) !== 'active') {
+      return res.status(410).json({
+        success: false,
+        error: 'This share link has expired or been revoked'
+      });
+    }
+
+    const shared = {
+      kind: link.kind,
+      playerName: link.show_name ? link.owner_name : null
+    };
+
+    if (link.kind === 'session') {
+      const session = await db.getSessionById(link.session_id);
+      if (!session) {
+        return res.status(410).json({
+          success: false,
+          error: 'The shared session has been deleted'
+        });
+      }
+      shared.session = toSharedSession(session, await db.getSessionShots(session.id));
+    } else {
+      shared.stats = JSON.parse(link.snapshot);
+    }
+
+    const isOwner = Boolean(req.user && req.user.id === link.user_id);
+    if (!isOwner) {
+      await db.recordShareLinkAccess(link.id);
+    }
+
+    res.json({
+      success: true,
+      isOwner: isOwner,
+      shared: shared
+    });
+
+  } catch (error) {
+    console.error('Shared view error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load shared content'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,167 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const getDatabase = require('../database');
+const { authenticateToken, toSqlDateTime } = require('../middleware/auth');
+const { TIMEFRAMES } = require('../lib/statistics');
+const {
+  SHARE_KINDS,
+  DEFAULT_SHARE_DAYS,
+  MAX_SHARE_DAYS,
+  generateShareToken,
+  buildStatsSnapshot,
+  toAppShareLink
+} = require('../lib/shareLinks');
+
+const router = express.Router();
+
+// GET /api/shares - Your share links, newest first, with access counts
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const links = await db.getUserShareLinks(req.user.id);
+
+    res.json({
+      success: true,
+      shares: links.map(toAppShareLink)
+    });
+
+  } catch (error) {
+    console.error('Fetch share links error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch share links'
+    });
+  }
+});
+
+// POST /api/shares - Create a share link for one of your sessions or a stats snapshot
+// Body: { kind: 'session', sessionId } or { kind: 'stats', timeframe },
+// plus optional expiresInDays and showName
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const {
+      kind,
+      sessionId,
+      timeframe = 'all',
+      expiresInDays = DEFAULT_SHARE_DAYS,
+      showName = false
+    } = req.body || {};
+
+    if (!SHARE_KINDS.includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        error: `kind must be one of: ${SHARE_KINDS.join(', ')}`
+      });
+    }
+
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_SHARE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `expiresInDays must be a whole number from 1 to ${MAX_SHARE_DAYS}`
+      });
+    }
+
+    if (typeof showName !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'showName must be true or false'
+      });
+    }
+
+    if (kind === 'stats' && !TIMEFRAMES.includes(timeframe)) {
+      return res.status(400).json({
+        success: false,
+        error: `Timeframe must be one of: ${TIMEFRAMES.join(', ')}`
+      });
+    }
+
+    const db = getDatabase();
+    let snapshot = null;
+
+    if (kind === 'session') {
+      const session = sessionId ? await db.getSessionById(sessionId) : null;
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+      if (session.user_id !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied. You can only share your own sessions.'
+        });
+      }
+    } else {
+      snapshot = JSON.stringify(await buildStatsSnapshot(db, req.user.id, timeframe));
+    }
+
+    const shareId = uuidv4();
+    await db.createShareLink({
+      id: shareId,
+      user_id: req.user.id,
+      token: generateShareToken(),
+      kind: kind,
+      session_id: kind === 'session' ? sessionId : null,
+      snapshot: snapshot,
+      show_name: showName ? 1 : 0,
+      expires_at: toSqlDateTime(new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000))
+    });
+
+    console.log(`🔗 Share link created for user ${req.user.email}: ${shareId} (${kind})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created',
+      share: toAppShareLink(await db.getShareLinkById(shareId))
+    });
+
+  } catch (error) {
+    console.error('Create share link error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create share link'
+    });
+  }
+});
+
+// DELETE /api/shares/:shareId - Revoke a share link; it stops working at once
+router.delete('/:shareId', authenticateToken, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const link = await db.getShareLinkById(req.params.shareId);
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        error: 'Share link not found'
+      });
+    }
+
+    if (link.user_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You can only revoke your own share links.'
+      });
+    }
+
+    await db.revokeShareLink(link.id);
+
+    console.log(`🚫 Share link revoked by ${req.user.email}: ${link.id}`);
+
+    res.json({
+      success: true,
+      message: 'Share link revoked',
+      share: toAppShareLink(await db.getShareLinkById(link.id))
+    });
+
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke share link'
+    });
+  }
+});
+
+module.exports = router;
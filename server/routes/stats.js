@@ -1,117 +1,68 @@
 const express = require('express');
 const getDatabase = require('../database');
 const { authenticateToken } = require('../middleware/auth');
+const { authorizePlayer } = require('../middleware/authorize');
+const { loadPlayerProfile } = require('../lib/playerProfile');
+const { CURRENT_RATING_VERSION } = require('../lib/rating');
+const { toAppSession } = require('../lib/sessionFormat');
+const { SKILL_STROKES, toAppSkillRating, toAppSkillHistoryEntry } = require('../lib/skillRating');
+const {
+  TIMEFRAMES,
+  PROGRESS_GRANULARITIES,
+  PROGRESS_METRICS,
+  progressBuckets,
+  calculateProgress
+} = require('../lib/statistics');
+const { loadDaySummaries, loadDashboardStatistics } = require('../lib/statsAggregates');
+const { isValidTimeZone, isDateKey, localDateKey, addDays } = require('../lib/time');
 
 const router = express.Router();
 
-// Calculate rating based on session data (matches iOS app logic)
-const calculateRating = (session) => {
-  const successRate = session.total_shots > 0 ? 
-    (session.successful_shots / session.total_shots) : 0;
-  
-  // Parse shot timings for consistency calculation
-  let consistencyRating = 0;
-  if (session.shot_timings && session.shot_timings.length > 1) {
-    const timings = session.shot_timings;
-    const avg = timings.reduce((sum, t) => sum + t, 0) / timings.length;
-    const variance = timings.reduce((sum, t) => sum + Math.pow(t - avg, 2), 0) / timings.length;
-    const stdDev = Math.sqrt(variance);
-    consistencyRating = Math.max(0, 1 - (stdDev / avg));
-  }
+// Progress range when no from/to is given
+const PROGRESS_PERIOD_DAYS = { week: 7, month: 30, quarter: 90, year: 365 };
+const MAX_PROGRESS_BUCKETS = 1000;
+const MAX_SKILL_HISTORY_POINTS = 2000;
 
-  const successScore = successRate * 50;
-  const consistencyScore = consistencyRating * 30;
-  const volumeScore = Math.min(session.total_shots / 50.0, 1.0) * 20;
-  
-  const totalScore = successScore + consistencyScore + volumeScore;
-  
-  if (totalScore >= 80) return 5;
-  if (totalScore >= 60) return 4;
-  if (totalScore >= 40) return 3;
-  if (totalScore >= 20) return 2;
-  return 1;
-};
-
-// Calculate improvement trend from recent sessions
-const calculateImprovementTrend = (sessions) => {
-  if (sessions.length < 2) return 0;
-  
-  // Get ratings for recent sessions
-  const ratings = sessions.slice(0, Math.min(10, sessions.length)).map(calculateRating);
-  
-  if (ratings.length < 2) return 0;
-  
-  // Simple linear trend calculation
-  const firstHalf = ratings.slice(0, Math.floor(ratings.length / 2));
-  const secondHalf = ratings.slice(Math.floor(ratings.length / 2));
-  
-  const firstAvg = firstHalf.reduce((sum, r) => sum + r, 0) / firstHalf.length;
-  const secondAvg = secondHalf.reduce((sum, r) => sum + r, 0) / secondHalf.length;
-  
-  return secondAvg - firstAvg;
-};
-
-// GET /api/stats/:userId - Get user statistics
-router.get('/:userId', authenticateToken, async (req, res) => {
+// GET /api/stats/:userId?timeframe=week|month|quarter|year|all - Get user statistics (default month)
+router.get('/:userId', authenticateToken, authorizePlayer({ scope: 'stats', resource: 'statistics' }), async (req, res) => {
   try {
     const { userId } = req.params;
+    const timeframe = req.query.timeframe || 'month';
     
-    // Users can only access their own stats
-    if (req.user.id !== userId) {
-      return res.status(403).json({
+    if (!TIMEFRAMES.includes(timeframe)) {
+      return res.status(400).json({
         success: false,
-        error: 'Access denied. You can only view your own statistics.'
+        error: `Timeframe must be one of: ${TIMEFRAMES.join(', ')}`
       });
     }
 
     const db = getDatabase();
-    
-    // Get basic stats from database
     const basicStats = await db.getUserStats(userId);
-    
-    // Get recent sessions for more detailed calculations
-    const recentSessions = await db.getUserSessions(userId, 20, 0);
-    
-    // Calculate ratings for each session
-    const sessionsWithRatings = recentSessions.map(session => ({
-      ...session,
-      rating: calculateRating(session)
-    }));
-    
-    // Calculate average and best ratings
-    const ratings = sessionsWithRatings.map(s => s.rating);
-    const averageRating = ratings.length > 0 ? 
-      ratings.reduce((sum, r) => sum + r, 0) / ratings.length : 0;
-    const bestRating = ratings.length > 0 ? Math.max(...ratings) : 0;
-    
-    // Calculate improvement trend
-    const improvementTrend = calculateImprovementTrend(sessionsWithRatings);
-    
-    // Prepare recent activity (last 5 sessions)
-    const recentActivity = recentSessions.slice(0, 5).map(session => ({
-      id: session.id,
-      totalShots: session.total_shots,
-      successfulShots: session.successful_shots,
-      timestamp: new Date(session.timestamp),
-      sessionDuration: session.session_duration,
-      forehandCount: session.forehand_count,
-      backhandCount: session.backhand_count,
-      serveCount: session.serve_count,
-      shotTimings: session.shot_timings
-    }));
+    const profile = await loadPlayerProfile(db, userId);
+    const recentActivity = (await db.getUserSessions(userId, 5, 0)).map(toAppSession);
+
+    // Dashboard statistics over the timeframe, as the app computes them
+    const dashboard = await loadDashboardStatistics(db, userId, timeframe);
 
     const stats = {
       totalSessions: basicStats?.total_sessions || 0,
       totalShots: basicStats?.total_shots || 0,
-      averageRating: Math.round(averageRating * 100) / 100, // Round to 2 decimal places
-      bestRating: bestRating,
-      improvementTrend: Math.round(improvementTrend * 100) / 100,
+      averageRating: Math.round((basicStats?.avg_rating || 0) * 100) / 100, // Round to 2 decimal places
+      bestRating: basicStats?.best_rating || 0,
+      averageScore: Math.round((basicStats?.avg_score || 0) * 100) / 100,
+      ratingVersion: CURRENT_RATING_VERSION,
+      // Change in average rating from the older to the newer half of the timeframe
+      improvementTrend: Math.round(dashboard.performance.improvement / 20 * 100) / 100,
       swingBreakdown: {
         forehand: basicStats?.total_forehand || 0,
         backhand: basicStats?.total_backhand || 0,
-        serve: basicStats?.total_serves || 0
+        serve: basicStats?.total_serves || 0,
+        dominantHand: profile.dominant_hand
       },
-      recentActivity: recentActivity
+      recentActivity: recentActivity,
+      timeframe: timeframe,
+      timezone: profile.timezone,
+      ...dashboard
     };
 
     res.json({
@@ -129,51 +80,69 @@ router.get('/:userId', authenticateToken, async (req, res) => {
 });
 
 // GET /api/stats/:userId/progress - Get progress over time
-router.get('/:userId/progress', authenticateToken, async (req, res) => {
+// Query: from/to (YYYY-MM-DD, inclusive) or period (week|month|quarter|year),
+// granularity (day|week|month), timezone (IANA) and metrics (comma-separated)
+router.get('/:userId/progress', authenticateToken, authorizePlayer({ scope: 'stats', resource: 'progress' }), async (req, res) => {
   try {
     const { userId } = req.params;
-    const { period } = req.query; // 'week', 'month', 'year'
-    
-    // Users can only access their own progress
-    if (req.user.id !== userId) {
-      return res.status(403).json({
+    // Unknown periods fall back to a month, as they always have
+    const period = PROGRESS_PERIOD_DAYS[req.query.period] ? req.query.period : 'month';
+    const granularity = req.query.granularity || 'day';
+
+    if (!PROGRESS_GRANULARITIES.includes(granularity)) {
+      return res.status(400).json({
         success: false,
-        error: 'Access denied. You can only view your own progress.'
+        error: `Granularity must be one of: ${PROGRESS_GRANULARITIES.join(', ')}`
       });
     }
 
-    // Determine number of days based on period
-    let days = 30; // Default month
-    switch (period) {
-      case 'week':
-        days = 7;
-        break;
-      case 'month':
-        days = 30;
-        break;
-      case 'year':
-        days = 365;
-        break;
-      default:
-        days = 30;
+    const metrics = req.query.metrics ? req.query.metrics.split(',').map(metric => metric.trim()) : PROGRESS_METRICS;
+    const unknownMetrics = metrics.filter(metric => !PROGRESS_METRICS.includes(metric));
+    if (unknownMetrics.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown metrics: ${unknownMetrics.join(', ')}. Available: ${PROGRESS_METRICS.join(', ')}`
+      });
     }
 
     const db = getDatabase();
-    const progressData = await db.getUserProgressData(userId, days);
-    
-    // Transform data for chart display
-    const dataPoints = progressData.map(point => ({
-      date: point.date,
-      rating: Math.round(point.avg_rating * 100) / 100,
-      shots: point.total_shots,
-      sessionsCount: point.sessions_count
-    }));
+    const timezone = req.query.timezone || (await loadPlayerProfile(db, userId)).timezone;
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Timezone must be an IANA time zone such as Europe/London'
+      });
+    }
+
+    // Without an explicit range, show the period (default a month) up to today
+    const to = req.query.to || localDateKey(new Date(), timezone);
+    const from = req.query.from || addDays(to, -(PROGRESS_PERIOD_DAYS[period] - 1));
+    if (!isDateKey(from) || !isDateKey(to) || from > to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be dates (YYYY-MM-DD) with from on or before to'
+      });
+    }
+
+    if (progressBuckets(from, to, granularity).length > MAX_PROGRESS_BUCKETS) {
+      return res.status(400).json({
+        success: false,
+        error: `Range is too long. Use a coarser granularity or at most ${MAX_PROGRESS_BUCKETS} ${granularity}s.`
+      });
+    }
+
+    const days = await loadDaySummaries(db, userId, from, to, timezone);
 
     res.json({
       success: true,
       progress: {
-        period: period || 'month',
-        dataPoints: dataPoints
+        period: req.query.from || req.query.to ? null : period,
+        from: from,
+        to: to,
+        granularity: granularity,
+        timezone: timezone,
+        metrics: metrics,
+        dataPoints: calculateProgress(days, { from, to, granularity, metrics })
       }
     });
 
@@ -186,4 +155,74 @@ router.get('/:userId/progress', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/stats/:userId/skill - Current skill rating overall and per stroke
+router.get('/:userId/skill', authenticateToken, authorizePlayer({ scope: 'stats', resource: 'statistics' }), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const db = getDatabase();
+    const rows = await db.getSkillRatings(userId);
+    const now = new Date();
+
+    const skill = {};
+    SKILL_STROKES.forEach(stroke => {
+      skill[stroke] = toAppSkillRating(stroke, rows.find(row => row.stroke === stroke), now);
+    });
+
+    res.json({
+      success: true,
+      skill: skill
+    });
+
+  } catch (error) {
+    console.error('Skill rating error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch skill rating'
+    });
+  }
+});
+
+// GET /api/stats/:userId/skill/history - Skill rating after each session, for charting
+router.get('/:userId/skill/history', authenticateToken, authorizePlayer({ scope: 'stats', resource: 'statistics' }), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const stroke = req.query.stroke || 'overall';
+
+    if (!SKILL_STROKES.includes(stroke)) {
+      return res.status(400).json({
+        success: false,
+        error: `Stroke must be one of: ${SKILL_STROKES.join(', ')}`
+      });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : new Date(0);
+    const to = req.query.to ? new Date(req.query.to) : new Date('9999-12-31T23:59:59.999Z');
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be valid dates'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 500, MAX_SKILL_HISTORY_POINTS);
+
+    const db = getDatabase();
+    const history = await db.getSkillHistory(userId, stroke, from.toISOString(), to.toISOString(), limit);
+
+    res.json({
+      success: true,
+      stroke: stroke,
+      history: history.map(toAppSkillHistoryEntry)
+    });
+
+  } catch (error) {
+    console.error('Skill history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch skill rating history'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,532 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const getDatabase = require('../database');
+const { authenticateToken, toSqlDateTime } = require('../middleware/auth');
+const { ACCESS_SCOPES } = require('../middleware/authorize');
+const { TEAM_ROLES, validateTeamName, toAppTeam, toAppMember, toAppInvitation, summarizePlayerActivity } = require('../lib/teams');
+const { sendMail } = require('../lib/mailer');
+
+const router = express.Router();
+
+// Load the team in req.params.teamId and the caller's membership. Teams the
+// caller doesn't belong to are reported as missing. With `coach`, only active
+// coaches get through. Responds and returns null when access is refused.
+const loadMembership = async (req, res, { coach = false, activeOnly = true } = {}) => {
+  const db = getDatabase();
+  const team = await db.getTeamById(req.params.teamId);
+  const membership = team ? await db.getTeamMember(team.id, req.user.id) : null;
+
+  if (!team || !membership || (activeOnly && membership.status !== 'active')) {
+    res.status(404).json({
+      success: false,
+      error: 'Team not found'
+    });
+    return null;
+  }
+
+  if (coach && membership.role !== 'coach') {
+    res.status(403).json({
+      success: false,
+      error: 'Access denied. Only team coaches can do this.'
+    });
+    return null;
+  }
+
+  return { team, membership };
+};
+
+const invalidScopeError = (scope) => ACCESS_SCOPES.includes(scope)
+  ? null
+  : `scope must be one of: ${ACCESS_SCOPES.join(', ')}`;
+
+// GET /api/teams - Teams the current user belongs to, and pending invitations
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const teams = await db.getUserTeams(req.user.id);
+
+    res.json({
+      success: true,
+      teams: teams.map(toAppTeam)
+    });
+
+  } catch (error) {
+    console.error('Fetch teams error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch teams'
+    });
+  }
+});
+
+// POST /api/teams - Create a team, coached by the current user
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { name } = req.body || {};
+
+    const validationError = validateTeamName(name);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const db = getDatabase();
+    const teamId = uuidv4();
+    await db.transaction(async (tx) => {
+      await tx.createTeam(teamId, name.trim(), req.user.id);
+      await tx.createTeamMember({
+        team_id: teamId,
+        user_id: req.user.id,
+        role: 'coach',
+        status: 'active',
+        scope: null,
+        invited_by: null,
+        joined_at: toSqlDateTime(new Date())
+      });
+    });
+
+    console.log(`👥 Team created by ${req.user.email}: ${teamId}`);
+
+    const team = (await db.getUserTeams(req.user.id)).find(row => row.id === teamId);
+    res.status(201).json({
+      success: true,
+      message: 'Team created successfully',
+      team: toAppTeam(team)
+    });
+
+  } catch (error) {
+    console.error('Create team error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create team'
+    });
+  }
+});
+
+// GET /api/teams/:teamId - Team details. Coaches see every member and the
+// pending invitations, by the email they typed; players see the coaches.
+router.get('/:teamId', authenticateToken, async (req, res) => {
+  try {
+    const access = await loadMembership(req, res, { activeOnly: false });
+    if (!access) {
+      return;
+    }
+
+    const { team, membership } = access;
+    const db = getDatabase();
+    const coaching = membership.role === 'coach' && membership.status === 'active';
+    const members = (await db.getTeamMembers(team.id))
+      .filter(member => member.status === 'active' && (coaching || member.role === 'coach'));
+    const invitations = coaching ? await db.getTeamInvitations(team.id) : [];
+
+    res.json({
+      success: true,
+      team: toAppTeam({ ...team, ...membership }),
+      members: members.map(toAppMember),
+      invitations: invitations.map(toAppInvitation)
+    });
+
+  } catch (error) {
+    console.error('Fetch team error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch team'
+    });
+  }
+});
+
+// DELETE /api/teams/:teamId - Delete a team; every player's grant ends with it
+router.delete('/:teamId', authenticateToken, async (req, res) => {
+  try {
+    const access = await loadMembership(req, res, { coach: true });
+    if (!access) {
+      return;
+    }
+
+    await getDatabase().deleteTeam(access.team.id);
+
+    console.log(`🗑️ Team deleted by ${req.user.email}: ${access.team.id}`);
+
+    res.json({
+      success: true,
+      message: 'Team deleted successfully',
+      teamId: access.team.id
+    });
+
+  } catch (error) {
+    console.error('Delete team error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete team'
+    });
+  }
+});
+
+// POST /api/teams/:teamId/invitations - Invite an existing account by email.
+// Players are asked for the scope given here and may narrow it when accepting.
+// The answer is the same whether or not an account uses the email (or was
+// already invited), so emails can't be probed.
+router.post('/:teamId/invitations', authenticateToken, async (req, res) => {
+  try {
+    const { email, role = 'player', scope = 'stats' } = req.body || {};
+
+    if (typeof email !== 'string' || email.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'email is required'
+      });
+    }
+
+    if (!TEAM_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `role must be one of: ${TEAM_ROLES.join(', ')}`
+      });
+    }
+
+    const scopeError = role === 'player' ? invalidScopeError(scope) : null;
+    if (scopeError) {
+      return res.status(400).json({
+        success: false,
+        error: scopeError
+      });
+    }
+
+    const access = await loadMembership(req, res, { coach: true });
+    if (!access) {
+      return;
+    }
+
+    const db = getDatabase();
+    const invitee = await db.getUserByEmail(email.toLowerCase());
+    const existing = invitee ? await db.getTeamMember(access.team.id, invitee.id) : null;
+
+    // Active members are listed to coaches already
+    if (existing && existing.status === 'active') {
+      return res.status(409).json({
+        success: false,
+        error: 'That user is already a member of this team'
+      });
+    }
+
+    // Every address is listed to the team's coaches the same way, account or not
+    await db.upsertTeamInvitation({
+      team_id: access.team.id,
+      email: email.toLowerCase(),
+      user_id: invitee ? invitee.id : null,
+      role: role,
+      scope: role === 'player' ? scope : null,
+      invited_by: req.user.id
+    });
+
+    const sent = () => res.status(202).json({
+      success: true,
+      message: 'If an account uses that email, it has been invited'
+    });
+
+    if (!invitee || existing) {
+      return sent();
+    }
+
+    await db.createTeamMember({
+      team_id: access.team.id,
+      user_id: invitee.id,
+      role: role,
+      status: 'invited',
+      scope: role === 'player' ? scope : null,
+      invited_by: req.user.id,
+      joined_at: null
+    });
+
+    // Not awaited, so the response takes as long as for unknown emails
+    sendMail({
+      to: invitee.email,
+      subject: `${req.user.name} invited you to ${access.team.name}`,
+      text: [
+        `Hi ${invitee.name},`,
+        '',
+        role === 'player'
+          ? `${req.user.name} invited you to join ${access.team.name} on Tennis Rating. Its coaches would be able to see your ${scope === 'sessions' ? 'sessions and statistics' : 'statistics'}.`
+          : `${req.user.name} invited you to coach ${access.team.name} on Tennis Rating.`,
+        '',
+        'Open the app to accept or decline. Nothing is shared until you accept, and you can leave the team at any time.'
+      ].join('\n')
+    }).catch(error => console.error('Team invitation email error:', error));
+
+    console.log(`✉️ ${req.user.email} invited ${invitee.email} to team ${access.team.id} as ${role}`);
+
+    sent();
+
+  } catch (error) {
+    console.error('Team invitation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send invitation'
+    });
+  }
+});
+
+// DELETE /api/teams/:teamId/invitations/:email - Cancel a pending invitation
+router.delete('/:teamId/invitations/:email', authenticateToken, async (req, res) => {
+  try {
+    const access = await loadMembership(req, res, { coach: true });
+    if (!access) {
+      return;
+    }
+
+    const db = getDatabase();
+    const email = req.params.email.toLowerCase();
+    const invitation = await db.getTeamInvitation(access.team.id, email);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invitation not found'
+      });
+    }
+
+    await db.transaction(async (tx) => {
+      await tx.deleteTeamInvitation(access.team.id, email);
+      const member = invitation.user_id ? await tx.getTeamMember(access.team.id, invitation.user_id) : null;
+      if (member && member.status === 'invited') {
+        await tx.deleteTeamMember(access.team.id, member.user_id);
+      }
+    });
+
+    console.log(`🚫 ${req.user.email} cancelled the invitation of ${email} to team ${access.team.id}`);
+
+    res.json({
+      success: true,
+      message: 'Invitation cancelled',
+      email: email
+    });
+
+  } catch (error) {
+    console.error('Cancel invitation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel invitation'
+    });
+  }
+});
+
+// POST /api/teams/:teamId/membership/accept - Accept an invitation.
+// Players may pass a narrower scope than the one they were invited with.
+router.post('/:teamId/membership/accept', authenticateToken, async (req, res) => {
+  try {
+    const access = await loadMembership(req, res, { activeOnly: false });
+    if (!access) {
+      return;
+    }
+
+    const { team, membership } = access;
+    if (membership.status !== 'invited') {
+      return res.status(409).json({
+        success: false,
+        error: 'You are already a member of this team'
+      });
+    }
+
+    const scope = membership.role === 'player' ? ((req.body || {}).scope || membership.scope) : null;
+    const scopeError = membership.role === 'player' ? invalidScopeError(scope) : null;
+    if (scopeError) {
+      return res.status(400).json({
+        success: false,
+        error: scopeError
+      });
+    }
+
+    const db = getDatabase();
+    await db.activateTeamMember(team.id, req.user.id, scope);
+    await db.deleteUserTeamInvitations(team.id, req.user.id);
+
+    console.log(`✅ ${req.user.email} joined team ${team.id} as ${membership.role}`);
+
+    res.json({
+      success: true,
+      message: 'Invitation accepted',
+      team: toAppTeam({ ...team, ...(await db.getTeamMember(team.id, req.user.id)) })
+    });
+
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to accept invitation'
+    });
+  }
+});
+
+// PATCH /api/teams/:teamId/membership - Change what you share with the team's coaches
+router.patch('/:teamId/membership', authenticateToken, async (req, res) => {
+  try {
+    const { scope } = req.body || {};
+
+    const scopeError = invalidScopeError(scope);
+    if (scopeError) {
+      return res.status(400).json({
+        success: false,
+        error: scopeError
+      });
+    }
+
+    const access = await loadMembership(req, res);
+    if (!access) {
+      return;
+    }
+
+    if (access.membership.role !== 'player') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only players share data with a team'
+      });
+    }
+
+    const db = getDatabase();
+    await db.updateTeamMemberScope(access.team.id, req.user.id, scope);
+
+    console.log(`🔐 ${req.user.email} now shares ${scope} with team ${access.team.id}`);
+
+    res.json({
+      success: true,
+      message: 'Sharing updated',
+      team: toAppTeam({ ...access.team, ...(await db.getTeamMember(access.team.id, req.user.id)) })
+    });
+
+  } catch (error) {
+    console.error('Update membership error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update membership'
+    });
+  }
+});
+
+// Remove a membership, keeping at least one active coach on the team.
+// Resolves to false (and responds) when it would remove the last coach.
+const removeMember = async (res, team, member) => {
+  const db = getDatabase();
+  const removed = await db.transaction(async (tx) => {
+    if (member.role === 'coach' && member.status === 'active' && await tx.countTeamCoaches(team.id) <= 1) {
+      return false;
+    }
+    await tx.deleteTeamMember(team.id, member.user_id);
+    return true;
+  });
+
+  if (!removed) {
+    res.status(409).json({
+      success: false,
+      error: 'A team needs at least one coach. Delete the team instead.'
+    });
+  }
+  return removed;
+};
+
+// DELETE /api/teams/:teamId/membership - Decline an invitation or leave the
+// team; coaches immediately lose access to your data
+router.delete('/:teamId/membership', authenticateToken, async (req, res) => {
+  try {
+    const access = await loadMembership(req, res, { activeOnly: false });
+    if (!access) {
+      return;
+    }
+
+    if (!(await removeMember(res, access.team, access.membership))) {
+      return;
+    }
+
+    console.log(`👋 ${req.user.email} left team ${access.team.id}`);
+
+    res.json({
+      success: true,
+      message: access.membership.status === 'invited' ? 'Invitation declined' : 'You left the team',
+      teamId: access.team.id
+    });
+
+  } catch (error) {
+    console.error('Leave team error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to leave team'
+    });
+  }
+});
+
+// DELETE /api/teams/:teamId/members/:userId - Remove a member or cancel an invitation
+router.delete('/:teamId/members/:userId', authenticateToken, async (req, res) => {
+  try {
+    const access = await loadMembership(req, res, { coach: true });
+    if (!access) {
+      return;
+    }
+
+    const db = getDatabase();
+    const member = await db.getTeamMember(access.team.id, req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+
+    if (!(await removeMember(res, access.team, member))) {
+      return;
+    }
+    await db.deleteUserTeamInvitations(access.team.id, member.user_id);
+
+    console.log(`🚪 ${req.user.email} removed ${member.user_id} from team ${access.team.id}`);
+
+    res.json({
+      success: true,
+      message: member.status === 'invited' ? 'Invitation cancelled' : 'Member removed',
+      userId: member.user_id
+    });
+
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove member'
+    });
+  }
+});
+
+// GET /api/teams/:teamId/roster - Recent activity of every active player, for coaches
+router.get('/:teamId/roster', authenticateToken, async (req, res) => {
+  try {
+    const access = await loadMembership(req, res, { coach: true });
+    if (!access) {
+      return;
+    }
+
+    const db = getDatabase();
+    const players = (await db.getTeamMembers(access.team.id))
+      .filter(member => member.role === 'player' && member.status === 'active');
+
+    const now = new Date();
+    const roster = [];
+    for (const player of players) {
+      roster.push({
+        ...toAppMember(player),
+        activity: await summarizePlayerActivity(db, player.user_id, now)
+      });
+    }
+
+    res.json({
+      success: true,
+      teamId: access.team.id,
+      roster: roster
+    });
+
+  } catch (error) {
+    console.error('Team roster error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch roster'
+    });
+  }
+});
+
+module.exports = router;
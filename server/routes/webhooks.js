@@ -0,0 +1,384 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const getDatabase = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  DELIVERY_STATUSES,
+  MAX_WEBHOOKS_PER_OWNER,
+  generateWebhookSecret,
+  validateWebhook,
+  validateWebhookDestination,
+  toDbWebhook,
+  toAppWebhook,
+  toAppDelivery,
+  enqueueTestEvent
+} = require('../lib/webhooks');
+
+const router = express.Router();
+
+const WEBHOOK_FIELDS = ['url', 'events', 'description', 'active'];
+const DEFAULT_DELIVERY_LIMIT = 50;
+const MAX_DELIVERY_LIMIT = 200;
+
+const unknownFieldsError = (body, fields) => {
+  const unknownFields = Object.keys(body).filter(field => !fields.includes(field));
+  return unknownFields.length > 0 ? `Unknown webhook fields: ${unknownFields.join(', ')}` : null;
+};
+
+// Whether the user manages team webhooks: active coaches only
+const coachesTeam = async (db, userId, teamId) => {
+  const membership = await db.getTeamMember(teamId, userId);
+  return Boolean(membership) && membership.role === 'coach' && membership.status === 'active';
+};
+
+// Load the webhook in req.params.webhookId if the user manages it: their own,
+// or one of a team they coach. Responds 404 and returns null otherwise.
+const loadManagedWebhook = async (req, res) => {
+  const db = getDatabase();
+  const webhook = await db.getWebhookById(req.params.webhookId);
+
+  const managed = webhook && (webhook.user_id
+    ? webhook.user_id === req.user.id
+    : await coachesTeam(db, req.user.id, webhook.team_id));
+
+  if (!managed) {
+    res.status(404).json({
+      success: false,
+      error: 'Webhook not found'
+    });
+    return null;
+  }
+
+  return webhook;
+};
+
+// GET /api/webhooks - Your webhooks and those of teams you coach (?teamId= for one team's)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { teamId } = req.query;
+    const webhooks = await getDatabase().getManagedWebhooks(req.user.id);
+
+    res.json({
+      success: true,
+      webhooks: webhooks
+        .filter(webhook => teamId === undefined || webhook.team_id === teamId)
+        .map(toAppWebhook)
+    });
+
+  } catch (error) {
+    console.error('Fetch webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhooks'
+    });
+  }
+});
+
+// POST /api/webhooks - Register an endpoint
+// Body: { url, events: [...], description?, active?, teamId? }. With teamId it
+// receives the events of the team's players, as far as their scope allows.
+// The response holds the signing secret; it isn't shown again.
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { teamId = null, ...body } = req.body || {};
+
+    const unknownError = unknownFieldsError(body, WEBHOOK_FIELDS);
+    if (unknownError) {
+      return res.status(400).json({
+        success: false,
+        error: unknownError
+      });
+    }
+
+    const validationError = validateWebhook(body) || await validateWebhookDestination(body.url);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const db = getDatabase();
+    if (teamId !== null && !(await coachesTeam(db, req.user.id, teamId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Only team coaches can add team webhooks.'
+      });
+    }
+
+    const owner = teamId !== null ? { userId: null, teamId } : { userId: req.user.id, teamId: null };
+    if (await db.countWebhooks(owner) >= MAX_WEBHOOKS_PER_OWNER) {
+      return res.status(409).json({
+        success: false,
+        error: `You can register at most ${MAX_WEBHOOKS_PER_OWNER} webhooks${teamId !== null ? ' per team' : ''}`
+      });
+    }
+
+    const webhookId = uuidv4();
+    const secret = generateWebhookSecret();
+    await db.createWebhook({
+      ...toDbWebhook(body),
+      id: webhookId,
+      user_id: owner.userId,
+      team_id: owner.teamId,
+      created_by: req.user.id,
+      secret
+    });
+
+    console.log(`🪝 Webhook created by ${req.user.email}: ${webhookId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully',
+      webhook: { ...toAppWebhook(await db.getWebhookById(webhookId)), secret }
+    });
+
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create webhook'
+    });
+  }
+});
+
+// GET /api/webhooks/:webhookId - One webhook
+router.get('/:webhookId', authenticateToken, async (req, res) => {
+  try {
+    const webhook = await loadManagedWebhook(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      webhook: toAppWebhook(webhook)
+    });
+
+  } catch (error) {
+    console.error('Fetch webhook error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook'
+    });
+  }
+});
+
+// PATCH /api/webhooks/:webhookId - Change the url, events, description, or
+// pause it with active: false (events aren't queued while it is paused)
+router.patch('/:webhookId', authenticateToken, async (req, res) => {
+  try {
+    const changes = req.body || {};
+
+    const unknownError = unknownFieldsError(changes, WEBHOOK_FIELDS);
+    if (unknownError) {
+      return res.status(400).json({
+        success: false,
+        error: unknownError
+      });
+    }
+
+    const validationError = validateWebhook(changes, { partial: true }) ||
+      (changes.url !== undefined ? await validateWebhookDestination(changes.url) : null);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const webhook = await loadManagedWebhook(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    const db = getDatabase();
+    await db.updateWebhook({
+      ...toDbWebhook({ ...toAppWebhook(webhook), ...changes }),
+      id: webhook.id
+    });
+
+    console.log(`✏️ Webhook updated by ${req.user.email}: ${webhook.id}`);
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      webhook: toAppWebhook(await db.getWebhookById(webhook.id))
+    });
+
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update webhook'
+    });
+  }
+});
+
+// DELETE /api/webhooks/:webhookId - Remove a webhook and its pending deliveries
+router.delete('/:webhookId', authenticateToken, async (req, res) => {
+  try {
+    const webhook = await loadManagedWebhook(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    await getDatabase().transaction(tx => tx.deleteWebhook(webhook.id));
+
+    console.log(`🗑️ Webhook deleted by ${req.user.email}: ${webhook.id}`);
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully',
+      webhookId: webhook.id
+    });
+
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete webhook'
+    });
+  }
+});
+
+// POST /api/webhooks/:webhookId/rotate-secret - Replace the signing secret.
+// Pending deliveries are signed with the new one.
+router.post('/:webhookId/rotate-secret', authenticateToken, async (req, res) => {
+  try {
+    const webhook = await loadManagedWebhook(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    const secret = generateWebhookSecret();
+    await getDatabase().updateWebhookSecret(webhook.id, secret);
+
+    console.log(`🔑 Webhook secret rotated by ${req.user.email}: ${webhook.id}`);
+
+    res.json({
+      success: true,
+      message: 'Webhook secret rotated',
+      secret
+    });
+
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate webhook secret'
+    });
+  }
+});
+
+// POST /api/webhooks/:webhookId/test - Queue a webhook.test event for this endpoint
+router.post('/:webhookId/test', authenticateToken, async (req, res) => {
+  try {
+    const webhook = await loadManagedWebhook(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    const event = await enqueueTestEvent(getDatabase(), webhook);
+
+    res.status(202).json({
+      success: true,
+      message: webhook.active ? 'Test event queued' : 'Test event queued; it is sent once the webhook is active again',
+      eventId: event.id
+    });
+
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to queue test event'
+    });
+  }
+});
+
+// GET /api/webhooks/:webhookId/deliveries - Delivery log, newest first
+// Query: status (pending, delivered or dead), limit (default 50, max 200)
+router.get('/:webhookId/deliveries', authenticateToken, async (req, res) => {
+  try {
+    const { status = null } = req.query;
+    const limit = req.query.limit === undefined ? DEFAULT_DELIVERY_LIMIT : Number(req.query.limit);
+
+    if (status !== null && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}`
+      });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DELIVERY_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        error: `limit must be an integer from 1 to ${MAX_DELIVERY_LIMIT}`
+      });
+    }
+
+    const webhook = await loadManagedWebhook(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    const deliveries = await getDatabase().getWebhookDeliveries(webhook.id, { status, limit });
+
+    res.json({
+      success: true,
+      deliveries: deliveries.map(toAppDelivery)
+    });
+
+  } catch (error) {
+    console.error('Fetch webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook deliveries'
+    });
+  }
+});
+
+// POST /api/webhooks/:webhookId/deliveries/:deliveryId/retry - Send a dead delivery again
+router.post('/:webhookId/deliveries/:deliveryId/retry', authenticateToken, async (req, res) => {
+  try {
+    const webhook = await loadManagedWebhook(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    const db = getDatabase();
+    const delivery = await db.getWebhookDelivery(webhook.id, req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found'
+      });
+    }
+
+    if (delivery.status !== 'dead') {
+      return res.status(409).json({
+        success: false,
+        error: 'Only dead deliveries can be retried'
+      });
+    }
+
+    await db.retryWebhookDelivery(delivery.id);
+
+    console.log(`🔁 Webhook delivery retried by ${req.user.email}: ${delivery.id}`);
+
+    res.json({
+      success: true,
+      message: 'Delivery queued again',
+      delivery: toAppDelivery(await db.getWebhookDelivery(webhook.id, delivery.id))
+    });
+
+  } catch (error) {
+    console.error('Retry webhook delivery error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry delivery'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+// Award badges from existing history, e.g. after adding a rule to
+// lib/achievements.js. Players only get rules they don't have yet, so it is
+// safe to run any number of times.
+// Usage: node scripts/backfill-achievements.js [userId]
+require('dotenv').config();
+
+const getDatabase = require('../database');
+const { awardAchievements } = require('../lib/achievements');
+
+const main = async () => {
+    const userArg = process.argv[2];
+    const db = getDatabase();
+
+    try {
+        await db.assertSchemaCurrent();
+        const userIds = userArg ? [userArg] : await db.getUserIds();
+
+        let awarded = 0;
+        for (const userId of userIds) {
+            const awards = await db.transaction(tx => awardAchievements(tx, userId));
+            awarded += awards.length;
+        }
+        console.log(`✅ Awarded ${awarded} achievement(s) to ${userIds.length} player(s)`);
+    } finally {
+        await db.close();
+    }
+};
+
+main().catch((error) => {
+    console.error('❌ Achievement backfill failed:', error.message);
+    process.exit(1);
+});
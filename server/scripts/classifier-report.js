@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+// Accuracy of lib/swingClassifier.js over labeled swings: a confusion matrix
+// and the share of each stroke classified correctly. Files may be the app's
+// exportTrainingData() array, a downloaded dataset or a training corpus export;
+// fixtures/labeled-swings.json is used by default. Swings are classified with
+// the default rules, unless calibration is given:
+//   --profile=<file>   a calibration profile (as uploaded or downloaded)
+//   --user=<userId>    that player's latest stored profile
+//   --leave-one-out    each swing against patterns from all the other swings
+// Usage: node scripts/classifier-report.js [--profile=<file> | --user=<userId> | --leave-one-out] [file...]
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const getDatabase = require('../database');
+const { toAppCalibrationProfile } = require('../lib/calibration');
+const { SWING_TYPES, extractSwingMetrics, classifySwing } = require('../lib/swingClassifier');
+
+const DEFAULT_FIXTURES = path.join(__dirname, '..', 'fixtures', 'labeled-swings.json');
+
+// The app keeps this many patterns per stroke
+const PATTERNS_PER_STROKE = 10;
+
+const readSwings = (file) => {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const swings = Array.isArray(data) ? data : (data.swings || (data.dataset && data.dataset.swings));
+    if (!Array.isArray(swings)) {
+        throw new Error(`${file} does not contain labeled swings`);
+    }
+    return swings;
+};
+
+const readProfile = (file) => {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return data.profile || data;
+};
+
+const loadStoredProfile = async (userId) => {
+    const db = getDatabase();
+    try {
+        await db.assertSchemaCurrent();
+        const row = await db.getCalibrationProfile(userId);
+        if (!row) {
+            throw new Error(`No calibration profile stored for ${userId}`);
+        }
+        return toAppCalibrationProfile(row);
+    } finally {
+        await db.close();
+    }
+};
+
+// A profile built from labeled swings the way the app's calibration mode does
+const buildProfile = (swings) => {
+    const profile = { forehandPatterns: [], backhandPatterns: [], servePatterns: [] };
+    for (const swing of swings) {
+        const { path: wristPath, pathPoints, ...pattern } = extractSwingMetrics(swing.poseFrames);
+        if (pathPoints >= 2) {
+            profile[`${swing.label.toLowerCase()}Patterns`].push(pattern);
+        }
+    }
+    for (const list of Object.keys(profile)) {
+        profile[list] = profile[list].slice(-PATTERNS_PER_STROKE);
+    }
+    return profile;
+};
+
+const printReport = (swings, predictions) => {
+    const labels = SWING_TYPES.filter(type => type !== 'unknown');
+    const width = 10;
+    const cell = (value) => String(value).padStart(width);
+
+    console.log(`${''.padEnd(width)}${SWING_TYPES.map(cell).join('')}${cell('correct')}`);
+
+    let correct = 0;
+    for (const label of labels) {
+        const predicted = predictions.filter((_, i) => swings[i].label.toLowerCase() === label);
+        const counts = SWING_TYPES.map(type => predicted.filter(p => p === type).length);
+        const hits = counts[SWING_TYPES.indexOf(label)];
+        correct += hits;
+        const share = predicted.length > 0 ? `${Math.round(hits / predicted.length * 100)}%` : '-';
+        console.log(`${label.padEnd(width)}${counts.map(cell).join('')}${cell(share)}`);
+    }
+
+    console.log(`\nAccuracy: ${correct}/${swings.length} (${Math.round(correct / swings.length * 100)}%)`);
+};
+
+const main = async () => {
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const arg = args.find(a => a.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : null;
+    };
+    const files = args.filter(arg => !arg.startsWith('--'));
+    const leaveOneOut = args.includes('--leave-one-out');
+
+    const swings = (files.length > 0 ? files : [DEFAULT_FIXTURES]).flatMap(readSwings);
+    if (swings.length === 0) {
+        throw new Error('No labeled swings to classify');
+    }
+
+    let profile = null;
+    if (option('profile')) {
+        profile = readProfile(option('profile'));
+    } else if (option('user')) {
+        profile = await loadStoredProfile(option('user'));
+    }
+
+    const predictions = swings.map((swing, i) => {
+        const calibration = leaveOneOut ? buildProfile(swings.filter((_, j) => j !== i)) : profile;
+        return classifySwing(swing.poseFrames, calibration).swingType;
+    });
+
+    const method = leaveOneOut ? 'leave-one-out calibration' : (profile ? 'calibration profile' : 'default rules');
+    console.log(`📊 ${swings.length} labeled swing(s), classified with ${method}\n`);
+    printReport(swings, predictions);
+};
+
+main().catch((error) => {
+    console.error('❌ Classifier report failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+// Pool the labeled swings of every player who opted in to the training corpus
+// (privacy setting trainingCorpus) into one JSON file. Each contributor's
+// latest dataset is used. Contributors get a pseudonym that is only stable
+// within one export, so a file can be split by player but not joined to others.
+// Usage: node scripts/export-training-corpus.js <output.json>
+require('dotenv').config();
+
+const crypto = require('crypto');
+const fs = require('fs');
+const getDatabase = require('../database');
+const { SWING_LABELS, toCorpusSwings } = require('../lib/calibration');
+
+const main = async () => {
+    const outputPath = process.argv[2];
+    if (!outputPath) {
+        throw new Error('Usage: node scripts/export-training-corpus.js <output.json>');
+    }
+
+    const db = getDatabase();
+
+    try {
+        await db.assertSchemaCurrent();
+        const salt = crypto.randomBytes(16).toString('hex');
+        const contributors = await db.getTrainingCorpusContributors();
+
+        const swings = [];
+        for (const userId of contributors) {
+            swings.push(...toCorpusSwings(await db.getSwingDataset(userId), salt));
+        }
+
+        const counts = SWING_LABELS.map(label => `${swings.filter(swing => swing.label === label).length} ${label}`);
+        fs.writeFileSync(outputPath, JSON.stringify({
+            generatedAt: new Date(),
+            contributors: contributors.length,
+            swings
+        }));
+        console.log(`✅ Exported ${swings.length} swing(s) (${counts.join(', ')}) from ${contributors.length} contributor(s) to ${outputPath}`);
+    } finally {
+        await db.close();
+    }
+};
+
+main().catch((error) => {
+    console.error('❌ Training corpus export failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+// Usage: node scripts/migrate.js [up|down [steps]|status]
+require('dotenv').config();
+
+const getDatabase = require('../database');
+const Migrator = require('../migrator');
+
+const printStatus = (status) => {
+    status.forEach(migration => {
+        const mark = migration.applied && !migration.backfillPending ? '✅' : '⏳';
+        const note = migration.backfillPending ? ' (backfill pending)' : '';
+        console.log(`${mark} ${String(migration.version).padStart(3, '0')} ${migration.name}${note}`);
+    });
+
+    const pending = status.filter(migration => !migration.applied).length;
+    const backfills = status.filter(migration => migration.backfillPending).length;
+    if (pending === 0 && backfills === 0) {
+        console.log('Schema is up to date');
+    } else {
+        console.log(`${pending} migration(s) and ${backfills} backfill(s) pending`);
+    }
+};
+
+const main = async () => {
+    const [command = 'up', arg] = process.argv.slice(2);
+    const db = getDatabase();
+    await db.ready;
+    const migrator = new Migrator(db);
+
+    try {
+        switch (command) {
+            case 'up': {
+                const applied = await migrator.migrate();
+                if (applied.length === 0) {
+                    console.log('Schema is up to date');
+                }
+                break;
+            }
+            case 'down': {
+                const steps = arg ? parseInt(arg, 10) : 1;
+                if (!Number.isInteger(steps) || steps < 1) {
+                    throw new Error('Steps must be a positive integer');
+                }
+                const reverted = await migrator.rollback(steps);
+                if (reverted.length === 0) {
+                    console.log('Nothing to roll back');
+                }
+                break;
+            }
+            case 'status':
+                printStatus(await migrator.status());
+                break;
+            default:
+                throw new Error(`Unknown command "${command}". Use up, down [steps] or status.`);
+        }
+    } finally {
+        await db.close();
+    }
+};
+
+main().catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
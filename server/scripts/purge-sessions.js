@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+// Permanently delete sessions that were soft-deleted more than
+// SESSION_RETENTION_DAYS (default 30) ago.
+// Usage: node scripts/purge-sessions.js [retentionDays]
+require('dotenv').config();
+
+const getDatabase = require('../database');
+
+const main = async () => {
+    const value = process.argv[2] ?? process.env.SESSION_RETENTION_DAYS ?? '30';
+    const retentionDays = parseInt(value, 10);
+    if (!Number.isInteger(retentionDays) || retentionDays < 0) {
+        throw new Error('Retention days must be a non-negative integer');
+    }
+
+    const db = getDatabase();
+
+    try {
+        await db.assertSchemaCurrent();
+        const result = await db.purgeDeletedSessions(retentionDays);
+        console.log(`✅ Purged ${result.changes} session(s) deleted more than ${retentionDays} days ago`);
+    } finally {
+        await db.close();
+    }
+};
+
+main().catch((error) => {
+    console.error('❌ Purge failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// Rebuild everything derived from session history (stats aggregates and
+// skill ratings) for every player, or one player by id. With --verify,
+// nothing is written: the stored stats aggregates are compared with a full
+// recompute and any difference is reported (exit code 1).
+// Usage: node scripts/rebuild-aggregates.js [--verify] [userId]
+require('dotenv').config();
+
+const getDatabase = require('../database');
+const { refreshStatsAggregates, verifyStatsAggregates } = require('../lib/statsAggregates');
+const { rebuildSkillRatings } = require('../lib/skillRating');
+
+const main = async () => {
+    const args = process.argv.slice(2);
+    const verify = args.includes('--verify');
+    const userArg = args.find(arg => !arg.startsWith('--'));
+
+    const db = getDatabase();
+
+    try {
+        await db.assertSchemaCurrent();
+        const userIds = userArg ? [userArg] : await db.getUserIds();
+
+        if (verify) {
+            let failed = 0;
+            for (const userId of userIds) {
+                const problems = await verifyStatsAggregates(db, userId);
+                if (problems.length > 0) {
+                    failed++;
+                    console.log(`❌ ${userId}`);
+                    problems.forEach(problem => console.log(`   ${problem}`));
+                }
+            }
+            console.log(`${failed === 0 ? '✅' : '❌'} Verified ${userIds.length} player(s); ${failed} with stale aggregates`);
+            process.exitCode = failed === 0 ? 0 : 1;
+            return;
+        }
+
+        for (const userId of userIds) {
+            // Only derived data: no achievements are awarded and no webhooks queued
+            await db.transaction(async (tx) => {
+                await rebuildSkillRatings(tx, userId);
+                await refreshStatsAggregates(tx, userId);
+            });
+        }
+        console.log(`✅ Rebuilt aggregates and skill ratings for ${userIds.length} player(s)`);
+    } finally {
+        await db.close();
+    }
+};
+
+main().catch((error) => {
+    console.error('❌ Aggregate rebuild failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+// Re-rate stored sessions with a rating algorithm version (default: the
+// current one). Only sessions rated with a different version are touched,
+// so an interrupted run can simply be started again. Skill ratings of the
+// affected players are rebuilt afterwards, since they build on session scores.
+// Usage: node scripts/recompute-ratings.js [--version N] [--dry-run]
+require('dotenv').config();
+
+const getDatabase = require('../database');
+const { RATING_VERSIONS, CURRENT_RATING_VERSION, rateSession, toDbRating } = require('../lib/rating');
+const { onSessionsChanged } = require('../lib/sessionHooks');
+
+const PAGE_SIZE = 500;
+
+const parseArgs = (args) => {
+    const options = { version: CURRENT_RATING_VERSION, dryRun: false };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--dry-run') {
+            options.dryRun = true;
+        } else if (args[i] === '--version') {
+            options.version = parseInt(args[++i], 10);
+        } else {
+            throw new Error(`Unknown argument: ${args[i]}`);
+        }
+    }
+
+    if (!RATING_VERSIONS.includes(options.version)) {
+        throw new Error(`Rating version must be one of: ${RATING_VERSIONS.join(', ')}`);
+    }
+
+    return options;
+};
+
+const main = async () => {
+    const { version, dryRun } = parseArgs(process.argv.slice(2));
+    const db = getDatabase();
+
+    try {
+        await db.assertSchemaCurrent();
+
+        let lastId = '';
+        let recomputed = 0;
+        let changed = 0; // Sessions whose 1-5 rating moves
+        const userIds = new Set();
+
+        while (true) {
+            const sessions = await db.getSessionsToRate(version, lastId, PAGE_SIZE);
+            if (sessions.length === 0) {
+                break;
+            }
+
+            // One transaction per page keeps the write lock short
+            await db.transaction(async (tx) => {
+                for (const session of sessions) {
+                    const rating = toDbRating(rateSession(session, version));
+                    if (rating.rating !== session.rating) {
+                        changed++;
+                    }
+                    if (!dryRun) {
+                        await tx.updateSessionRating(session.id, rating);
+                    }
+                    userIds.add(session.user_id);
+                }
+            });
+
+            recomputed += sessions.length;
+            lastId = sessions[sessions.length - 1].id;
+        }
+
+        console.log(`${dryRun ? '🔍 Dry run: would recompute' : '✅ Recomputed'} ${recomputed} session(s) with rating version ${version}; ${changed} change rating`);
+
+        if (!dryRun) {
+            for (const userId of userIds) {
+                await db.transaction(tx => onSessionsChanged(tx, userId, ''));
+            }
+            console.log(`✅ Rebuilt skill ratings for ${userIds.size} player(s)`);
+        }
+    } finally {
+        await db.close();
+    }
+};
+
+main().catch((error) => {
+    console.error('❌ Rating recompute failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// A local endpoint for trying out webhooks: logs each event it receives and
+// checks its signature against the webhook's secret. Register
+// http://localhost:<port>/ as the webhook url (allowed outside production).
+//   --port=<port>     port to listen on (default 4000)
+//   --secret=<secret> the webhook's secret (or WEBHOOK_SECRET); without it
+//                     signatures aren't checked
+//   --fail=<n>        answer the first n requests with 500, to watch retries
+// Usage: node scripts/webhook-receiver.js [--port=4000] [--secret=whsec_...] [--fail=0]
+require('dotenv').config();
+
+const http = require('http');
+const { verifySignature } = require('../lib/webhooks');
+
+const args = process.argv.slice(2);
+const option = (name) => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+};
+
+const port = parseInt(option('port'), 10) || 4000;
+const secret = option('secret') || process.env.WEBHOOK_SECRET || null;
+let failuresLeft = parseInt(option('fail'), 10) || 0;
+
+const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        const event = req.headers['x-webhook-event'] || 'unknown';
+
+        if (secret && !verifySignature(secret, req.headers['x-webhook-signature'], body)) {
+            console.log(`❌ ${event}: invalid signature`);
+            res.writeHead(401).end();
+            return;
+        }
+
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            console.log(`💥 ${event}: failing on purpose (${failuresLeft} more)`);
+            res.writeHead(500).end();
+            return;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(body);
+        } catch (error) {
+            console.log(`❌ ${event}: body is not JSON`);
+            res.writeHead(400).end();
+            return;
+        }
+
+        console.log(`📨 ${payload.type} ${payload.id} (delivery ${req.headers['x-webhook-delivery']})${secret ? ', signature ok' : ''}`);
+        console.log(JSON.stringify(payload.data, null, 2));
+        res.writeHead(204).end();
+    });
+});
+
+server.listen(port, () => {
+    console.log(`🪝 Webhook receiver listening on http://localhost:${port}/`);
+    if (!secret) {
+        console.log('⚠️ No secret given, so signatures are not checked');
+    }
+});
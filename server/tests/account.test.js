@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, registerUser, sessionData, sentMail, PASSWORD } = require('./helpers');
+
+// The reset mail goes out after the response, so wait for it to land
+const waitForMail = async (to) => {
+    const deadline = Date.now() + 5000;
+    while (Date.now() < deadline) {
+        const message = sentMail().find(mail => mail.to === to);
+        if (message) {
+            return message;
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.fail(`No mail to ${to}`);
+};
+
+describe('account management', () => {
+    let server;
+    let player;
+    let other;
+
+    const me = (token = player.token) => api('GET', '/api/auth/me', undefined, token);
+    const login = (password) => api('POST', '/api/auth/login', { email: player.email, password });
+
+    before(async () => {
+        server = await startServer();
+        [player, other] = [await registerUser(), await registerUser()];
+    });
+
+    after(() => server.close());
+
+    it('edits the name, and the email only with the password', async () => {
+        assert.equal((await me()).body.user.email, player.email);
+
+        let response = await api('PATCH', '/api/auth/me', { name: 'New Name' }, player.token);
+        assert.equal(response.body.user.name, 'New Name');
+
+        response = await api('PATCH', '/api/auth/me', { email: `new-${player.email}` }, player.token);
+        assert.equal(response.status, 401);
+        response = await api('PATCH', '/api/auth/me', { email: other.email, currentPassword: PASSWORD }, player.token);
+        assert.equal(response.status, 409);
+    });
+
+    it('signs out other devices when the password changes', async () => {
+        const elsewhere = (await login(PASSWORD)).body;
+        const change = (currentPassword) => api('POST', '/api/auth/change-password', { currentPassword, newPassword: 'changed1' }, player.token);
+
+        assert.equal((await change('wrong')).status, 401);
+        assert.equal((await change(PASSWORD)).status, 200);
+        assert.equal((await me(elsewhere.token)).status, 401);
+        assert.equal((await me()).status, 200);
+        assert.equal((await login('changed1')).status, 200);
+    });
+
+    it('resets a forgotten password with a single-use link', async () => {
+        const forgot = (email) => api('POST', '/api/auth/forgot-password', { email });
+        const unknown = await forgot('nobody@example.com');
+        const known = await forgot(player.email.toUpperCase());
+        assert.deepEqual([unknown.status, known.status], [200, 200]);
+        assert.deepEqual(unknown.body, known.body);
+
+        const token = (await waitForMail(player.email)).text.match(/token=(\S+)/)[1];
+        assert.equal(sentMail().some(mail => mail.to === 'nobody@example.com'), false);
+
+        const reset = (password) => api('POST', '/api/auth/reset-password', { token, password });
+        assert.equal((await reset('resetpw1')).status, 200);
+        assert.equal((await reset('resetpw2')).status, 400);
+        assert.equal((await me()).status, 401);
+        assert.equal((await login('resetpw1')).status, 200);
+    });
+
+    it('deletes the account and its data with the password', async () => {
+        const { token, refreshToken } = (await login('resetpw1')).body;
+        await api('POST', '/api/sessions', sessionData(), token);
+
+        assert.equal((await api('DELETE', '/api/auth/me', { password: 'wrong' }, token)).status, 401);
+        assert.equal((await api('DELETE', '/api/auth/me', { password: 'resetpw1' }, token)).status, 200);
+        assert.equal((await me(token)).status, 401);
+        assert.equal((await api('POST', '/api/auth/refresh', { refreshToken })).status, 401);
+
+        const remaining = await server.db.get('SELECT COUNT(*) AS count FROM sessions WHERE user_id = ?', [player.user.id]);
+        assert.equal(remaining.count, 0);
+    });
+});
@@ -0,0 +1,79 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, registerUser, sessionData } = require('./helpers');
+const backfillAchievements = require('../backfills/012_award_existing_achievements');
+
+const ids = (achievements) => achievements.map(achievement => achievement.id).sort();
+
+describe('achievements', () => {
+    let server;
+    let player;
+    let firstSessionId;
+
+    const upload = (overrides, headers) => api('POST', '/api/sessions', sessionData(overrides), player.token, headers);
+    const listAchievements = async () => (await api('GET', '/api/achievements', undefined, player.token)).body;
+
+    before(async () => {
+        server = await startServer();
+        player = await registerUser();
+    });
+
+    after(() => server.close());
+
+    it('unlocks badges with the session that earned them', async () => {
+        let response = await upload({ timestamp: '2026-10-01T10:00:00Z' });
+        assert.equal(response.status, 201);
+        assert.deepEqual(ids(response.body.achievements), ['first-session']);
+        assert.equal(response.body.achievements[0].sessionId, response.body.sessionId);
+        firstSessionId = response.body.sessionId;
+
+        response = await upload({
+            timestamp: '2026-10-02T10:00:00Z',
+            totalShots: 120,
+            successfulShots: 110,
+            forehandCount: 60,
+            backhandCount: 40,
+            serveCount: 20
+        });
+        assert.deepEqual(ids(response.body.achievements), ['hundred-shot-session', 'sharpshooter']);
+    });
+
+    it('unlocks the streak on the seventh day in a row, once', async () => {
+        const unlocked = [];
+        for (let day = 3; day <= 8; day++) {
+            const response = await upload({ timestamp: `2026-10-0${day}T10:00:00Z` }, { 'Idempotency-Key': `day-${day}` });
+            unlocked.push(ids(response.body.achievements).join());
+        }
+        assert.deepEqual(unlocked, ['', '', '', '', 'seven-day-streak', '']);
+
+        const replay = await upload({ timestamp: '2026-10-08T10:00:00Z' }, { 'Idempotency-Key': 'day-8' });
+        assert.equal(replay.status, 200);
+        assert.equal(replay.body.achievements, undefined);
+    });
+
+    it('counts sessions uploaded out of order', async () => {
+        await upload({ timestamp: '2026-09-02T10:00:00Z' });
+        const response = await upload({ timestamp: '2026-09-01T10:00:00Z' });
+        assert.deepEqual(ids(response.body.achievements), ['ten-sessions']);
+
+        const list = await listAchievements();
+        assert.equal(list.earned, 5);
+        assert.equal(list.achievements.length, 7);
+    });
+
+    it('keeps badges when their session is deleted', async () => {
+        await api('DELETE', `/api/sessions/session/${firstSessionId}`, undefined, player.token);
+        assert.equal((await listAchievements()).earned, 5);
+    });
+
+    it('backfills badges from existing history', async () => {
+        await server.db.run('DELETE FROM achievements WHERE user_id = ?', [player.user.id]);
+        await backfillAchievements.run(server.db);
+
+        const list = await listAchievements();
+        // The deleted session no longer counts towards ten sessions
+        assert.equal(list.earned, 4);
+        const first = list.achievements.find(achievement => achievement.id === 'first-session');
+        assert.equal(first.earnedAt, '2026-09-01T10:00:00.000Z');
+    });
+});
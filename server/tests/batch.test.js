@@ -0,0 +1,49 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, api, registerUser, sessionData } = require('./helpers');
+
+describe('batch uploads', () => {
+    let server;
+    let player;
+
+    const batch = (sessions) => api('POST', '/api/sessions/batch', { sessions }, player.token);
+
+    before(async () => {
+        server = await startServer();
+        player = await registerUser();
+    });
+
+    after(() => server.close());
+
+    it('reports each session\'s outcome and keeps the valid ones', async () => {
+        const uploadedId = crypto.randomUUID();
+        const repeatedId = crypto.randomUUID();
+        await api('POST', '/api/sessions', sessionData({ id: uploadedId }), player.token);
+
+        const response = await batch([
+            sessionData({ id: uploadedId }),
+            sessionData({ timestamp: '2026-10-02T10:00:00.000Z' }),
+            sessionData({ successfulShots: 99 }),
+            null,
+            sessionData({ id: repeatedId, timestamp: '2026-10-03T10:00:00.000Z' }),
+            sessionData({ id: repeatedId, timestamp: '2026-10-03T10:00:00.000Z' }),
+            sessionData({ id: uploadedId, totalShots: 50 })
+        ]);
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.summary, { created: 2, duplicate: 2, rejected: 3 });
+        assert.equal(response.body.results.length, 7);
+        assert.equal(response.body.results[1].status, 'created');
+        assert.equal(response.body.results[2].status, 'rejected');
+        assert.equal(response.body.results[4].sessionId, repeatedId);
+
+        const { sessions } = (await api('GET', `/api/sessions/${player.user.id}`, undefined, player.token)).body;
+        assert.equal(sessions.length, 3);
+    });
+
+    it('refuses empty and oversized batches', async () => {
+        assert.equal((await batch([])).status, 400);
+        assert.equal((await api('POST', '/api/sessions/batch', {}, player.token)).status, 400);
+        assert.equal((await batch(Array(101).fill(sessionData()))).status, 413);
+    });
+});
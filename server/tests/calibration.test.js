@@ -0,0 +1,103 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, registerUser } = require('./helpers');
+const { toCorpusSwings } = require('../lib/calibration');
+
+const PATTERN = { horizontalChange: 300, verticalChange: -20, maxSpeed: 1.2, startX: 0.3, startY: 0.5, duration: 0.6, amplitude: 0.4 };
+
+const frame = (timestamp) => ({ wrist: [0.1, 0.2], elbow: [0.2, 0.3], shoulder: [0.3, 0.4], timestamp, confidence: 0.9 });
+
+const swing = (label) => ({
+    label,
+    poseFrames: [frame(0), frame(0.033)],
+    sessionId: '6F9619FF-8B86-D011-B42D-00C04FC964FF',
+    timestamp: '2026-10-01T10:00:00Z'
+});
+
+describe('calibration sync', () => {
+    let server;
+    let player;
+    let other;
+
+    const post = (path, body, user = player) => api('POST', `/api/calibration/${path}`, body, user.token);
+    const get = (path, user = player) => api('GET', `/api/calibration/${path}`, undefined, user.token);
+
+    before(async () => {
+        server = await startServer();
+        [player, other] = [await registerUser(), await registerUser()];
+    });
+
+    after(() => server.close());
+
+    it('versions each uploaded profile', async () => {
+        let response = await post('profiles', { forehandPatterns: [PATTERN], backhandPatterns: [], servePatterns: [PATTERN, PATTERN], device: 'iPhone15,2' });
+        assert.equal(response.status, 201);
+        assert.equal(response.body.profile.version, 1);
+        assert.equal(response.body.profile.patternCount, 3);
+
+        response = await post('profiles', { forehandPatterns: [PATTERN], backhandPatterns: [PATTERN], servePatterns: [] });
+        assert.equal(response.body.profile.version, 2);
+
+        const { profiles } = (await get('profiles')).body;
+        assert.deepEqual(profiles.map(profile => profile.version), [2, 1]);
+        assert.equal(profiles[0].forehandPatterns, undefined);
+
+        assert.equal((await get('profiles/latest')).body.profile.backhandPatterns.length, 1);
+        assert.equal((await get('profiles/1')).body.profile.device, 'iPhone15,2');
+        assert.equal((await get('profiles/1', other)).status, 404);
+        assert.equal((await get('profiles/abc')).status, 404);
+    });
+
+    it('validates profiles field by field', async () => {
+        let response = await post('profiles', { forehandPatterns: [{ ...PATTERN, maxSpeed: 'x' }], backhandPatterns: [], servePatterns: [] });
+        assert.equal(response.status, 400);
+        assert.equal(response.body.error, 'forehandPatterns[0].maxSpeed must be a number');
+
+        response = await post('profiles', { forehandPatterns: [], backhandPatterns: [], servePatterns: [] });
+        assert.equal(response.status, 400);
+        response = await post('profiles', { foo: 1 });
+        assert.match(response.body.error, /Unknown/);
+    });
+
+    it('stores labeled swing datasets and keeps the newest ten', async () => {
+        let response = await post('datasets', { swings: [swing('Forehand'), swing('Serve'), swing('Serve')] });
+        assert.equal(response.status, 201);
+        assert.equal(response.body.dataset.swingCount, 3);
+        assert.equal(response.body.dataset.labelCounts.Serve, 2);
+        assert.equal(response.body.dataset.swings, undefined);
+
+        const bad = swing('Forehand');
+        bad.poseFrames[1].hip = [1];
+        response = await post('datasets', { swings: [swing('Serve'), bad] });
+        assert.equal(response.body.error, 'swings[1].poseFrames[1].hip must be [x, y] or absent');
+        assert.equal((await post('datasets', { swings: [swing('Unknown')] })).status, 400);
+
+        const { dataset } = (await get('datasets/latest')).body;
+        assert.deepEqual(dataset.swings, [swing('Forehand'), swing('Serve'), swing('Serve')]);
+
+        for (let i = 0; i < 11; i++) {
+            await post('datasets', { swings: [swing('Backhand')] });
+        }
+        const { datasets } = (await get('datasets')).body;
+        assert.equal(datasets.length, 10);
+        assert.deepEqual([datasets[0].version, datasets[9].version], [12, 3]);
+    });
+
+    it('pools swings only from players who opted in, without identifying them', async () => {
+        assert.equal((await api('GET', '/api/profile/privacy', undefined, player.token)).body.privacy.trainingCorpus, false);
+        assert.equal((await api('PATCH', '/api/profile/privacy', { trainingCorpus: 'yes' }, player.token)).status, 400);
+        const { privacy } = (await api('PATCH', '/api/profile/privacy', { trainingCorpus: true }, player.token)).body;
+        assert.equal(privacy.trainingCorpus, true);
+        assert.equal(privacy.leaderboards, 'friends');
+
+        await post('datasets', { swings: [swing('Forehand')] }, other);
+
+        const contributors = await server.db.getTrainingCorpusContributors();
+        assert.deepEqual(contributors, [player.user.id]);
+
+        const [corpusSwing] = toCorpusSwings(await server.db.getSwingDataset(player.user.id), 'salt');
+        assert.deepEqual(Object.keys(corpusSwing).sort(), ['contributor', 'label', 'poseFrames']);
+        assert.equal(corpusSwing.label, 'Backhand');
+        assert.equal(corpusSwing.contributor.includes(player.user.id), false);
+    });
+});
@@ -0,0 +1,92 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const path = require('path');
+const { promisify } = require('util');
+const { startServer, api, registerUser } = require('./helpers');
+const { extractSwingMetrics, classifySwing } = require('../lib/swingClassifier');
+const swings = require('../fixtures/labeled-swings.json');
+
+const report = async (...args) => (await promisify(execFile)(process.execPath, [
+    path.join(__dirname, '../scripts/classifier-report.js'),
+    ...args
+], { env: process.env })).stdout;
+
+// A calibration pattern with the metrics of one recorded swing
+const patternOf = (swing) => {
+    const { path: wristPath, pathPoints, ...pattern } = extractSwingMetrics(swing.poseFrames);
+    return pattern;
+};
+
+describe('swing classification', () => {
+    let server;
+    let player;
+
+    const classify = (body, token = player.token) => api('POST', '/api/classify', body, token);
+
+    before(async () => {
+        server = await startServer();
+        player = await registerUser();
+    });
+
+    after(() => server.close());
+
+    it('classifies the labeled fixtures with the default rules', () => {
+        const predictions = swings.map(swing => classifySwing(swing.poseFrames).swingType);
+        assert.deepEqual(predictions, [
+            'forehand', 'forehand', 'forehand', 'forehand', 'unknown',
+            'backhand', 'backhand', 'backhand', 'backhand',
+            'serve', 'serve', 'serve', 'unknown'
+        ]);
+        // Misses are left unknown rather than given the wrong stroke
+        predictions.forEach((prediction, i) => {
+            assert.ok(prediction === 'unknown' || prediction === swings[i].label.toLowerCase(), `swing ${i}`);
+        });
+    });
+
+    it('reports accuracy per stroke', async () => {
+        const output = await report();
+        assert.match(output, /13 labeled swing\(s\), classified with default rules/);
+        assert.match(output, /^forehand +4 +0 +0 +1 +80%$/m);
+        assert.match(output, /^backhand +0 +4 +0 +0 +100%$/m);
+        assert.match(output, /^serve +0 +0 +3 +1 +75%$/m);
+        assert.match(output, /Accuracy: 11\/13 \(85%\)/);
+    });
+
+    it('classifies pose frames over the API', async () => {
+        let response = await classify({ poseFrames: swings[0].poseFrames });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.classification.swingType, 'forehand');
+        assert.equal(response.body.classification.method, 'rules');
+        assert.equal(response.body.classification.calibrationVersion, null);
+
+        response = await classify({ poseFrames: swings[9].poseFrames, calibration: 'none' });
+        assert.equal(response.body.classification.swingType, 'serve');
+
+        assert.equal((await classify({ poseFrames: [] })).status, 400);
+        assert.equal((await classify({ poseFrames: swings[0].poseFrames, foo: 1 })).status, 400);
+        assert.equal((await classify({ poseFrames: swings[0].poseFrames, calibration: 'x' })).status, 400);
+        assert.equal((await classify({ poseFrames: swings[0].poseFrames, calibration: 2 })).status, 404);
+        assert.equal((await classify({ poseFrames: swings[0].poseFrames }, null)).status, 401);
+    });
+
+    it('uses the player\'s latest calibration profile', async () => {
+        await api('POST', '/api/calibration/profiles', {
+            forehandPatterns: [patternOf(swings[0])],
+            backhandPatterns: [],
+            servePatterns: [patternOf(swings[9])]
+        }, player.token);
+
+        let response = await classify({ poseFrames: swings[0].poseFrames });
+        assert.equal(response.body.classification.method, 'calibration');
+        assert.equal(response.body.classification.calibrationVersion, 1);
+        assert.equal(response.body.classification.swingType, 'forehand');
+        assert.equal(response.body.classification.scores.forehand, 1);
+
+        response = await classify({ poseFrames: swings[9].poseFrames });
+        assert.equal(response.body.classification.swingType, 'serve');
+
+        const output = await report(`--user=${player.user.id}`);
+        assert.match(output, /classified with calibration profile/);
+    });
+});
@@ -0,0 +1,126 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { startServer, api, registerUser, sessionData } = require('./helpers');
+const { parseCsv } = require('../lib/csv');
+
+const pattern = (offset) => ({
+    horizontalChange: 0.4 + offset,
+    verticalChange: -0.1,
+    maxSpeed: 2.5,
+    startX: 0.3,
+    startY: 0.6,
+    duration: 0.45,
+    amplitude: 0.5
+});
+
+const frame = (timestamp) => ({ wrist: [0.5, 0.4], elbow: [0.45, 0.5], timestamp, confidence: 0.9 });
+
+const swing = (label) => ({
+    label,
+    sessionId: '6f1c1f56-53a4-4bd4-9a1e-2f5f7b3c9d10',
+    timestamp: '2026-10-10T09:00:00Z',
+    poseFrames: [frame(0), frame(0.033)]
+});
+
+// Entries of a zip archive by name, read through its central directory
+const unzip = (buffer) => {
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    const files = new Map();
+
+    for (let i = 0; i < count; i++) {
+        const method = buffer.readUInt16LE(offset + 10);
+        const size = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const local = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+        const data = buffer.subarray(start, start + size);
+        files.set(name, (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8'));
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return files;
+};
+
+describe('export', () => {
+    let server;
+    let player;
+    let sessionId;
+    let shareLink;
+
+    before(async () => {
+        server = await startServer();
+        player = await registerUser();
+        sessionId = (await api('POST', '/api/sessions', sessionData({ timestamp: '2026-10-12T10:00:00Z' }), player.token)).body.sessionId;
+        await api('POST', '/api/goals', { title: 'Ten sessions', metric: 'sessions', target: 10, startDate: '2026-10-01' }, player.token);
+        shareLink = (await api('POST', '/api/shares', { kind: 'session', sessionId }, player.token)).body.share;
+        await api('POST', '/api/calibration/profiles', { forehandPatterns: [pattern(0), pattern(0.1)], backhandPatterns: [], servePatterns: [pattern(0.2)] }, player.token);
+        await api('POST', '/api/calibration/profiles', { forehandPatterns: [pattern(0)], backhandPatterns: [], servePatterns: [] }, player.token);
+        await api('POST', '/api/calibration/datasets', { swings: [swing('Forehand'), swing('Serve')], device: 'iPhone' }, player.token);
+    });
+
+    after(() => server.close());
+
+    it('includes everything the player owns in the JSON archive', async () => {
+        const exported = (await api('GET', '/api/export', undefined, player.token)).body;
+
+        assert.equal(exported.account.id, player.user.id);
+        assert.deepEqual(exported.sessions.map(session => session.id), [sessionId]);
+        assert.deepEqual(exported.goals.map(goal => goal.title), ['Ten sessions']);
+        assert.ok(exported.achievements.length > 0);
+        assert.ok(exported.achievements.every(achievement => achievement.earned));
+        assert.ok(exported.skillRatings.some(skill => skill.stroke === 'overall'));
+
+        const [link] = exported.shareLinks;
+        assert.equal(link.id, shareLink.id);
+        assert.equal(link.sessionId, sessionId);
+        assert.equal(link.token, undefined);
+        assert.equal(link.url, undefined);
+
+        assert.deepEqual(exported.calibrationProfiles.map(profile => profile.version), [2, 1]);
+        assert.deepEqual(exported.calibrationProfiles[1].servePatterns, [pattern(0.2)]);
+        assert.equal(exported.swingDatasets.length, 1);
+        assert.deepEqual(exported.swingDatasets[0].swings, [swing('Forehand'), swing('Serve')]);
+        assert.deepEqual(exported.swingDatasets[0].labelCounts, { Forehand: 1, Backhand: 0, Serve: 1 });
+    });
+
+    it('writes one CSV file per kind of record', async () => {
+        const response = await fetch(`${server.baseUrl}/api/export?format=csv`, { headers: { Authorization: `Bearer ${player.token}` } });
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('content-type'), 'application/zip');
+        const files = unzip(Buffer.from(await response.arrayBuffer()));
+
+        assert.deepEqual([...files.keys()].sort(), [
+            'achievements.csv', 'calibration_patterns.csv', 'goals.csv', 'labeled_swings.csv', 'profile.csv',
+            'sessions.csv', 'share_links.csv', 'shot_timings.csv', 'shots.csv', 'skill_ratings.csv'
+        ]);
+        const rows = (name) => parseCsv(files.get(name));
+
+        assert.equal(rows('goals.csv')[1][1], 'Ten sessions');
+        assert.equal(rows('share_links.csv')[1][0], shareLink.id);
+        assert.equal(files.get('share_links.csv').includes(shareLink.token), false);
+
+        const patterns = rows('calibration_patterns.csv');
+        assert.deepEqual(patterns.slice(1).map(row => [row[0], row[3], row[4]]), [
+            ['2', 'forehand', '0'],
+            ['1', 'forehand', '0'],
+            ['1', 'forehand', '1'],
+            ['1', 'serve', '0']
+        ]);
+
+        const frames = rows('labeled_swings.csv');
+        assert.deepEqual(frames[0].slice(0, 10), [
+            'datasetVersion', 'swingIndex', 'label', 'sessionId', 'timestamp',
+            'frameIndex', 'frameTimestamp', 'confidence', 'wristX', 'wristY'
+        ]);
+        assert.equal(frames.length, 1 + 4);
+        assert.deepEqual(frames[3].slice(0, 3), ['1', '1', 'Serve']);
+        // Joints the frame doesn't have are left empty
+        assert.deepEqual(frames[1].slice(-4), ['', '', '', '']);
+    });
+});
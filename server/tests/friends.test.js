@@ -0,0 +1,145 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, registerUser, sessionData } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+describe('friends and leaderboards', () => {
+    let server;
+    let a;
+    let b;
+    let c;
+    let d;
+    let e;
+
+    const upload = (user, days, totalShots, successfulShots) => api('POST', '/api/sessions', sessionData({
+        timestamp: daysAgo(days),
+        totalShots,
+        successfulShots,
+        forehandCount: totalShots,
+        backhandCount: 0,
+        serveCount: 0
+    }), user.token);
+    const request = (from, to) => api('POST', '/api/friends/requests', { email: to.email || to }, from.token);
+    const board = async (query, user = a) => (await api('GET', `/api/leaderboards/${query}`, undefined, user.token)).body.leaderboard;
+
+    before(async () => {
+        server = await startServer();
+        [a, b, c, d, e] = [await registerUser(), await registerUser(), await registerUser(), await registerUser(), await registerUser()];
+        for (const days of [2, 1, 0]) {
+            await upload(a, days, 60, 30);
+        }
+        await upload(b, 0, 300, 290);
+        await upload(c, 14, 150, 120);
+        await upload(d, 0, 500, 100);
+    });
+
+    after(() => server.close());
+
+    it('answers requests the same whether or not the email takes them', async () => {
+        await api('PATCH', '/api/profile/privacy', { friendRequests: 'nobody' }, e.token);
+
+        const sent = await request(a, b);
+        assert.equal(sent.status, 202);
+        assert.deepEqual(sent.body, {
+            success: true,
+            message: 'If an account accepting friend requests uses that email, a request has been sent',
+            status: 'pending'
+        });
+        for (const response of [await request(a, b), await request(a, 'nobody@example.com'), await request(a, e)]) {
+            assert.equal(response.status, 202);
+            assert.deepEqual(response.body, sent.body);
+        }
+
+        assert.equal((await request(a, a)).status, 400);
+        assert.equal((await api('GET', '/api/friends', undefined, e.token)).body.incoming.length, 0);
+    });
+
+    it('lists sent requests by the email typed, account or not', async () => {
+        const { outgoing } = (await api('GET', '/api/friends', undefined, a.token)).body;
+        assert.deepEqual(outgoing.map(entry => entry.email).sort(), [b.email, e.email, 'nobody@example.com'].map(email => email.toLowerCase()).sort());
+        outgoing.forEach(entry => assert.deepEqual(Object.keys(entry).sort(), ['email', 'requestedAt']));
+        const text = JSON.stringify(outgoing);
+        for (const secret of [b.user.id, b.user.name, e.user.id, e.user.name]) {
+            assert.equal(text.includes(secret), false, secret);
+        }
+
+        const cancelled = await api('DELETE', '/api/friends/requests/NOBODY@example.com', undefined, a.token);
+        assert.equal(cancelled.status, 200);
+        assert.equal((await api('DELETE', '/api/friends/requests/nobody@example.com', undefined, a.token)).status, 404);
+
+        // Cancelling withdraws the request the account received
+        await request(d, c);
+        assert.equal((await api('GET', '/api/friends', undefined, c.token)).body.incoming.length, 1);
+        await api('DELETE', `/api/friends/requests/${c.email}`, undefined, d.token);
+        assert.equal((await api('GET', '/api/friends', undefined, c.token)).body.incoming.length, 0);
+    });
+
+    it('becomes a friendship once accepted', async () => {
+        assert.equal((await api('GET', '/api/friends', undefined, b.token)).body.incoming.length, 1);
+        let response = await api('POST', `/api/friends/requests/${a.user.id}/accept`, undefined, b.token);
+        assert.equal(response.body.status, 'accepted');
+        assert.equal((await request(a, b)).status, 409);
+
+        // Asking someone who already asked you accepts theirs
+        await request(c, a);
+        response = await request(a, c);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.status, 'accepted');
+        assert.equal(response.body.userId, c.user.id);
+
+        const friends = (await api('GET', '/api/friends', undefined, a.token)).body;
+        assert.equal(friends.friends.length, 2);
+        assert.deepEqual(friends.outgoing.map(entry => entry.email), [e.email.toLowerCase()]);
+    });
+
+    it('ranks you and your friends', async () => {
+        const shots = await board('shots?period=all');
+        assert.deepEqual(shots.entries.map(entry => entry.value), [300, 180, 150]);
+        assert.equal(shots.you.rank, 2);
+
+        const streak = await board('streak?period=month');
+        assert.equal(streak.entries[0].value, 3);
+        assert.equal(streak.entries[0].isYou, true);
+
+        const skill = await board('skill?period=all');
+        assert.deepEqual(skill.entries, []); // Provisional ratings aren't ranked
+    });
+
+    it('follows each player\'s leaderboard privacy', async () => {
+        let everyone = await board('shots?period=month&scope=everyone');
+        assert.deepEqual(everyone.entries.map(entry => entry.isYou), [true]);
+
+        await api('PATCH', '/api/profile/privacy', { leaderboards: 'everyone' }, d.token);
+        everyone = await board('shots?period=month&scope=everyone');
+        assert.equal(everyone.entries[0].userId, d.user.id);
+
+        await api('PATCH', '/api/profile/privacy', { leaderboards: 'private' }, b.token);
+        const successRate = await board('successRate?period=all');
+        assert.deepEqual(successRate.entries.map(entry => entry.value), [80, 50]);
+        assert.equal(successRate.minShots, 100);
+        assert.ok((await board('successRate?period=all', b)).you.value > 96);
+
+        assert.equal((await api('PATCH', '/api/profile/privacy', { leaderboards: 'x' }, b.token)).status, 400);
+    });
+
+    it('ranks a team\'s active members for its members only', async () => {
+        assert.equal((await api('GET', '/api/leaderboards/shots?scope=team', undefined, a.token)).status, 400);
+
+        const teamId = (await api('POST', '/api/teams', { name: 'T' }, a.token)).body.team.id;
+        await api('POST', `/api/teams/${teamId}/invitations`, { email: d.email }, a.token);
+        await api('POST', `/api/teams/${teamId}/membership/accept`, {}, d.token);
+
+        const team = await board(`shots?scope=team&teamId=${teamId}&period=all`);
+        assert.deepEqual(team.entries.map(entry => entry.value), [500, 180]);
+        assert.equal((await api('GET', `/api/leaderboards/shots?scope=team&teamId=${teamId}`, undefined, b.token)).status, 404);
+        assert.equal((await api('GET', '/api/leaderboards/foo', undefined, a.token)).status, 404);
+    });
+
+    it('drops friends from the boards when unfriended', async () => {
+        assert.equal((await api('DELETE', `/api/friends/${c.user.id}`, undefined, a.token)).status, 200);
+        // b is private, so only a is left
+        assert.equal((await board('shots?period=all')).entries.length, 1);
+    });
+});
@@ -0,0 +1,84 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, registerUser, sessionData } = require('./helpers');
+
+const shots = (count, successful, swingType) =>
+    Array.from({ length: count }, (_, i) => ({ swingType, successful: i < successful, timestampOffset: i }));
+
+describe('goals', () => {
+    let server;
+    let player;
+    let stranger;
+    let backhandGoalId;
+
+    const create = async (goal) => {
+        const response = await api('POST', '/api/goals', goal, player.token);
+        assert.equal(response.status, 201, JSON.stringify(response.body));
+        return response.body.goal;
+    };
+
+    before(async () => {
+        server = await startServer();
+        [player, stranger] = [await registerUser(), await registerUser()];
+        await api('POST', '/api/sessions', {
+            timestamp: new Date().toISOString(),
+            sessionDuration: 600,
+            shots: [...shots(10, 8, 'backhand'), ...shots(10, 5, 'forehand')]
+        }, player.token);
+        await api('POST', '/api/sessions', sessionData({ timestamp: '2026-09-01T10:00:00Z' }), player.token);
+    });
+
+    after(() => server.close());
+
+    it('measures progress for each metric', async () => {
+        const backhand = await create({ title: 'Backhand 70%', metric: 'successRate', stroke: 'backhand', target: 70 });
+        assert.equal(backhand.startDate, new Date().toISOString().slice(0, 10));
+        assert.equal(backhand.progress.value, 80);
+        assert.equal(backhand.progress.status, 'completed');
+        backhandGoalId = backhand.id;
+
+        const weekly = await create({ title: 'Four a week', metric: 'sessions', target: 4, period: 'week' });
+        assert.equal(weekly.progress.value, 1);
+        assert.equal(weekly.progress.percent, 25);
+        assert.equal(weekly.progress.status, 'active');
+
+        const forehands = await create({ title: 'Forehands', metric: 'strokeCount', stroke: 'forehand', target: 5, startDate: '2026-01-01' });
+        assert.equal(forehands.progress.value, 20);
+        assert.equal(forehands.progress.status, 'completed');
+
+        const rating = await create({ title: 'Rating', metric: 'rating', target: 4.5, startDate: '2026-01-01' });
+        assert.equal(typeof rating.progress.value, 'number');
+    });
+
+    it('marks a goal missed once its deadline passes', async () => {
+        const shotsGoal = await create({ title: 'Summer', metric: 'shots', target: 1000, startDate: '2026-08-01', deadline: '2026-09-30' });
+        assert.equal(shotsGoal.progress.value, 20);
+        assert.equal(shotsGoal.progress.status, 'missed');
+    });
+
+    it('rejects inconsistent goals', async () => {
+        for (const goal of [
+            { title: 'x', metric: 'strokeCount', target: 3 },
+            { title: 'x', metric: 'shots', stroke: 'serve', target: 3 },
+            { title: 'x', metric: 'successRate', target: 120 },
+            { title: 'x', metric: 'sessions', target: 3, foo: 1 },
+            { title: 'x', metric: 'sessions', target: 3, startDate: '2026-05-01', deadline: '2026-04-01' }
+        ]) {
+            assert.equal((await api('POST', '/api/goals', goal, player.token)).status, 400, JSON.stringify(goal));
+        }
+    });
+
+    it('lists goals by status, and edits and deletes them for their owner only', async () => {
+        const { goals } = (await api('GET', '/api/goals?status=completed', undefined, player.token)).body;
+        assert.deepEqual(goals.map(goal => goal.title).sort(), ['Backhand 70%', 'Forehands']);
+
+        const edited = (await api('PATCH', `/api/goals/${backhandGoalId}`, { target: 90 }, player.token)).body.goal;
+        assert.equal(edited.target, 90);
+        assert.equal(edited.progress.status, 'active');
+
+        assert.equal((await api('GET', `/api/goals/${backhandGoalId}`, undefined, stranger.token)).status, 403);
+        assert.equal((await api('DELETE', `/api/goals/${backhandGoalId}`, undefined, stranger.token)).status, 403);
+        assert.equal((await api('DELETE', `/api/goals/${backhandGoalId}`, undefined, player.token)).status, 200);
+        assert.equal((await api('GET', `/api/goals/${backhandGoalId}`, undefined, player.token)).status, 404);
+    });
+});
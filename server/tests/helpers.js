@@ -0,0 +1,145 @@
+// Shared setup for the tests. Each test file runs in its own process, so
+// requiring this first gives that file a throwaway database and mail outbox.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tennis-rating-test-'));
+
+process.env.NODE_ENV = 'test';
+process.env.DATABASE_URL = path.join(tempDir, 'test.db');
+process.env.MAIL_TRANSPORT = 'outbox';
+process.env.MAIL_OUTBOX_DIR = path.join(tempDir, 'outbox');
+
+// Generous request budgets, unless a test file sets its own before requiring this
+for (const name of [
+    'RATE_LIMIT_MAX_REQUESTS', 'LOGIN_RATE_LIMIT_MAX', 'REGISTER_RATE_LIMIT_MAX', 'UPLOAD_RATE_LIMIT_MAX',
+    'LIVE_SHOTS_RATE_LIMIT_MAX', 'PASSWORD_RESET_RATE_LIMIT_MAX', 'PASSWORD_RESET_EMAIL_MAX'
+]) {
+    process.env[name] = process.env[name] || '100000';
+}
+
+// The routes log every request; TEST_VERBOSE=1 shows them
+if (!process.env.TEST_VERBOSE) {
+    console.log = () => {};
+    console.warn = () => {};
+}
+
+const getDatabase = require('../database');
+const Migrator = require('../migrator');
+
+const PASSWORD = 'secret123';
+
+let baseUrl = null;
+
+// The test database, migrated to the latest schema
+const setupDatabase = async () => {
+    const db = getDatabase();
+    await db.ready;
+    await new Migrator(db).migrate();
+    return db;
+};
+
+// Serve the app on a free port; close() also removes the database
+const startServer = async () => {
+    const db = await setupDatabase();
+    const app = require('../app');
+
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        db,
+        baseUrl,
+        close: async () => {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+            await cleanup();
+        }
+    };
+};
+
+const cleanup = async () => {
+    await getDatabase().close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+};
+
+// JSON request against the running app: resolves to { status, body, headers }
+const api = async (method, url, body, token, headers = {}) => {
+    const response = await fetch(baseUrl + url, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            ...headers
+        },
+        body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+    });
+
+    const text = await response.text();
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        parsed = text;
+    }
+    return { status: response.status, body: parsed, headers: response.headers };
+};
+
+let userCount = 0;
+
+// A new account: resolves to { token, refreshToken, user, email, password }
+const registerUser = async (overrides = {}) => {
+    userCount++;
+    const email = overrides.email || `player${userCount}-${process.pid}@example.com`;
+    const response = await api('POST', '/api/auth/register', {
+        email,
+        password: PASSWORD,
+        name: `Player ${userCount}`,
+        ...overrides
+    });
+    if (response.status !== 201) {
+        throw new Error(`Registration failed: ${JSON.stringify(response.body)}`);
+    }
+
+    const { token, refreshToken, user } = response.body;
+    return { token, refreshToken, user, email, password: PASSWORD };
+};
+
+// Upload body for a session with counters only
+const sessionData = (overrides = {}) => ({
+    timestamp: '2026-10-01T10:00:00.000Z',
+    totalShots: 20,
+    successfulShots: 14,
+    sessionDuration: 300,
+    shotTimings: [2, 2.5, 2.1, 1.9],
+    forehandCount: 10,
+    backhandCount: 6,
+    serveCount: 4,
+    ...overrides
+});
+
+// Messages written to the outbox so far, oldest first
+const sentMail = () => {
+    const directory = process.env.MAIL_OUTBOX_DIR;
+    if (!fs.existsSync(directory)) {
+        return [];
+    }
+    return fs.readdirSync(directory)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')));
+};
+
+module.exports = {
+    PASSWORD,
+    setupDatabase,
+    startServer,
+    cleanup,
+    api,
+    registerUser,
+    sessionData,
+    sentMail
+};
@@ -0,0 +1,58 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, api, registerUser, sessionData } = require('./helpers');
+
+describe('idempotent uploads', () => {
+    let server;
+    let player;
+
+    const upload = (body, headers, user = player) => api('POST', '/api/sessions', body, user.token, headers);
+
+    before(async () => {
+        server = await startServer();
+        player = await registerUser();
+    });
+
+    after(() => server.close());
+
+    it('keys a session by the app\'s UUID', async () => {
+        const id = crypto.randomUUID().toUpperCase();
+        const session = sessionData({ id });
+
+        const created = await upload(session);
+        assert.equal(created.status, 201);
+        assert.equal(created.body.sessionId, id.toLowerCase());
+
+        const replayed = await upload(session);
+        assert.equal(replayed.status, 200);
+        assert.equal(replayed.body.sessionId, created.body.sessionId);
+
+        // The same id with other data, or from another account
+        assert.equal((await upload({ ...session, totalShots: 30 })).status, 409);
+        assert.equal((await upload(session, {}, await registerUser())).status, 409);
+        assert.equal((await upload(sessionData({ id: 'nope' }))).status, 400);
+    });
+
+    it('keys a session by the Idempotency-Key header', async () => {
+        const headers = { 'Idempotency-Key': 'upload-1' };
+        const session = sessionData({ timestamp: '2026-10-02T10:00:00.000Z' });
+
+        const created = await upload(session, headers);
+        const replayed = await upload(session, headers);
+        assert.deepEqual([created.status, replayed.status], [201, 200]);
+        assert.equal(replayed.body.sessionId, created.body.sessionId);
+        assert.equal((await upload(sessionData({ totalShots: 40 }), headers)).status, 409);
+    });
+
+    it('creates one session for concurrent retries', async () => {
+        const session = sessionData({ timestamp: '2026-10-03T10:00:00.000Z' });
+        const responses = await Promise.all([1, 2, 3].map(() => upload(session, { 'Idempotency-Key': 'parallel' })));
+
+        assert.equal(responses.filter(response => response.status === 201).length, 1);
+        assert.equal(new Set(responses.map(response => response.body.sessionId)).size, 1);
+
+        const { sessions } = (await api('GET', `/api/sessions/${player.user.id}`, undefined, player.token)).body;
+        assert.equal(sessions.length, 3);
+    });
+});
@@ -0,0 +1,97 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, registerUser, sessionData } = require('./helpers');
+
+const withShots = {
+    timestamp: '2026-10-02T09:00:00.000Z',
+    sessionDuration: 120,
+    shots: [
+        { swingType: 'Forehand', successful: true, timestampOffset: 1, wristSpeed: 12.5, confidence: 0.9 },
+        { swingType: 'backhand', successful: false, timestampOffset: 4 },
+        { swingType: 'serve', successful: true, timestampOffset: 9.5 }
+    ]
+};
+
+const CSV = [
+    'Date,Duration_Minutes,Total_Shots,Successful_Shots,Forehand,Shot_Timings',
+    '2026-09-01 18:30,20,30,21,30,2;2.5',
+    '',
+    '2026-09-02,abc,30,21,,',
+    '2026-09-03T08:00:00Z,15,10,11,,'
+].join('\n');
+
+describe('import', () => {
+    let server;
+    let player;
+
+    const importHistory = (body, token = player.token, query = '') =>
+        api('POST', `/api/import${query}`, body, token);
+    const exportHistory = async (token = player.token) =>
+        (await api('GET', '/api/export', undefined, token)).body;
+
+    before(async () => {
+        server = await startServer();
+        player = await registerUser();
+        await api('POST', '/api/sessions', sessionData(), player.token);
+        await api('POST', '/api/sessions', withShots, player.token);
+    });
+
+    after(() => server.close());
+
+    it('skips an export\'s sessions that are already on the server', async () => {
+        const response = await importHistory(await exportHistory());
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.summary, { created: 0, duplicate: 2, rejected: 0 });
+    });
+
+    it('restores an export into a new account', async () => {
+        const exported = await exportHistory();
+        assert.deepEqual(exported.sessions.map(session => session.shots.length), [0, 3]);
+
+        await api('DELETE', '/api/auth/me', { password: player.password }, player.token);
+        const restored = await registerUser();
+
+        const response = await importHistory(exported, restored.token);
+        assert.deepEqual(response.body.summary, { created: 2, duplicate: 0, rejected: 0 });
+        assert.deepEqual((await exportHistory(restored.token)).sessions, exported.sessions);
+        player = restored;
+    });
+
+    it('imports the app\'s local history', async () => {
+        const local = [
+            sessionData({ timestamp: 812800000 }), // Apple reference-date seconds
+            { sessionData: sessionData({ timestamp: '2026-08-01T10:00:00Z', totalShots: 16 }) },
+            'not a session'
+        ];
+
+        const response = await importHistory(local);
+        assert.deepEqual(response.body.summary, { created: 2, duplicate: 0, rejected: 1 });
+        assert.deepEqual(response.body.results[2], { index: 2, line: 3, status: 'rejected', error: 'Session must be an object' });
+
+        const session = await api('GET', `/api/sessions/session/${response.body.results[0].sessionId}`, undefined, player.token);
+        assert.equal(session.body.session.timestamp, '2026-10-04T09:46:40.000Z');
+    });
+
+    it('reads spreadsheets in the profile timezone', async () => {
+        await api('PATCH', '/api/profile', { timezone: 'Europe/Berlin' }, player.token);
+        const send = (query) => api('POST', `/api/import${query}`, CSV, player.token, { 'Content-Type': 'text/csv' });
+
+        const dryRun = await send('?dryRun=true');
+        assert.equal(dryRun.body.dryRun, true);
+        assert.equal(dryRun.body.format, 'csv');
+        assert.equal(dryRun.body.results[0].sessionId, undefined);
+
+        const response = await send('');
+        assert.deepEqual(response.body.results.map(result => [result.line, result.status]), [
+            [2, 'created'], [4, 'rejected'], [5, 'rejected']
+        ]);
+        assert.equal(response.body.results[1].error, 'duration_minutes must be a number');
+        assert.equal(response.body.results[2].error, 'Successful shots cannot exceed total shots');
+
+        const session = await api('GET', `/api/sessions/session/${response.body.results[0].sessionId}`, undefined, player.token);
+        assert.equal(session.body.session.timestamp, '2026-09-01T16:30:00.000Z');
+        assert.equal(session.body.session.sessionDuration, 1200);
+
+        assert.deepEqual((await send('')).body.summary, { created: 0, duplicate: 1, rejected: 2 });
+    });
+});
@@ -0,0 +1,246 @@
+// Viewers' access is checked at every heartbeat
+process.env.LIVE_SESSION_HEARTBEAT_SECONDS = '0.1';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, registerUser } = require('./helpers');
+const { summarizeShots, toShotRecord } = require('../lib/sessionIngest');
+const { timingConsistency } = require('../lib/rating');
+
+const shot = (timestampOffset, successful = true, swingType = 'Forehand') => ({ swingType, successful, timestampOffset });
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+const average = (values) => values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : null;
+
+// The summary recomputed from every shot so far
+const expectedSummary = (shots) => {
+    const { shotTimings, ...counts } = summarizeShots(shots);
+    const recent = shotTimings.slice(-10);
+    return {
+        ...counts,
+        successRate: counts.totalShots > 0 ? round(counts.successfulShots / counts.totalShots, 4) : 0,
+        rhythm: {
+            averageInterval: shotTimings.length > 0 ? round(average(shotTimings)) : null,
+            recentInterval: recent.length > 0 ? round(average(recent)) : null,
+            consistency: round(timingConsistency(recent), 4)
+        }
+    };
+};
+
+describe('live sessions', () => {
+    let server;
+    let player;
+    let liveId;
+    const pushed = [];
+    const viewers = [];
+
+    // Read a Server-Sent Events stream into `events` until it closes or is aborted
+    const watch = (path, headers = {}) => {
+        const controller = new AbortController();
+        const events = [];
+        let status = null;
+
+        const done = fetch(server.baseUrl + path, { headers, signal: controller.signal }).then(async (response) => {
+            status = response.status;
+            if (status !== 200) {
+                return;
+            }
+            const decoder = new TextDecoder();
+            let buffer = '';
+            for await (const chunk of response.body) {
+                buffer += decoder.decode(chunk, { stream: true });
+                let end;
+                while ((end = buffer.indexOf('\n\n')) >= 0) {
+                    const event = {};
+                    buffer.slice(0, end).split('\n').forEach((line) => {
+                        const match = line.match(/^(\w+): (.*)$/);
+                        if (match) {
+                            event[match[1]] = match[1] === 'data' ? JSON.parse(match[2]) : match[2];
+                        }
+                    });
+                    buffer = buffer.slice(end + 2);
+                    if (event.event) {
+                        events.push(event);
+                    }
+                }
+            }
+        }).catch(() => {});
+
+        const viewer = {
+            events,
+            done,
+            status: () => status,
+            abort: () => controller.abort(),
+            // Resolves once `count` events have arrived
+            waitFor: async (count) => {
+                const deadline = Date.now() + 5000;
+                while (events.length < count && Date.now() < deadline) {
+                    await new Promise(resolve => setTimeout(resolve, 10));
+                }
+                assert.ok(events.length >= count, `${events.length} of ${count} events`);
+            }
+        };
+        viewers.push(viewer);
+        return viewer;
+    };
+
+    const push = async (shots) => {
+        const response = await api('POST', `/api/live/${liveId}/shots`, { shots }, player.token);
+        assert.equal(response.status, 200, JSON.stringify(response.body));
+        pushed.push(...shots.map(toShotRecord));
+        return response;
+    };
+
+    before(async () => {
+        server = await startServer();
+        player = await registerUser();
+        const response = await api('POST', '/api/live', { timestamp: '2026-10-18T10:00:00Z' }, player.token);
+        assert.equal(response.status, 201);
+        liveId = response.body.liveSession.id;
+    });
+
+    after(async () => {
+        viewers.forEach(viewer => viewer.abort());
+        await server.close();
+    });
+
+    it('streams each shot with the running summary', async () => {
+        await push([shot(1), shot(3, false, 'backhand')]);
+        const { ticket } = (await api('POST', `/api/live/${liveId}/events/ticket`, undefined, player.token)).body;
+        const viewer = watch(`/api/live/${liveId}/events?ticket=${ticket}`);
+        await viewer.waitFor(1);
+        const [snapshot] = viewer.events;
+        assert.equal(snapshot.event, 'snapshot');
+        assert.equal(snapshot.id, '2');
+        assert.deepEqual(snapshot.data.shots, pushed);
+        assert.deepEqual(snapshot.data.summary, expectedSummary(pushed));
+
+        // One shot arrives after a later one
+        await push([shot(5), shot(9, true, 'Serve'), shot(7, false)]);
+        await push(Array.from({ length: 15 }, (_, i) => shot(10 + i * (1 + i % 3), i % 4 !== 0, ['forehand', 'backhand', 'serve', 'unknown'][i % 4])));
+        await viewer.waitFor(1 + 18);
+
+        viewer.events.slice(1).forEach((event, i) => {
+            const seq = 3 + i;
+            assert.equal(event.event, 'shot');
+            assert.equal(event.id, String(seq));
+            assert.deepEqual(event.data.shot, pushed[seq - 1]);
+            assert.deepEqual(event.data.summary, expectedSummary(pushed.slice(0, seq)), `shot ${seq}`);
+        });
+
+        const current = await api('GET', `/api/live/${liveId}`, undefined, player.token);
+        assert.deepEqual(current.body.liveSession.summary, expectedSummary(pushed));
+        assert.equal(current.body.liveSession.viewers, 1);
+    });
+
+    it('streams only the fields of the upload format', async () => {
+        const [viewer] = viewers;
+        const seen = viewer.events.length;
+        await push([{ ...shot(30, true, 'BACKHAND'), wristSpeed: 12.5, confidence: 0.9, note: '<img src=x>', userId: 'someone' }]);
+        await viewer.waitFor(seen + 1);
+
+        assert.deepEqual(viewer.events[seen].data.shot, {
+            swingType: 'backhand',
+            successful: true,
+            timestampOffset: 30,
+            wristSpeed: 12.5,
+            confidence: 0.9
+        });
+    });
+
+    it('replays the shots a viewer missed', async () => {
+        const resumed = watch(`/api/live/${liveId}/events`, { Authorization: `Bearer ${player.token}`, 'Last-Event-ID': '6' });
+        await resumed.waitFor(pushed.length - 6);
+
+        assert.deepEqual(resumed.events.map(event => Number(event.id)), pushed.slice(6).map((_, i) => 7 + i));
+        resumed.events.forEach((event, i) => {
+            assert.deepEqual(event.data.summary, expectedSummary(pushed.slice(0, 7 + i)));
+        });
+        resumed.abort();
+    });
+
+    it('is only shown to the player and their coaches', async () => {
+        const stranger = await registerUser();
+        const denied = watch(`/api/live/${liveId}/events`, { Authorization: `Bearer ${stranger.token}` });
+        await denied.done;
+        assert.equal(denied.status(), 403);
+
+        const anonymous = watch(`/api/live/${liveId}/events`);
+        await anonymous.done;
+        assert.equal(anonymous.status(), 401);
+
+        // Tokens aren't taken from the URL, and tickets work once
+        const inUrl = watch(`/api/live/${liveId}/events?access_token=${player.token}`);
+        await inUrl.done;
+        assert.equal(inUrl.status(), 401);
+        const { ticket } = (await api('POST', `/api/live/${liveId}/events/ticket`, undefined, player.token)).body;
+        const once = watch(`/api/live/${liveId}/events?ticket=${ticket}`);
+        await once.waitFor(1);
+        once.abort();
+        const again = watch(`/api/live/${liveId}/events?ticket=${ticket}`);
+        await again.done;
+        assert.equal(again.status(), 401);
+        assert.equal((await api('POST', `/api/live/${liveId}/events/ticket`, undefined, stranger.token)).status, 403);
+
+        const response = await api('POST', `/api/live/${liveId}/shots`, { shots: [shot(60)] }, stranger.token);
+        assert.equal(response.status, 403);
+    });
+
+    it('ends the streams of viewers who lose access', async () => {
+        const coach = await registerUser();
+        const teamId = (await api('POST', '/api/teams', { name: 'Live' }, coach.token)).body.team.id;
+        await api('POST', `/api/teams/${teamId}/invitations`, { email: player.email, scope: 'sessions' }, coach.token);
+        await api('POST', `/api/teams/${teamId}/membership/accept`, {}, player.token);
+
+        const coaching = watch(`/api/live/${liveId}/events`, { Authorization: `Bearer ${coach.token}` });
+        await coaching.waitFor(1);
+        await api('PATCH', `/api/teams/${teamId}/membership`, { scope: 'stats' }, player.token);
+        await coaching.done;
+        assert.deepEqual(coaching.events[coaching.events.length - 1].data, { reason: 'access_revoked' });
+
+        // The player's own stream from a login that is then logged out
+        const device = (await api('POST', '/api/auth/login', { email: player.email, password: player.password })).body;
+        const own = watch(`/api/live/${liveId}/events`, { Authorization: `Bearer ${device.token}` });
+        await own.waitFor(1);
+        await api('POST', '/api/auth/logout', undefined, device.token);
+        await own.done;
+        assert.equal(own.events[own.events.length - 1].event, 'ended');
+
+        await api('DELETE', `/api/teams/${teamId}/membership`, undefined, player.token);
+    });
+
+    it('rejects bad shots by their position in the session', async () => {
+        const response = await api('POST', `/api/live/${liveId}/shots`, {
+            shots: [shot(61), { swingType: 'lob', successful: true, timestampOffset: 62 }]
+        }, player.token);
+        assert.equal(response.status, 400);
+        assert.match(response.body.error, new RegExp(`^Shot ${pushed.length + 1} `));
+    });
+
+    it('saves the finished session', async () => {
+        const [viewer] = viewers;
+        for (const sessionDuration of ['120', -5, null, 'abc', true]) {
+            const rejected = await api('POST', `/api/live/${liveId}/finish`, { sessionDuration }, player.token);
+            assert.equal(rejected.status, 400, JSON.stringify(sessionDuration));
+            assert.equal(rejected.body.error, 'sessionDuration must be a finite non-negative number');
+        }
+        const infinite = await api('POST', `/api/live/${liveId}/finish`, '{"sessionDuration": 1e400}', player.token);
+        assert.equal(infinite.status, 400);
+
+        const response = await api('POST', `/api/live/${liveId}/finish`, { sessionDuration: 120 }, player.token);
+        assert.equal(response.status, 201);
+        assert.equal(response.body.sessionId, liveId);
+
+        await viewer.done;
+        const last = viewer.events[viewer.events.length - 1];
+        assert.equal(last.event, 'finished');
+        assert.equal(last.data.sessionId, liveId);
+
+        const { session } = (await api('GET', `/api/sessions/session/${liveId}`, undefined, player.token)).body;
+        const summary = expectedSummary(pushed);
+        assert.equal(session.totalShots, summary.totalShots);
+        assert.equal(session.successfulShots, summary.successfulShots);
+        assert.equal(session.serveCount, summary.serveCount);
+        assert.equal((await api('GET', `/api/live/${liveId}`, undefined, player.token)).status, 404);
+    });
+});
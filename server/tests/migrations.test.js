@@ -0,0 +1,155 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { cleanup } = require('./helpers');
+const getDatabase = require('../database');
+const Migrator = require('../migrator');
+
+const tableExists = async (db, name) =>
+    Boolean(await db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [name]));
+
+describe('migrations', () => {
+    let db;
+    let fixtureDir;
+    let backfillDir;
+
+    const writeMigration = (file, up, down) => {
+        fs.writeFileSync(path.join(fixtureDir, file),
+            `module.exports = { up: async (db) => { ${up} }, down: async (db) => { ${down} } };\n`);
+    };
+
+    const writeBackfill = (file, run) => {
+        fs.writeFileSync(path.join(backfillDir, file), `module.exports = { run: async (db) => { ${run} } };\n`);
+    };
+
+    before(async () => {
+        db = getDatabase();
+        await db.ready;
+        fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tennis-rating-migrations-'));
+        backfillDir = path.join(fixtureDir, 'backfills');
+        fs.mkdirSync(backfillDir);
+    });
+
+    after(async () => {
+        fs.rmSync(fixtureDir, { recursive: true, force: true });
+        await cleanup();
+    });
+
+    it('applies migrations in version order and rolls them back', async () => {
+        writeMigration('002_add_widget_color.js',
+            "await db.run('ALTER TABLE widgets ADD COLUMN color TEXT');",
+            "await db.run('ALTER TABLE widgets DROP COLUMN color');");
+        writeMigration('001_create_widgets.js',
+            "await db.run('CREATE TABLE widgets (id INTEGER PRIMARY KEY)');",
+            "await db.run('DROP TABLE widgets');");
+        const migrator = new Migrator(db, fixtureDir, backfillDir);
+
+        const applied = await migrator.migrate();
+        assert.deepEqual(applied.map(migration => migration.version), [1, 2]);
+        assert.deepEqual(await migrator.migrate(), []);
+        assert.ok((await migrator.status()).every(migration => migration.applied));
+
+        const reverted = await migrator.rollback(2);
+        assert.deepEqual(reverted.map(migration => migration.version), [2, 1]);
+        assert.equal(await tableExists(db, 'widgets'), false);
+    });
+
+    it('leaves no trace of a migration that fails', async () => {
+        writeMigration('003_broken.js',
+            "await db.run('CREATE TABLE gadgets (id INTEGER PRIMARY KEY)'); await db.run('SELECT * FROM missing_table');",
+            "await db.run('DROP TABLE gadgets');");
+        const migrator = new Migrator(db, fixtureDir, backfillDir);
+
+        await assert.rejects(() => migrator.migrate(), /missing_table/);
+        assert.equal(await tableExists(db, 'gadgets'), false);
+        assert.deepEqual((await migrator.status()).map(migration => migration.applied), [true, true, false]);
+
+        await migrator.rollback(2);
+        fs.rmSync(path.join(fixtureDir, '003_broken.js'));
+    });
+
+    it('runs backfills once, after every migration', async () => {
+        writeMigration('001_create_widgets.js',
+            "await db.run('CREATE TABLE widgets (id INTEGER PRIMARY KEY)');",
+            "await db.run('DROP TABLE widgets');");
+        // Needs the column that migration 2 adds
+        writeBackfill('001_paint_widgets.js', "await db.run(\"INSERT INTO widgets (color) VALUES ('red')\");");
+        const migrator = new Migrator(db, fixtureDir, backfillDir);
+        const widgets = () => db.all('SELECT color FROM widgets');
+
+        await migrator.migrate();
+        assert.deepEqual(await widgets(), [{ color: 'red' }]);
+        await migrator.migrate();
+        assert.equal((await widgets()).length, 1);
+
+        await migrator.rollback(1);
+        assert.equal((await migrator.status())[0].backfillPending, false);
+        await migrator.migrate();
+        assert.equal((await widgets()).length, 1);
+
+        // Reapplying the migration runs its backfill again
+        await migrator.rollback(2);
+        await migrator.migrate();
+        assert.deepEqual(await widgets(), [{ color: 'red' }]);
+    });
+
+    it('treats backfills of databases migrated before they existed as done', async () => {
+        const migrator = new Migrator(db, fixtureDir, backfillDir);
+        await db.run('DROP TABLE schema_backfills');
+        await db.run('DELETE FROM widgets');
+
+        assert.deepEqual((await migrator.status()).map(migration => migration.backfillPending), [false, false]);
+        await migrator.migrate();
+        assert.deepEqual(await db.all('SELECT color FROM widgets'), []);
+
+        await migrator.rollback(2);
+        fs.rmSync(path.join(backfillDir, '001_paint_widgets.js'));
+    });
+
+    it('rejects backfills without a migration', async () => {
+        writeBackfill('007_orphan.js', '');
+        assert.throws(() => new Migrator(db, fixtureDir, backfillDir).loadBackfills(), /007_orphan\.js has no migration/);
+        fs.rmSync(path.join(backfillDir, '007_orphan.js'));
+    });
+
+    it('rejects duplicate versions and migrations missing from disk', async () => {
+        writeMigration('002_duplicate.js', '', '');
+        assert.throws(() => new Migrator(db, fixtureDir, backfillDir).loadMigrations(), /Duplicate migration version 2/);
+        fs.rmSync(path.join(fixtureDir, '002_duplicate.js'));
+
+        await db.run("INSERT INTO schema_migrations (version, name) VALUES (999, 'from_the_future')");
+        await assert.rejects(() => new Migrator(db, fixtureDir, backfillDir).status(), /not on disk: 999/);
+        await db.run('DELETE FROM schema_migrations WHERE version = 999');
+    });
+
+    it('refuses to start until the real schema is current', async () => {
+        const migrator = new Migrator(db);
+
+        await assert.rejects(() => db.assertSchemaCurrent(), /behind by \d+ migration/);
+        await migrator.migrate();
+        await db.assertSchemaCurrent();
+
+        const [latest] = await migrator.rollback(1);
+        await assert.rejects(() => db.assertSchemaCurrent(), new RegExp(latest.name));
+        await migrator.migrate();
+        await db.assertSchemaCurrent();
+
+        const [backfill] = migrator.loadBackfills();
+        await db.run('DELETE FROM schema_backfills WHERE version = ?', [backfill.version]);
+        await assert.rejects(() => db.assertSchemaCurrent(), /1 backfill\(s\) still to run/);
+        await migrator.migrate();
+        await db.assertSchemaCurrent();
+    });
+
+    it('rolls every real migration back to an empty schema', async () => {
+        const migrator = new Migrator(db);
+        await migrator.rollback(migrator.loadMigrations().length);
+
+        const tables = await db.all(
+            "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT IN ('schema_migrations', 'schema_backfills') AND name NOT LIKE 'sqlite_%'"
+        );
+        assert.deepEqual(tables, []);
+    });
+});
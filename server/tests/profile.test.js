@@ -0,0 +1,58 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, registerUser, sessionData } = require('./helpers');
+
+describe('player profile', () => {
+    let server;
+    let player;
+
+    const patch = (body) => api('PATCH', '/api/profile', body, player.token);
+
+    before(async () => {
+        server = await startServer();
+        player = await registerUser();
+    });
+
+    after(() => server.close());
+
+    it('starts with UTC and nothing else filled in', async () => {
+        const { profile } = (await api('GET', '/api/profile', undefined, player.token)).body;
+        assert.equal(profile.timezone, 'UTC');
+        assert.equal(profile.dominantHand, null);
+        assert.equal(profile.level, null);
+    });
+
+    it('validates each field', async () => {
+        const response = await patch({ dominantHand: 'left', level: 3.5, timezone: 'America/Los_Angeles', birthYear: 1990, playingSince: 2005 });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.profile.level, 3.5);
+
+        for (const bad of [
+            { dominantHand: 'both' },
+            { level: 3.3 },
+            { level: 8 },
+            { timezone: 'Mars/Base' },
+            { birthYear: 1800 },
+            { playingSince: 1980 },
+            { foo: 1 }
+        ]) {
+            assert.equal((await patch(bad)).status, 400, JSON.stringify(bad));
+        }
+
+        const cleared = (await patch({ level: null })).body.profile;
+        assert.equal(cleared.level, null);
+        assert.equal(cleared.dominantHand, 'left');
+    });
+
+    it('buckets statistics by the player\'s timezone and labels strokes by hand', async () => {
+        // 06:30 UTC on March 1st is still February 28th in Los Angeles
+        await api('POST', '/api/sessions', sessionData({ timestamp: '2026-03-01T06:30:00Z' }), player.token);
+
+        const { progress } = (await api('GET', `/api/stats/${player.user.id}/progress?from=2026-02-28&to=2026-03-01`, undefined, player.token)).body;
+        assert.equal(progress.timezone, 'America/Los_Angeles');
+        assert.deepEqual(progress.dataPoints.map(point => [point.date, point.sessionsCount]), [['2026-02-28', 1], ['2026-03-01', 0]]);
+
+        const { stats } = (await api('GET', `/api/stats/${player.user.id}?timeframe=all`, undefined, player.token)).body;
+        assert.equal(stats.swingBreakdown.dominantHand, 'left');
+    });
+});
@@ -0,0 +1,95 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, registerUser, sessionData } = require('./helpers');
+
+describe('progress queries', () => {
+    let server;
+    let player;
+
+    const progress = async (query) => {
+        const response = await api('GET', `/api/stats/${player.user.id}/progress?${query}`, undefined, player.token);
+        assert.equal(response.status, 200, JSON.stringify(response.body));
+        return response.body.progress;
+    };
+
+    before(async () => {
+        server = await startServer();
+        player = await registerUser();
+        // 2026-03-01T06:30Z is February 28th, 22:30 in Los Angeles
+        for (const timestamp of ['2026-03-01T06:30:00Z', '2026-03-03T12:00:00Z', '2026-03-03T18:00:00Z', '2026-03-20T12:00:00Z']) {
+            await api('POST', '/api/sessions', sessionData({ timestamp }), player.token);
+        }
+    });
+
+    after(() => server.close());
+
+    it('buckets by local day and fills empty days', async () => {
+        const { dataPoints } = await progress('from=2026-02-28&to=2026-03-04&timezone=America/Los_Angeles');
+        assert.deepEqual(dataPoints.map(point => point.sessionsCount), [1, 0, 0, 2, 0]);
+        assert.equal(dataPoints[0].date, '2026-02-28');
+        assert.equal(dataPoints[1].shots, 0);
+        assert.equal(dataPoints[1].successRate, 0);
+
+        const busy = dataPoints[3];
+        assert.equal(busy.strokes.forehand, 20);
+        assert.equal(busy.shotsPerMinute, 4);
+        assert.equal(busy.successRate, 70);
+        assert.ok(busy.averageRating > 0);
+
+        const utc = await progress('from=2026-02-28&to=2026-03-04&timezone=UTC');
+        assert.deepEqual(utc.dataPoints.map(point => point.sessionsCount), [0, 1, 0, 2, 0]);
+    });
+
+    it('buckets by week and month, with only the metrics asked for', async () => {
+        const weeks = await progress('from=2026-03-01&to=2026-03-31&granularity=week&metrics=strokes');
+        assert.equal(weeks.dataPoints.length, 6);
+        assert.equal(weeks.dataPoints[0].date, '2026-02-23');
+        assert.equal(weeks.dataPoints[0].successRate, undefined);
+        assert.ok(weeks.dataPoints[0].strokes);
+
+        const months = await progress('from=2026-01-15&to=2026-04-02&granularity=month');
+        assert.deepEqual(months.dataPoints.map(point => [point.date, point.sessionsCount]), [
+            ['2026-01-01', 0],
+            ['2026-02-01', 0],
+            ['2026-03-01', 4],
+            ['2026-04-01', 0]
+        ]);
+    });
+
+    it('leaves sessions without shots out of the average success rate', async () => {
+        const before = (await progress('from=2026-03-20&to=2026-03-20&timezone=UTC')).dataPoints[0];
+        await api('POST', '/api/sessions', sessionData({
+            timestamp: '2026-03-20T15:00:00Z', totalShots: 0, successfulShots: 0, forehandCount: 0, backhandCount: 0, serveCount: 0
+        }), player.token);
+
+        const [point] = (await progress('from=2026-03-20&to=2026-03-20&timezone=UTC')).dataPoints;
+        assert.equal(point.sessionsCount, 2);
+        assert.equal(point.rating, before.rating);
+        assert.equal(point.rating, 70);
+    });
+
+    it('still answers the older period form', async () => {
+        const week = await progress('period=week');
+        assert.equal(week.period, 'week');
+        assert.equal(week.dataPoints.length, 7);
+
+        // Unknown periods show a month, as before ranges existed
+        const fallback = await progress('period=decade');
+        assert.equal(fallback.period, 'month');
+        assert.equal(fallback.dataPoints.length, 30);
+    });
+
+    it('rejects bad ranges and options', async () => {
+        for (const query of [
+            'granularity=hour',
+            'metrics=foo',
+            'timezone=Mars/Base',
+            'from=2026-02-30',
+            'from=2026-03-05&to=2026-03-01',
+            'from=2000-01-01&to=2026-01-01'
+        ]) {
+            const response = await api('GET', `/api/stats/${player.user.id}/progress?${query}`, undefined, player.token);
+            assert.equal(response.status, 400, query);
+        }
+    });
+});
@@ -0,0 +1,139 @@
+// Small budgets, and a client IP per test taken from X-Forwarded-For
+process.env.RATE_LIMIT_MAX_REQUESTS = '20';
+process.env.LIVE_SHOTS_RATE_LIMIT_MAX = '25';
+process.env.PASSWORD_RESET_RATE_LIMIT_MAX = '4';
+process.env.PASSWORD_RESET_EMAIL_MAX = '2';
+process.env.UPLOAD_RATE_LIMIT_MAX = '3';
+process.env.TRUST_PROXY = '1';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, registerUser } = require('./helpers');
+const { setMailer } = require('../lib/mailer');
+
+const from = (ip) => ({ 'X-Forwarded-For': ip });
+
+describe('rate limits', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(() => server.close());
+
+    it('counts live shot pushes per account once the player owns the session', async () => {
+        const ip = from('203.0.113.1');
+        const player = await registerUser();
+        const { liveSession } = (await api('POST', '/api/live', {}, player.token, ip)).body;
+        const push = (token, offset) => api('POST', `/api/live/${liveSession.id}/shots`, {
+            shots: [{ swingType: 'forehand', successful: true, timestampOffset: offset }]
+        }, token, ip);
+
+        // More pushes than the per-IP budget allows
+        for (let i = 0; i < 25; i++) {
+            const response = await push(player.token, i);
+            assert.equal(response.status, 200, `push ${i}`);
+        }
+        const over = await push(player.token, 25);
+        assert.equal(over.status, 429);
+        assert.equal(over.body.error, 'Too many shot updates. Please try again later.');
+        assert.ok(Number(over.headers.get('retry-after')) > 0);
+
+        // Pushes that aren't the player's own still count per IP
+        const stranger = await registerUser();
+        const statuses = [];
+        for (let i = 0; i < 20; i++) {
+            statuses.push((await push(i % 2 ? stranger.token : undefined, 0)).status);
+        }
+        assert.deepEqual(statuses.slice(0, 4), [401, 403, 401, 403]);
+        assert.equal(statuses[statuses.length - 1], 429);
+    });
+
+    it('counts finished live sessions as uploads', async () => {
+        const ip = from('203.0.113.9');
+        const player = await registerUser();
+        const session = { timestamp: new Date().toISOString(), totalShots: 1, successfulShots: 1, sessionDuration: 60, shotTimings: [] };
+        for (let i = 0; i < 3; i++) {
+            assert.equal((await api('POST', '/api/sessions', { ...session, timestamp: new Date(Date.now() - i * 1000).toISOString() }, player.token, ip)).status, 201);
+        }
+
+        const { liveSession } = (await api('POST', '/api/live', {}, player.token, ip)).body;
+        const response = await api('POST', `/api/live/${liveSession.id}/finish`, { sessionDuration: 60 }, player.token, ip);
+        assert.equal(response.status, 429);
+        assert.equal(response.body.error, 'Too many uploads. Please try again later.');
+    });
+
+    it('limits password reset requests per IP and per email', async () => {
+        const ip = from('203.0.113.2');
+        const forgot = (email, headers = ip) => api('POST', '/api/auth/forgot-password', { email }, undefined, headers);
+
+        assert.equal((await forgot('someone@example.com')).status, 200);
+        assert.equal((await forgot('SOMEONE@example.com')).status, 200);
+        // The third email to one address, from another IP
+        assert.equal((await forgot('someone@example.com', from('203.0.113.3'))).status, 429);
+
+        assert.equal((await forgot('other@example.com')).status, 200);
+        const reset = await api('POST', '/api/auth/reset-password', { token: 'guess', password: 'secret456' }, undefined, ip);
+        assert.equal(reset.status, 400);
+        assert.equal((await forgot('third@example.com')).status, 429);
+        assert.equal((await api('POST', '/api/auth/reset-password', { token: 'guess', password: 'secret456' }, undefined, ip)).status, 429);
+    });
+
+    it('answers forgot-password without waiting for the mail', async () => {
+        const player = await registerUser();
+        let release;
+        const sent = [];
+        setMailer({
+            send: (message) => new Promise((resolve) => {
+                sent.push(message);
+                release = resolve;
+            })
+        });
+
+        try {
+            const response = await api('POST', '/api/auth/forgot-password', { email: player.email }, undefined, from('203.0.113.4'));
+            assert.equal(response.status, 200);
+            assert.equal(response.body.message, 'If an account exists for that email, a reset link has been sent.');
+            assert.equal(sent.length, 1);
+            assert.equal(sent[0].to, player.email);
+        } finally {
+            release();
+            setMailer(null);
+        }
+    });
+
+    it('answers forgot-password the same when mail cannot be sent', async () => {
+        const ip = from('203.0.113.6');
+        const player = await registerUser();
+        const transport = process.env.MAIL_TRANSPORT;
+        process.env.MAIL_TRANSPORT = 'carrier-pigeon';
+        setMailer(null);
+
+        try {
+            const known = await api('POST', '/api/auth/forgot-password', { email: player.email }, undefined, ip);
+            const unknown = await api('POST', '/api/auth/forgot-password', { email: 'nobody@example.com' }, undefined, ip);
+            assert.deepEqual([known.status, unknown.status], [200, 200]);
+            assert.deepEqual(known.body, unknown.body);
+        } finally {
+            process.env.MAIL_TRANSPORT = transport;
+            setMailer(null);
+        }
+    });
+
+    it('checks a password for unknown emails too', async () => {
+        const ip = from('203.0.113.5');
+        const player = await registerUser();
+        const login = async (email) => {
+            const started = process.hrtime.bigint();
+            const response = await api('POST', '/api/auth/login', { email, password: 'wrong-password' }, undefined, ip);
+            assert.equal(response.status, 401);
+            return Number(process.hrtime.bigint() - started) / 1e6;
+        };
+
+        // Each takes a bcrypt comparison: within a factor of the other, not near zero
+        const known = await login(player.email);
+        const unknown = await login('nobody@example.com');
+        assert.ok(unknown > known / 3, `unknown ${unknown} ms, known ${known} ms`);
+    });
+});
@@ -0,0 +1,59 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, registerUser, sessionData } = require('./helpers');
+const { rateSession } = require('../lib/rating');
+const backfillRatings = require('../backfills/008_rate_existing_sessions');
+
+describe('session ratings', () => {
+    let server;
+    let player;
+
+    before(async () => {
+        server = await startServer();
+        player = await registerUser();
+    });
+
+    after(() => server.close());
+
+    it('rates with version 1 like the iOS app', () => {
+        const rating = rateSession({ total_shots: 60, successful_shots: 42, shot_timings: [2, 2, 2, 2] }, 1);
+        assert.equal(rating.rating, 5);
+        assert.equal(rating.score, 85);
+        assert.deepEqual(rating.breakdown, { success: 35, consistency: 30, volume: 20 });
+
+        assert.equal(rateSession({ total_shots: 0, successful_shots: 0, shot_timings: [] }, 1).rating, 1);
+        assert.throws(() => rateSession({ total_shots: 1, successful_shots: 1 }, 99), /Unknown rating version 99/);
+    });
+
+    it('stores the rating on upload and re-rates edits', async () => {
+        const upload = await api('POST', '/api/sessions',
+            sessionData({ totalShots: 60, successfulShots: 42, shotTimings: [2, 2, 2, 2] }), player.token);
+        assert.equal(upload.status, 201);
+
+        let response = await api('GET', `/api/sessions/session/${upload.body.sessionId}`, undefined, player.token);
+        const { session } = response.body;
+        assert.equal(session.rating, 5);
+        assert.equal(session.ratingScore, 85);
+        assert.equal(session.ratingVersion, 1);
+        assert.deepEqual(session.ratingBreakdown, { success: 35, consistency: 30, volume: 20 });
+
+        response = await api('PATCH', `/api/sessions/session/${session.id}`, { successfulShots: 6 }, player.token);
+        assert.equal(response.body.session.rating, 3);
+        assert.equal(response.body.session.ratingScore, 55);
+    });
+
+    it('backfills sessions stored without a rating', async () => {
+        const upload = await api('POST', '/api/sessions', sessionData(), player.token);
+        const sessionId = upload.body.sessionId;
+        const expected = (await server.db.get('SELECT rating, rating_score FROM sessions WHERE id = ?', [sessionId]));
+
+        await server.db.run(`
+            UPDATE sessions SET rating = NULL, rating_score = NULL, rating_success = NULL,
+            rating_consistency = NULL, rating_volume = NULL, rating_version = NULL WHERE id = ?
+        `, [sessionId]);
+        await backfillRatings.run(server.db);
+
+        const row = await server.db.get('SELECT rating, rating_score, rating_version FROM sessions WHERE id = ?', [sessionId]);
+        assert.deepEqual(row, { ...expected, rating_version: 1 });
+    });
+});
@@ -0,0 +1,100 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, registerUser, sessionData } = require('./helpers');
+
+const SHOTS = [
+    { swingType: 'forehand', successful: true, timestampOffset: 1 },
+    { swingType: 'serve', successful: false, timestampOffset: 2 }
+];
+
+describe('session edits', () => {
+    let server;
+    let player;
+    let stranger;
+    let countersId;
+    let shotsId;
+
+    const patch = (sessionId, body, user = player) => api('PATCH', `/api/sessions/session/${sessionId}`, body, user.token);
+    const stats = async () => (await api('GET', `/api/stats/${player.user.id}?timeframe=all`, undefined, player.token)).body.stats;
+
+    before(async () => {
+        server = await startServer();
+        [player, stranger] = [await registerUser(), await registerUser()];
+        const today = new Date().toISOString();
+        countersId = (await api('POST', '/api/sessions', sessionData({ timestamp: today }), player.token)).body.sessionId;
+        shotsId = (await api('POST', '/api/sessions', { timestamp: today, sessionDuration: 60, shots: SHOTS }, player.token)).body.sessionId;
+    });
+
+    after(() => server.close());
+
+    it('edits a session\'s counters and re-rates it', async () => {
+        const before = (await api('GET', `/api/sessions/session/${countersId}`, undefined, player.token)).body.session;
+        const response = await patch(countersId, { totalShots: 25, successfulShots: 24 });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.session.totalShots, 25);
+        assert.notEqual(response.body.session.ratingScore, before.ratingScore);
+
+        assert.equal((await patch(countersId, { successfulShots: 99 })).status, 400);
+        assert.equal((await patch(countersId, { userId: stranger.user.id })).status, 400);
+        assert.equal((await patch(countersId, { totalShots: 1, successfulShots: 1 }, stranger)).status, 403);
+    });
+
+    it('rejects counters and durations that aren\'t numbers', async () => {
+        for (const [field, values] of Object.entries({
+            sessionDuration: ['300', -1, null, 'abc'],
+            totalShots: ['25', -1, 2.5, null],
+            successfulShots: ['1', -1, 0.5, null],
+            forehandCount: ['10', -1, 1.5, true],
+            backhandCount: ['5', -2, 0.1, {}],
+            serveCount: ['5abc', -3, 2.2, []]
+        })) {
+            for (const value of values) {
+                const response = await patch(countersId, { [field]: value });
+                assert.equal(response.status, 400, `${field}: ${JSON.stringify(value)}`);
+                assert.match(response.body.error, new RegExp(`^${field} must be a`));
+            }
+        }
+        // Too large a JSON number parses to Infinity
+        const infinite = await api('PATCH', `/api/sessions/session/${countersId}`, '{"sessionDuration": 1e400}', player.token);
+        assert.equal(infinite.status, 400);
+        assert.equal((await patch(countersId, { forehandCount: null })).status, 200);
+    });
+
+    it('keeps counters in line with stored shots', async () => {
+        assert.equal((await patch(shotsId, { totalShots: 5 })).status, 400);
+
+        let response = await patch(shotsId, { sessionDuration: 90 });
+        assert.equal(response.body.session.totalShots, 2);
+
+        response = await patch(shotsId, { shots: [...SHOTS, { swingType: 'backhand', successful: true, timestampOffset: 3 }] });
+        assert.equal(response.body.session.totalShots, 3);
+        assert.equal(response.body.session.backhandCount, 1);
+        const { shots } = (await api('GET', `/api/sessions/session/${shotsId}/shots`, undefined, player.token)).body;
+        assert.equal(shots.length, 3);
+    });
+
+    it('hides deleted sessions until they are restored', async () => {
+        assert.equal((await api('DELETE', `/api/sessions/session/${countersId}`, undefined, player.token)).status, 200);
+        assert.equal((await api('GET', `/api/sessions/session/${countersId}`, undefined, player.token)).status, 404);
+        assert.equal((await stats()).totalSessions, 1);
+        assert.equal((await stats()).totalShots, 3);
+
+        const { sessions } = (await api('GET', `/api/sessions/${player.user.id}/deleted`, undefined, player.token)).body;
+        assert.deepEqual(sessions.map(session => [session.id, session.purgeInDays]), [[countersId, 30]]);
+
+        const restore = (user) => api('POST', `/api/sessions/session/${countersId}/restore`, undefined, user.token);
+        assert.equal((await restore(stranger)).status, 403);
+        assert.equal((await restore(player)).status, 200);
+        assert.equal((await restore(player)).status, 409);
+        assert.equal((await stats()).totalSessions, 2);
+    });
+
+    it('purges sessions deleted longer ago than the retention period', async () => {
+        await api('DELETE', `/api/sessions/session/${countersId}`, undefined, player.token);
+        assert.equal((await server.db.purgeDeletedSessions(30)).changes, 0);
+
+        await server.db.run("UPDATE sessions SET deleted_at = datetime('now', '-31 days') WHERE id = ?", [countersId]);
+        assert.equal((await server.db.purgeDeletedSessions(30)).changes, 1);
+        assert.equal((await api('POST', `/api/sessions/session/${countersId}/restore`, undefined, player.token)).status, 404);
+    });
+});
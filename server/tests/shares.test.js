@@ -0,0 +1,88 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, registerUser } = require('./helpers');
+
+describe('share links', () => {
+    let server;
+    let player;
+    let stranger;
+    let sessionId;
+    let sessionLink;
+    let statsLink;
+
+    const share = (body, user = player) => api('POST', '/api/shares', body, user.token);
+    const open = (link, user) => api('GET', `/api/shared/${link.token}`, undefined, user && user.token);
+
+    before(async () => {
+        server = await startServer();
+        [player, stranger] = [await registerUser(), await registerUser()];
+        sessionId = (await api('POST', '/api/sessions', {
+            timestamp: new Date().toISOString(),
+            sessionDuration: 300,
+            shots: [
+                { swingType: 'forehand', successful: true, timestampOffset: 1 },
+                { swingType: 'serve', successful: false, timestampOffset: 3 }
+            ]
+        }, player.token)).body.sessionId;
+    });
+
+    after(() => server.close());
+
+    it('shares the owner\'s own sessions for a limited time', async () => {
+        assert.equal((await share({ kind: 'session', sessionId }, stranger)).status, 403);
+        assert.equal((await share({ kind: 'session', sessionId, expiresInDays: 500 })).status, 400);
+
+        const response = await share({ kind: 'session', sessionId });
+        assert.equal(response.status, 201);
+        sessionLink = response.body.share;
+        assert.equal(sessionLink.status, 'active');
+        assert.ok(sessionLink.url.endsWith(sessionLink.token));
+
+        statsLink = (await share({ kind: 'stats', timeframe: 'month', showName: true })).body.share;
+    });
+
+    it('shows a session without anything that identifies the player', async () => {
+        const response = await open(sessionLink);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.shared.session.shots.length, 2);
+        assert.equal(response.body.shared.playerName, null);
+
+        const text = JSON.stringify(response.body);
+        for (const secret of [player.user.id, player.email, sessionId]) {
+            assert.equal(text.includes(secret), false, secret);
+        }
+    });
+
+    it('shows a stats snapshot with the name when asked to', async () => {
+        const response = await open(statsLink);
+        assert.equal(response.body.shared.stats.overview.totalSessions, 1);
+        assert.equal(response.body.shared.playerName, player.user.name);
+        assert.equal(JSON.stringify(response.body).includes(player.email), false);
+    });
+
+    it('counts views other than the owner\'s', async () => {
+        await open(sessionLink, player);
+        await open(sessionLink, stranger);
+
+        const { shares } = (await api('GET', '/api/shares', undefined, player.token)).body;
+        assert.equal(shares.length, 2);
+        const listed = shares.find(link => link.id === sessionLink.id);
+        assert.equal(listed.accessCount, 2);
+        assert.ok(listed.lastAccessedAt);
+    });
+
+    it('stops working once revoked, expired or the session is deleted', async () => {
+        assert.equal((await api('DELETE', `/api/shares/${sessionLink.id}`, undefined, stranger.token)).status, 403);
+        const revoked = await api('DELETE', `/api/shares/${sessionLink.id}`, undefined, player.token);
+        assert.equal(revoked.body.share.status, 'revoked');
+        assert.equal((await open(sessionLink)).status, 410);
+        assert.equal((await api('GET', '/api/shared/nope')).status, 404);
+
+        await server.db.run("UPDATE share_links SET expires_at = datetime('now', '-1 minute') WHERE id = ?", [statsLink.id]);
+        assert.equal((await open(statsLink)).status, 410);
+
+        const another = (await share({ kind: 'session', sessionId })).body.share;
+        await api('DELETE', `/api/sessions/session/${sessionId}`, undefined, player.token);
+        assert.equal((await open(another)).status, 410);
+    });
+});
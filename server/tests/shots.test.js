@@ -0,0 +1,63 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, registerUser, sessionData } = require('./helpers');
+
+const SHOTS = [
+    { swingType: 'Forehand', successful: true, timestampOffset: 1, wristSpeed: 900, elbowAngle: 120, shoulderRotation: 30, confidence: 0.8 },
+    { swingType: 'backhand', successful: false, timestampOffset: 3.5 },
+    { swingType: 'serve', successful: true, timestampOffset: 6 }
+];
+
+describe('shot records', () => {
+    let server;
+    let player;
+    let sessionId;
+
+    const upload = (body) => api('POST', '/api/sessions', body, player.token);
+    const withShots = (overrides = {}) => ({ timestamp: '2026-10-01T10:00:00.000Z', sessionDuration: 60, shots: SHOTS, ...overrides });
+
+    before(async () => {
+        server = await startServer();
+        player = await registerUser();
+    });
+
+    after(() => server.close());
+
+    it('derives the session counters from the shots', async () => {
+        const response = await upload(withShots());
+        assert.equal(response.status, 201);
+        sessionId = response.body.sessionId;
+
+        const { session } = (await api('GET', `/api/sessions/session/${sessionId}`, undefined, player.token)).body;
+        assert.equal(session.totalShots, 3);
+        assert.equal(session.successfulShots, 2);
+        assert.deepEqual([session.forehandCount, session.backhandCount, session.serveCount], [1, 1, 1]);
+        assert.deepEqual(session.shotTimings, [2.5, 2.5]);
+    });
+
+    it('returns the shots in order with lowercase swing types', async () => {
+        const { shots } = (await api('GET', `/api/sessions/session/${sessionId}/shots`, undefined, player.token)).body;
+        assert.deepEqual(shots.map(shot => shot.swingType), ['forehand', 'backhand', 'serve']);
+        assert.equal(shots[0].wristSpeed, 900);
+        assert.equal(shots[0].confidence, 0.8);
+        assert.equal(shots[1].wristSpeed, null);
+
+        const stranger = await registerUser();
+        assert.equal((await api('GET', `/api/sessions/session/${sessionId}/shots`, undefined, stranger.token)).status, 403);
+    });
+
+    it('rejects counters that disagree with the shots, and unknown swing types', async () => {
+        assert.equal((await upload(withShots({ totalShots: 5 }))).status, 400);
+
+        const response = await upload(withShots({ shots: [{ swingType: 'lob', successful: true, timestampOffset: 1 }] }));
+        assert.equal(response.status, 400);
+        assert.match(response.body.error, /swingType/);
+    });
+
+    it('still takes counter-only uploads', async () => {
+        const response = await upload(sessionData());
+        assert.equal(response.status, 201);
+        const { shots } = (await api('GET', `/api/sessions/session/${response.body.sessionId}/shots`, undefined, player.token)).body;
+        assert.deepEqual(shots, []);
+    });
+});
@@ -0,0 +1,102 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, registerUser } = require('./helpers');
+const backfillSkill = require('../backfills/009_rate_existing_skill');
+
+const STROKES = ['forehand', 'backhand', 'serve'];
+
+// 30 shots spread over the strokes, `rate` of them successful
+const sessionWithShots = (index, rate) => ({
+    timestamp: new Date(Date.UTC(2026, 5, 1 + index * 2, 10)).toISOString(),
+    sessionDuration: 300,
+    shots: Array.from({ length: 30 }, (_, i) => ({
+        swingType: STROKES[i % 3],
+        successful: i / 30 < rate,
+        timestampOffset: i * 2
+    }))
+});
+
+describe('skill ratings', () => {
+    let server;
+    let player;
+    let skill;
+    const history = [0, 1, 2, 3, 4, 5, 6, 7].map(index => sessionWithShots(index, 0.5 + index * 0.05));
+
+    const getSkill = async (user = player) =>
+        (await api('GET', `/api/stats/${user.user.id}/skill`, undefined, user.token)).body.skill;
+    const getHistory = async (query = '') =>
+        (await api('GET', `/api/stats/${player.user.id}/skill/history${query}`, undefined, player.token)).body.history;
+
+    before(async () => {
+        server = await startServer();
+        player = await registerUser();
+        for (const session of history) {
+            await api('POST', '/api/sessions', session, player.token);
+        }
+        skill = await getSkill();
+    });
+
+    after(() => server.close());
+
+    it('starts new players at the default rating', async () => {
+        const newcomer = await registerUser();
+        const { overall } = await getSkill(newcomer);
+        assert.equal(overall.rating, 1500);
+        assert.equal(overall.rd, 350);
+        assert.equal(overall.provisional, true);
+    });
+
+    it('rates sessions in time order whatever order they arrive in', async () => {
+        const other = await registerUser();
+        await api('POST', '/api/sessions/batch', { sessions: [...history].reverse() }, other.token);
+        assert.deepEqual(await getSkill(other), skill);
+
+        assert.equal(skill.overall.sessions, 8);
+        assert.equal(skill.forehand.sessions, 8);
+        assert.ok(skill.overall.interval.low < skill.overall.rating);
+    });
+
+    it('keeps a history that rises with the results', async () => {
+        const forehand = await getHistory('?stroke=forehand');
+        assert.equal(forehand.length, 8);
+        assert.ok(forehand[7].rating > forehand[0].rating);
+        assert.ok(forehand[7].rd < forehand[0].rd);
+
+        const latest = await getHistory('?limit=3&from=2026-06-02');
+        assert.equal(latest.length, 3);
+        assert.equal(latest[2].playedAt, forehand[7].playedAt);
+
+        const response = await api('GET', `/api/stats/${player.user.id}/skill/history?stroke=lob`, undefined, player.token);
+        assert.equal(response.status, 400);
+    });
+
+    it('re-rates after deletes, restores and edits', async () => {
+        const { sessionId } = (await getHistory())[3];
+
+        await api('DELETE', `/api/sessions/session/${sessionId}`, undefined, player.token);
+        assert.equal((await getSkill()).overall.sessions, 7);
+
+        await api('POST', `/api/sessions/session/${sessionId}/restore`, undefined, player.token);
+        assert.deepEqual(await getSkill(), skill);
+
+        await api('PATCH', `/api/sessions/session/${sessionId}`, { timestamp: '2026-05-01T10:00:00Z' }, player.token);
+        const moved = await getHistory();
+        assert.equal(moved.length, 8);
+        assert.equal(moved[0].sessionId, sessionId);
+    });
+
+    it('backfills ratings for existing history', async () => {
+        const before = await getSkill();
+        await server.db.run('DELETE FROM skill_rating_history WHERE user_id = ?', [player.user.id]);
+        await server.db.run('DELETE FROM skill_ratings WHERE user_id = ?', [player.user.id]);
+
+        await backfillSkill.run(server.db);
+        assert.deepEqual(await getSkill(), before);
+    });
+
+    it('is only shown to the player and their coaches', async () => {
+        const stranger = await registerUser();
+        const response = await api('GET', `/api/stats/${player.user.id}/skill`, undefined, stranger.token);
+        assert.equal(response.status, 403);
+    });
+});
@@ -0,0 +1,156 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, registerUser, sessionData } = require('./helpers');
+const { calculateStatistics, timeframeRange } = require('../lib/statistics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sessions in database format, 20 shots each
+const session = (date, rating, successfulShots) => ({
+    timestamp: `${date}T10:00:00.000Z`,
+    total_shots: 20,
+    successful_shots: successfulShots,
+    session_duration: 600,
+    rating,
+    rating_score: rating * 20,
+    forehand_count: 10,
+    backhand_count: 6,
+    serve_count: 4
+});
+
+const SESSIONS = [
+    session('2026-10-01', 2, 10), // Thursday
+    session('2026-10-09', 3, 12),
+    session('2026-10-10', 3, 14),
+    session('2026-10-13', 4, 16),
+    session('2026-10-14', 4, 16),
+    session('2026-10-15', 5, 18) // Thursday, "today"
+];
+const NOW = new Date('2026-10-15T12:00:00Z');
+
+describe('statistics', () => {
+    it('sums the overview and finds streaks and the busiest weekday', () => {
+        const { overview } = calculateStatistics(SESSIONS, { now: NOW });
+
+        assert.deepEqual(overview, {
+            totalSessions: 6,
+            totalShots: 120,
+            totalPracticeTime: 3600,
+            averageRating: 3.5,
+            bestRating: 5,
+            averageSessionLength: 600,
+            totalSuccessfulShots: 86,
+            overallSuccessRate: 0.7167,
+            mostProductiveDay: 'Thursday',
+            currentStreak: 3,
+            longestStreak: 3
+        });
+
+        const later = calculateStatistics(SESSIONS, { now: new Date('2026-10-17T12:00:00Z') }).overview;
+        assert.equal(later.currentStreak, 0);
+        assert.equal(later.longestStreak, 3);
+    });
+
+    it('follows the player\'s calendar for days and weekdays', () => {
+        // 10:00 UTC on the 15th is already the 16th in Kiritimati (UTC+14)
+        const { overview, weeklyActivity } = calculateStatistics(SESSIONS, { timeZone: 'Pacific/Kiritimati', now: NOW });
+        assert.equal(overview.mostProductiveDay, 'Friday');
+        assert.equal(weeklyActivity.find(day => day.day === 'Friday').sessionCount, 2);
+    });
+
+    it('grades performance like the app', () => {
+        const { performance } = calculateStatistics(SESSIONS, { now: NOW });
+
+        const rates = SESSIONS.map(s => s.successful_shots / s.total_shots);
+        const mean = rates.reduce((sum, rate) => sum + rate, 0) / rates.length;
+        const deviation = Math.sqrt(rates.reduce((sum, rate) => sum + (rate - mean) ** 2, 0) / rates.length);
+        const consistency = (1 - deviation) * 100;
+        const improvement = ((4 + 4 + 5) / 3 - (2 + 3 + 3) / 3) * 20;
+        const efficiency = 86 / 60;
+        const volume = 6 / 2; // Two weeks from the first to the last session
+
+        assert.equal(performance.consistency, Math.round(consistency * 100) / 100);
+        assert.equal(performance.improvement, Math.round(improvement * 100) / 100);
+        assert.equal(performance.efficiency, Math.round(efficiency * 100) / 100);
+        assert.equal(performance.volume, volume);
+        assert.equal(performance.consistencyGrade, 'A');
+        assert.equal(performance.overallScore,
+            Math.round((consistency * 0.3 + improvement * 0.25 + efficiency * 0.25 + volume * 10 * 0.2) * 100) / 100);
+        assert.equal(performance.overallGrade, 'D');
+    });
+
+    it('charts skill progression and shot types', () => {
+        const { skillProgression, shotTypeDistribution } = calculateStatistics(SESSIONS, { now: NOW });
+
+        assert.equal(skillProgression.length, 6);
+        assert.deepEqual(skillProgression[0], { sessionRange: 1, rating: 2, successRate: 0.5, totalShots: 20 });
+        assert.deepEqual(shotTypeDistribution, [
+            { type: 'Forehand', count: 60, percentage: 0.5 },
+            { type: 'Backhand', count: 36, percentage: 0.3 },
+            { type: 'Serve', count: 24, percentage: 0.2 }
+        ]);
+
+        const twenty = Array.from({ length: 20 }, (_, i) => session(`2026-09-${String(i + 1).padStart(2, '0')}`, 1 + i % 5, 10));
+        const chunks = calculateStatistics(twenty, { now: NOW }).skillProgression;
+        assert.deepEqual(chunks.map(chunk => chunk.sessionRange), [1, 3, 5, 7, 9, 11, 13, 15, 17, 19]);
+        assert.deepEqual(chunks[0], { sessionRange: 1, rating: 1.5, successRate: 0.5, totalShots: 40 });
+    });
+
+    it('needs a few sessions for trends', () => {
+        const few = calculateStatistics(SESSIONS.slice(0, 3), { now: NOW });
+        assert.equal(few.performance.improvement, 0);
+        assert.deepEqual(few.skillProgression, []);
+
+        const none = calculateStatistics([], { now: NOW });
+        assert.equal(none.overview.mostProductiveDay, 'None');
+        assert.equal(none.overview.currentStreak, 0);
+        assert.equal(none.performance.overallGrade, 'D');
+        assert.deepEqual(none.shotTypeDistribution, []);
+    });
+
+    it('uses the app\'s rolling windows', () => {
+        assert.deepEqual(timeframeRange('week', NOW), {
+            from: new Date(NOW.getTime() - 7 * DAY_MS),
+            to: new Date(NOW.getTime() + 1)
+        });
+        assert.equal(timeframeRange('all', NOW).from.getTime(), 0);
+    });
+
+    describe('GET /api/stats/:userId', () => {
+        let server;
+        let player;
+
+        const getStats = async (query = '') =>
+            api('GET', `/api/stats/${player.user.id}${query}`, undefined, player.token);
+
+        before(async () => {
+            server = await startServer();
+            player = await registerUser();
+            for (const days of [1, 2, 40, 200]) {
+                await api('POST', '/api/sessions', sessionData({ timestamp: new Date(Date.now() - days * DAY_MS).toISOString() }), player.token);
+            }
+        });
+
+        after(() => server.close());
+
+        it('covers the last month by default, like the app', async () => {
+            const { stats } = (await getStats()).body;
+            assert.equal(stats.timeframe, 'month');
+            assert.equal(stats.overview.totalSessions, 2);
+            assert.equal(stats.totalSessions, 4);
+        });
+
+        it('filters by timeframe', async () => {
+            assert.equal((await getStats('?timeframe=week')).body.stats.overview.totalSessions, 2);
+            assert.equal((await getStats('?timeframe=quarter')).body.stats.overview.totalSessions, 3);
+            assert.equal((await getStats('?timeframe=all')).body.stats.overview.totalSessions, 4);
+            assert.equal((await getStats('?timeframe=decade')).status, 400);
+        });
+
+        it('is only shown to the player and their coaches', async () => {
+            const stranger = await registerUser();
+            const response = await api('GET', `/api/stats/${player.user.id}`, undefined, stranger.token);
+            assert.equal(response.status, 403);
+        });
+    });
+});
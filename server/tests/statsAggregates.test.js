@@ -0,0 +1,220 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const path = require('path');
+const { promisify } = require('util');
+const { startServer, api, registerUser, sessionData } = require('./helpers');
+const { TIMEFRAMES, timeframeRange, calculateStatistics } = require('../lib/statistics');
+const { loadDashboardStatistics, verifyStatsAggregates, refreshStatsAggregates } = require('../lib/statsAggregates');
+const { loadPlayerProfile } = require('../lib/playerProfile');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Half past an hour, so no session sits right on a timeframe's edge while a test runs
+const hoursAgo = (hours) => {
+    const base = Math.floor(Date.now() / HOUR_MS) * HOUR_MS - 30 * 60 * 1000;
+    return new Date(base - hours * HOUR_MS).toISOString();
+};
+
+// Three sessions every fourth day over four months, and a few from years ago
+const history = () => {
+    const sessions = [];
+    for (let day = 0; day < 120; day += 4) {
+        for (let slot = 0; slot < 3; slot++) {
+            const index = sessions.length;
+            sessions.push(sessionData({
+                timestamp: hoursAgo(day * 24 + slot * 5 + (index % 4)),
+                totalShots: 20 + (index * 7) % 40,
+                successfulShots: 5 + (index * 11) % 15,
+                sessionDuration: 200 + (index * 13) % 400,
+                forehandCount: 10 + index % 5,
+                backhandCount: 6,
+                serveCount: 4
+            }));
+        }
+    }
+    [400, 800, 1200].forEach(day => sessions.push(sessionData({ timestamp: hoursAgo(day * 24), totalShots: 0, successfulShots: 0, shotTimings: [] })));
+    return sessions;
+};
+
+describe('stats aggregates', () => {
+    let server;
+    let player;
+
+    // The dashboard from the aggregates equals one recomputed from every session in range
+    const assertDashboardsMatch = async (now = new Date()) => {
+        const { db } = server;
+        assert.deepEqual(await verifyStatsAggregates(db, player.user.id), []);
+
+        const { timezone } = await loadPlayerProfile(db, player.user.id);
+        for (const timeframe of TIMEFRAMES) {
+            const range = timeframeRange(timeframe, now);
+            const sessions = await db.getUserSessionsInRange(player.user.id, range.from.toISOString(), range.to.toISOString());
+            assert.deepEqual(
+                await loadDashboardStatistics(db, player.user.id, timeframe, now),
+                calculateStatistics(sessions, { timeZone: timezone, now }),
+                `${timeframe} dashboard at ${now.toISOString()}`
+            );
+        }
+    };
+
+    const listSessions = async () =>
+        (await api('GET', `/api/sessions/${player.user.id}?limit=100`, undefined, player.token)).body.sessions;
+
+    before(async () => {
+        server = await startServer();
+        player = await registerUser();
+        await api('PATCH', '/api/profile', { timezone: 'America/New_York' }, player.token);
+    });
+
+    after(() => server.close());
+
+    it('matches a recompute after uploads', async () => {
+        const response = await api('POST', '/api/sessions/batch', { sessions: history() }, player.token);
+        assert.equal(response.body.summary.created, 93);
+
+        await assertDashboardsMatch();
+        // Timeframes that start and end at other times of day
+        for (const hours of [5, 13, 29, 100]) {
+            await assertDashboardsMatch(new Date(Date.now() - hours * HOUR_MS));
+        }
+    });
+
+    it('matches a recompute after edits, deletes and restores', async () => {
+        const sessions = await listSessions();
+
+        await api('PATCH', `/api/sessions/session/${sessions[3].id}`, { timestamp: hoursAgo(60 * 24 + 2), successfulShots: 1 }, player.token);
+        await api('PATCH', `/api/sessions/session/${sessions[40].id}`, { totalShots: 80, successfulShots: 75 }, player.token);
+        await assertDashboardsMatch();
+
+        await api('DELETE', `/api/sessions/session/${sessions[5].id}`, undefined, player.token);
+        await api('DELETE', `/api/sessions/session/${sessions[6].id}`, undefined, player.token);
+        await assertDashboardsMatch();
+
+        await api('POST', `/api/sessions/session/${sessions[6].id}/restore`, undefined, player.token);
+        await assertDashboardsMatch();
+    });
+
+    it('matches a recompute after a timezone change', async () => {
+        await api('PATCH', '/api/profile', { timezone: 'Asia/Kolkata' }, player.token);
+        await assertDashboardsMatch();
+
+        await api('PATCH', '/api/profile', { timezone: 'Pacific/Auckland' }, player.token);
+        await assertDashboardsMatch(new Date(Date.now() - 11 * HOUR_MS));
+    });
+
+    it('reads only a few days of sessions', async () => {
+        const { db } = server;
+        const readSessions = db.getUserSessionsInRange;
+        let read = 0;
+        db.getUserSessionsInRange = async (...args) => {
+            const sessions = await readSessions.apply(db, args);
+            read += sessions.length;
+            return sessions;
+        };
+
+        try {
+            const dashboard = await loadDashboardStatistics(db, player.user.id, 'all');
+            assert.equal(dashboard.overview.totalSessions, 92);
+            assert.ok(read < 92 / 2, `read ${read} sessions`);
+        } finally {
+            db.getUserSessionsInRange = readSessions;
+        }
+    });
+
+    it('serves the dashboard and all-time summary from the aggregates', async () => {
+        const response = await api('GET', `/api/stats/${player.user.id}?timeframe=quarter`, undefined, player.token);
+        assert.equal(response.status, 200);
+        const { stats } = response.body;
+
+        const { db } = server;
+        const totals = await db.getUserStatsAggregate(player.user.id);
+        assert.equal(stats.totalSessions, 92);
+        assert.equal(stats.totalShots, totals.total_shots);
+        assert.equal(stats.bestRating, totals.best_rating);
+        assert.equal(stats.averageRating, Math.round(totals.rating_sum / totals.total_sessions * 100) / 100);
+        assert.equal(stats.recentActivity.length, 5);
+        assert.equal(stats.improvementTrend, Math.round(stats.performance.improvement / 20 * 100) / 100);
+
+        const range = timeframeRange('quarter');
+        const sessions = await db.getUserSessionsInRange(player.user.id, range.from.toISOString(), range.to.toISOString());
+        const expected = calculateStatistics(sessions, { timeZone: 'Pacific/Auckland' });
+        assert.deepEqual(stats.overview, expected.overview);
+        assert.deepEqual(stats.skillProgression, expected.skillProgression);
+    });
+
+    it('falls back to the sessions while the aggregates are in another timezone', async () => {
+        const { db } = server;
+        await db.run("UPDATE user_stats SET timezone = 'UTC' WHERE user_id = ?", [player.user.id]);
+
+        const now = new Date();
+        const range = timeframeRange('month', now);
+        const sessions = await db.getUserSessionsInRange(player.user.id, range.from.toISOString(), range.to.toISOString());
+        assert.deepEqual(
+            await loadDashboardStatistics(db, player.user.id, 'month', now),
+            calculateStatistics(sessions, { timeZone: 'Pacific/Auckland', now })
+        );
+
+        await db.run("UPDATE user_stats SET timezone = 'Pacific/Auckland' WHERE user_id = ?", [player.user.id]);
+    });
+
+    it('reports stale aggregates', async () => {
+        const { db } = server;
+        await db.run(`
+            UPDATE user_daily_stats SET total_shots = total_shots + 1
+            WHERE user_id = ? AND date = (SELECT MIN(date) FROM user_daily_stats WHERE user_id = ?)
+        `, [player.user.id, player.user.id]);
+
+        const problems = await verifyStatsAggregates(db, player.user.id);
+        assert.ok(problems.some(problem => problem.includes('total_shots')), problems.join('\n'));
+    });
+
+    it('repairs them with aggregates:rebuild, without awarding or notifying', async () => {
+        const { db } = server;
+        await api('POST', '/api/webhooks', { url: 'http://127.0.0.1:9/hook', events: ['achievement.unlocked'] }, player.token);
+        await db.run('DELETE FROM achievements WHERE user_id = ?', [player.user.id]);
+        const deliveries = await db.get('SELECT COUNT(*) AS count FROM webhook_deliveries');
+
+        await promisify(execFile)(process.execPath, [path.join(__dirname, '../scripts/rebuild-aggregates.js'), player.user.id], {
+            env: process.env
+        });
+
+        assert.deepEqual(await verifyStatsAggregates(db, player.user.id), []);
+        assert.deepEqual(await db.getUserAchievements(player.user.id), []);
+        assert.deepEqual(await db.get('SELECT COUNT(*) AS count FROM webhook_deliveries'), deliveries);
+    });
+
+    it('sums stored text and nulls as numbers when rebuilding', async () => {
+        const { db } = server;
+        const other = await registerUser();
+        const timestamp = new Date().toISOString();
+        for (const overrides of [{ sessionDuration: 300 }, { sessionDuration: 200 }, { sessionDuration: 100 }]) {
+            await api('POST', '/api/sessions', sessionData({ timestamp, ...overrides }), other.token);
+        }
+
+        // As left by uploads from before sessions were validated
+        const ids = (await db.all('SELECT id FROM sessions WHERE user_id = ? ORDER BY session_duration DESC', [other.user.id])).map(row => row.id);
+        await db.run("UPDATE sessions SET session_duration = '300abc', forehand_count = '7' WHERE id = ?", [ids[0]]);
+        await db.run("UPDATE sessions SET total_shots = 'many', backhand_count = NULL WHERE id = ?", [ids[1]]);
+        await db.run("UPDATE sessions SET serve_count = '2', rating = 'x' WHERE id = ?", [ids[2]]);
+
+        await refreshStatsAggregates(db, other.user.id);
+
+        const [day] = await db.getDailyStats(other.user.id, '', '9999-12-31');
+        assert.equal(day.sessions_count, 3);
+        assert.equal(day.total_duration, 300);
+        assert.equal(typeof day.total_shots, 'number');
+        assert.equal(day.forehand_count, 7 + 2 * sessionData().forehandCount);
+        assert.equal(day.serve_count, 2 + 2 * sessionData().serveCount);
+        assert.ok(Number.isFinite(day.rating_sum));
+        assert.ok(day.success_rate_sum / day.sessions_count <= 100);
+
+        const totals = await db.getUserStatsAggregate(other.user.id);
+        assert.equal(totals.total_duration, 300);
+        assert.deepEqual(await verifyStatsAggregates(db, other.user.id), []);
+
+        const { stats } = (await api('GET', `/api/stats/${other.user.id}?timeframe=all`, undefined, other.token)).body;
+        assert.equal(stats.totalSessions, 3);
+        assert.ok(Number.isFinite(stats.averageRating));
+    });
+});
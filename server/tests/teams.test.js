@@ -0,0 +1,143 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, registerUser, sessionData, sentMail } = require('./helpers');
+
+describe('teams', () => {
+    let server;
+    let coach;
+    let statsPlayer;
+    let sessionsPlayer;
+    let stranger;
+    let teamId;
+    let sharedSessionId;
+
+    const get = (url, user) => api('GET', url, undefined, user.token);
+    const invite = (body, user = coach) => api('POST', `/api/teams/${teamId}/invitations`, body, user.token);
+
+    before(async () => {
+        server = await startServer();
+        [coach, statsPlayer, sessionsPlayer, stranger] = [await registerUser(), await registerUser(), await registerUser(), await registerUser()];
+        const today = new Date().toISOString();
+        await api('POST', '/api/sessions', sessionData({ timestamp: today }), statsPlayer.token);
+        sharedSessionId = (await api('POST', '/api/sessions', sessionData({ timestamp: today }), sessionsPlayer.token)).body.sessionId;
+    });
+
+    after(() => server.close());
+
+    it('makes its creator the coach', async () => {
+        assert.equal((await get(`/api/stats/${statsPlayer.user.id}`, coach)).status, 403);
+
+        const response = await api('POST', '/api/teams', { name: 'Juniors' }, coach.token);
+        assert.equal(response.status, 201);
+        assert.equal(response.body.team.role, 'coach');
+        teamId = response.body.team.id;
+    });
+
+    it('answers invitations the same whether or not the email has an account', async () => {
+        const known = await invite({ email: statsPlayer.email.toUpperCase(), scope: 'stats' });
+        const again = await invite({ email: statsPlayer.email });
+        const unknown = await invite({ email: 'nobody@example.com' });
+
+        assert.equal(known.status, 202);
+        assert.deepEqual(again.body, known.body);
+        assert.deepEqual([again.status, unknown.status], [202, 202]);
+        assert.deepEqual(unknown.body, known.body);
+
+        const mail = sentMail();
+        assert.equal(mail.filter(message => message.to === statsPlayer.email).length, 1);
+        assert.equal(mail.some(message => message.to === 'nobody@example.com'), false);
+
+        assert.equal((await invite({ email: coach.email })).status, 409);
+        assert.equal((await invite({ email: sessionsPlayer.email, scope: 'sessions' })).status, 202);
+        // Only active coaches invite
+        assert.equal((await invite({ email: stranger.email }, statsPlayer)).status, 404);
+    });
+
+    it('shares nothing until the player accepts', async () => {
+        assert.equal((await get(`/api/stats/${statsPlayer.user.id}`, coach)).status, 403);
+        assert.equal((await get('/api/teams', statsPlayer)).body.teams[0].status, 'invited');
+
+        let response = await api('POST', `/api/teams/${teamId}/membership/accept`, {}, statsPlayer.token);
+        assert.equal(response.body.team.status, 'active');
+        assert.equal(response.body.team.scope, 'stats');
+        response = await api('POST', `/api/teams/${teamId}/membership/accept`, { scope: 'sessions' }, sessionsPlayer.token);
+        assert.equal(response.body.team.scope, 'sessions');
+    });
+
+    it('lets coaches read within the scope each player grants', async () => {
+        assert.equal((await get(`/api/stats/${statsPlayer.user.id}`, coach)).status, 200);
+        assert.equal((await get(`/api/stats/${statsPlayer.user.id}/progress`, coach)).status, 200);
+        assert.equal((await get(`/api/sessions/${statsPlayer.user.id}`, coach)).status, 403);
+
+        const sessions = await get(`/api/sessions/${sessionsPlayer.user.id}`, coach);
+        assert.equal(sessions.body.sessions.length, 1);
+        assert.equal((await get(`/api/sessions/session/${sharedSessionId}/shots`, coach)).status, 200);
+        assert.equal((await api('DELETE', `/api/sessions/session/${sharedSessionId}`, undefined, coach.token)).status, 403);
+        assert.equal((await get(`/api/sessions/${sessionsPlayer.user.id}/deleted`, coach)).status, 403);
+
+        // Teammates see each other's membership, not data
+        assert.equal((await get(`/api/stats/${sessionsPlayer.user.id}`, statsPlayer)).status, 403);
+    });
+
+    it('shows players the coaches and coaches the roster', async () => {
+        const asPlayer = await get(`/api/teams/${teamId}`, statsPlayer);
+        assert.deepEqual(asPlayer.body.members.map(member => member.role), ['coach']);
+        const asCoach = (await get(`/api/teams/${teamId}`, coach)).body;
+        assert.equal(asCoach.members.length, 3);
+        assert.deepEqual(asCoach.invitations.map(invitation => invitation.email), ['nobody@example.com']);
+        assert.deepEqual(asPlayer.body.invitations, []);
+        assert.equal((await get(`/api/teams/${teamId}`, stranger)).status, 404);
+
+        const { roster } = (await get(`/api/teams/${teamId}/roster`, coach)).body;
+        assert.equal(roster.length, 2);
+        roster.forEach((player) => {
+            assert.equal(player.activity.last7Days.sessions, 1);
+            assert.equal(player.activity.totalSessions, 1);
+        });
+        assert.equal((await get(`/api/teams/${teamId}/roster`, statsPlayer)).status, 403);
+    });
+
+    it('lists an invitation the same whether or not the email has an account', async () => {
+        const listing = async (email) => {
+            const team = (await api('POST', '/api/teams', { name: 'Seniors' }, coach.token)).body.team;
+            await api('POST', `/api/teams/${team.id}/invitations`, { email, scope: 'sessions' }, coach.token);
+            const { members, invitations } = (await get(`/api/teams/${team.id}`, coach)).body;
+            return { team, members, invitations };
+        };
+
+        const registered = await listing(stranger.email);
+        const unknown = await listing('someone@example.com');
+        const strip = ({ invitations }) => invitations.map(({ email, invitedAt, ...rest }) => rest);
+
+        assert.deepEqual(registered.members, unknown.members);
+        assert.deepEqual(strip(registered), strip(unknown));
+        assert.deepEqual(Object.keys(registered.invitations[0]).sort(), ['email', 'invitedAt', 'role', 'scope', 'status']);
+        assert.equal(registered.invitations[0].email, stranger.email.toLowerCase());
+        assert.equal(JSON.stringify(registered).includes(stranger.user.id), false);
+        assert.equal(JSON.stringify(registered).includes(stranger.user.name), false);
+
+        // Declining doesn't show either
+        await api('DELETE', `/api/teams/${registered.team.id}/membership`, undefined, stranger.token);
+        assert.deepEqual((await get(`/api/teams/${registered.team.id}`, coach)).body.invitations, registered.invitations);
+
+        const cancelled = await api('DELETE', `/api/teams/${unknown.team.id}/invitations/someone@example.com`, undefined, coach.token);
+        assert.equal(cancelled.status, 200);
+        assert.deepEqual((await get(`/api/teams/${unknown.team.id}`, coach)).body.invitations, []);
+        assert.equal((await api('DELETE', `/api/teams/${unknown.team.id}/invitations/someone@example.com`, undefined, coach.token)).status, 404);
+    });
+
+    it('ends access when the scope narrows or the player leaves', async () => {
+        await api('PATCH', `/api/teams/${teamId}/membership`, { scope: 'stats' }, sessionsPlayer.token);
+        assert.equal((await get(`/api/sessions/${sessionsPlayer.user.id}`, coach)).status, 403);
+
+        await api('DELETE', `/api/teams/${teamId}/membership`, undefined, statsPlayer.token);
+        assert.equal((await get(`/api/stats/${statsPlayer.user.id}`, coach)).status, 403);
+
+        await api('DELETE', `/api/teams/${teamId}/members/${sessionsPlayer.user.id}`, undefined, coach.token);
+        assert.equal((await get(`/api/stats/${sessionsPlayer.user.id}`, coach)).status, 403);
+
+        // A team keeps a coach
+        assert.equal((await api('DELETE', `/api/teams/${teamId}/membership`, undefined, coach.token)).status, 409);
+        assert.equal((await api('DELETE', `/api/teams/${teamId}`, undefined, coach.token)).status, 200);
+    });
+});
@@ -0,0 +1,65 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, registerUser, PASSWORD } = require('./helpers');
+
+describe('refresh tokens', () => {
+    let server;
+    let player;
+
+    const login = async () => (await api('POST', '/api/auth/login', { email: player.email, password: PASSWORD })).body;
+    const refresh = (refreshToken) => api('POST', '/api/auth/refresh', { refreshToken });
+    const me = (token) => api('GET', '/api/auth/me', undefined, token);
+
+    before(async () => {
+        server = await startServer();
+        player = await registerUser();
+    });
+
+    after(() => server.close());
+
+    it('rotates the refresh token on each use', async () => {
+        const response = await refresh(player.refreshToken);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.expiresIn, 900);
+        assert.notEqual(response.body.refreshToken, player.refreshToken);
+        assert.equal((await me(response.body.token)).status, 200);
+    });
+
+    it('revokes the whole family when a used refresh token comes back', async () => {
+        const { token, refreshToken } = await login();
+        const rotated = (await refresh(refreshToken)).body;
+
+        assert.equal((await refresh(refreshToken)).status, 401);
+        assert.equal((await refresh(rotated.refreshToken)).status, 401);
+        assert.equal((await me(rotated.token)).status, 401);
+        assert.equal((await me(token)).status, 401);
+    });
+
+    it('logs out one device, or all of them', async () => {
+        const [first, second, third] = [await login(), await login(), await login()];
+
+        assert.equal((await api('POST', '/api/auth/logout', undefined, first.token)).status, 200);
+        assert.equal((await me(first.token)).status, 401);
+        assert.equal((await refresh(first.refreshToken)).status, 401);
+        assert.equal((await me(second.token)).status, 200);
+
+        const response = await api('POST', '/api/auth/logout-all', undefined, second.token);
+        assert.equal(response.status, 200);
+        assert.ok(response.body.revokedSessions >= 2);
+        assert.equal((await refresh(third.refreshToken)).status, 401);
+        assert.equal((await me(third.token)).status, 401);
+    });
+
+    it('purges families revoked long ago and keeps live ones', async () => {
+        const { refreshToken } = await login();
+        const families = async () => (await server.db.get('SELECT COUNT(*) AS count FROM token_families')).count;
+        const revoked = (await server.db.get('SELECT COUNT(*) AS count FROM token_families WHERE revoked_at IS NOT NULL')).count;
+        const total = await families();
+
+        assert.equal((await server.db.purgeExpiredTokenFamilies(30)).changes, 0);
+        await server.db.run("UPDATE token_families SET revoked_at = datetime('now', '-31 days') WHERE revoked_at IS NOT NULL");
+        assert.equal((await server.db.purgeExpiredTokenFamilies(30)).changes, revoked);
+        assert.equal(await families(), total - revoked);
+        assert.equal((await refresh(refreshToken)).status, 200);
+    });
+});
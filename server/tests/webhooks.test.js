@@ -0,0 +1,272 @@
+// Few, quick attempts, so retries and timeouts run in the test's lifetime
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_TIMEOUT_MS = '300';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startServer, api, registerUser, sessionData } = require('./helpers');
+const {
+    signPayload,
+    verifySignature,
+    validateWebhookDestination,
+    processWebhookDeliveries
+} = require('../lib/webhooks');
+const backfillGoals = require('../backfills/017_mark_completed_goals');
+
+const SECRET = 'whsec_test';
+const BODY = '{"id":"evt"}';
+const NOW = new Date('2026-10-19T12:00:00Z');
+const T = Math.floor(NOW.getTime() / 1000);
+const V1 = signPayload(SECRET, T, BODY);
+
+const withNodeEnv = async (value, callback) => {
+    const previous = process.env.NODE_ENV;
+    process.env.NODE_ENV = value;
+    try {
+        return await callback();
+    } finally {
+        process.env.NODE_ENV = previous;
+    }
+};
+
+describe('webhooks', () => {
+    it('verifies signatures strictly', () => {
+        assert.equal(verifySignature(SECRET, `t=${T},v1=${V1}`, BODY, NOW), true);
+        assert.equal(verifySignature(SECRET, ` t=${T} , v1=${V1},v0=legacy`, BODY, NOW), true);
+
+        assert.equal(verifySignature('whsec_other', `t=${T},v1=${V1}`, BODY, NOW), false);
+        assert.equal(verifySignature(SECRET, `t=${T},v1=${V1}`, BODY + ' ', NOW), false);
+        assert.equal(verifySignature(SECRET, `t=${T},v1=${V1}`, BODY, new Date(NOW.getTime() + 301000)), false);
+        assert.equal(verifySignature(SECRET, `t=${T},v1=${'0'.repeat(64)},v1=${V1}`, BODY, NOW), false);
+        assert.equal(verifySignature(SECRET, `t=${T},t=${T},v1=${V1}`, BODY, NOW), false);
+        assert.equal(verifySignature(SECRET, `t=${T},v1=${V1}=`, BODY, NOW), false);
+        assert.equal(verifySignature(SECRET, `t=${T}x,v1=${V1}`, BODY, NOW), false);
+        assert.equal(verifySignature(SECRET, `t=${T},v1=${V1},junk`, BODY, NOW), false);
+        assert.equal(verifySignature(SECRET, undefined, BODY, NOW), false);
+    });
+
+    it('refuses receivers on internal addresses', async () => {
+        for (const url of [
+            'http://169.254.169.254/latest/meta-data',
+            'http://10.1.2.3/hook',
+            'http://172.20.0.1/hook',
+            'http://192.168.1.10/hook',
+            'http://100.64.0.1/hook',
+            'http://0.0.0.0:4000/',
+            'http://[::ffff:10.1.2.3]/hook',
+            'http://[fe80::1]/hook',
+            'http://[fd00::1]/hook',
+            'http://[fec0::1]/hook',
+            // IPv4 addresses inside IPv6 ones: NAT64, IPv4-compatible and 6to4
+            'http://[64:ff9b::a9fe:a9fe]/latest/meta-data',
+            'http://[64:ff9b::192.168.1.10]/hook',
+            'http://[::10.1.2.3]/hook',
+            'http://[::a9fe:a9fe]/hook',
+            'http://[2002:a01:203::1]/hook',
+            'http://[2002:c0a8:10a:1::1]/hook'
+        ]) {
+            assert.match(await validateWebhookDestination(url) || '', /private, loopback or link-local/, url);
+        }
+
+        assert.equal(await validateWebhookDestination('https://93.184.216.34/hook'), null);
+        assert.equal(await validateWebhookDestination('https://[64:ff9b::5db8:d822]/hook'), null);
+        assert.equal(await validateWebhookDestination('https://[2002:5db8:d822::1]/hook'), null);
+        assert.equal(await validateWebhookDestination('https://[::ffff:93.184.216.34]/hook'), null);
+        assert.equal(await validateWebhookDestination('https://[2606:2800:220:1::1]/hook'), null);
+        assert.equal(await validateWebhookDestination('http://127.0.0.1:4000/'), null);
+        assert.equal(await validateWebhookDestination('http://localhost:4000/'), null);
+        assert.equal(await validateWebhookDestination('http://no-such-host.invalid/'), 'url host could not be resolved');
+
+        await withNodeEnv('production', async () => {
+            assert.notEqual(await validateWebhookDestination('https://127.0.0.1/'), null);
+            assert.notEqual(await validateWebhookDestination('https://localhost/'), null);
+            assert.notEqual(await validateWebhookDestination('https://[::1]/'), null);
+            assert.notEqual(await validateWebhookDestination('https://[::ffff:127.0.0.1]/'), null);
+            assert.notEqual(await validateWebhookDestination('https://[64:ff9b::7f00:1]/'), null);
+        });
+    });
+
+    describe('delivery', () => {
+        let server;
+        let receiver;
+        let receiverUrl;
+        let player;
+        let webhook;
+        const received = [];
+
+        const listDeliveries = async (query = '') =>
+            (await api('GET', `/api/webhooks/${webhook.id}/deliveries${query}`, undefined, player.token)).body.deliveries;
+        const queueTestEvent = async () =>
+            (await api('POST', `/api/webhooks/${webhook.id}/test`, undefined, player.token)).body.eventId;
+        const findDelivery = async (eventId) =>
+            (await listDeliveries('?limit=200')).find(delivery => delivery.eventId === eventId);
+        const setUrl = (url) => server.db.run('UPDATE webhooks SET url = ? WHERE id = ?', [url, webhook.id]);
+        const makeDue = () => server.db.run("UPDATE webhook_deliveries SET next_attempt_at = datetime('now', '-1 seconds') WHERE status = 'pending'");
+        const secondsBetween = (from, to) => (new Date(`${to}Z`) - new Date(`${from}Z`)) / 1000;
+
+        before(async () => {
+            server = await startServer();
+            player = await registerUser();
+
+            // 204 on /ok, 500 on /fail, no answer on /slow
+            receiver = http.createServer((req, res) => {
+                const chunks = [];
+                req.on('data', chunk => chunks.push(chunk));
+                req.on('end', () => {
+                    received.push({ path: req.url, headers: req.headers, body: Buffer.concat(chunks).toString() });
+                    if (req.url !== '/slow') {
+                        res.writeHead(req.url === '/fail' ? 500 : 204).end();
+                    }
+                });
+            });
+            await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+            receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+        });
+
+        after(async () => {
+            receiver.closeAllConnections();
+            await new Promise(resolve => receiver.close(resolve));
+            await server.close();
+        });
+
+        it('refuses internal receivers when registering and editing', async () => {
+            let response = await api('POST', '/api/webhooks', { url: 'http://169.254.169.254/', events: ['session.created'] }, player.token);
+            assert.equal(response.status, 400);
+
+            response = await api('POST', '/api/webhooks', {
+                url: `${receiverUrl}/ok`,
+                events: ['session.created', 'goal.completed']
+            }, player.token);
+            assert.equal(response.status, 201);
+            webhook = response.body.webhook;
+
+            response = await api('PATCH', `/api/webhooks/${webhook.id}`, { url: 'http://10.0.0.1/' }, player.token);
+            assert.equal(response.status, 400);
+        });
+
+        it('sends signed events', async () => {
+            const { sessionId } = (await api('POST', '/api/sessions', sessionData({ timestamp: new Date().toISOString() }), player.token)).body;
+            assert.deepEqual(await processWebhookDeliveries(server.db), { delivered: 1, retrying: 0, dead: 0 });
+
+            assert.equal(received.length, 1);
+            const { headers, body } = received[0];
+            const event = JSON.parse(body);
+            assert.equal(event.type, 'session.created');
+            assert.equal(event.data.id, sessionId);
+            assert.equal(headers['x-webhook-id'], event.id);
+            assert.equal(headers['x-webhook-event'], 'session.created');
+            assert.equal(verifySignature(webhook.secret, headers['x-webhook-signature'], body), true);
+
+            const [delivery] = await listDeliveries();
+            assert.equal(headers['x-webhook-delivery'], delivery.id);
+            assert.equal(delivery.status, 'delivered');
+            assert.equal(delivery.attempts, 1);
+            assert.equal(delivery.responseStatus, 204);
+        });
+
+        it('leases claimed deliveries', async () => {
+            received.length = 0;
+            await api('POST', `/api/webhooks/${webhook.id}/test`, undefined, player.token);
+
+            const claimed = await server.db.transaction(tx => tx.claimDueWebhookDeliveries(20, 60));
+            assert.equal(claimed.length, 1);
+            assert.deepEqual(await processWebhookDeliveries(server.db), { delivered: 0, retrying: 0, dead: 0 });
+
+            // As if the server stopped mid-send and the lease ran out
+            await makeDue();
+            assert.deepEqual(await processWebhookDeliveries(server.db), { delivered: 1, retrying: 0, dead: 0 });
+            assert.equal(received.length, 1);
+        });
+
+        it('backs off, then gives up until retried by hand', async () => {
+            await setUrl(`${receiverUrl}/fail`);
+            const eventId = await queueTestEvent();
+
+            const waits = [];
+            for (let attempt = 1; attempt <= 3; attempt++) {
+                const summary = await processWebhookDeliveries(server.db);
+                const delivery = await findDelivery(eventId);
+                assert.equal(delivery.attempts, attempt);
+                assert.equal(delivery.responseStatus, 500);
+                assert.equal(delivery.lastError, 'Receiver responded 500');
+
+                if (attempt < 3) {
+                    assert.deepEqual(summary, { delivered: 0, retrying: 1, dead: 0 });
+                    waits.push(secondsBetween(delivery.lastAttemptAt, delivery.nextAttemptAt));
+                    // Not due again until the wait is over
+                    assert.deepEqual(await processWebhookDeliveries(server.db), { delivered: 0, retrying: 0, dead: 0 });
+                    await makeDue();
+                } else {
+                    assert.deepEqual(summary, { delivered: 0, retrying: 0, dead: 1 });
+                    assert.equal(delivery.status, 'dead');
+                    assert.equal(delivery.nextAttemptAt, null);
+                }
+            }
+            assert.deepEqual(waits, [30, 60]);
+
+            const dead = await findDelivery(eventId);
+            await setUrl(`${receiverUrl}/ok`);
+            const response = await api('POST', `/api/webhooks/${webhook.id}/deliveries/${dead.id}/retry`, undefined, player.token);
+            assert.equal(response.body.delivery.status, 'pending');
+            assert.equal(response.body.delivery.attempts, 0);
+            assert.deepEqual(await processWebhookDeliveries(server.db), { delivered: 1, retrying: 0, dead: 0 });
+        });
+
+        it('logs failures without the network error', async () => {
+            const closed = http.createServer();
+            await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+            const closedUrl = `http://127.0.0.1:${closed.address().port}/`;
+            await new Promise(resolve => closed.close(resolve));
+
+            const attempts = [
+                [closedUrl, 'Could not connect to the receiver'],
+                [`${receiverUrl}/slow`, 'No response within 300 ms'],
+                ['http://10.255.255.1/', 'Receiver address is not allowed']
+            ];
+            for (const [url, error] of attempts) {
+                await setUrl(url);
+                const eventId = await queueTestEvent();
+                await processWebhookDeliveries(server.db);
+
+                const delivery = await findDelivery(eventId);
+                assert.equal(delivery.lastError, error, url);
+                assert.equal(delivery.responseStatus, null);
+                await server.db.run("UPDATE webhook_deliveries SET status = 'dead' WHERE id = ?", [delivery.id]);
+            }
+        });
+
+        it('checks the address again when sending', async () => {
+            // A host that resolved to a public address when registered may not any more
+            await setUrl(`http://localhost:${receiver.address().port}/ok`);
+            received.length = 0;
+            const eventId = await queueTestEvent();
+
+            await withNodeEnv('production', () => processWebhookDeliveries(server.db));
+            const delivery = await findDelivery(eventId);
+            assert.equal(delivery.lastError, 'Receiver address is not allowed');
+            assert.equal(received.length, 0);
+
+            await makeDue();
+            assert.deepEqual(await processWebhookDeliveries(server.db), { delivered: 1, retrying: 0, dead: 0 });
+        });
+
+        it('reports each goal completion once, and not for goals reached before', async () => {
+            await setUrl(`${receiverUrl}/ok`);
+            await api('POST', '/api/goals', { title: 'Two sessions', metric: 'sessions', target: 2, startDate: '2026-01-01' }, player.token);
+            const queued = async () => (await server.db.get(
+                "SELECT COUNT(*) AS count FROM webhook_deliveries WHERE event_type = 'goal.completed'"
+            )).count;
+
+            await api('POST', '/api/sessions', sessionData({ timestamp: new Date().toISOString() }), player.token);
+            assert.equal(await queued(), 1);
+            await api('POST', '/api/sessions', sessionData({ timestamp: new Date().toISOString(), totalShots: 30 }), player.token);
+            assert.equal(await queued(), 1);
+
+            await server.db.run('UPDATE goals SET completed_window = NULL WHERE user_id = ?', [player.user.id]);
+            await backfillGoals.run(server.db);
+            await api('POST', '/api/sessions', sessionData({ timestamp: new Date().toISOString(), totalShots: 40 }), player.token);
+            assert.equal(await queued(), 1);
+        });
+    });
+});